@@ -0,0 +1,27 @@
+-- The server's copy of the synced todos (see src/worker/sync-log.js).
+
+-- Where the log stands: a single row
+CREATE TABLE log (
+  id INTEGER PRIMARY KEY CHECK (id = 1),
+  -- Revision of the last change, 0 before any
+  revision INTEGER NOT NULL,
+  -- Revision before the first change kept
+  oldest INTEGER NOT NULL,
+  -- Revision the snapshot is as of, NULL before one is uploaded
+  snapshot_revision INTEGER
+);
+INSERT INTO log (id, revision, oldest, snapshot_revision) VALUES (1, 0, 0, NULL);
+
+-- The changes kept, as JSON split into parts
+CREATE TABLE changes (
+  revision INTEGER NOT NULL,
+  part INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (revision, part)
+);
+
+-- The snapshot of all data, as JSON split into parts
+CREATE TABLE snapshot (
+  part INTEGER PRIMARY KEY,
+  data TEXT NOT NULL
+);
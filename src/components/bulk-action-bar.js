@@ -0,0 +1,197 @@
+/**
+ * @fileoverview BulkActionBar component.
+ * Toolbar shown in selection mode for acting on every selected todo at once:
+ * complete, reopen, delete, retag, move to another list or set the due date.
+ * All actions are dispatched as custom events; the app applies them to the selection.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { parseTags } from '../utils/tags.js';
+
+/**
+ * Bulk actions for the selected todos.
+ * @extends {LitElement}
+ */
+export class BulkActionBar extends LitElement {
+  static properties = {
+    count: { type: Number },
+    total: { type: Number },
+    lists: { type: Array },
+    activeListId: { type: Number },
+    tagValue: { state: true },
+    dueDateValue: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      margin-bottom: 12px;
+    }
+
+    .bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      background: #eef0fb;
+      font-size: 13px;
+    }
+
+    .count {
+      margin-right: auto;
+      font-weight: 600;
+      color: #3f51b5;
+    }
+
+    .group {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+    }
+
+    button,
+    input,
+    select {
+      padding: 5px 10px;
+      border: 1px solid #d0d4ee;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+    }
+
+    button {
+      cursor: pointer;
+    }
+
+    button:hover:not(:disabled) {
+      background: #f5f5f5;
+    }
+
+    button:disabled,
+    select:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    input[type="text"] {
+      width: 110px;
+    }
+
+    .delete {
+      border-color: #f44336;
+      color: #f44336;
+    }
+  `;
+
+  /**
+   * Creates a bar with nothing selected.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.count = 0;
+    this.total = 0;
+    this.lists = [];
+    this.activeListId = null;
+    this.tagValue = '';
+    this.dueDateValue = '';
+  }
+
+  /**
+   * Dispatches a bulk action event.
+   * @param {string} type The event name
+   * @param {Object} [detail={}] The event detail
+   */
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Adds or removes the typed tags on the selection.
+   * @param {'add'|'remove'} mode Whether to add or remove the tags
+   * @fires BulkActionBar#bulk-retag
+   */
+  handleRetag(mode) {
+    const tags = parseTags(this.tagValue);
+    if (tags.length === 0) {
+      return;
+    }
+    this.emit('bulk-retag', mode === 'add' ? { add: tags } : { remove: tags });
+    this.tagValue = '';
+  }
+
+  /**
+   * Renders the selection count and the action controls.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const none = this.count === 0;
+    const otherLists = this.lists.filter(list => list.id !== this.activeListId);
+
+    return html`
+      <div class="bar" role="toolbar" aria-label="Bulk actions">
+        <span class="count">${this.count} selected</span>
+        <button
+          class="select-all"
+          @click=${() => this.emit(this.count === this.total ? 'select-none' : 'select-all')}>
+          ${this.count === this.total && !none ? 'Select none' : 'Select all'}
+        </button>
+        <button class="complete" ?disabled=${none} @click=${() => this.emit('bulk-complete', { completed: true })}>
+          Complete
+        </button>
+        <button class="reopen" ?disabled=${none} @click=${() => this.emit('bulk-complete', { completed: false })}>
+          Reopen
+        </button>
+        <span class="group">
+          <input
+            type="text"
+            placeholder="#tags"
+            .value=${this.tagValue}
+            @input=${(e) => this.tagValue = e.target.value}
+            aria-label="Tags to add or remove"
+          />
+          <button ?disabled=${none || !this.tagValue.trim()} @click=${() => this.handleRetag('add')}>Add tag</button>
+          <button ?disabled=${none || !this.tagValue.trim()} @click=${() => this.handleRetag('remove')}>Remove tag</button>
+        </span>
+        <span class="group">
+          <input
+            type="date"
+            .value=${this.dueDateValue}
+            @input=${(e) => this.dueDateValue = e.target.value}
+            aria-label="Due date for selected todos"
+          />
+          <button
+            class="set-due"
+            ?disabled=${none}
+            @click=${() => this.emit('bulk-due-date', { dueDate: this.dueDateValue || null })}>
+            ${this.dueDateValue ? 'Set due date' : 'Clear due date'}
+          </button>
+        </span>
+        ${otherLists.length > 0 ? html`
+          <select
+            class="move"
+            ?disabled=${none}
+            @change=${(e) => {
+              this.emit('bulk-move', { listId: Number(e.target.value) });
+              e.target.value = '';
+            }}
+            aria-label="Move selected todos to list">
+            <option value="">Move to…</option>
+            ${otherLists.map(list => html`<option value=${list.id}>${list.name}</option>`)}
+          </select>
+        ` : ''}
+        <button class="delete" ?disabled=${none} @click=${() => this.emit('bulk-delete')}>Delete</button>
+        <button class="done" @click=${() => this.emit('exit-selection')}>Done</button>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('bulk-action-bar', BulkActionBar);
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview EncryptionSettings component.
+ * Turns on encryption of the stored todos with a passphrase, and once it is on, changes
+ * the passphrase or locks the data straight away. Both passphrase forms ask for the new
+ * passphrase twice and check that the entries match before dispatching anything.
+ * Dispatches custom `enable-encryption`, `change-passphrase` and `lock` events.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { MIN_PASSPHRASE_LENGTH } from '../models/validation.js';
+
+/**
+ * Settings for encrypting the stored todos.
+ * @extends {LitElement}
+ */
+export class EncryptionSettings extends LitElement {
+  static properties = {
+    encrypted: { type: Boolean },
+    autoLockMinutes: { type: Number },
+    busy: { type: Boolean },
+    mismatch: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font-size: 14px;
+      color: #555;
+    }
+
+    p {
+      margin: 0 0 12px;
+    }
+
+    form {
+      display: grid;
+      gap: 8px;
+      max-width: 360px;
+      margin-bottom: 16px;
+    }
+
+    input {
+      padding: 8px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 14px;
+    }
+
+    button {
+      justify-self: start;
+      padding: 6px 12px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: wait;
+    }
+
+    h3 {
+      margin: 16px 0 8px;
+      font-size: 15px;
+      color: #333;
+    }
+
+    .mismatch {
+      color: #d32f2f;
+      font-size: 13px;
+    }
+  `;
+
+  /**
+   * Creates the settings for unencrypted data.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.encrypted = false;
+    this.autoLockMinutes = 5;
+    /** @type {boolean} Whether a passphrase is being applied */
+    this.busy = false;
+    this.mismatch = false;
+  }
+
+  /**
+   * Reads a passphrase form, checking that the new passphrase was typed the same twice.
+   * @private
+   * @param {SubmitEvent} e
+   * @returns {Object<string, string>|null} The form's fields, or null if the entries differ
+   */
+  readForm(e) {
+    e.preventDefault();
+    const form = e.target;
+    const fields = Object.fromEntries(new FormData(form));
+    this.mismatch = fields.passphrase !== fields.confirm;
+    if (this.mismatch) {
+      return null;
+    }
+    form.reset();
+    return fields;
+  }
+
+  /**
+   * Handles the form turning encryption on.
+   * @param {SubmitEvent} e
+   * @fires EncryptionSettings#enable-encryption
+   */
+  handleEnable(e) {
+    const fields = this.readForm(e);
+    if (fields) {
+      this.dispatchEvent(new CustomEvent('enable-encryption', {
+        detail: { passphrase: fields.passphrase },
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  /**
+   * Handles the form changing the passphrase.
+   * @param {SubmitEvent} e
+   * @fires EncryptionSettings#change-passphrase
+   */
+  handleChange(e) {
+    const fields = this.readForm(e);
+    if (fields) {
+      this.dispatchEvent(new CustomEvent('change-passphrase', {
+        detail: { currentPassphrase: fields.current, newPassphrase: fields.passphrase },
+        bubbles: true,
+        composed: true
+      }));
+    }
+  }
+
+  /**
+   * Handles a click on "Lock now".
+   * @fires EncryptionSettings#lock
+   */
+  handleLock() {
+    this.dispatchEvent(new CustomEvent('lock', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders the fields for a new passphrase.
+   * @returns {TemplateResult}
+   */
+  renderNewPassphrase() {
+    return html`
+      <input name="passphrase" type="password" autocomplete="new-password" required
+        minlength=${MIN_PASSPHRASE_LENGTH} aria-label="New passphrase" placeholder="New passphrase" />
+      <input name="confirm" type="password" autocomplete="new-password" required
+        aria-label="Repeat new passphrase" placeholder="Repeat new passphrase" />
+      ${this.mismatch ? html`<span class="mismatch" role="alert">The passphrases don’t match</span>` : ''}
+    `;
+  }
+
+  /**
+   * Renders the settings for the current state.
+   * @returns {TemplateResult}
+   */
+  render() {
+    if (!this.encrypted) {
+      return html`
+        <p>
+          Your todos are stored unencrypted in this browser. Encrypt them with a passphrase
+          so they can only be read once unlocked. There is no way to recover the passphrase
+          if you forget it.
+        </p>
+        <form class="enable" @submit=${this.handleEnable}>
+          ${this.renderNewPassphrase()}
+          <button type="submit" ?disabled=${this.busy}>${this.busy ? 'Encrypting…' : 'Encrypt my todos'}</button>
+        </form>
+      `;
+    }
+
+    return html`
+      <p>
+        Your todos are encrypted. They lock after ${this.autoLockMinutes} minutes without activity.
+        <button class="lock" @click=${this.handleLock}>Lock now</button>
+      </p>
+      <h3>Change passphrase</h3>
+      <form class="change" @submit=${this.handleChange}>
+        <input name="current" type="password" autocomplete="current-password" required
+          aria-label="Current passphrase" placeholder="Current passphrase" />
+        ${this.renderNewPassphrase()}
+        <button type="submit" ?disabled=${this.busy}>${this.busy ? 'Re-encrypting…' : 'Change passphrase'}</button>
+      </form>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('encryption-settings', EncryptionSettings);
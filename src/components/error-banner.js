@@ -0,0 +1,108 @@
+/**
+ * @fileoverview ErrorBanner component.
+ * Shows the last error raised by the model or storage (invalid input, a todo that no
+ * longer exists, full storage) until it is dismissed.
+ * Dispatches a custom `dismiss-error` event when the close button is clicked.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { StorageError } from '../models/errors.js';
+
+/**
+ * Banner reporting a failed change to the user.
+ * @extends {LitElement}
+ */
+export class ErrorBanner extends LitElement {
+  static properties = {
+    error: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .banner {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      margin-bottom: 16px;
+      padding: 10px 12px;
+      border: 1px solid #f5c2c0;
+      border-left: 4px solid #f44336;
+      border-radius: 8px;
+      background: #fdecea;
+      color: #8a1c14;
+      font-size: 14px;
+    }
+
+    .banner.storage {
+      border-color: #ffe0b2;
+      border-left-color: #ff9800;
+      background: #fff3e0;
+      color: #7a4100;
+    }
+
+    .message {
+      flex: 1;
+    }
+
+    .title {
+      font-weight: 600;
+    }
+
+    button {
+      padding: 2px 8px;
+      background: none;
+      border: none;
+      color: inherit;
+      font-size: 18px;
+      line-height: 1;
+      cursor: pointer;
+    }
+  `;
+
+  /**
+   * Creates a banner with no error to show.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.error = null;
+  }
+
+  /**
+   * Handles a click on the close button.
+   * @fires ErrorBanner#dismiss-error
+   */
+  handleDismiss() {
+    this.dispatchEvent(new CustomEvent('dismiss-error', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders the error, or nothing when there is none.
+   * @returns {TemplateResult|string}
+   */
+  render() {
+    if (!this.error) {
+      return '';
+    }
+
+    const storage = this.error instanceof StorageError;
+    return html`
+      <div class="banner ${storage ? 'storage' : ''}" role="alert">
+        <span class="message">
+          <span class="title">${storage ? 'Not saved:' : 'Couldn’t do that:'}</span>
+          ${this.error.message}
+        </span>
+        <button class="dismiss" @click=${this.handleDismiss} aria-label="Dismiss error">×</button>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('error-banner', ErrorBanner);
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview ImportExport component.
+ * Exports the todos in any of the supported file formats, and imports a file in two steps:
+ * the chosen file's content is handed over to be read and checked, and once a preview of
+ * what it holds is set, the user merges it with their todos, replaces them with it or cancels.
+ * Dispatches custom `export-data` (with the format), `import-file` (with the file's name and
+ * content), `import-todos` (with `merge` or `replace`) and `cancel-import` events.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { FORMATS } from '../utils/todo-formats.js';
+
+/**
+ * How many todos of a file the preview lists.
+ * @type {number}
+ */
+const PREVIEW_SIZE = 8;
+
+/**
+ * What an imported file holds, as shown before it is imported.
+ * @typedef {Object} ImportPreview
+ * @property {string} filename Name of the file
+ * @property {string} format A key of {@link FORMATS}
+ * @property {Array<{ id: number, name: string }>} lists The lists in the file
+ * @property {Array<Object>} items The todos in the file, checked and normalized
+ */
+
+/**
+ * Import and export of the todos.
+ * @extends {LitElement}
+ */
+export class ImportExport extends LitElement {
+  static properties = {
+    preview: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font-size: 14px;
+      color: #555;
+    }
+
+    h3 {
+      margin: 16px 0 8px;
+      font-size: 15px;
+      color: #333;
+    }
+
+    p {
+      margin: 0 0 12px;
+    }
+
+    form {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
+    select {
+      padding: 6px 8px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 13px;
+    }
+
+    button {
+      padding: 6px 12px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+
+    .preview {
+      margin-top: 12px;
+      padding: 12px;
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      background: #fafafa;
+    }
+
+    .preview ul {
+      margin: 0 0 12px;
+      padding-left: 20px;
+    }
+
+    .preview li.completed {
+      color: #999;
+      text-decoration: line-through;
+    }
+
+    .actions {
+      display: flex;
+      gap: 8px;
+    }
+
+    button.replace {
+      color: #d32f2f;
+    }
+  `;
+
+  /**
+   * Creates the component with no file being imported.
+   * @constructor
+   */
+  constructor() {
+    super();
+    /** @type {ImportPreview|null} The file being imported, once it has been read */
+    this.preview = null;
+  }
+
+  /**
+   * Handles the export form.
+   * @param {SubmitEvent} e
+   * @fires ImportExport#export-data
+   */
+  handleExport(e) {
+    e.preventDefault();
+    this.dispatchEvent(new CustomEvent('export-data', {
+      detail: { format: e.target.querySelector('select[name="format"]').value },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Reads the chosen file and hands its content over.
+   * @param {Event} e The file input's `change` event
+   * @fires ImportExport#import-file
+   */
+  async handleFile(e) {
+    const input = e.target;
+    const [file] = input.files;
+    if (!file) {
+      return;
+    }
+    const text = await file.text();
+    // Let the same file be chosen again, e.g. after cancelling
+    input.value = '';
+    this.dispatchEvent(new CustomEvent('import-file', {
+      detail: { name: file.name, text },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles a click on "Merge" or "Replace".
+   * @param {'merge'|'replace'} mode How to import the file
+   * @fires ImportExport#import-todos
+   */
+  handleImport(mode) {
+    this.dispatchEvent(new CustomEvent('import-todos', {
+      detail: { mode },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles a click on "Cancel".
+   * @fires ImportExport#cancel-import
+   */
+  handleCancel() {
+    this.dispatchEvent(new CustomEvent('cancel-import', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders what the file being imported holds, and the choice of how to import it.
+   * @returns {TemplateResult}
+   */
+  renderPreview() {
+    const { filename, format, lists, items } = this.preview;
+    const completed = items.filter(todo => todo.completed).length;
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    const listCounts = lists
+      .map(list => `${list.name} (${items.filter(todo => todo.listId === list.id).length})`)
+      .join(', ');
+
+    return html`
+      <section class="preview" aria-label="Import preview">
+        <p class="summary">
+          <strong>${filename}</strong> (${FORMATS[format].label}) holds ${plural(items.length, 'todo')}${
+            completed > 0 ? html`, ${completed} of them done` : ''}${lists.length > 0 ? html`, in ${plural(lists.length, 'list')}: ${listCounts}` : ''}.
+        </p>
+        ${items.length > 0 ? html`
+          <ul class="sample">
+            ${items.slice(0, PREVIEW_SIZE).map(todo => html`
+              <li class=${todo.completed ? 'completed' : ''}>${todo.text}</li>
+            `)}
+          </ul>
+          ${items.length > PREVIEW_SIZE ? html`<p>…and ${items.length - PREVIEW_SIZE} more.</p>` : ''}
+        ` : ''}
+        <p>
+          Merging adds these todos to yours, skipping any you already have, and can be undone.
+          Replacing deletes all your todos, lists, trash and history first; you are offered a
+          copy of them to download.
+        </p>
+        <div class="actions">
+          <button class="merge" @click=${() => this.handleImport('merge')} ?disabled=${items.length === 0}>Merge</button>
+          <button class="replace" @click=${() => this.handleImport('replace')}>Replace</button>
+          <button class="cancel" @click=${this.handleCancel}>Cancel</button>
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the export form, the file picker and the preview of the file being imported.
+   * @returns {TemplateResult}
+   */
+  render() {
+    return html`
+      <h3>Export</h3>
+      <p>
+        A JSON backup keeps everything and can be imported to restore it. CSV and iCalendar files
+        keep the todos of every list with their details, and a Markdown checklist keeps the text
+        of each todo and whether it is done.
+      </p>
+      <form class="export" @submit=${this.handleExport}>
+        <select name="format" aria-label="Export format">
+          ${Object.entries(FORMATS).map(([id, format]) => html`<option value=${id}>${format.label}</option>`)}
+        </select>
+        <button type="submit">Export</button>
+      </form>
+
+      <h3>Import</h3>
+      <p>Import todos from a JSON backup, a CSV file, a Markdown checklist or an iCalendar (.ics) file.</p>
+      <input
+        class="import-file"
+        type="file"
+        accept=".json,.csv,.md,.markdown,.txt,.ics,.ical"
+        aria-label="File to import"
+        @change=${this.handleFile} />
+      ${this.preview ? this.renderPreview() : ''}
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('import-export', ImportExport);
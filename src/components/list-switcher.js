@@ -0,0 +1,277 @@
+/**
+ * @fileoverview ListSwitcher component.
+ * Dropdown for switching between todo lists, with controls to create, rename,
+ * recolour, reorder and delete lists. All changes are dispatched as custom events.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Lets the user pick the active list and manage the set of lists.
+ * @extends {LitElement}
+ */
+export class ListSwitcher extends LitElement {
+  static properties = {
+    lists: { type: Array },
+    activeListId: { type: Number },
+    counts: { attribute: false },
+    mode: { state: true },
+    nameValue: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      margin-bottom: 20px;
+      --list-color: #3f51b5;
+    }
+
+    .switcher {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      flex-wrap: wrap;
+    }
+
+    .swatch {
+      width: 28px;
+      height: 28px;
+      padding: 0;
+      border: none;
+      border-radius: 50%;
+      background: none;
+      cursor: pointer;
+    }
+
+    select,
+    input[type="text"] {
+      flex: 1;
+      min-width: 160px;
+      padding: 8px 12px;
+      font-size: 15px;
+      font-weight: 600;
+      border: 2px solid var(--list-color);
+      border-radius: 8px;
+      outline: none;
+      background: white;
+    }
+
+    button {
+      padding: 8px 10px;
+      border: none;
+      border-radius: 8px;
+      background: #f5f5f5;
+      color: #333;
+      font-size: 14px;
+      cursor: pointer;
+      transition: background 0.2s;
+    }
+
+    button:hover:not(:disabled) {
+      background: #e0e0e0;
+    }
+
+    button:disabled {
+      opacity: 0.4;
+      cursor: not-allowed;
+    }
+
+    .confirm-btn {
+      background: var(--list-color);
+      color: white;
+    }
+
+    .confirm-btn:hover:not(:disabled) {
+      background: var(--list-color);
+      opacity: 0.9;
+    }
+  `;
+
+  /**
+   * Creates a switcher with no lists.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.lists = [];
+    this.activeListId = null;
+    this.counts = {};
+    this.mode = 'view';
+    this.nameValue = '';
+  }
+
+  /**
+   * The list currently selected.
+   * @type {{ id: number, name: string, color: string }|undefined}
+   */
+  get activeList() {
+    return this.lists.find(list => list.id === this.activeListId);
+  }
+
+  /**
+   * Applies the active list's colour to the switcher's accents.
+   */
+  willUpdate() {
+    if (this.activeList) {
+      this.style.setProperty('--list-color', this.activeList.color);
+    }
+  }
+
+  /**
+   * Dispatches a list event from the switcher.
+   * @param {string} type The event name
+   * @param {Object} detail The event detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Opens the name field for creating a new list.
+   */
+  handleNew() {
+    this.mode = 'create';
+    this.nameValue = '';
+  }
+
+  /**
+   * Opens the name field for renaming the active list.
+   */
+  handleRename() {
+    this.mode = 'rename';
+    this.nameValue = this.activeList?.name ?? '';
+  }
+
+  /**
+   * Creates or renames a list with the typed name, then closes the name field.
+   * @fires ListSwitcher#create-list
+   * @fires ListSwitcher#rename-list
+   */
+  handleConfirm() {
+    const name = this.nameValue.trim();
+    if (!name) {
+      return;
+    }
+    if (this.mode === 'create') {
+      this.emit('create-list', { name });
+    } else {
+      this.emit('rename-list', { id: this.activeListId, name });
+    }
+    this.mode = 'view';
+  }
+
+  /**
+   * Handles keyboard events in the name field.
+   * Enter confirms; Escape cancels.
+   * @param {KeyboardEvent} e
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Enter') {
+      this.handleConfirm();
+    } else if (e.key === 'Escape') {
+      this.mode = 'view';
+    }
+  }
+
+  /**
+   * Moves the active list one position up or down.
+   * @param {number} offset -1 to move up, 1 to move down
+   * @fires ListSwitcher#reorder-list
+   */
+  handleReorder(offset) {
+    const index = this.lists.findIndex(list => list.id === this.activeListId);
+    this.emit('reorder-list', { id: this.activeListId, toIndex: index + offset });
+  }
+
+  /**
+   * Renders the name field used for creating and renaming lists.
+   * @returns {TemplateResult}
+   */
+  renderNameField() {
+    return html`
+      <div class="switcher">
+        <input
+          type="text"
+          placeholder=${this.mode === 'create' ? 'New list name' : 'List name'}
+          .value=${this.nameValue}
+          @input=${(e) => this.nameValue = e.target.value}
+          @keydown=${this.handleKeyDown}
+          aria-label="List name"
+          autofocus
+        />
+        <button class="confirm-btn" @click=${this.handleConfirm} ?disabled=${!this.nameValue.trim()}>
+          ${this.mode === 'create' ? 'Create' : 'Rename'}
+        </button>
+        <button @click=${() => this.mode = 'view'}>Cancel</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Renders the list dropdown and management buttons.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const active = this.activeList;
+    if (this.mode !== 'view') {
+      return this.renderNameField();
+    }
+
+    const index = this.lists.findIndex(list => list.id === this.activeListId);
+
+    return html`
+      <div class="switcher">
+        <input
+          class="swatch"
+          type="color"
+          .value=${active?.color ?? '#3f51b5'}
+          @change=${(e) => this.emit('recolor-list', { id: this.activeListId, color: e.target.value })}
+          title="List colour"
+          aria-label="List colour"
+        />
+        <select
+          class="list-select"
+          .value=${String(this.activeListId)}
+          @change=${(e) => this.emit('select-list', { id: Number(e.target.value) })}
+          aria-label="Current list">
+          ${this.lists.map(list => html`
+            <option value=${list.id} ?selected=${list.id === this.activeListId}>
+              ${list.name} (${this.counts[list.id] ?? 0})
+            </option>
+          `)}
+        </select>
+        <button @click=${this.handleNew} title="New list" aria-label="New list">＋</button>
+        <button @click=${this.handleRename} title="Rename list" aria-label="Rename list">✎</button>
+        <button
+          @click=${() => this.handleReorder(-1)}
+          ?disabled=${index <= 0}
+          title="Move list up"
+          aria-label="Move list up">
+          ↑
+        </button>
+        <button
+          @click=${() => this.handleReorder(1)}
+          ?disabled=${index === this.lists.length - 1}
+          title="Move list down"
+          aria-label="Move list down">
+          ↓
+        </button>
+        <button
+          class="delete-list"
+          @click=${() => this.emit('delete-list', { id: this.activeListId })}
+          ?disabled=${this.lists.length <= 1}
+          title="Delete list"
+          aria-label="Delete list">
+          🗑
+        </button>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('list-switcher', ListSwitcher);
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview LockScreen component.
+ * Asks for the passphrase of encrypted todos. Shown instead of the app while its data is
+ * locked: on start-up and after it locks itself for lack of activity.
+ * Dispatches a custom `unlock` event with the passphrase entered.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Passphrase prompt for encrypted data.
+ * @extends {LitElement}
+ */
+export class LockScreen extends LitElement {
+  static properties = {
+    error: { type: Object },
+    busy: { type: Boolean }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      text-align: center;
+    }
+
+    h1 {
+      margin: 0 0 8px;
+      color: #333;
+      font-size: 24px;
+    }
+
+    p {
+      margin: 0 0 20px;
+      color: #666;
+      font-size: 14px;
+    }
+
+    form {
+      display: flex;
+      gap: 8px;
+      max-width: 360px;
+      margin: 0 auto;
+    }
+
+    input {
+      flex: 1;
+      padding: 10px 12px;
+      border: 2px solid #e0e0e0;
+      border-radius: 8px;
+      font-size: 15px;
+    }
+
+    input:focus {
+      outline: none;
+      border-color: #667eea;
+    }
+
+    button {
+      padding: 10px 18px;
+      border: none;
+      border-radius: 8px;
+      background: #667eea;
+      color: white;
+      font-size: 15px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.6;
+      cursor: wait;
+    }
+
+    .error {
+      margin-top: 12px;
+      color: #d32f2f;
+      font-size: 14px;
+    }
+  `;
+
+  /**
+   * Creates an empty prompt.
+   * @constructor
+   */
+  constructor() {
+    super();
+    /** @type {Error|null} Why the last attempt failed */
+    this.error = null;
+    /** @type {boolean} Whether a passphrase is being checked */
+    this.busy = false;
+  }
+
+  /**
+   * Focuses the passphrase field once shown.
+   */
+  firstUpdated() {
+    this.renderRoot.querySelector('input').focus();
+  }
+
+  /**
+   * Handles the form submission.
+   * @param {SubmitEvent} e
+   * @fires LockScreen#unlock
+   */
+  handleSubmit(e) {
+    e.preventDefault();
+    const input = this.renderRoot.querySelector('input');
+    if (!input.value) {
+      return;
+    }
+    this.dispatchEvent(new CustomEvent('unlock', {
+      detail: { passphrase: input.value },
+      bubbles: true,
+      composed: true
+    }));
+    input.value = '';
+  }
+
+  /**
+   * Renders the prompt.
+   * @returns {TemplateResult}
+   */
+  render() {
+    return html`
+      <h1>🔒 Your todos are locked</h1>
+      <p>Enter your passphrase to decrypt them.</p>
+      <form @submit=${this.handleSubmit}>
+        <input
+          name="passphrase"
+          type="password"
+          autocomplete="current-password"
+          aria-label="Passphrase"
+          placeholder="Passphrase"
+          ?disabled=${this.busy}
+        />
+        <button type="submit" ?disabled=${this.busy}>${this.busy ? 'Unlocking…' : 'Unlock'}</button>
+      </form>
+      ${this.error ? html`<div class="error" role="alert">${this.error.message}</div>` : ''}
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('lock-screen', LockScreen);
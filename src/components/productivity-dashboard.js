@@ -0,0 +1,298 @@
+/**
+ * @fileoverview ProductivityDashboard component.
+ * Charts the completion history: todos completed per day over the last 7, 30 or 365 days,
+ * a year-long heatmap, the average time from adding to completing a todo and the current
+ * and longest streaks. Charts are drawn with inline SVG.
+ */
+
+import { LitElement, html, svg, css } from 'lit';
+import {
+  getDailyCompletions, getStreaks, getAverageCompletionTime, formatElapsed, buildHeatmap
+} from '../utils/productivity.js';
+
+/**
+ * Ranges the completion chart can show, in days.
+ * @type {number[]}
+ */
+const RANGES = [7, 30, 365];
+
+/**
+ * Heatmap colours by intensity level, from no completions to the busiest days.
+ * @type {string[]}
+ */
+const HEATMAP_COLORS = ['#ebedf0', '#c5cae9', '#7986cb', '#3f51b5', '#1a237e'];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 140;
+const CELL_SIZE = 11;
+const CELL_STEP = 13;
+const HEATMAP_LEFT = 28;
+const HEATMAP_TOP = 16;
+
+/**
+ * Dashboard of completion statistics.
+ * @extends {LitElement}
+ */
+export class ProductivityDashboard extends LitElement {
+  static properties = {
+    history: { type: Object },
+    todos: { type: Array },
+    range: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .cards {
+      display: grid;
+      grid-template-columns: repeat(4, 1fr);
+      gap: 10px;
+      margin-bottom: 20px;
+    }
+
+    .card {
+      padding: 12px;
+      border-radius: 8px;
+      background: #f5f6fc;
+      text-align: center;
+    }
+
+    .card-value {
+      font-size: 22px;
+      font-weight: 700;
+      color: #3f51b5;
+    }
+
+    .card-label {
+      margin-top: 4px;
+      font-size: 12px;
+      color: #666;
+    }
+
+    section {
+      margin-bottom: 20px;
+    }
+
+    .section-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 8px;
+    }
+
+    h3 {
+      margin: 0;
+      font-size: 14px;
+      color: #666;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+
+    .ranges {
+      display: flex;
+      gap: 4px;
+    }
+
+    .ranges button {
+      padding: 4px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    .ranges button[aria-pressed="true"] {
+      border-color: #3f51b5;
+      background: #3f51b5;
+      color: white;
+    }
+
+    svg {
+      display: block;
+      width: 100%;
+      height: auto;
+      font-family: inherit;
+    }
+
+    .axis-label {
+      font-size: 11px;
+      fill: #999;
+    }
+
+    .bar {
+      fill: #3f51b5;
+    }
+
+    @media (max-width: 600px) {
+      .cards {
+        grid-template-columns: repeat(2, 1fr);
+      }
+    }
+  `;
+
+  /**
+   * Creates a dashboard with no history, showing the last 30 days.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.history = {};
+    this.todos = [];
+    this.range = 30;
+  }
+
+  /**
+   * Renders the completions per day over the selected range as a bar chart.
+   * @param {Array<{ date: string, count: number }>} days The days to chart
+   * @returns {TemplateResult}
+   */
+  renderChart(days) {
+    const max = Math.max(1, ...days.map(day => day.count));
+    const slot = CHART_WIDTH / days.length;
+    const gap = days.length <= 30 ? slot * 0.2 : 0;
+    const plotHeight = CHART_HEIGHT - 20;
+
+    return html`
+      <svg
+        class="completion-chart"
+        viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}"
+        role="img"
+        aria-label="Todos completed per day over the last ${days.length} days">
+        <line x1="0" y1=${plotHeight} x2=${CHART_WIDTH} y2=${plotHeight} stroke="#e0e0e0" />
+        ${days.map((day, i) => {
+          const height = (day.count / max) * (plotHeight - 14);
+          return svg`
+            <rect
+              class="bar"
+              x=${i * slot + gap / 2}
+              y=${plotHeight - height}
+              width=${Math.max(slot - gap, 0.5)}
+              height=${height}>
+              <title>${day.date}: ${day.count} completed</title>
+            </rect>
+          `;
+        })}
+        <text class="axis-label" x="0" y="10">${max}</text>
+        <text class="axis-label" x="0" y=${CHART_HEIGHT - 4}>${days[0].date}</text>
+        <text class="axis-label" x=${CHART_WIDTH} y=${CHART_HEIGHT - 4} text-anchor="end">${days[days.length - 1].date}</text>
+      </svg>
+    `;
+  }
+
+  /**
+   * Renders the last year of completions as a heatmap, one column per week.
+   * @returns {TemplateResult}
+   */
+  renderHeatmap() {
+    const weeks = buildHeatmap(this.history);
+    const width = HEATMAP_LEFT + weeks.length * CELL_STEP;
+    const height = HEATMAP_TOP + 7 * CELL_STEP;
+
+    return html`
+      <svg
+        class="heatmap"
+        viewBox="0 0 ${width} ${height}"
+        role="img"
+        aria-label="Todos completed per day over the last year">
+        ${['Mon', 'Wed', 'Fri'].map((label, i) => svg`
+          <text class="axis-label" x="0" y=${HEATMAP_TOP + (i * 2 + 1) * CELL_STEP + CELL_SIZE - 1}>${label}</text>
+        `)}
+        ${weeks.map((week, column) => {
+          // Months are labelled above the week their first day falls in
+          const firstOfMonth = week.find(day => day.date.endsWith('-01'));
+          return svg`
+            ${firstOfMonth ? svg`
+              <text class="axis-label" x=${HEATMAP_LEFT + column * CELL_STEP} y="10">
+                ${this.monthLabel(firstOfMonth.date)}
+              </text>
+            ` : ''}
+            ${week.map((day, row) => svg`
+              <rect
+                class="heatmap-cell"
+                data-level=${day.level}
+                x=${HEATMAP_LEFT + column * CELL_STEP}
+                y=${HEATMAP_TOP + row * CELL_STEP}
+                width=${CELL_SIZE}
+                height=${CELL_SIZE}
+                rx="2"
+                fill=${HEATMAP_COLORS[day.level]}>
+                <title>${day.date}: ${day.count} completed</title>
+              </rect>
+            `)}
+          `;
+        })}
+      </svg>
+    `;
+  }
+
+  /**
+   * Gets the short name of a month for the heatmap.
+   * @param {string} date A date in `YYYY-MM-DD` format
+   * @returns {string} The month, e.g. `Jan`
+   */
+  monthLabel(date) {
+    const [year, month] = date.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleString(undefined, { month: 'short' });
+  }
+
+  /**
+   * Renders the stat cards and charts.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const days = getDailyCompletions(this.history, this.range);
+    const completed = days.reduce((sum, day) => sum + day.count, 0);
+    const { current, longest } = getStreaks(this.history);
+    const average = getAverageCompletionTime(this.todos);
+
+    return html`
+      <div class="cards">
+        <div class="card">
+          <div class="card-value completed-count">${completed}</div>
+          <div class="card-label">Completed (${this.range} days)</div>
+        </div>
+        <div class="card">
+          <div class="card-value average-time">${average === null ? '–' : formatElapsed(average)}</div>
+          <div class="card-label">Average time to complete</div>
+        </div>
+        <div class="card">
+          <div class="card-value current-streak">${current} ${current === 1 ? 'day' : 'days'}</div>
+          <div class="card-label">Current streak</div>
+        </div>
+        <div class="card">
+          <div class="card-value longest-streak">${longest} ${longest === 1 ? 'day' : 'days'}</div>
+          <div class="card-label">Longest streak</div>
+        </div>
+      </div>
+
+      <section>
+        <div class="section-header">
+          <h3>Completed per day</h3>
+          <div class="ranges" role="group" aria-label="Chart range">
+            ${RANGES.map(range => html`
+              <button
+                aria-pressed=${this.range === range}
+                @click=${() => this.range = range}>
+                ${range} days
+              </button>
+            `)}
+          </div>
+        </div>
+        ${this.renderChart(days)}
+      </section>
+
+      <section>
+        <div class="section-header">
+          <h3>Last year</h3>
+        </div>
+        ${this.renderHeatmap()}
+      </section>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('productivity-dashboard', ProductivityDashboard);
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview RecurrencePicker component.
+ * Lets the user choose how a todo repeats, from common presets or a custom rule.
+ * Dispatches a custom `recurrence-change` event whenever a valid rule is chosen.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { parseRule, isValidRule, formatRule, describeRule } from '../utils/recurrence.js';
+
+/**
+ * Preset rules offered in the dropdown. An empty value means the todo does not repeat.
+ * @type {string[]}
+ */
+const PRESETS = [
+  'FREQ=DAILY',
+  'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+  'FREQ=WEEKLY',
+  'FREQ=MONTHLY'
+];
+
+/**
+ * Dropdown for picking a recurrence rule, with a text field for custom rules
+ * such as `FREQ=DAILY;INTERVAL=3;FROM=COMPLETION`.
+ * @extends {LitElement}
+ */
+export class RecurrencePicker extends LitElement {
+  static properties = {
+    value: { type: String },
+    isCustom: { state: true },
+    customValue: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    select,
+    input {
+      padding: 6px;
+      font-size: 14px;
+      border: 2px solid #e0e0e0;
+      border-radius: 4px;
+      outline: none;
+    }
+
+    input {
+      width: 220px;
+    }
+
+    input.invalid {
+      border-color: #f44336;
+    }
+  `;
+
+  /**
+   * Creates a picker with no recurrence selected.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.value = '';
+    this.isCustom = false;
+    this.customValue = '';
+    this.emittedValue = null;
+  }
+
+  /**
+   * Switches to the custom field when the value set from outside is not a preset.
+   * Values the picker emitted itself are left alone so typing is not interrupted.
+   * @param {Map<string, *>} changed Changed properties
+   */
+  willUpdate(changed) {
+    if (!changed.has('value') || this.value === this.emittedValue) {
+      return;
+    }
+    this.isCustom = Boolean(this.value) && !PRESETS.includes(this.value);
+    this.customValue = this.isCustom ? this.value : '';
+  }
+
+  /**
+   * Updates the value and notifies listeners.
+   * @param {string} value The new rule, or an empty string for no recurrence
+   * @fires RecurrencePicker#recurrence-change
+   */
+  setValue(value) {
+    this.value = value;
+    this.emittedValue = value;
+    this.dispatchEvent(new CustomEvent('recurrence-change', {
+      detail: { value },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles choosing an option from the dropdown.
+   * @param {Event} e The change event of the select element
+   */
+  handleSelect(e) {
+    if (e.target.value === 'custom') {
+      this.isCustom = true;
+      return;
+    }
+    this.isCustom = false;
+    this.setValue(e.target.value);
+  }
+
+  /**
+   * Handles typing a custom rule. Only valid rules are passed on.
+   * @param {InputEvent} e The input event of the text field
+   */
+  handleCustomInput(e) {
+    this.customValue = e.target.value;
+    if (isValidRule(this.customValue)) {
+      this.setValue(formatRule(parseRule(this.customValue)));
+    }
+  }
+
+  /**
+   * Renders the dropdown and, for custom rules, the rule text field.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const selected = this.isCustom ? 'custom' : this.value;
+
+    return html`
+      <select .value=${selected} @change=${this.handleSelect} aria-label="Repeat">
+        <option value="" ?selected=${selected === ''}>Does not repeat</option>
+        ${PRESETS.map(rule => html`
+          <option value=${rule} ?selected=${selected === rule}>${describeRule(parseRule(rule))}</option>
+        `)}
+        <option value="custom" ?selected=${selected === 'custom'}>Custom rule…</option>
+      </select>
+      ${this.isCustom ? html`
+        <input
+          type="text"
+          class=${this.customValue && !isValidRule(this.customValue) ? 'invalid' : ''}
+          placeholder="FREQ=DAILY;INTERVAL=3;FROM=COMPLETION"
+          .value=${this.customValue}
+          @input=${this.handleCustomInput}
+          title=${isValidRule(this.customValue) ? describeRule(parseRule(this.customValue)) : 'Enter a recurrence rule'}
+          aria-label="Custom recurrence rule"
+        />
+      ` : ''}
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('recurrence-picker', RecurrencePicker);
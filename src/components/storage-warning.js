@@ -0,0 +1,159 @@
+/**
+ * @fileoverview StorageWarning component.
+ * Warns for as long as the app's data is not being saved safely: when the browser allows
+ * no persistent storage, when saves fail (storage full or otherwise), and when storage is
+ * nearly full. Unlike the error banner it cannot be dismissed; it goes away once the
+ * problem does.
+ * Dispatches custom `export-data` and `free-space` events from its action buttons.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Formats a number of bytes for display, e.g. `4.2 MB`.
+ * @param {number} bytes The number of bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
+
+/**
+ * What to tell the user about each problem.
+ * @type {Object<import('../services/storage-monitor.js').StorageProblem, string>}
+ */
+const MESSAGES = {
+  unavailable: 'This browser isn’t letting the app save anything (for example in a private window), so your todos will be lost when you close this tab.',
+  full: 'Storage is full, so your latest changes haven’t been saved and will be lost when you close this tab.',
+  failing: 'Your latest changes couldn’t be saved and will be lost when you close this tab.',
+  'nearly-full': 'Storage is almost full. Free some space so your next changes can still be saved.'
+};
+
+/**
+ * Persistent warning about data that is, or soon may not be, saved.
+ * @extends {LitElement}
+ */
+export class StorageWarning extends LitElement {
+  static properties = {
+    status: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .warning {
+      margin-bottom: 16px;
+      padding: 10px 12px;
+      border: 1px solid #ffe0b2;
+      border-left: 4px solid #ff9800;
+      border-radius: 8px;
+      background: #fff3e0;
+      color: #7a4100;
+      font-size: 14px;
+    }
+
+    .warning.lost {
+      border-color: #f5c2c0;
+      border-left-color: #f44336;
+      background: #fdecea;
+      color: #8a1c14;
+    }
+
+    .usage {
+      display: block;
+      margin-top: 4px;
+      font-size: 12px;
+      opacity: 0.8;
+    }
+
+    .actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 8px;
+      margin-top: 8px;
+    }
+
+    button {
+      padding: 4px 10px;
+      background: white;
+      border: 1px solid currentColor;
+      border-radius: 6px;
+      color: inherit;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:hover {
+      background: rgba(255, 255, 255, 0.6);
+    }
+  `;
+
+  /**
+   * Creates a warning with nothing to warn about.
+   * @constructor
+   */
+  constructor() {
+    super();
+    /** @type {import('../services/storage-monitor.js').StorageStatus|null} */
+    this.status = null;
+  }
+
+  /**
+   * Handles a click on "Export your data".
+   * @fires StorageWarning#export-data
+   */
+  handleExport() {
+    this.dispatchEvent(new CustomEvent('export-data', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles a click on "Clear completed to free space".
+   * @fires StorageWarning#free-space
+   */
+  handleFreeSpace() {
+    this.dispatchEvent(new CustomEvent('free-space', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Renders the warning, or nothing when storage is fine.
+   * @returns {TemplateResult|string}
+   */
+  render() {
+    const problem = this.status?.problem;
+    if (!problem) {
+      return '';
+    }
+
+    const { usage, quota } = this.status;
+    return html`
+      <div class="warning ${problem === 'nearly-full' ? '' : 'lost'}" role="alert">
+        ${MESSAGES[problem]}
+        ${usage !== null && quota !== null && problem !== 'unavailable' ? html`
+          <span class="usage">
+            Using ${formatBytes(usage)} of ${formatBytes(quota)} (${Math.round(usage / quota * 100)}%)
+          </span>
+        ` : ''}
+        <div class="actions">
+          <button class="export" @click=${this.handleExport}>Export your data</button>
+          ${problem === 'unavailable' ? '' : html`
+            <button class="free-space" @click=${this.handleFreeSpace}>Clear completed to free space</button>
+          `}
+        </div>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('storage-warning', StorageWarning);
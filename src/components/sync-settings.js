@@ -0,0 +1,199 @@
+/**
+ * @fileoverview SyncSettings component.
+ * Turns syncing with the server on with the sync token set up on it, and once it is on,
+ * shows how syncing is going and offers to sync straight away or to stop.
+ * Dispatches custom `start-sync` (with the token), `sync-now` and `stop-sync` events.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Settings for syncing the todos with the server.
+ * @extends {LitElement}
+ */
+export class SyncSettings extends LitElement {
+  static properties = {
+    enabled: { type: Boolean },
+    available: { type: Boolean },
+    status: { type: Object },
+    busy: { type: Boolean }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font-size: 14px;
+      color: #555;
+    }
+
+    h3 {
+      margin: 16px 0 8px;
+      font-size: 15px;
+      color: #333;
+    }
+
+    p {
+      margin: 0 0 12px;
+    }
+
+    form {
+      display: grid;
+      gap: 8px;
+      max-width: 360px;
+      margin-bottom: 16px;
+    }
+
+    input {
+      padding: 8px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 14px;
+    }
+
+    button {
+      justify-self: start;
+      padding: 6px 12px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: wait;
+    }
+
+    .actions {
+      display: flex;
+      gap: 8px;
+    }
+
+    .status.offline,
+    .status.error {
+      color: #d32f2f;
+    }
+  `;
+
+  /**
+   * Creates the settings with syncing off.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.enabled = false;
+    /** @type {boolean} Whether syncing can be turned on; it cannot while the data is encrypted */
+    this.available = true;
+    /** @type {import('../services/sync-service.js').SyncStatus|null} */
+    this.status = null;
+    /** @type {boolean} Whether syncing is being turned on or off */
+    this.busy = false;
+  }
+
+  /**
+   * Handles the form turning syncing on.
+   * @param {SubmitEvent} e
+   * @fires SyncSettings#start-sync
+   */
+  handleStart(e) {
+    e.preventDefault();
+    const input = e.target.querySelector('input[name="token"]');
+    const token = input.value.trim();
+    if (!token) {
+      return;
+    }
+    this.dispatchEvent(new CustomEvent('start-sync', {
+      detail: { token },
+      bubbles: true,
+      composed: true
+    }));
+    input.value = '';
+  }
+
+  /**
+   * Handles a click on "Sync now".
+   * @fires SyncSettings#sync-now
+   */
+  handleSyncNow() {
+    this.dispatchEvent(new CustomEvent('sync-now', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Handles a click on "Stop syncing".
+   * @fires SyncSettings#stop-sync
+   */
+  handleStop() {
+    this.dispatchEvent(new CustomEvent('stop-sync', {
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Describes the sync status.
+   * @returns {string}
+   */
+  describeStatus() {
+    const { state, pending, lastSyncedAt, error } = this.status ?? { state: 'standby', pending: 0 };
+    const waiting = pending > 0 ? ` ${pending} ${pending === 1 ? 'change is' : 'changes are'} waiting to be sent.` : '';
+    if (state === 'standby') {
+      return 'Another open tab is syncing your todos.';
+    }
+    if (state === 'syncing') {
+      return 'Syncing…';
+    }
+    if (state === 'offline') {
+      return `Offline: your todos will sync once the server can be reached.${waiting}`;
+    }
+    if (state === 'error') {
+      return `${error.message}.${waiting}`;
+    }
+    return `Synced at ${new Date(lastSyncedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+  }
+
+  /**
+   * Renders the settings for the current state.
+   * @returns {TemplateResult}
+   */
+  render() {
+    if (!this.available) {
+      return html`
+        <h3>Sync with the server</h3>
+        <p>Syncing with the server is not available while your todos are encrypted.</p>
+      `;
+    }
+
+    if (!this.enabled) {
+      return html`
+        <h3>Sync with the server</h3>
+        <p>
+          Sync your todos with the server to use them in other browsers and devices. Enter the
+          sync token set up on the server. If the server already has todos, they replace the ones
+          here, and you are offered a copy of these to download.
+        </p>
+        <form class="start" @submit=${this.handleStart}>
+          <input name="token" type="password" autocomplete="off" required
+            aria-label="Sync token" placeholder="Sync token" />
+          <button type="submit" ?disabled=${this.busy}>Start syncing</button>
+        </form>
+      `;
+    }
+
+    return html`
+      <h3>Sync with the server</h3>
+      <p class="status ${this.status?.state ?? ''}" role="status">${this.describeStatus()}</p>
+      <div class="actions">
+        <button class="sync-now" @click=${this.handleSyncNow}
+          ?disabled=${this.busy || this.status?.state === 'standby'}>Sync now</button>
+        <button class="stop-sync" @click=${this.handleStop} ?disabled=${this.busy}>Stop syncing</button>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('sync-settings', SyncSettings);
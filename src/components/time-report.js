@@ -0,0 +1,219 @@
+/**
+ * @fileoverview TimeReport component.
+ * Totals the time tracked against todos per todo, tag and day, shows the running timer
+ * and exports the totals as a CSV file. Stopping the timer is dispatched as a custom event.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { buildTimeReport, reportToCsv, formatDuration, getTrackedTime } from '../utils/time-tracking.js';
+import { toLocalDateString } from '../utils/due-date.js';
+
+/**
+ * Report of tracked time.
+ * @extends {LitElement}
+ */
+export class TimeReport extends LitElement {
+  static properties = {
+    todos: { type: Array },
+    runningTodo: { type: Object }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .toolbar {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 16px;
+      font-size: 14px;
+      color: #555;
+    }
+
+    .total {
+      margin-right: auto;
+      font-weight: 600;
+      color: #3f51b5;
+    }
+
+    .running {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      margin-bottom: 16px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      background: #e8f5e9;
+      font-size: 14px;
+    }
+
+    .running .elapsed {
+      margin-left: auto;
+      font-variant-numeric: tabular-nums;
+    }
+
+    button {
+      padding: 5px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    section {
+      margin-bottom: 20px;
+    }
+
+    h3 {
+      margin: 0 0 8px;
+      font-size: 14px;
+      color: #666;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+
+    td {
+      padding: 6px 8px;
+      border-bottom: 1px solid #eee;
+    }
+
+    td.duration {
+      width: 80px;
+      text-align: right;
+      font-variant-numeric: tabular-nums;
+    }
+
+    .empty-state {
+      padding: 40px 20px;
+      text-align: center;
+      color: #999;
+    }
+  `;
+
+  /**
+   * Creates an empty report.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.todos = [];
+    this.runningTodo = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Re-renders every second while a timer is running, so the totals count up.
+   */
+  updated() {
+    if (this.runningTodo && !this.tickTimer) {
+      this.tickTimer = setInterval(() => this.requestUpdate(), 1000);
+    } else if (!this.runningTodo && this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Stops the tick timer when the element is removed.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+  }
+
+  /**
+   * Downloads the report as a CSV file.
+   */
+  handleExport() {
+    const csv = reportToCsv(buildTimeReport(this.todos));
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `time-report-${toLocalDateString()}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Renders one table of totals.
+   * @param {string} title The section heading
+   * @param {Array<{ label: string, ms: number }>} rows The rows
+   * @returns {TemplateResult}
+   */
+  renderTable(title, rows) {
+    return html`
+      <section>
+        <h3>${title}</h3>
+        <table>
+          ${rows.map(({ label, ms }) => html`
+            <tr>
+              <td>${label}</td>
+              <td class="duration">${formatDuration(ms)}</td>
+            </tr>
+          `)}
+        </table>
+      </section>
+    `;
+  }
+
+  /**
+   * Renders the running timer and the totals.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const report = buildTimeReport(this.todos);
+
+    return html`
+      <div class="toolbar">
+        <span class="total">Total tracked: ${formatDuration(report.total)}</span>
+        <button class="export-csv" ?disabled=${report.total === 0} @click=${this.handleExport}>
+          Export CSV
+        </button>
+      </div>
+
+      ${this.runningTodo ? html`
+        <div class="running" role="status">
+          ⏱ <span class="text">${this.runningTodo.text}</span>
+          <span class="elapsed">${formatDuration(getTrackedTime(this.runningTodo), { seconds: true })}</span>
+          <button
+            class="stop-timer"
+            @click=${() => this.dispatchEvent(new CustomEvent('toggle-timer', {
+              detail: { id: this.runningTodo.id },
+              bubbles: true,
+              composed: true
+            }))}>
+            Stop
+          </button>
+        </div>
+      ` : ''}
+
+      ${report.total === 0 ? html`
+        <div class="empty-state">No time tracked yet. Start a timer with ▶ on a todo.</div>
+      ` : html`
+        ${this.renderTable('By todo', report.byTodo.map(({ text, ms }) => ({ label: text, ms })))}
+        ${report.byTag.length > 0
+          ? this.renderTable('By tag', report.byTag.map(({ tag, ms }) => ({ label: `#${tag}`, ms })))
+          : ''}
+        ${this.renderTable('By day', report.byDay.map(({ date, ms }) => ({ label: date, ms })))}
+      `}
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('time-report', TimeReport);
@@ -1,14 +1,40 @@
 /**
  * @fileoverview Main TodoApp component.
- * Coordinates between the TodoModel (data) and UI components (todo-form, todo-list).
- * Implements core app logic including add, update, toggle, and clear actions.
+ * Coordinates between the TodoModel (data) and UI components (list-switcher, todo-form, todo-list).
+ * Implements core app logic including add, update, toggle, clear, and undo/redo actions.
  */
 
 import { LitElement, html, css } from 'lit';
 import { TodoModel } from '../models/todo-model.js';
-import { StorageService } from '../services/storage-service.js';
+import { TodoError, ValidationError } from '../models/errors.js';
+import { readExport } from '../models/migrations.js';
+import { validatePassphrase, validateImport } from '../models/validation.js';
+import { openStorage } from '../services/indexeddb-storage-service.js';
+import { EncryptedStorageService } from '../services/encrypted-storage-service.js';
+import { MemoryStorageService } from '../services/memory-storage-service.js';
+import { StorageMonitor } from '../services/storage-monitor.js';
+import { SyncService, SYNC_TOKEN_KEY } from '../services/sync-service.js';
+import { TabSync } from '../services/tab-sync.js';
+import { HashRouter, formatRoute, matchesView, isListView } from '../services/hash-router.js';
+import { compareByDueDate, toLocalDateString } from '../utils/due-date.js';
+import { matchesTags } from '../utils/tags.js';
+import { buildChildMap, getDescendants, compareByOrder } from '../utils/todo-tree.js';
+import { searchTodos } from '../utils/fuzzy.js';
+import { FORMATS, detectFormat, serializeTodos, parseTodos } from '../utils/todo-formats.js';
+import './bulk-action-bar.js';
+import './encryption-settings.js';
+import './error-banner.js';
+import './import-export.js';
+import './list-switcher.js';
+import './lock-screen.js';
+import './productivity-dashboard.js';
+import './storage-warning.js';
+import './sync-settings.js';
 import './todo-form.js';
 import './todo-list.js';
+import './time-report.js';
+import './todo-snackbar.js';
+import './todo-trash.js';
 
 /**
  * TodoApp - Main application component, Controller in MVC pattern
@@ -17,7 +43,26 @@ import './todo-list.js';
  */
 export class TodoApp extends LitElement {
   static properties = {
-    todos: { state: true }
+    model: { state: true },
+    todos: { state: true },
+    lists: { state: true },
+    sortBy: { state: true },
+    selectedTags: { state: true },
+    tagMode: { state: true },
+    searchQuery: { state: true },
+    view: { state: true },
+    selectionMode: { state: true },
+    selectedIds: { state: true },
+    error: { state: true },
+    storageStatus: { state: true },
+    locked: { state: true },
+    unlocking: { state: true },
+    unlockError: { state: true },
+    encryptionBusy: { state: true },
+    syncStatus: { state: true },
+    syncBusy: { state: true },
+    importPreview: { state: true },
+    autoLockMinutes: { type: Number, attribute: 'auto-lock-minutes' }
   };
 
   static styles = css`
@@ -28,6 +73,7 @@ export class TodoApp extends LitElement {
       --clearall-bg: #f44336;
       --clearall-bg-hover: #da190b;
       --stat-color: #3f51b5;
+      --overdue-color: #d32f2f;
     }
 
     .app-container {
@@ -65,6 +111,18 @@ export class TodoApp extends LitElement {
       display: flex;
       flex-direction: column;
       align-items: center;
+      padding: 4px 12px;
+      border-radius: 8px;
+      text-decoration: none;
+    }
+
+    a.stat-item:hover {
+      background: #e8e8e8;
+    }
+
+    a.stat-item.selected {
+      background: white;
+      box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1);
     }
 
     .stat-value {
@@ -73,6 +131,10 @@ export class TodoApp extends LitElement {
       color: var(--stat-color);
     }
 
+    .stat-value.overdue {
+      color: var(--overdue-color);
+    }
+
     .stat-label {
       font-size: 12px;
       color: #666;
@@ -80,6 +142,100 @@ export class TodoApp extends LitElement {
       letter-spacing: 0.5px;
     }
 
+    .tag-bar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 12px;
+    }
+
+    .tag-bar button {
+      flex: none;
+      padding: 4px 10px;
+      border-radius: 14px;
+      font-size: 12px;
+      font-weight: 500;
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .tag-bar button.selected {
+      background: #2e7d32;
+      color: white;
+    }
+
+    .tag-bar .tag-mode,
+    .tag-bar .tag-clear {
+      background: #f5f5f5;
+      color: #666;
+    }
+
+    .list-toolbar {
+      display: flex;
+      justify-content: flex-end;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 8px;
+      font-size: 13px;
+      color: #666;
+    }
+
+    .list-toolbar .search {
+      flex: 1;
+      padding: 6px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 14px;
+      outline: none;
+    }
+
+    .list-toolbar .search:focus {
+      border-color: var(--stat-color);
+    }
+
+    .list-toolbar .select-mode {
+      flex: none;
+      padding: 6px 10px;
+      background: #f5f5f5;
+      color: #333;
+      font-size: 13px;
+      font-weight: 500;
+    }
+
+    .list-toolbar .select-mode[aria-pressed="true"] {
+      background: var(--stat-color);
+      color: white;
+    }
+
+    .list-toolbar a {
+      color: #666;
+      text-decoration: none;
+      white-space: nowrap;
+    }
+
+    .list-toolbar a:hover {
+      color: var(--stat-color);
+    }
+
+    .view-header {
+      justify-content: flex-start;
+      gap: 16px;
+    }
+
+    .view-header h2 {
+      margin: 0;
+      font-size: 18px;
+      color: #333;
+    }
+
+    .list-toolbar select {
+      padding: 4px 8px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 13px;
+    }
+
     .actions {
       display: flex;
       gap: 8px;
@@ -120,6 +276,12 @@ export class TodoApp extends LitElement {
       cursor: not-allowed;
     }
 
+    .loading {
+      padding: 40px 0;
+      text-align: center;
+      color: #999;
+    }
+
     .footer {
       margin-top: 20px;
       padding-top: 20px;
@@ -131,27 +293,617 @@ export class TodoApp extends LitElement {
   `;
 
   /**
-   * Constructor - initializes the TodoApp component, sets up model, storage, and subscriptions
+   * Constructor - initializes the TodoApp component and starts loading the model from storage
    * @constructor
    */
   constructor() {
     super();
-    this.storageService = new StorageService();
-    this.model = new TodoModel(this.storageService);
-    this.todos = [...this.model.todos];
+    /** @type {import('../services/indexeddb-storage-service.js').IndexedDBStorageService|import('../services/storage-service.js').StorageService|MemoryStorageService|null} Where the data is kept */
+    this.baseStorage = null;
+    /** @type {EncryptedStorageService|null} Encrypts the data in `baseStorage`, if encryption is on */
+    this.encryption = null;
+    /** @type {StorageMonitor|null} Wraps the storage the model uses, reporting problems saving to it */
+    this.storageService = null;
+    /** @type {TodoModel|null} Null until the saved todos have been loaded */
+    this.model = null;
+    this.todos = [];
+    this.lists = [];
+    this.sortBy = 'manual';
+    this.selectedTags = [];
+    this.tagMode = 'any';
+    this.searchQuery = '';
+    /** @type {Map<number, import('../utils/fuzzy.js').FuzzyMatch>|null} Search matches by todo ID, null when not searching */
+    this.searchMatches = null;
+    this.view = 'all';
+    this.router = new HashRouter(view => this.view = view);
+    this.selectionMode = false;
+    this.selectedIds = new Set();
+    this.lastSelectedId = null;
+    this.snackbarAction = null;
+    /** @type {import('../models/todo-model.js').TodoCommand|null} The change the snackbar offers to undo */
+    this.snackbarCommand = null;
+    /** @type {TodoError|null} The last failed change, shown in the error banner */
+    this.error = null;
+    /** @type {import('../services/storage-monitor.js').StorageStatus|null} Shown in the storage warning */
+    this.storageStatus = null;
+
+    /** @type {boolean} Whether the data is encrypted and waiting for its passphrase */
+    this.locked = false;
+    this.unlocking = false;
+    /** @type {TodoError|null} Why the last unlock attempt failed */
+    this.unlockError = null;
+    /** @type {boolean} Whether encryption is being turned on or the passphrase changed */
+    this.encryptionBusy = false;
+    /** @type {number} Minutes without activity after which encrypted data locks itself */
+    this.autoLockMinutes = 5;
+    this.idleTimer = null;
+    /** @type {Promise<void>} Resolves once the model closed by the last lock has finished saving */
+    this.closing = Promise.resolve();
+    /** Tells other tabs to lock when encryption is turned on or the passphrase changes, and to follow when server sync is turned on or off */
+    this.settingsEvents = new TabSync('todos_settings');
+
+    /** @type {SyncService|null} Syncs the model with the server, if turned on */
+    this.serverSync = null;
+    /** @type {import('../services/sync-service.js').SyncStatus|null} Shown in the sync settings; null while server sync is off */
+    this.syncStatus = null;
+    /** @type {boolean} Whether server sync is being turned on or off */
+    this.syncBusy = false;
+    /** @type {(import('./import-export.js').ImportPreview & { data: Object })|null} The file being imported, with its parsed content */
+    this.importPreview = null;
+
+    /** @type {Function|null} Unsubscribes from the model while connected */
+    this.unsubscribe = null;
+    /** @type {Function|null} Stops syncing the model with other tabs and the server */
+    this.stopSync = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.resetIdleTimer = this.resetIdleTimer.bind(this);
+    /** @type {Promise<void>} Resolves once the model has loaded */
+    this.ready = this.loadModel();
+  }
+
+  /**
+   * Opens storage (IndexedDB, or localStorage or memory where it is unavailable) and loads
+   * the model, or shows the lock screen if the data is encrypted. If the saved data cannot
+   * be read, the error is shown instead of the todos, and nothing is saved over the data.
+   */
+  async loadModel() {
+    this.baseStorage = await openStorage();
+    this.settingsEvents.subscribe(message => message.type === 'sync-changed'
+      ? this.handleSyncChanged()
+      : this.handleEncryptionChanged());
+    try {
+      await this.openStorageOrLock();
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.error = error;
+    }
+  }
+
+  /**
+   * Loads the model from the plain storage, or locks if the data is encrypted.
+   */
+  async openStorageOrLock() {
+    if (await EncryptedStorageService.isEncrypted(this.baseStorage)) {
+      this.encryption = new EncryptedStorageService(this.baseStorage);
+      this.locked = true;
+      return;
+    }
+    this.encryption = null;
+    this.locked = false;
+    await this.openModel(this.baseStorage);
+  }
+
+  /**
+   * Loads the model from a storage service and starts syncing it (see {@link TodoApp#connectSync}).
+   * Saves that fail in the background are shown in the error banner; edits that clashed
+   * with another tab's are reported in the snackbar. The storage warning follows the
+   * storage monitor's status.
+   * @param {Object} storage The plain or encrypted storage service
+   */
+  async openModel(storage) {
+    this.storageService = new StorageMonitor(storage, { persistent: !(this.baseStorage instanceof MemoryStorageService) });
+    this.storageService.addEventListener('change', (e) => this.storageStatus = e.detail.status);
+    this.storageStatus = this.storageService.status;
+    this.storageService.refresh();
+    const model = await TodoModel.load(this.storageService);
+    model.addEventListener('save-error', (e) => this.error = e.detail.error);
+    model.addEventListener('sync-conflict', (e) => this.handleSyncConflict(e));
+    this.connectSync(model, await this.loadSyncToken());
+    this.model = model;
+    if (this.isConnected) {
+      this.watchModel();
+    }
+  }
+
+  /**
+   * Reads the saved sync token. Server sync is off while the data is encrypted.
+   * @returns {Promise<string|null>} The token, or null if server sync is off
+   */
+  async loadSyncToken() {
+    return this.encryption ? null : this.storageService.load(SYNC_TOKEN_KEY, null);
+  }
+
+  /**
+   * Starts syncing a model with other open tabs and, given a sync token, with the server.
+   * Stops any syncing started before.
+   * @param {TodoModel} model The model
+   * @param {string|null} token The sync token, or null to sync with other tabs only
+   */
+  connectSync(model, token) {
+    this.stopSync?.();
+    const tabs = new TabSync();
+    if (!token) {
+      const stopSync = model.startSync(tabs);
+      this.stopSync = () => {
+        stopSync();
+        tabs.close();
+      };
+      return;
+    }
+    const sync = new SyncService(model, tabs, this.storageService, { token });
+    sync.addEventListener('status', (e) => this.syncStatus = e.detail.status);
+    sync.addEventListener('replaced', (e) => this.handleSyncReplaced(e));
+    sync.start();
+    this.serverSync = sync;
+    this.syncStatus = sync.status;
+    this.stopSync = () => {
+      sync.stop();
+      tabs.close();
+      this.serverSync = null;
+      this.syncStatus = null;
+    };
+  }
+
+  /**
+   * Drops the model, and with it every decrypted todo, once its changes are saved.
+   * @returns {Promise<void>} Resolves once pending saves have finished
+   */
+  async closeModel() {
+    const model = this.model;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.stopSync?.();
+    this.stopSync = null;
+    this.model = null;
+    this.todos = [];
+    this.lists = [];
+    this.exitSelectionMode();
+    this.error = null;
+    this.importPreview = null;
+    this.storageStatus = null;
+    await model?.whenSaved();
+  }
 
-    // Subscribe to model changes and update local state
-    this.model.subscribe(() => {
-      this.todos = [...this.model.todos];
+  /**
+   * Locks encrypted data: the model is dropped and the lock screen shown until the
+   * passphrase is entered again. Does nothing if encryption is off or already locked.
+   */
+  lock() {
+    if (!this.encryption || this.locked) {
+      return;
+    }
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.locked = true;
+    this.unlockError = null;
+    const encryption = this.encryption;
+    this.closing = this.closeModel().then(() => encryption.lock());
+  }
+
+  /**
+   * Restarts the auto-lock countdown. Called on every key press and pointer press.
+   */
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = this.encryption && !this.locked
+      ? setTimeout(() => this.lock(), this.autoLockMinutes * 60 * 1000)
+      : null;
+  }
+
+  /**
+   * Unlocks encrypted data with the passphrase entered on the lock screen and loads the model.
+   * A wrong passphrase is reported on the lock screen; nothing is written.
+   * @param {CustomEvent} e The `unlock` event
+   */
+  async handleUnlock(e) {
+    this.unlocking = true;
+    this.unlockError = null;
+    try {
+      await this.closing;
+      await this.encryption.unlock(e.detail.passphrase);
+      await this.openModel(this.encryption);
+      this.locked = false;
+      this.resetIdleTimer();
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.encryption.lock();
+      this.unlockError = error;
+    } finally {
+      this.unlocking = false;
+    }
+  }
+
+  /**
+   * Turns encryption on. The model is closed while the stored data is encrypted, so no
+   * change can slip in unencrypted, and reloaded from the encrypted storage.
+   * @param {CustomEvent} e The `enable-encryption` event
+   */
+  async handleEnableEncryption(e) {
+    if (!this.attempt(() => validatePassphrase(e.detail.passphrase))) {
+      return;
+    }
+    this.encryptionBusy = true;
+    try {
+      await this.closeModel();
+      // The server would get the todos unencrypted
+      await SyncService.forget(this.baseStorage);
+      this.encryption = await EncryptedStorageService.enable(this.baseStorage, e.detail.passphrase);
+      await this.openModel(this.encryption);
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      // If encrypting got as far as saving the keys, the data now needs the new passphrase
+      await this.openStorageOrLock();
+      this.error = error;
+      return;
+    } finally {
+      this.encryptionBusy = false;
+    }
+    this.settingsEvents.publish({ type: 'encryption-changed' });
+    this.resetIdleTimer();
+    await this.updateComplete;
+    this.showSnackbar('Your todos are now encrypted', '', null);
+  }
+
+  /**
+   * Changes the passphrase, re-encrypting the stored data. Changes made meanwhile are
+   * saved once it is done.
+   * @param {CustomEvent} e The `change-passphrase` event
+   */
+  async handleChangePassphrase(e) {
+    this.encryptionBusy = true;
+    try {
+      await this.encryption.changePassphrase(e.detail.currentPassphrase, e.detail.newPassphrase);
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.error = error;
+      return;
+    } finally {
+      this.encryptionBusy = false;
+    }
+    this.error = null;
+    this.settingsEvents.publish({ type: 'encryption-changed' });
+    this.showSnackbar('Passphrase changed', '', null);
+  }
+
+  /**
+   * Another tab turned encryption on or changed the passphrase: lock, so the data is only
+   * used again with the new passphrase.
+   */
+  async handleEncryptionChanged() {
+    if (this.locked) {
+      return;
+    }
+    await this.closeModel();
+    this.encryption?.lock();
+    await this.openStorageOrLock();
+  }
+
+  /**
+   * Turns server sync on with the token entered, starting from the server's todos if it has any.
+   * @param {CustomEvent} e The `start-sync` event
+   */
+  async handleStartSync(e) {
+    await this.changeSync(() => this.storageService.save(SYNC_TOKEN_KEY, e.detail.token));
+  }
+
+  /**
+   * Turns server sync off. Changes not sent yet stay only here; syncing again starts over
+   * from the server's todos.
+   */
+  async handleStopSync() {
+    await this.changeSync(() => {
+      this.stopSync?.();
+      this.stopSync = null;
+      return SyncService.forget(this.storageService);
     });
   }
 
+  /**
+   * Restarts syncing the model with the saved sync settings.
+   */
+  async reconnectSync() {
+    const token = await this.loadSyncToken();
+    if (this.model) {
+      this.connectSync(this.model, token);
+    }
+  }
+
+  /**
+   * Applies a change to the sync settings, restarts syncing and tells the other tabs.
+   * @private
+   * @param {function(): (Promise<void>|void)} change Saves the new settings
+   */
+  async changeSync(change) {
+    this.syncBusy = true;
+    try {
+      await change();
+      await this.reconnectSync();
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.error = error;
+      return;
+    } finally {
+      this.syncBusy = false;
+    }
+    this.settingsEvents.publish({ type: 'sync-changed' });
+  }
+
+  /**
+   * Another tab turned server sync on or off: follow it.
+   */
+  async handleSyncChanged() {
+    if (this.model) {
+      await this.reconnectSync();
+    }
+  }
+
+  /**
+   * Syncs with the server straight away.
+   */
+  handleSyncNow() {
+    this.serverSync?.syncInBackground();
+  }
+
+  /**
+   * Tells the user that the server's todos replaced the ones here, and offers to download
+   * those that were replaced.
+   * @param {CustomEvent} e The `replaced` event
+   */
+  async handleSyncReplaced(e) {
+    await this.updateComplete;
+    this.showSnackbar('Your todos were replaced with the ones on the server', 'Download old todos',
+      () => this.downloadJson(e.detail.backup, `todos-before-sync-${toLocalDateString()}.json`));
+  }
+
+  /**
+   * Subscribes to model changes and picks up anything that changed while not subscribed.
+   */
+  watchModel() {
+    this.unsubscribe = this.model.subscribe(changes => this.handleModelChange(changes));
+    this.handleModelChange([{ type: 'reset' }]);
+  }
+
+  /**
+   * Starts listening for model changes, global keyboard shortcuts, activity (which postpones
+   * the auto-lock) and view changes in the URL hash.
+   */
+  connectedCallback() {
+    super.connectedCallback();
+    if (this.model) {
+      this.watchModel();
+    }
+    window.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keydown', this.resetIdleTimer);
+    window.addEventListener('pointerdown', this.resetIdleTimer);
+    this.resetIdleTimer();
+    this.router.start();
+  }
+
+  /**
+   * Stops listening for model changes, global keyboard shortcuts, activity and URL hash changes.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    window.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keydown', this.resetIdleTimer);
+    window.removeEventListener('pointerdown', this.resetIdleTimer);
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.router.stop();
+  }
+
+  /**
+   * Updates local state from the model, doing only the work the changes call for.
+   * @param {import('../models/todo-model.js').TodoChange[]} changes What changed in the model
+   */
+  handleModelChange(changes) {
+    const isReset = changes.some(change => change.type === 'reset');
+    // Todos entered or left the active list, rather than only changing in place
+    const membershipChanged = isReset
+      || changes.some(change => change.type !== 'updated' || change.fields.includes('listId'));
+
+    this.todos = membershipChanged ? [...this.model.listTodos] : [...this.todos];
+    if (isReset) {
+      this.lists = this.model.lists.map(list => ({ ...list }));
+    }
+    if (this.selectedTags.length > 0
+      && (membershipChanged || changes.some(change => change.fields.includes('tags')))) {
+      // Drop filters for tags that are no longer used by any todo
+      const tagsInUse = this.model.tagCounts.map(({ tag }) => tag);
+      this.selectedTags = this.selectedTags.filter(tag => tagsInUse.includes(tag));
+    }
+    if (this.selectedIds.size > 0 && membershipChanged) {
+      // Deleted todos and todos moved to another list drop out of the selection
+      const ids = new Set(this.todos.map(todo => todo.id));
+      this.selectedIds = new Set([...this.selectedIds].filter(id => ids.has(id)));
+    }
+    if (this.snackbarCommand && this.model.lastCommand !== this.snackbarCommand) {
+      // The change on offer was undone or something was done since, so "Undo" would revert something else
+      this.snackbarCommand = null;
+      this.snackbarAction = null;
+      this.renderRoot.querySelector('todo-snackbar')?.hideAction();
+    }
+  }
+
+  /**
+   * Handles Ctrl+Z (undo) and Ctrl+Shift+Z (redo), with Cmd in place of Ctrl on macOS,
+   * "/" to focus the search field, Ctrl+A to select every visible todo and Escape to
+   * leave selection mode. Text fields keep their native behaviour.
+   * @param {KeyboardEvent} e
+   */
+  handleKeyDown(e) {
+    if (!this.model) {
+      return;
+    }
+    const target = e.composedPath()[0];
+    if (target instanceof HTMLInputElement || target instanceof HTMLTextAreaElement
+      || target instanceof HTMLSelectElement || target?.isContentEditable) {
+      return;
+    }
+
+    if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      this.renderRoot.querySelector('.search')?.focus();
+      return;
+    }
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a' && isListView(this.view)) {
+      e.preventDefault();
+      this.selectAll();
+      return;
+    }
+    if (e.key === 'Escape' && this.selectionMode) {
+      this.exitSelectionMode();
+      return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') {
+      return;
+    }
+
+    e.preventDefault();
+    this.attempt(() => e.shiftKey ? this.model.redo() : this.model.undo());
+  }
+
+  /**
+   * Runs a change to the model, showing an expected failure (invalid input, a todo deleted
+   * meanwhile, full storage) in the error banner. Unexpected errors are rethrown.
+   * @param {Function} change Callback making the change
+   * @returns {boolean} True if the change succeeded
+   */
+  attempt(change) {
+    try {
+      change();
+      this.error = null;
+      return true;
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.error = error;
+      return false;
+    }
+  }
+
+  /**
+   * Tells the user when an edit made here and one made in another tab at the same time
+   * changed the same field, and which one was kept.
+   * @param {CustomEvent} e The `sync-conflict` event
+   */
+  handleSyncConflict(e) {
+    const todoConflicts = e.detail.conflicts.filter(conflict => conflict.collection === 'todos');
+    if (todoConflicts.length === 0) {
+      return;
+    }
+    const keptHere = todoConflicts.every(conflict => conflict.kept === 'local');
+    this.showSnackbar(keptHere
+      ? 'A todo was edited here and in another tab at once; your change was kept'
+      : 'A todo was edited here and in another tab at once; the other tab\'s later change was kept', '', null);
+  }
+
+  /**
+   * Runs a change to the model like {@link TodoApp#attempt} and, if it recorded anything
+   * in the undo history, offers to undo it in the snackbar. A change that turned out to
+   * do nothing shows no snackbar, so "Undo" never reverts an earlier, unrelated change.
+   * @param {Function} action The change to make
+   * @param {string|Function} message The message to display, or a callback returning it
+   *   once the change has been made
+   * @returns {boolean} True if the change succeeded
+   */
+  attemptUndoable(action, message) {
+    const previous = this.model.lastCommand;
+    if (!this.attempt(action)) {
+      return false;
+    }
+    const command = this.model.lastCommand;
+    if (command && command !== previous) {
+      this.showUndo(typeof message === 'function' ? message() : message, command);
+    }
+    return true;
+  }
+
+  /**
+   * Shows a message in the snackbar with an "Undo" action for a recorded change.
+   * The action is hidden as soon as another change is recorded or this one is undone.
+   * @param {string} message The message to display
+   * @param {import('../models/todo-model.js').TodoCommand} command The change to undo
+   */
+  showUndo(message, command) {
+    this.showSnackbar(message, 'Undo', () => this.attempt(() => this.model.undoCommand(command)));
+    this.snackbarCommand = command;
+  }
+
+  /**
+   * Shows a message in the snackbar with an action button.
+   * @param {string} message The message to display
+   * @param {string} actionLabel Label of the action button
+   * @param {Function} action Callback to run if the action button is clicked
+   */
+  showSnackbar(message, actionLabel, action) {
+    this.snackbarAction = action;
+    this.snackbarCommand = null;
+    this.renderRoot.querySelector('todo-snackbar').show(message, actionLabel);
+  }
+
+  /**
+   * Runs the action of the snackbar currently shown when its button is clicked.
+   */
+  handleSnackbarAction() {
+    const action = this.snackbarAction;
+    this.snackbarAction = null;
+    action?.();
+  }
+
   /**
    * Handles adding a new todo item from the todo-form component.
-   * @param {CustomEvent<{ text: string }>} e - Custom event containing the todo text.
+   * @param {CustomEvent<{ text: string, dueDate: string|null, dueTime: string|null, recurrence: string|null,
+   *   tags: string[], priority: string|null, listId: number|null }>} e
+   *   Custom event containing the todo text and the fields picked or typed with it.
    */
   handleAddTodo(e) {
-    this.model.addTodo(e.detail.text);
+    const { text, dueDate, dueTime, recurrence, tags, priority, listId } = e.detail;
+    this.attempt(() => this.model.addTodo(text, { dueDate, dueTime, recurrence, tags, priority, listId: listId ?? undefined }));
+  }
+
+  /**
+   * Handles saving the notes of a todo, including ticking a box of its task list.
+   * @param {CustomEvent<{ id: number, notes: string }>} e - Custom event with the todo ID and its new notes.
+   */
+  handleUpdateNotes(e) {
+    const { id, notes } = e.detail;
+    this.attempt(() => this.model.updateTodo(id, { notes }));
+  }
+
+  /**
+   * Handles starting or stopping the timer of a todo. Starting it stops any other running timer.
+   * @param {CustomEvent<{ id: number }>} e - Custom event containing the todo ID.
+   */
+  handleToggleTimer(e) {
+    const { id } = e.detail;
+    this.attempt(() => this.model.runningTodo?.id === id
+      ? this.model.stopTimer()
+      : this.model.startTimer(id));
   }
 
   /**
@@ -159,8 +911,30 @@ export class TodoApp extends LitElement {
    * @param {CustomEvent<{ id: number }>} e - Custom event containing the todo ID.
    */
   handleToggleTodo(e) {
-    this.model.toggleComplete(e.detail.id);
-    this.todos = [...this.model.todos];
+    const { id } = e.detail;
+    if (!this.attempt(() => this.model.toggleComplete(id))) {
+      return;
+    }
+    this.todos = [...this.model.listTodos];
+
+    // Completing a parent offers to complete its unfinished subtasks as well
+    const todo = this.model.todos.find(t => t.id === id);
+    const pending = this.model.getDescendants(id).filter(t => !t.completed).length;
+    if (todo?.completed && pending > 0) {
+      this.showSnackbar(
+        `${pending} unfinished ${pending === 1 ? 'subtask' : 'subtasks'}`,
+        'Complete all',
+        () => this.attempt(() => this.model.completeSubtasks(id))
+      );
+    }
+  }
+
+  /**
+   * Handles adding a subtask from a todo item.
+   * @param {CustomEvent<{ parentId: number, text: string }>} e - Custom event with the parent ID and text.
+   */
+  handleAddSubtask(e) {
+    this.attempt(() => this.model.addTodo(e.detail.text, { parentId: e.detail.parentId }));
   }
 
   /**
@@ -168,88 +942,697 @@ export class TodoApp extends LitElement {
    * @param {CustomEvent<{ id: number }>} e - Custom event containing the todo ID.
    */
   handleDeleteTodo(e) {
-    this.model.deleteTodo(e.detail.id);
+    this.attemptUndoable(() => this.model.deleteTodo(e.detail.id), 'Moved to trash');
+  }
+
+  /**
+   * Handles restoring todos from the trash.
+   * @param {CustomEvent<{ ids: number[] }>} e - Custom event with the IDs of the trashed todos.
+   */
+  handleRestoreTodos(e) {
+    const count = e.detail.ids.length;
+    this.attemptUndoable(() => this.model.restoreTodos(e.detail.ids),
+      `Restored ${count} ${count === 1 ? 'todo' : 'todos'}`);
   }
 
   /**
-   * Handles updating a todo item’s text.
-   * @param {CustomEvent<{ id: number, text: string }>} e - Custom event with updated text and ID.
+   * Handles permanently deleting todos from the trash.
+   * @param {CustomEvent<{ ids: number[] }>} e - Custom event with the IDs of the trashed todos.
+   */
+  handleDeleteForever(e) {
+    const count = e.detail.ids.length;
+    this.attemptUndoable(() => this.model.deleteForever(e.detail.ids),
+      `Permanently deleted ${count} ${count === 1 ? 'todo' : 'todos'}`);
+  }
+
+  /**
+   * Handles emptying the trash.
+   */
+  handleEmptyTrash() {
+    this.attemptUndoable(() => this.model.emptyTrash(), 'Emptied trash');
+  }
+
+  /**
+   * Handles updating a todo item’s text, due date, tags, recurrence rule and priority, and moving it to another list.
+   * @param {CustomEvent<{ id: number, text: string, dueDate: string|null, dueTime: string|null, tags: string[], recurrence: string|null, priority: string|null, listId: number }>} e
+   *   Custom event with the todo ID and its updated fields.
    */
   handleUpdateTodo(e) {
-    this.model.updateTodo(e.detail.id, e.detail.text);
+    const { id, text, dueDate, dueTime, tags, recurrence, priority, listId } = e.detail;
+    this.attempt(() => this.model.batch('Edit todo', () => {
+      this.model.updateTodo(id, { text, dueDate, dueTime, tags, recurrence, priority });
+      if (listId != null) {
+        this.model.moveTodo(id, listId);
+      }
+    }));
+  }
+
+  /**
+   * Handles moving a todo next to one of its siblings by drag-and-drop or keyboard.
+   * @param {CustomEvent<{ id: number, targetId: number, placement: 'before'|'after' }>} e
+   *   Custom event with the moved todo, the sibling it was dropped on and the side.
+   */
+  handleReorderTodo(e) {
+    const { id, targetId, placement } = e.detail;
+    this.attempt(() => this.model.reorderTodo(id, targetId, placement));
+  }
+
+  /**
+   * Handles creating a new list from the list switcher.
+   * @param {CustomEvent<{ name: string }>} e - Custom event containing the list name.
+   */
+  handleCreateList(e) {
+    this.attempt(() => this.model.addList(e.detail.name));
+  }
+
+  /**
+   * Handles renaming a list.
+   * @param {CustomEvent<{ id: number, name: string }>} e - Custom event with the list ID and new name.
+   */
+  handleRenameList(e) {
+    this.attempt(() => this.model.updateList(e.detail.id, { name: e.detail.name }));
+  }
+
+  /**
+   * Handles changing a list's colour.
+   * @param {CustomEvent<{ id: number, color: string }>} e - Custom event with the list ID and colour.
+   */
+  handleRecolorList(e) {
+    this.attempt(() => this.model.updateList(e.detail.id, { color: e.detail.color }));
+  }
+
+  /**
+   * Handles moving a list to a new position.
+   * @param {CustomEvent<{ id: number, toIndex: number }>} e - Custom event with the list ID and position.
+   */
+  handleReorderList(e) {
+    this.attempt(() => this.model.reorderList(e.detail.id, e.detail.toIndex));
+  }
+
+  /**
+   * Handles deleting a list and offers to undo it.
+   * @param {CustomEvent<{ id: number }>} e - Custom event containing the list ID.
+   */
+  handleDeleteList(e) {
+    const name = this.lists.find(list => list.id === e.detail.id)?.name;
+    this.attemptUndoable(() => this.model.deleteList(e.detail.id), `Deleted list "${name}"`);
+  }
+
+  /**
+   * Handles removing a tag from a todo item.
+   * @param {CustomEvent<{ id: number, tag: string }>} e - Custom event with the todo ID and tag.
+   */
+  handleRemoveTag(e) {
+    this.attempt(() => this.model.removeTag(e.detail.id, e.detail.tag));
+  }
+
+  /**
+   * Adds or removes a tag from the tag filter.
+   * @param {string} tag The tag to toggle
+   */
+  toggleTagFilter(tag) {
+    this.selectedTags = this.selectedTags.includes(tag)
+      ? this.selectedTags.filter(t => t !== tag)
+      : [...this.selectedTags, tag];
+  }
+
+  /**
+   * Re-runs the search only when the todos or the query change, not on every render.
+   * @param {Map<string, *>} changed Changed properties
+   */
+  willUpdate(changed) {
+    if (changed.has('todos') || changed.has('searchQuery')) {
+      this.searchMatches = this.searchQuery.trim() ? searchTodos(this.todos, this.searchQuery) : null;
+    }
+  }
+
+  /**
+   * Returns the todos in the current view that match the tag filter and search,
+   * in the order selected in the sort dropdown.
+   * @returns {Array<Object>} The todos to pass to todo-list.
+   */
+  get visibleTodos() {
+    const matches = this.searchMatches;
+    const todos = this.todos.filter(todo => matchesView(todo, this.view)
+      && matchesTags(todo, this.selectedTags, this.tagMode)
+      && (!matches || matches.has(todo.id)));
+    if (this.sortBy === 'dueDate') {
+      todos.sort(compareByDueDate);
+    } else if (this.sortBy === 'created') {
+      todos.sort((a, b) => a.id - b.id);
+    } else {
+      todos.sort(compareByOrder);
+    }
+    return todos;
+  }
+
+  /**
+   * Renders the tag filter bar, or nothing if no todo has tags.
+   * @returns {TemplateResult|string}
+   */
+  renderTagBar() {
+    const tagCounts = this.model.tagCounts;
+    if (tagCounts.length === 0) {
+      return '';
+    }
+
+    return html`
+      <div class="tag-bar" role="group" aria-label="Filter by tag">
+        ${tagCounts.map(({ tag, count }) => html`
+          <button
+            class="tag-filter ${this.selectedTags.includes(tag) ? 'selected' : ''}"
+            aria-pressed=${this.selectedTags.includes(tag)}
+            @click=${() => this.toggleTagFilter(tag)}>
+            #${tag} (${count})
+          </button>
+        `)}
+        ${this.selectedTags.length > 1 ? html`
+          <button
+            class="tag-mode"
+            @click=${() => this.tagMode = this.tagMode === 'any' ? 'all' : 'any'}
+            title="Switch between matching any or all selected tags">
+            Match: ${this.tagMode === 'any' ? 'any (OR)' : 'all (AND)'}
+          </button>
+        ` : ''}
+        ${this.selectedTags.length > 0 ? html`
+          <button class="tag-clear" @click=${() => this.selectedTags = []}>
+            Clear filter
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * The visible todos in the order they are displayed, with subtasks after their parent.
+   * @returns {Array<Object>} The todos, depth first
+   */
+  get displayedTodos() {
+    return getDescendants(null, buildChildMap(this.visibleTodos));
+  }
+
+  /**
+   * Selects every visible todo, entering selection mode if needed.
+   */
+  selectAll() {
+    this.selectionMode = true;
+    this.selectedIds = new Set(this.displayedTodos.map(todo => todo.id));
+  }
+
+  /**
+   * Leaves selection mode and clears the selection.
+   */
+  exitSelectionMode() {
+    this.selectionMode = false;
+    this.selectedIds = new Set();
+    this.lastSelectedId = null;
+  }
+
+  /**
+   * Handles selecting or deselecting a todo, or a range of todos with Shift.
+   * @param {CustomEvent<{ id: number, selected: boolean, range: boolean }>} e
+   *   Custom event with the clicked todo, its new state and whether Shift was held.
+   */
+  handleSelectTodo(e) {
+    const { id, selected, range } = e.detail;
+    const ids = this.displayedTodos.map(todo => todo.id);
+    const from = ids.indexOf(this.lastSelectedId);
+    const to = ids.indexOf(id);
+    const affected = range && from !== -1
+      ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+      : [id];
+
+    const selectedIds = new Set(this.selectedIds);
+    affected.forEach(affectedId => selected ? selectedIds.add(affectedId) : selectedIds.delete(affectedId));
+    this.selectedIds = selectedIds;
+    this.lastSelectedId = id;
+  }
+
+  /**
+   * Runs a bulk action on the selected todos and offers to undo it.
+   * @param {string} message Snackbar message, e.g. "Deleted"
+   * @param {Function} action Callback receiving the selected IDs
+   */
+  runBulkAction(message, action) {
+    const ids = [...this.selectedIds];
+    if (ids.length === 0) {
+      return;
+    }
+    this.attemptUndoable(() => action(ids), `${message} ${ids.length} ${ids.length === 1 ? 'todo' : 'todos'}`);
+  }
+
+  /**
+   * Renders the bulk action bar in selection mode.
+   * @returns {TemplateResult|string}
+   */
+  renderBulkBar() {
+    if (!this.selectionMode) {
+      return '';
+    }
+
+    return html`
+      <bulk-action-bar
+        .count=${this.selectedIds.size}
+        .total=${this.displayedTodos.length}
+        .lists=${this.lists}
+        .activeListId=${this.model.activeListId}
+        @select-all=${this.selectAll}
+        @select-none=${() => this.selectedIds = new Set()}
+        @exit-selection=${this.exitSelectionMode}
+        @bulk-complete=${(e) => this.runBulkAction(e.detail.completed ? 'Completed' : 'Reopened',
+          ids => this.model.setCompletedMany(ids, e.detail.completed))}
+        @bulk-delete=${() => this.runBulkAction('Deleted', ids => this.model.deleteMany(ids))}
+        @bulk-retag=${(e) => this.runBulkAction('Retagged', ids => this.model.retagMany(ids, e.detail))}
+        @bulk-due-date=${(e) => this.runBulkAction('Updated',
+          ids => this.model.updateMany(ids, { dueDate: e.detail.dueDate }))}
+        @bulk-move=${(e) => this.runBulkAction('Moved', ids => this.model.moveMany(ids, e.detail.listId))}>
+      </bulk-action-bar>
+    `;
   }
 
   /**
-   * Clears all completed todos after user confirmation.
+   * Message shown by todo-list when no todo is visible.
+   * @returns {string} The empty-state message
+   */
+  get emptyMessage() {
+    if (this.searchMatches || this.selectedTags.length > 0) {
+      return 'No todos match your search or filter.';
+    }
+    if (this.view === 'active' && this.todos.length > 0) {
+      return 'Nothing left to do!';
+    }
+    if (this.view === 'completed' && this.todos.length > 0) {
+      return 'No completed todos yet.';
+    }
+    return 'No todos yet. Add one above!';
+  }
+
+  /**
+   * Renders a stat that doubles as a tab for filtering the list to a view.
+   * @param {'all'|'active'|'completed'} view The view the stat links to
+   * @param {number} value The count to show
+   * @param {string} label The stat label
+   * @returns {TemplateResult}
+   */
+  renderViewTab(view, value, label) {
+    const selected = this.view === view;
+    return html`
+      <a
+        class="stat-item ${selected ? 'selected' : ''}"
+        href=${formatRoute(view)}
+        aria-current=${selected ? 'page' : 'false'}
+        data-view=${view}>
+        <div class="stat-value">${value}</div>
+        <div class="stat-label">${label}</div>
+      </a>
+    `;
+  }
+
+  /**
+   * Clears all completed todos and offers to undo it.
    */
   handleClearCompleted() {
-    if (confirm('Clear all completed todos?')) {
-      this.model.clearCompleted();
+    const count = this.model.completedCount;
+    this.attemptUndoable(() => this.model.clearCompleted(), `Cleared ${count} completed`);
+  }
+
+  /**
+   * Downloads the todos in a file, by default a JSON backup of all the data, so it is not
+   * lost when it cannot be saved.
+   * @param {CustomEvent<{ format?: string }|null>} e The `export-data` event, with the format
+   *   (a key of {@link FORMATS}) when it was chosen
+   */
+  handleExportData(e) {
+    const format = e.detail?.format ?? 'json';
+    const { extension, type } = FORMATS[format];
+    const name = format === 'json' ? 'todos-backup' : 'todos';
+    this.downloadFile(serializeTodos(format, this.model.exportData()), type, `${name}-${toLocalDateString()}.${extension}`);
+  }
+
+  /**
+   * Downloads data as a JSON file.
+   * @param {Object} data The data
+   * @param {string} filename Name of the file
+   */
+  downloadJson(data, filename) {
+    this.downloadFile(serializeTodos('json', data), FORMATS.json.type, filename);
+  }
+
+  /**
+   * Downloads text as a file.
+   * @param {string} content Content of the file
+   * @param {string} type MIME type of the file
+   * @param {string} filename Name of the file
+   */
+  downloadFile(content, type, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Reads and checks a file chosen for import, and previews it. A file that cannot be read
+   * is reported in the error banner.
+   * @param {CustomEvent<{ name: string, text: string }>} e The `import-file` event
+   */
+  handleImportFile(e) {
+    const { name, text } = e.detail;
+    this.importPreview = null;
+    try {
+      const format = detectFormat(name, text);
+      if (!format) {
+        throw new Error('Unknown file format');
+      }
+      const data = parseTodos(format, text);
+      const { lists, items } = validateImport(format === 'json' ? readExport(data) : data);
+      this.importPreview = { filename: name, format, data, lists, items };
+      this.error = null;
+    } catch (error) {
+      this.error = new ValidationError(`Could not import ${name}: ${error.message}`);
     }
   }
 
   /**
-   * Clears all todos after user confirmation.
-   * This action cannot be undone.
+   * Imports the previewed file. Merging can be undone; replacing offers the replaced data
+   * for download, and replaces everything with a JSON backup as it was saved.
+   * @param {CustomEvent<{ mode: 'merge'|'replace' }>} e The `import-todos` event
    */
-  handleClearAll() {
-    if (confirm('Clear ALL todos? This cannot be undone.')) {
-      this.model.clearAll();
+  handleImportTodos(e) {
+    const { format, data, lists, items } = this.importPreview;
+    if (e.detail.mode === 'replace') {
+      const backup = this.model.exportData();
+      const replace = () => format === 'json'
+        ? this.model.replaceState(data)
+        : this.model.importTodos({ lists, items }, { replace: true });
+      if (this.attempt(replace)) {
+        this.importPreview = null;
+        this.showSnackbar('Your todos were replaced with the imported ones', 'Download old todos',
+          () => this.downloadJson(backup, `todos-before-import-${toLocalDateString()}.json`));
+      }
+      return;
+    }
+
+    let count = 0;
+    const merge = () => count = this.model.importTodos({ lists, items });
+    if (this.attemptUndoable(merge, () => `Imported ${count} ${count === 1 ? 'todo' : 'todos'}`)) {
+      this.importPreview = null;
+      if (count === 0) {
+        this.showSnackbar('All these todos are already here', '', null);
+      }
+    }
+  }
+
+  /**
+   * Permanently deletes the completed todos of the active list to free storage space,
+   * and offers to undo it.
+   */
+  handleFreeSpace() {
+    const count = this.model.completedCount;
+    if (count === 0) {
+      this.showSnackbar('There are no completed todos to clear in this list', '', null);
+      return;
     }
+    this.attemptUndoable(() => this.model.purgeCompleted(), `Deleted ${count} completed`);
+  }
+
+  /**
+   * Clears all todos and offers to undo it.
+   */
+  handleClearAll() {
+    const count = this.todos.length;
+    this.attemptUndoable(() => this.model.clearAll(), `Cleared ${count} todos`);
+  }
+
+  /**
+   * Renders the todo list with its filters, toolbar and actions.
+   * @returns {TemplateResult}
+   */
+  renderListView() {
+    return html`
+      ${this.renderTagBar()}
+
+      <div class="list-toolbar">
+        <input
+          class="search"
+          type="search"
+          placeholder="Search todos ( / )"
+          .value=${this.searchQuery}
+          @input=${(e) => this.searchQuery = e.target.value}
+          @keydown=${(e) => e.key === 'Escape' && (this.searchQuery = '')}
+          aria-label="Search todos"
+        />
+        <a class="dashboard-link" href=${formatRoute('dashboard')} title="Completion history and streaks">
+          📊 Dashboard
+        </a>
+        <a class="time-link" href=${formatRoute('time')} title="Time tracked per todo, tag and day">
+          ⏱ Time
+        </a>
+        <a class="security-link" href=${formatRoute('security')} title="Encrypt your todos with a passphrase">
+          ${this.encryption ? '🔒' : '🔓'} Security
+        </a>
+        <a class="data-link" href=${formatRoute('data')} title="Import todos from a file or export them">
+          ⇅ Import/Export
+        </a>
+        <a class="trash-link" href=${formatRoute('trash')} title="Deleted todos">
+          🗑 Trash (${this.model.trashedTodos.length})
+        </a>
+        <button
+          class="select-mode"
+          aria-pressed=${this.selectionMode}
+          @click=${() => this.selectionMode ? this.exitSelectionMode() : this.selectionMode = true}
+          title="Select todos to act on several at once (Ctrl+A selects all)">
+          Select
+        </button>
+        <label for="sort-by">Sort by</label>
+        <select
+          id="sort-by"
+          .value=${this.sortBy}
+          @change=${(e) => this.sortBy = e.target.value}>
+          <option value="manual">Manual</option>
+          <option value="created">Date added</option>
+          <option value="dueDate">Due date</option>
+        </select>
+      </div>
+
+      ${this.renderBulkBar()}
+
+      <todo-list
+        .todos=${this.visibleTodos}
+        .lists=${this.lists}
+        .matches=${this.searchMatches}
+        .selectedIds=${this.selectedIds}
+        .activity=${this.model.activity}
+        ?selectable=${this.selectionMode}
+        .emptyMessage=${this.emptyMessage}
+        ?sortable=${this.sortBy === 'manual'}
+        @toggle-todo=${this.handleToggleTodo}
+        @toggle-timer=${this.handleToggleTimer}
+        @add-subtask=${this.handleAddSubtask}
+        @delete-todo=${this.handleDeleteTodo}
+        @update-todo=${this.handleUpdateTodo}
+        @update-notes=${this.handleUpdateNotes}
+        @remove-tag=${this.handleRemoveTag}
+        @select-tag=${(e) => this.toggleTagFilter(e.detail.tag)}
+        @reorder-todo=${this.handleReorderTodo}
+        @select-todo=${this.handleSelectTodo}>
+      </todo-list>
+
+      <div class="actions">
+        <button
+          class="clear-completed"
+          @click=${this.handleClearCompleted}
+          ?disabled=${this.model.completedCount === 0}>
+          Clear Completed
+        </button>
+        <button
+          class="clear-all"
+          @click=${this.handleClearAll}
+          ?disabled=${this.todos.length === 0}>
+          Clear All
+        </button>
+      </div>
+    `;
   }
 
   /**
-   * Renders the entire TodoApp UI.
+   * Renders the trash, where deleted todos can be restored or deleted permanently.
+   * @returns {TemplateResult}
+   */
+  renderTrashView() {
+    return html`
+      <div class="list-toolbar view-header">
+        <a class="back-link" href=${formatRoute('all')}>← Back to todos</a>
+        <h2>Trash</h2>
+      </div>
+      <todo-trash
+        .items=${this.model.trashedTodos}
+        .trash=${this.model.trash}
+        .lists=${this.lists}
+        .retentionDays=${this.model.trashRetentionDays}
+        @restore-todos=${this.handleRestoreTodos}
+        @delete-forever=${this.handleDeleteForever}
+        @empty-trash=${this.handleEmptyTrash}
+        @set-retention=${(e) => this.attempt(() => this.model.setTrashRetention(e.detail.days))}>
+      </todo-trash>
+    `;
+  }
+
+  /**
+   * Renders the report of time tracked against todos in all lists.
+   * @returns {TemplateResult}
+   */
+  renderTimeView() {
+    return html`
+      <div class="list-toolbar view-header">
+        <a class="back-link" href=${formatRoute('all')}>← Back to todos</a>
+        <h2>Time tracked</h2>
+      </div>
+      <time-report
+        .todos=${this.model.todos}
+        .runningTodo=${this.model.runningTodo}
+        @toggle-timer=${this.handleToggleTimer}>
+      </time-report>
+    `;
+  }
+
+  /**
+   * Renders the productivity dashboard. Deleted todos still count towards it.
+   * @returns {TemplateResult}
+   */
+  renderDashboardView() {
+    return html`
+      <div class="list-toolbar view-header">
+        <a class="back-link" href=${formatRoute('all')}>← Back to todos</a>
+        <h2>Dashboard</h2>
+      </div>
+      <productivity-dashboard
+        .history=${this.model.history}
+        .todos=${[...this.model.todos, ...this.model.trash]}>
+      </productivity-dashboard>
+    `;
+  }
+
+  /**
+   * Renders the encryption and server sync settings.
+   * @returns {TemplateResult}
+   */
+  renderSecurityView() {
+    return html`
+      <div class="list-toolbar view-header">
+        <a class="back-link" href=${formatRoute('all')}>← Back to todos</a>
+        <h2>Security</h2>
+      </div>
+      <encryption-settings
+        .encrypted=${this.encryption !== null}
+        .autoLockMinutes=${this.autoLockMinutes}
+        .busy=${this.encryptionBusy}
+        @enable-encryption=${this.handleEnableEncryption}
+        @change-passphrase=${this.handleChangePassphrase}
+        @lock=${this.lock}>
+      </encryption-settings>
+      <sync-settings
+        .enabled=${this.syncStatus !== null}
+        .available=${this.encryption === null}
+        .status=${this.syncStatus}
+        .busy=${this.syncBusy}
+        @start-sync=${this.handleStartSync}
+        @stop-sync=${this.handleStopSync}
+        @sync-now=${this.handleSyncNow}>
+      </sync-settings>
+    `;
+  }
+
+  /**
+   * Renders import and export of the todos.
+   * @returns {TemplateResult}
+   */
+  renderDataView() {
+    return html`
+      <div class="list-toolbar view-header">
+        <a class="back-link" href=${formatRoute('all')}>← Back to todos</a>
+        <h2>Import and export</h2>
+      </div>
+      <import-export
+        .preview=${this.importPreview}
+        @export-data=${this.handleExportData}
+        @import-file=${this.handleImportFile}
+        @import-todos=${this.handleImportTodos}
+        @cancel-import=${() => this.importPreview = null}>
+      </import-export>
+    `;
+  }
+
+  /**
+   * Renders the entire TodoApp UI, or the lock screen while encrypted data is locked.
    * Includes stats, form, todo list, and action buttons.
    * @returns {TemplateResult} The rendered HTML template.
    */
   render() {
+    if (this.locked) {
+      return html`
+        <div class="app-container">
+          <lock-screen .error=${this.unlockError} .busy=${this.unlocking} @unlock=${this.handleUnlock}></lock-screen>
+        </div>
+      `;
+    }
+    if (!this.model) {
+      return this.error
+        ? html`<div class="app-container"><error-banner .error=${this.error}></error-banner></div>`
+        : html`<div class="app-container loading" aria-busy="true">Loading your todos…</div>`;
+    }
+
     return html`
-      <div class="app-container">
+      <div class="app-container" style="border-top: 6px solid ${this.model.activeList.color}">
         <h1>My Tasks</h1>
         <p class="subtitle">Stay organized and productive</p>
 
-        <div class="stats">
-          <div class="stat-item">
-            <div class="stat-value">${this.todos.length}</div>
-            <div class="stat-label">Total</div>
-          </div>
-          <div class="stat-item">
-            <div class="stat-value">${this.model.activeCount}</div>
-            <div class="stat-label">Active</div>
-          </div>
+        <error-banner .error=${this.error} @dismiss-error=${() => this.error = null}></error-banner>
+
+        <storage-warning
+          .status=${this.storageStatus}
+          @export-data=${this.handleExportData}
+          @free-space=${this.handleFreeSpace}>
+        </storage-warning>
+
+        <nav class="stats" aria-label="Filter todos">
+          ${this.renderViewTab('all', this.todos.length, 'Total')}
+          ${this.renderViewTab('active', this.model.activeCount, 'Active')}
+          ${this.renderViewTab('completed', this.model.completedCount, 'Completed')}
           <div class="stat-item">
-            <div class="stat-value">${this.model.completedCount}</div>
-            <div class="stat-label">Completed</div>
+            <div class="stat-value overdue">${this.model.overdueCount}</div>
+            <div class="stat-label">Overdue</div>
           </div>
-        </div>
+        </nav>
+
+        <list-switcher
+          .lists=${this.lists}
+          .activeListId=${this.model.activeListId}
+          .counts=${Object.fromEntries(this.lists.map(list => [list.id, this.model.getStats(list.id).active]))}
+          @select-list=${(e) => this.attempt(() => this.model.setActiveList(e.detail.id))}
+          @create-list=${this.handleCreateList}
+          @rename-list=${this.handleRenameList}
+          @recolor-list=${this.handleRecolorList}
+          @reorder-list=${this.handleReorderList}
+          @delete-list=${this.handleDeleteList}>
+        </list-switcher>
 
         <todo-form
+          .lists=${this.lists}
           @add-todo=${this.handleAddTodo}>
         </todo-form>
 
-        <todo-list
-          .todos=${this.todos}
-          @toggle-todo=${this.handleToggleTodo}
-          @delete-todo=${this.handleDeleteTodo}
-          @update-todo=${this.handleUpdateTodo}>
-        </todo-list>
-
-        <div class="actions">
-          <button
-            class="clear-completed"
-            @click=${this.handleClearCompleted}
-            ?disabled=${this.model.completedCount === 0}>
-            Clear Completed
-          </button>
-          <button
-            class="clear-all"
-            @click=${this.handleClearAll}
-            ?disabled=${this.todos.length === 0}>
-            Clear All
-          </button>
-        </div>
+        ${this.view === 'trash' ? this.renderTrashView()
+          : this.view === 'time' ? this.renderTimeView()
+          : this.view === 'dashboard' ? this.renderDashboardView()
+          : this.view === 'security' ? this.renderSecurityView()
+          : this.view === 'data' ? this.renderDataView()
+          : this.renderListView()}
       </div>
+
+      <todo-snackbar @snackbar-action=${this.handleSnackbarAction}></todo-snackbar>
     `;
   }
 }
@@ -1,10 +1,26 @@
 /**
  * @fileoverview TodoForm component.
- * Provides an input field and submit button for adding new todos.
- * Dispatches a custom `add-todo` event when a valid todo is submitted.
+ * Provides an input field, optional due date/time and repeat fields and a submit button for adding new todos.
+ * Typed or spoken input is parsed for dates, times, #tags, !priority and @list, with a live
+ * preview of the recognized tokens. Dispatches a custom `add-todo` event when a valid todo is submitted.
  */
 
 import { LitElement, html, css } from 'lit';
+import { parseQuickAdd } from '../utils/quick-add.js';
+import { formatDueLabel } from '../utils/due-date.js';
+import './recurrence-picker.js';
+
+/**
+ * Icons shown before each kind of token in the quick-add preview.
+ * @type {Object<string, string>}
+ */
+const TOKEN_ICONS = {
+  date: '📅',
+  time: '⏰',
+  tag: '#',
+  priority: '❗',
+  list: '📋'
+};
 
 /**
  * Represents the input form for adding new todo items.
@@ -13,7 +29,11 @@ import { LitElement, html, css } from 'lit';
  */
 export class TodoForm extends LitElement {
   static properties = {
-    inputValue: { state: true }
+    lists: { type: Array },
+    inputValue: { state: true },
+    dueDate: { state: true },
+    dueTime: { state: true },
+    recurrence: { state: true }
   };
 
   static styles = css`
@@ -45,6 +65,54 @@ export class TodoForm extends LitElement {
       border-color: var(--primary-color);
     }
 
+    .due-fields {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+      font-size: 14px;
+      color: #666;
+    }
+
+    .quick-add-preview {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-top: 8px;
+      font-size: 13px;
+      color: #666;
+    }
+
+    .token {
+      padding: 2px 8px;
+      border-radius: 12px;
+      background: #eef0fb;
+      color: #3f51b5;
+      white-space: nowrap;
+    }
+
+    .token-tag {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .token-priority {
+      background: #fdecea;
+      color: #c62828;
+    }
+
+    .token-list {
+      background: #f3e5f5;
+      color: #6a1b9a;
+    }
+
+    .due-fields input {
+      flex: 0 1 auto;
+      padding: 6px 10px;
+      font-size: 14px;
+    }
+
     button {
       padding: 12px 24px;
       background: var(--primary-color);
@@ -89,7 +157,11 @@ export class TodoForm extends LitElement {
    */
   constructor() {
     super();
+    this.lists = [];
     this.inputValue = '';
+    this.dueDate = '';
+    this.dueTime = '';
+    this.recurrence = '';
     this.listening = false;
     this.recognition = null;
   }
@@ -122,24 +194,46 @@ export class TodoForm extends LitElement {
     });
   }
 
+  /**
+   * The current input parsed for quick-add tokens.
+   * @type {import('../utils/quick-add.js').QuickAddResult}
+   */
+  get parsed() {
+    return parseQuickAdd(this.inputValue, { lists: this.lists });
+  }
+
   /**
    * Handles the form submission event.
    * Validates input, dispatches `add-todo` event, and clears the input.
+   * A due date picked in the date field takes precedence over one typed in the text.
    * @param {Event} e - The submit event.
    * @fires TodoForm#add-todo
    */
   handleSubmit(e) {
     e.preventDefault();
-    const text = this.inputValue.trim();
+    const parsed = this.parsed;
 
-    if (text) {
+    if (parsed.text) {
+      const dueDate = this.dueDate || parsed.dueDate;
+      const dueTime = this.dueDate ? this.dueTime : parsed.dueTime;
       this.dispatchEvent(new CustomEvent('add-todo', {
-        detail: { text },
+        detail: {
+          text: parsed.text,
+          dueDate: dueDate || null,
+          dueTime: (dueDate && dueTime) || null,
+          recurrence: this.recurrence || null,
+          tags: parsed.tags,
+          priority: parsed.priority,
+          listId: parsed.listId
+        },
         bubbles: true,
         composed: true
       }));
 
       this.inputValue = '';
+      this.dueDate = '';
+      this.dueTime = '';
+      this.recurrence = '';
     }
   }
 
@@ -168,6 +262,41 @@ export class TodoForm extends LitElement {
     }
   }
 
+  /**
+   * Renders the tokens recognized in the input, so the user can see what will be set.
+   * @returns {TemplateResult|string}
+   */
+  renderPreview() {
+    const { text, tokens } = this.parsed;
+    if (tokens.length === 0) {
+      return '';
+    }
+
+    const describe = (token) => {
+      switch (token.type) {
+        case 'date':
+          return formatDueLabel({ dueDate: token.value });
+        case 'tag':
+          return token.value;
+        case 'list':
+          return this.lists.find(list => list.id === token.value)?.name ?? '';
+        default:
+          return token.value;
+      }
+    };
+
+    return html`
+      <div class="quick-add-preview" aria-live="polite">
+        <span class="preview-text">“${text}”</span>
+        ${tokens.map(token => html`
+          <span class="token token-${token.type}" title=${token.text}>
+            ${TOKEN_ICONS[token.type]}${describe(token)}
+          </span>
+        `)}
+      </div>
+    `;
+  }
+
   /**
    * Renders the form UI for adding new todos.
    * @returns {TemplateResult} The Lit HTML template for the form.
@@ -179,6 +308,7 @@ export class TodoForm extends LitElement {
           name="todo-input"
           type="text"
           placeholder="What needs to be done?"
+          title="Try: Call dentist tomorrow 3pm #health !high"
           .value=${this.inputValue}
           @input=${this.handleInput}
           aria-label="New todo"
@@ -196,6 +326,29 @@ export class TodoForm extends LitElement {
           Add
         </button>
       </form>
+      ${this.renderPreview()}
+      <div class="due-fields">
+        <label for="due-date">Due</label>
+        <input
+          id="due-date"
+          name="due-date"
+          type="date"
+          .value=${this.dueDate}
+          @input=${(e) => this.dueDate = e.target.value}
+        />
+        <input
+          name="due-time"
+          type="time"
+          .value=${this.dueTime}
+          @input=${(e) => this.dueTime = e.target.value}
+          ?disabled=${!this.dueDate}
+          aria-label="Due time"
+        />
+        <recurrence-picker
+          .value=${this.recurrence}
+          @recurrence-change=${(e) => this.recurrence = e.detail.value}>
+        </recurrence-picker>
+      </div>
     `;
   }
 }
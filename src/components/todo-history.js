@@ -0,0 +1,107 @@
+/**
+ * @fileoverview TodoHistory component.
+ * Lists a todo's activity log, newest first: when it was created, edited, completed,
+ * reopened, moved, deleted or restored, with the old and new values of edited fields.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { describeEntry } from '../utils/activity-log.js';
+
+/**
+ * Read-only history panel for a todo.
+ * @extends {LitElement}
+ */
+export class TodoHistory extends LitElement {
+  static properties = {
+    entries: { type: Array },
+    lists: { type: Array }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font-size: 13px;
+      color: #555;
+    }
+
+    ol {
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    li {
+      display: flex;
+      gap: 12px;
+      padding: 4px 0;
+      border-bottom: 1px solid #f0f0f0;
+    }
+
+    li:last-child {
+      border-bottom: none;
+    }
+
+    li.undone {
+      color: #999;
+    }
+
+    li.compacted {
+      font-style: italic;
+      color: #999;
+    }
+
+    time {
+      flex: none;
+      width: 140px;
+      color: #999;
+      font-variant-numeric: tabular-nums;
+    }
+
+    .lines {
+      overflow-wrap: anywhere;
+    }
+
+    .empty {
+      color: #999;
+      font-style: italic;
+    }
+  `;
+
+  /**
+   * Creates an empty history panel.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.entries = [];
+    this.lists = [];
+  }
+
+  /**
+   * Renders the entries, newest first.
+   * @returns {TemplateResult}
+   */
+  render() {
+    if (this.entries.length === 0) {
+      return html`<div class="empty">No history recorded yet.</div>`;
+    }
+
+    return html`
+      <ol aria-label="Todo history">
+        ${[...this.entries].reverse().map(entry => html`
+          <li class="${entry.undone ? 'undone' : ''} ${entry.action}">
+            <time datetime=${entry.at}>
+              ${new Date(entry.at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+            </time>
+            <span class="lines">
+              ${describeEntry(entry, { lists: this.lists }).map((line, i) => html`${i > 0 ? html`<br>` : ''}${line}`)}
+            </span>
+          </li>
+        `)}
+      </ol>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('todo-history', TodoHistory);
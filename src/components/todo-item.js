@@ -1,10 +1,22 @@
 /**
  * @fileoverview TodoItem component.
- * Represents an individual todo item.
- * Handles editing, deleting, and toggling completion of a single todo.
+ * Represents an individual todo item and, recursively, its subtasks.
+ * Handles editing, deleting, toggling completion, notes, history, time tracking and reordering of a single todo.
+ * Reordering works by dragging the handle (pointer events, so mouse and touch both work)
+ * or with Alt+Up / Alt+Down.
  */
 
 import { LitElement, html, css } from 'lit';
+import { repeat } from 'lit/directives/repeat.js';
+import { formatDueLabel, isOverdue } from '../utils/due-date.js';
+import { parseTags } from '../utils/tags.js';
+import { getProgress } from '../utils/todo-tree.js';
+import { parseRule, describeRule } from '../utils/recurrence.js';
+import { highlightSegments } from '../utils/fuzzy.js';
+import { getRunningEntry, getTrackedTime, formatDuration } from '../utils/time-tracking.js';
+import './recurrence-picker.js';
+import './todo-history.js';
+import './todo-notes.js';
 
 /**
  * Represents a single todo item in the list.
@@ -14,8 +26,26 @@ import { LitElement, html, css } from 'lit';
 export class TodoItem extends LitElement {
   static properties = {
     todo: { type: Object },
+    childMap: { attribute: false },
+    lists: { type: Array },
+    sortable: { type: Boolean },
+    matches: { attribute: false },
+    selectable: { type: Boolean },
+    selectedIds: { attribute: false },
+    activity: { attribute: false },
+    expanded: { state: true },
+    notesOpen: { state: true },
+    historyOpen: { state: true },
+    isAddingSubtask: { state: true },
+    subtaskValue: { state: true },
     isEditing: { state: true },
-    editValue: { state: true }
+    editValue: { state: true },
+    editDueDate: { state: true },
+    editDueTime: { state: true },
+    editTags: { state: true },
+    editRecurrence: { state: true },
+    editPriority: { state: true },
+    editListId: { state: true }
   };
 
   static styles = css`
@@ -29,6 +59,39 @@ export class TodoItem extends LitElement {
       --savebutton-bg-hover: #0b7dda;
       --cancelbutton-bg: #757575;
       --cancelbutton-bg-hover: #616161;
+      --overdue-color: #d32f2f;
+      --drop-indicator-color: #667eea;
+    }
+
+    :host([dragging]) {
+      position: relative;
+      z-index: 1;
+      opacity: 0.85;
+    }
+
+    :host([dragging]) .todo-item {
+      box-shadow: 0 6px 20px rgba(0, 0, 0, 0.2);
+    }
+
+    :host([drop-indicator="before"]) > .todo-item {
+      box-shadow: 0 -3px 0 var(--drop-indicator-color);
+    }
+
+    :host([drop-indicator="after"]) > .todo-item {
+      box-shadow: 0 3px 0 var(--drop-indicator-color);
+    }
+
+    .drag-handle {
+      padding: 4px 2px;
+      background: none;
+      color: #999;
+      font-size: 16px;
+      cursor: grab;
+      touch-action: none;
+    }
+
+    :host([dragging]) .drag-handle {
+      cursor: grabbing;
     }
 
     .todo-item {
@@ -46,6 +109,21 @@ export class TodoItem extends LitElement {
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
     }
 
+    .todo-item.overdue {
+      box-shadow: inset 4px 0 0 var(--overdue-color);
+    }
+
+    .todo-item.selected {
+      background: #eef0fb;
+    }
+
+    .select-checkbox {
+      width: 18px;
+      height: 18px;
+      accent-color: #3f51b5;
+      cursor: pointer;
+    }
+
     .checkbox {
       width: 20px;
       height: 20px;
@@ -64,6 +142,249 @@ export class TodoItem extends LitElement {
       color: #999;
     }
 
+    .todo-text mark {
+      padding: 0;
+      background: #fff59d;
+      color: inherit;
+    }
+
+    .expand-btn {
+      width: 24px;
+      padding: 0;
+      background: none;
+      color: #666;
+      font-size: 14px;
+    }
+
+    .expand-spacer {
+      width: 24px;
+      flex: none;
+    }
+
+    .progress {
+      padding: 2px 8px;
+      border-radius: 12px;
+      background: #f5f5f5;
+      color: #666;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+
+    .progress.done {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .subtasks {
+      margin-left: 28px;
+    }
+
+    .subtask-form {
+      display: flex;
+      gap: 8px;
+      margin-bottom: 8px;
+    }
+
+    .subtask-input {
+      flex: 1;
+      padding: 8px;
+      font-size: 14px;
+      border: 2px solid #e0e0e0;
+      border-radius: 4px;
+      outline: none;
+    }
+
+    .subtask-input:focus {
+      border-color: #667eea;
+    }
+
+    .subtask-btn {
+      background: #eef0fb;
+      color: #3f51b5;
+    }
+
+    .subtask-btn:hover {
+      background: #dfe3f8;
+    }
+
+    .notes-btn {
+      background: #f5f5f5;
+      color: #666;
+    }
+
+    .notes-btn:hover {
+      background: #e0e0e0;
+    }
+
+    .notes-btn.has-notes {
+      background: #fff8e1;
+      color: #f57f17;
+    }
+
+    .notes-btn[aria-expanded="true"] {
+      background: #ffe082;
+      color: #333;
+    }
+
+    .notes-panel {
+      margin: 4px 0 8px 40px;
+      padding: 10px 12px;
+      border-left: 3px solid #ffe082;
+      border-radius: 4px;
+      background: #fffdf5;
+    }
+
+    .history-btn {
+      background: #f5f5f5;
+      color: #666;
+    }
+
+    .history-btn:hover,
+    .history-btn[aria-expanded="true"] {
+      background: #e0e0e0;
+    }
+
+    .history-panel {
+      margin: 4px 0 8px 40px;
+      padding: 8px 12px;
+      border-left: 3px solid #e0e0e0;
+      border-radius: 4px;
+      background: #fafafa;
+    }
+
+    .timer-btn {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+
+    .timer-btn:hover {
+      background: #c8e6c9;
+    }
+
+    .timer-btn.running {
+      background: #2e7d32;
+      color: white;
+    }
+
+    .timer-btn:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .tracked-time {
+      padding: 2px 8px;
+      border-radius: 12px;
+      background: #e8f5e9;
+      color: #2e7d32;
+      font-size: 12px;
+      font-variant-numeric: tabular-nums;
+      white-space: nowrap;
+    }
+
+    .due-label {
+      padding: 2px 8px;
+      border-radius: 12px;
+      background: #eef0fb;
+      color: #3f51b5;
+      font-size: 12px;
+      white-space: nowrap;
+    }
+
+    .due-label.overdue {
+      background: #fdecea;
+      color: var(--overdue-color);
+      font-weight: 600;
+    }
+
+    .recurrence-label {
+      padding: 2px 8px;
+      border-radius: 12px;
+      background: #fff3e0;
+      color: #e65100;
+      font-size: 12px;
+      white-space: nowrap;
+    }
+
+    .priority-label {
+      padding: 2px 8px;
+      border-radius: 12px;
+      font-size: 12px;
+      font-weight: 600;
+      white-space: nowrap;
+    }
+
+    .priority-label.high {
+      background: #fdecea;
+      color: #c62828;
+    }
+
+    .priority-label.medium {
+      background: #fff8e1;
+      color: #f57f17;
+    }
+
+    .priority-label.low {
+      background: #e3f2fd;
+      color: #1565c0;
+    }
+
+    .tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    }
+
+    .tag-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 2px;
+      padding: 2px 4px 2px 8px;
+      border-radius: 12px;
+      background: #e8f5e9;
+      color: #2e7d32;
+      font-size: 12px;
+    }
+
+    .tag-chip button {
+      padding: 0 4px;
+      background: none;
+      color: inherit;
+      font-size: 12px;
+      line-height: 1;
+    }
+
+    .tag-chip .tag-name {
+      padding: 0;
+    }
+
+    .tag-chip button:hover {
+      text-decoration: underline;
+    }
+
+    .edit-tags {
+      width: 120px;
+      padding: 6px;
+      font-size: 14px;
+      border: 2px solid #e0e0e0;
+      border-radius: 4px;
+    }
+
+    .edit-priority,
+    .edit-list {
+      padding: 6px;
+      font-size: 14px;
+      border: 2px solid #e0e0e0;
+      border-radius: 4px;
+    }
+
+    .edit-due {
+      padding: 6px;
+      font-size: 14px;
+      border: 2px solid #e0e0e0;
+      border-radius: 4px;
+    }
+
     .edit-input {
       flex: 1;
       padding: 8px;
@@ -130,8 +451,50 @@ export class TodoItem extends LitElement {
    */
   constructor() {
     super();
+    this.childMap = new Map();
+    this.lists = [];
+    this.sortable = false;
+    this.matches = null;
+    this.selectable = false;
+    this.selectedIds = new Set();
+    this.activity = {};
+    this.dragState = null;
+    this.expanded = true;
+    this.notesOpen = false;
+    this.historyOpen = false;
+    this.isAddingSubtask = false;
+    this.subtaskValue = '';
     this.isEditing = false;
     this.editValue = '';
+    this.editDueDate = '';
+    this.editDueTime = '';
+    this.editTags = '';
+    this.editRecurrence = '';
+    this.editPriority = '';
+    this.editListId = null;
+    this.tickTimer = null;
+  }
+
+  /**
+   * Re-renders every second while the todo's timer is running, so the tracked time counts up.
+   */
+  updated() {
+    const running = Boolean(this.todo && getRunningEntry(this.todo));
+    if (running && !this.tickTimer) {
+      this.tickTimer = setInterval(() => this.requestUpdate(), 1000);
+    } else if (!running && this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  /**
+   * Stops the tick timer when the element is removed.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
   }
 
   /**
@@ -147,17 +510,41 @@ export class TodoItem extends LitElement {
   }
 
   /**
-   * Deletes the todo after user confirmation.
+   * Starts the todo's timer, or stops it if it is running.
+   * @fires TodoItem#toggle-timer
+   */
+  handleToggleTimer() {
+    this.dispatchEvent(new CustomEvent('toggle-timer', {
+      detail: { id: this.todo.id },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Saves the todo's notes.
+   * @param {CustomEvent<{ value: string }>} e The `notes-change` event of the notes panel
+   * @fires TodoItem#update-notes
+   */
+  handleNotesChange(e) {
+    e.stopPropagation();
+    this.dispatchEvent(new CustomEvent('update-notes', {
+      detail: { id: this.todo.id, notes: e.detail.value },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Deletes the todo. The app offers an undo instead of asking for confirmation.
    * @fires TodoItem#delete-todo
    */
   handleDelete() {
-    if (confirm('Delete this todo?')) {
-      this.dispatchEvent(new CustomEvent('delete-todo', {
-        detail: { id: this.todo.id },
-        bubbles: true,
-        composed: true
-      }));
-    }
+    this.dispatchEvent(new CustomEvent('delete-todo', {
+      detail: { id: this.todo.id },
+      bubbles: true,
+      composed: true
+    }));
   }
 
   /**
@@ -166,6 +553,12 @@ export class TodoItem extends LitElement {
   handleEdit() {
     this.isEditing = true;
     this.editValue = this.todo.text;
+    this.editDueDate = this.todo.dueDate || '';
+    this.editDueTime = this.todo.dueTime || '';
+    this.editTags = (this.todo.tags || []).map(tag => `#${tag}`).join(' ');
+    this.editRecurrence = this.todo.recurrence || '';
+    this.editPriority = this.todo.priority || '';
+    this.editListId = this.todo.listId;
   }
 
   /**
@@ -175,7 +568,16 @@ export class TodoItem extends LitElement {
   handleSave() {
     if (this.editValue.trim()) {
       this.dispatchEvent(new CustomEvent('update-todo', {
-        detail: { id: this.todo.id, text: this.editValue },
+        detail: {
+          id: this.todo.id,
+          text: this.editValue,
+          dueDate: this.editDueDate || null,
+          dueTime: (this.editDueDate && this.editDueTime) || null,
+          tags: parseTags(this.editTags),
+          recurrence: this.editRecurrence || null,
+          priority: this.editPriority || null,
+          listId: this.editListId
+        },
         bubbles: true,
         composed: true
       }));
@@ -191,6 +593,207 @@ export class TodoItem extends LitElement {
     this.editValue = '';
   }
 
+  /**
+   * Selects or deselects the todo in selection mode.
+   * Shift-clicking selects (or deselects) the whole range from the previously clicked todo.
+   * @param {MouseEvent} e The click event of the selection checkbox
+   * @fires TodoItem#select-todo
+   */
+  handleSelect(e) {
+    this.dispatchEvent(new CustomEvent('select-todo', {
+      detail: { id: this.todo.id, selected: e.target.checked, range: e.shiftKey },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Asks the app to filter the list by a tag when its chip is clicked.
+   * @param {string} tag The clicked tag
+   * @fires TodoItem#select-tag
+   */
+  handleSelectTag(tag) {
+    this.dispatchEvent(new CustomEvent('select-tag', {
+      detail: { tag },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Removes a tag from the todo.
+   * @param {string} tag The tag to remove
+   * @fires TodoItem#remove-tag
+   */
+  handleRemoveTag(tag) {
+    this.dispatchEvent(new CustomEvent('remove-tag', {
+      detail: { id: this.todo.id, tag },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Shows the inline input for adding a subtask, expanding the subtasks if needed.
+   */
+  handleShowSubtaskForm() {
+    this.isAddingSubtask = true;
+    this.expanded = true;
+  }
+
+  /**
+   * Adds the typed subtask and keeps the input open for the next one.
+   * @fires TodoItem#add-subtask
+   */
+  handleAddSubtask() {
+    const text = this.subtaskValue.trim();
+    if (text) {
+      this.dispatchEvent(new CustomEvent('add-subtask', {
+        detail: { parentId: this.todo.id, text },
+        bubbles: true,
+        composed: true
+      }));
+      this.subtaskValue = '';
+    }
+  }
+
+  /**
+   * Handles keyboard events in the subtask input.
+   * Enter adds the subtask; Escape closes the input.
+   * @param {KeyboardEvent} e
+   */
+  handleSubtaskKeyDown(e) {
+    if (e.key === 'Enter') {
+      this.handleAddSubtask();
+    } else if (e.key === 'Escape') {
+      this.isAddingSubtask = false;
+      this.subtaskValue = '';
+    }
+  }
+
+  /**
+   * Get the todo-item elements rendered alongside this one (same list or same parent).
+   * @returns {TodoItem[]} The sibling elements, in display order, including this one
+   */
+  getSiblingItems() {
+    return [...(this.parentNode?.children ?? [])].filter(el => el instanceof TodoItem);
+  }
+
+  /**
+   * Asks the app to move this todo next to a sibling.
+   * @param {number} targetId The ID of the sibling todo
+   * @param {'before'|'after'} placement Which side of the sibling to move to
+   * @fires TodoItem#reorder-todo
+   */
+  dispatchReorder(targetId, placement) {
+    this.dispatchEvent(new CustomEvent('reorder-todo', {
+      detail: { id: this.todo.id, targetId, placement },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Starts dragging the todo from its handle.
+   * @param {PointerEvent} e
+   */
+  handlePointerDown(e) {
+    if (!this.sortable || e.button !== 0) {
+      return;
+    }
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    this.dragState = { pointerId: e.pointerId, startY: e.clientY, target: null, placement: null };
+    this.setAttribute('dragging', '');
+  }
+
+  /**
+   * Moves the dragged todo with the pointer and marks where it would be dropped.
+   * @param {PointerEvent} e
+   */
+  handlePointerMove(e) {
+    if (!this.dragState || e.pointerId !== this.dragState.pointerId) {
+      return;
+    }
+
+    this.style.transform = `translateY(${e.clientY - this.dragState.startY}px)`;
+    this.dragState.target = null;
+    this.getSiblingItems().forEach(item => {
+      item.removeAttribute('drop-indicator');
+      if (item === this) {
+        return;
+      }
+      const rect = item.getBoundingClientRect();
+      if (e.clientY >= rect.top && e.clientY <= rect.bottom) {
+        const placement = e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+        item.setAttribute('drop-indicator', placement);
+        this.dragState.target = item;
+        this.dragState.placement = placement;
+      }
+    });
+  }
+
+  /**
+   * Drops the dragged todo at the marked position. A cancelled pointer leaves it where it was.
+   * @param {PointerEvent} e
+   */
+  handlePointerUp(e) {
+    if (!this.dragState || e.pointerId !== this.dragState.pointerId) {
+      return;
+    }
+
+    const { target, placement } = this.dragState;
+    this.endDrag();
+    if (target && e.type === 'pointerup') {
+      this.dispatchReorder(target.todo.id, placement);
+    }
+  }
+
+  /**
+   * Ends a drag and clears the drop markers.
+   */
+  endDrag() {
+    this.dragState = null;
+    this.removeAttribute('dragging');
+    this.style.transform = '';
+    this.getSiblingItems().forEach(item => item.removeAttribute('drop-indicator'));
+  }
+
+  /**
+   * Moves the todo up or down among its siblings with Alt+Up / Alt+Down.
+   * Focus returns to the drag handle once the list has re-rendered.
+   * @param {KeyboardEvent} e
+   */
+  handleReorderKeyDown(e) {
+    if (!this.sortable || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+
+    const siblings = this.getSiblingItems();
+    const index = siblings.indexOf(this);
+    const target = siblings[e.key === 'ArrowUp' ? index - 1 : index + 1];
+    if (!target) {
+      return;
+    }
+
+    this.dispatchReorder(target.todo.id, e.key === 'ArrowUp' ? 'before' : 'after');
+    requestAnimationFrame(() => this.renderRoot.querySelector('.drag-handle')?.focus());
+  }
+
+  /**
+   * Describes the todo's recurrence rule, falling back to the raw rule if it cannot be parsed.
+   * @returns {string}
+   */
+  describeRecurrence() {
+    try {
+      return describeRule(parseRule(this.todo.recurrence));
+    } catch {
+      return this.todo.recurrence;
+    }
+  }
+
   /**
    * Handles keyboard events while editing.
    * Enter saves the todo; Escape cancels editing.
@@ -205,12 +808,36 @@ export class TodoItem extends LitElement {
   }
 
   /**
-   * Renders the todo item template.
+   * Renders the todo item followed by its notes and history (when open) and its subtasks.
    * @returns {TemplateResult}
    */
   render() {
-    if (this.isEditing) {
-      return html`
+    return html`
+      ${this.isEditing ? this.renderEditor() : this.renderView()}
+      ${this.notesOpen ? html`
+        <todo-notes
+          class="notes-panel"
+          .value=${this.todo.notes ?? null}
+          @notes-change=${this.handleNotesChange}>
+        </todo-notes>
+      ` : ''}
+      ${this.historyOpen ? html`
+        <todo-history
+          class="history-panel"
+          .entries=${this.activity?.[this.todo.id] ?? []}
+          .lists=${this.lists}>
+        </todo-history>
+      ` : ''}
+      ${this.renderSubtasks()}
+    `;
+  }
+
+  /**
+   * Renders the todo in edit mode.
+   * @returns {TemplateResult}
+   */
+  renderEditor() {
+    return html`
         <div class="todo-item">
           <input
             class="edit-input"
@@ -220,16 +847,126 @@ export class TodoItem extends LitElement {
             @keydown=${this.handleKeyDown}
             autofocus
           />
+          <input
+            class="edit-due"
+            type="date"
+            .value=${this.editDueDate}
+            @input=${(e) => this.editDueDate = e.target.value}
+            @keydown=${this.handleKeyDown}
+            aria-label="Due date"
+          />
+          <input
+            class="edit-due"
+            type="time"
+            .value=${this.editDueTime}
+            @input=${(e) => this.editDueTime = e.target.value}
+            @keydown=${this.handleKeyDown}
+            ?disabled=${!this.editDueDate}
+            aria-label="Due time"
+          />
+          <input
+            class="edit-tags"
+            type="text"
+            placeholder="#tags"
+            .value=${this.editTags}
+            @input=${(e) => this.editTags = e.target.value}
+            @keydown=${this.handleKeyDown}
+            aria-label="Tags"
+          />
+          <recurrence-picker
+            .value=${this.editRecurrence}
+            @recurrence-change=${(e) => this.editRecurrence = e.detail.value}>
+          </recurrence-picker>
+          <select
+            class="edit-priority"
+            .value=${this.editPriority}
+            @change=${(e) => this.editPriority = e.target.value}
+            aria-label="Priority">
+            <option value="" ?selected=${!this.editPriority}>No priority</option>
+            <option value="high" ?selected=${this.editPriority === 'high'}>High</option>
+            <option value="medium" ?selected=${this.editPriority === 'medium'}>Medium</option>
+            <option value="low" ?selected=${this.editPriority === 'low'}>Low</option>
+          </select>
+          ${this.lists.length > 1 ? html`
+            <select
+              class="edit-list"
+              .value=${String(this.editListId)}
+              @change=${(e) => this.editListId = Number(e.target.value)}
+              aria-label="Move to list">
+              ${this.lists.map(list => html`
+                <option value=${list.id} ?selected=${list.id === this.editListId}>${list.name}</option>
+              `)}
+            </select>
+          ` : ''}
           <div class="button-group">
             <button class="save-btn" @click=${this.handleSave}>Save</button>
             <button class="cancel-btn" @click=${this.handleCancel}>Cancel</button>
           </div>
         </div>
       `;
+  }
+
+  /**
+   * Renders the todo text, marking the characters matched by the current search.
+   * @returns {TemplateResult|string}
+   */
+  renderText() {
+    const indices = this.matches?.get(this.todo.id)?.indices;
+    if (!indices?.length) {
+      return this.todo.text;
     }
+    return highlightSegments(this.todo.text, indices).map(segment => segment.highlighted
+      ? html`<mark>${segment.text}</mark>`
+      : segment.text);
+  }
+
+  /**
+   * Renders the todo in view mode.
+   * @returns {TemplateResult}
+   */
+  renderView() {
+    const overdue = isOverdue(this.todo);
+    const hasSubtasks = this.childMap.has(this.todo.id);
+    const progress = hasSubtasks ? getProgress(this.todo.id, this.childMap) : null;
+
+    const selected = this.selectable && this.selectedIds.has(this.todo.id);
+    const timing = getRunningEntry(this.todo) !== null;
+    const trackedTime = getTrackedTime(this.todo);
 
     return html`
-      <div class="todo-item">
+      <div
+        class="todo-item ${overdue ? 'overdue' : ''} ${selected ? 'selected' : ''}"
+        @keydown=${this.handleReorderKeyDown}>
+        ${this.selectable ? html`
+          <input
+            type="checkbox"
+            class="select-checkbox"
+            .checked=${selected}
+            @click=${this.handleSelect}
+            aria-label="Select todo"
+          />
+        ` : ''}
+        ${this.sortable ? html`
+          <button
+            class="drag-handle"
+            @pointerdown=${this.handlePointerDown}
+            @pointermove=${this.handlePointerMove}
+            @pointerup=${this.handlePointerUp}
+            @pointercancel=${this.handlePointerUp}
+            title="Drag to reorder (or Alt+Up / Alt+Down)"
+            aria-label="Reorder todo. Use Alt+Up or Alt+Down to move">
+            ⠿
+          </button>
+        ` : ''}
+        ${hasSubtasks ? html`
+          <button
+            class="expand-btn"
+            @click=${() => this.expanded = !this.expanded}
+            aria-expanded=${this.expanded}
+            aria-label="${this.expanded ? 'Collapse' : 'Expand'} subtasks">
+            ${this.expanded ? '▾' : '▸'}
+          </button>
+        ` : html`<span class="expand-spacer"></span>`}
         <input
           type="checkbox"
           class="checkbox"
@@ -238,9 +975,88 @@ export class TodoItem extends LitElement {
           aria-label="Toggle todo"
         />
         <span class="todo-text ${this.todo.completed ? 'completed' : ''}">
-          ${this.todo.text}
+          ${this.renderText()}
         </span>
+        ${progress ? html`
+          <span
+            class="progress ${progress.completed === progress.total ? 'done' : ''}"
+            title="Subtasks completed">
+            ${progress.completed}/${progress.total}
+          </span>
+        ` : ''}
+        ${this.todo.priority ? html`
+          <span class="priority-label ${this.todo.priority}" title="${this.todo.priority} priority">
+            !${this.todo.priority}
+          </span>
+        ` : ''}
+        ${this.todo.dueDate ? html`
+          <span class="due-label ${overdue ? 'overdue' : ''}" title="Due ${this.todo.dueDate}">
+            ${formatDueLabel(this.todo)}
+          </span>
+        ` : ''}
+        ${this.todo.recurrence ? html`
+          <span class="recurrence-label" title=${this.todo.recurrence}>
+            🔁 ${this.describeRecurrence()}
+          </span>
+        ` : ''}
+        ${trackedTime > 0 || timing ? html`
+          <span class="tracked-time" title="Time tracked">
+            ⏱ ${formatDuration(trackedTime, { seconds: timing })}
+          </span>
+        ` : ''}
+        ${this.todo.tags?.length ? html`
+          <span class="tags">
+            ${this.todo.tags.map(tag => html`
+              <span class="tag-chip">
+                <button
+                  class="tag-name"
+                  @click=${() => this.handleSelectTag(tag)}
+                  title="Show todos tagged #${tag}">
+                  #${tag}
+                </button>
+                <button
+                  class="tag-remove"
+                  @click=${() => this.handleRemoveTag(tag)}
+                  aria-label="Remove tag ${tag}">
+                  ×
+                </button>
+              </span>
+            `)}
+          </span>
+        ` : ''}
         <div class="button-group">
+          <button
+            class="notes-btn ${this.todo.notes ? 'has-notes' : ''}"
+            @click=${() => this.notesOpen = !this.notesOpen}
+            aria-expanded=${this.notesOpen}
+            title=${this.todo.notes ? 'Show notes' : 'Add notes'}
+            aria-label="${this.notesOpen ? 'Hide' : 'Show'} notes">
+            📝
+          </button>
+          <button
+            class="history-btn"
+            @click=${() => this.historyOpen = !this.historyOpen}
+            aria-expanded=${this.historyOpen}
+            title="History"
+            aria-label="${this.historyOpen ? 'Hide' : 'Show'} history">
+            🕘
+          </button>
+          <button
+            class="timer-btn ${timing ? 'running' : ''}"
+            @click=${this.handleToggleTimer}
+            ?disabled=${this.todo.completed && !timing}
+            title=${timing ? 'Stop timer' : 'Start timer'}
+            aria-label=${timing ? 'Stop timer' : 'Start timer'}
+            aria-pressed=${timing}>
+            ${timing ? '■' : '▶'}
+          </button>
+          <button
+            class="subtask-btn"
+            @click=${this.handleShowSubtaskForm}
+            title="Add subtask"
+            aria-label="Add subtask">
+            +
+          </button>
           <button
             class="edit-btn"
             @click=${this.handleEdit}
@@ -258,6 +1074,50 @@ export class TodoItem extends LitElement {
       </div>
     `;
   }
+
+  /**
+   * Renders the subtask input and, when expanded, a nested item for each subtask.
+   * @returns {TemplateResult|string}
+   */
+  renderSubtasks() {
+    const children = this.childMap.get(this.todo.id) || [];
+    if (children.length === 0 && !this.isAddingSubtask) {
+      return '';
+    }
+
+    return html`
+      <div class="subtasks">
+        ${this.expanded ? repeat(children, child => child.id, child => html`
+          <todo-item
+            .todo=${{ ...child }}
+            .childMap=${this.childMap}
+            .lists=${this.lists}
+            .matches=${this.matches}
+            .selectedIds=${this.selectedIds}
+            .activity=${this.activity}
+            ?selectable=${this.selectable}
+            ?sortable=${this.sortable}>
+          </todo-item>
+        `) : ''}
+        ${this.isAddingSubtask ? html`
+          <div class="subtask-form">
+            <input
+              class="subtask-input"
+              type="text"
+              placeholder="Add a subtask"
+              .value=${this.subtaskValue}
+              @input=${(e) => this.subtaskValue = e.target.value}
+              @keydown=${this.handleSubtaskKeyDown}
+              aria-label="New subtask"
+              autofocus
+            />
+            <button class="save-btn" @click=${this.handleAddSubtask}>Add</button>
+            <button class="cancel-btn" @click=${() => this.isAddingSubtask = false}>Done</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
 }
 
 // Define the custom element
@@ -1,10 +1,11 @@
 /**
  * @fileoverview TodoList component.
- * Renders a list of todos using TodoItem components.
+ * Renders a list of todos using TodoItem components, nesting subtasks under their parents.
  * Handles empty state display and scrollable container.
  */
 import { LitElement, html, css } from 'lit';
 import { repeat } from 'lit/directives/repeat.js';
+import { buildChildMap } from '../utils/todo-tree.js';
 import './todo-item.js';
 
 /**
@@ -13,7 +14,14 @@ import './todo-item.js';
  */
 export class TodoList extends LitElement {
   static properties = {
-    todos: { type: Array }
+    todos: { type: Array },
+    lists: { type: Array },
+    sortable: { type: Boolean },
+    matches: { attribute: false },
+    selectable: { type: Boolean },
+    selectedIds: { attribute: false },
+    activity: { attribute: false },
+    emptyMessage: { type: String }
   };
 
   static styles = css`
@@ -65,6 +73,13 @@ export class TodoList extends LitElement {
   constructor() {
     super();
     this.todos = [];
+    this.lists = [];
+    this.sortable = false;
+    this.matches = null;
+    this.selectable = false;
+    this.selectedIds = new Set();
+    this.activity = {};
+    this.emptyMessage = 'No todos yet. Add one above!';
   }
 
   /**
@@ -76,15 +91,26 @@ export class TodoList extends LitElement {
       return html`
         <div class="empty-state">
           <div class="empty-icon">📝</div>
-          <p>No todos yet. Add one above!</p>
+          <p>${this.emptyMessage}</p>
         </div>
       `;
     }
 
+    const childMap = buildChildMap(this.todos);
+
     return html`
       <div class="list-container">
-        ${repeat(this.todos, todo => todo.id, todo => html`
-          <todo-item .todo=${{ ...todo }}></todo-item>
+        ${repeat(childMap.get(null), todo => todo.id, todo => html`
+          <todo-item
+            .todo=${{ ...todo }}
+            .childMap=${childMap}
+            .lists=${this.lists}
+            .matches=${this.matches}
+            .selectedIds=${this.selectedIds}
+            .activity=${this.activity}
+            ?selectable=${this.selectable}
+            ?sortable=${this.sortable}>
+          </todo-item>
         `)}
       </div>
     `;
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview TodoNotes component.
+ * Shows a todo's Markdown notes and lets the user edit them. Task list boxes (`- [ ]`)
+ * can be ticked in place without opening the editor.
+ * Dispatches a custom `notes-change` event with the new notes whenever they are saved or
+ * a box is ticked.
+ */
+
+import { LitElement, html, css } from 'lit';
+import { parseMarkdown, toggleTask } from '../utils/markdown.js';
+import { MAX_NOTES_LENGTH } from '../models/validation.js';
+
+/**
+ * Rendered Markdown notes with an inline editor.
+ * @extends {LitElement}
+ */
+export class TodoNotes extends LitElement {
+  static properties = {
+    value: { type: String },
+    isEditing: { state: true },
+    draft: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+      font-size: 14px;
+      color: #333;
+    }
+
+    .notes {
+      overflow-wrap: anywhere;
+    }
+
+    .notes > :first-child {
+      margin-top: 0;
+    }
+
+    .notes > :last-child {
+      margin-bottom: 0;
+    }
+
+    h3, h4, h5 {
+      margin: 12px 0 6px;
+      font-size: 15px;
+    }
+
+    p {
+      margin: 6px 0;
+    }
+
+    ul, ol {
+      margin: 6px 0;
+      padding-left: 20px;
+    }
+
+    li.task {
+      list-style: none;
+      margin-left: -20px;
+    }
+
+    li.task label {
+      display: inline-flex;
+      align-items: baseline;
+      gap: 6px;
+      cursor: pointer;
+    }
+
+    li.task.checked .task-text {
+      text-decoration: line-through;
+      color: #999;
+    }
+
+    code {
+      padding: 1px 4px;
+      border-radius: 3px;
+      background: #f0f0f0;
+      font-family: ui-monospace, monospace;
+      font-size: 13px;
+    }
+
+    pre {
+      margin: 6px 0;
+      padding: 8px 10px;
+      border-radius: 4px;
+      background: #f0f0f0;
+      overflow-x: auto;
+    }
+
+    pre code {
+      padding: 0;
+    }
+
+    a {
+      color: #3f51b5;
+    }
+
+    .empty {
+      color: #999;
+      font-style: italic;
+    }
+
+    textarea {
+      box-sizing: border-box;
+      width: 100%;
+      min-height: 120px;
+      padding: 8px;
+      border: 2px solid #667eea;
+      border-radius: 4px;
+      font-family: ui-monospace, monospace;
+      font-size: 13px;
+      resize: vertical;
+      outline: none;
+    }
+
+    .toolbar {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+      font-size: 12px;
+      color: #999;
+    }
+
+    .hint {
+      margin-right: auto;
+    }
+
+    button {
+      padding: 4px 10px;
+      border: none;
+      border-radius: 4px;
+      background: #eef0fb;
+      color: #3f51b5;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button.save-notes {
+      background: #2196F3;
+      color: white;
+    }
+  `;
+
+  /**
+   * Creates an empty notes panel.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.value = null;
+    this.isEditing = false;
+    this.draft = '';
+  }
+
+  /**
+   * Dispatches new notes.
+   * @param {string} value The new notes
+   * @fires TodoNotes#notes-change
+   */
+  dispatchChange(value) {
+    this.dispatchEvent(new CustomEvent('notes-change', {
+      detail: { value },
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Opens the editor with the current notes.
+   */
+  handleEdit() {
+    this.draft = this.value || '';
+    this.isEditing = true;
+  }
+
+  /**
+   * Saves the edited notes and closes the editor.
+   */
+  handleSave() {
+    this.isEditing = false;
+    if (this.draft !== (this.value || '')) {
+      this.dispatchChange(this.draft);
+    }
+  }
+
+  /**
+   * Handles keyboard events in the editor.
+   * Ctrl+Enter saves the notes; Escape discards the changes.
+   * @param {KeyboardEvent} e
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      this.handleSave();
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      this.isEditing = false;
+    }
+  }
+
+  /**
+   * Ticks or unticks a task list box.
+   * @param {number} index The task's index in the notes
+   */
+  handleToggleTask(index) {
+    this.dispatchChange(toggleTask(this.value, index));
+  }
+
+  /**
+   * Renders inline Markdown nodes.
+   * @param {import('../utils/markdown.js').InlineNode[]} nodes The nodes
+   * @returns {Array<TemplateResult|string>}
+   */
+  renderInline(nodes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'code':
+          return html`<code>${node.text}</code>`;
+        case 'strong':
+          return html`<strong>${this.renderInline(node.children)}</strong>`;
+        case 'em':
+          return html`<em>${this.renderInline(node.children)}</em>`;
+        case 'link':
+          return html`<a href=${node.href} target="_blank" rel="noopener noreferrer">${this.renderInline(node.children)}</a>`;
+        case 'break':
+          return html`<br>`;
+        default:
+          return node.text;
+      }
+    });
+  }
+
+  /**
+   * Renders a list item, with a checkbox for task items.
+   * @param {import('../utils/markdown.js').ListItem} item The item
+   * @returns {TemplateResult}
+   */
+  renderItem(item) {
+    const indent = `margin-left: ${item.depth * 20}px`;
+    if (!item.task) {
+      return html`<li style=${indent}>${this.renderInline(item.children)}</li>`;
+    }
+    return html`
+      <li class="task ${item.task.checked ? 'checked' : ''}" style=${indent}>
+        <label>
+          <input
+            type="checkbox"
+            class="task-checkbox"
+            .checked=${item.task.checked}
+            @change=${() => this.handleToggleTask(item.task.index)}
+          />
+          <span class="task-text">${this.renderInline(item.children)}</span>
+        </label>
+      </li>
+    `;
+  }
+
+  /**
+   * Renders a block of Markdown.
+   * @param {import('../utils/markdown.js').BlockNode} block The block
+   * @returns {TemplateResult}
+   */
+  renderBlock(block) {
+    switch (block.type) {
+      case 'heading': {
+        // Notes sit below the app's own h1/h2, so their headings start at h3
+        const content = this.renderInline(block.children);
+        return block.level === 1 ? html`<h3>${content}</h3>`
+          : block.level === 2 ? html`<h4>${content}</h4>`
+          : html`<h5>${content}</h5>`;
+      }
+      case 'list':
+        return block.ordered
+          ? html`<ol>${block.items.map(item => this.renderItem(item))}</ol>`
+          : html`<ul>${block.items.map(item => this.renderItem(item))}</ul>`;
+      case 'code':
+        return html`<pre><code>${block.text}</code></pre>`;
+      default:
+        return html`<p>${this.renderInline(block.children)}</p>`;
+    }
+  }
+
+  /**
+   * Renders the notes, or the editor while editing.
+   * @returns {TemplateResult}
+   */
+  render() {
+    if (this.isEditing) {
+      return html`
+        <textarea
+          class="notes-input"
+          .value=${this.draft}
+          maxlength=${MAX_NOTES_LENGTH}
+          placeholder="Notes (Markdown: **bold**, \`code\`, [links](https://…), - [ ] tasks)"
+          @input=${(e) => this.draft = e.target.value}
+          @keydown=${this.handleKeyDown}
+          aria-label="Notes"
+          autofocus
+        ></textarea>
+        <div class="toolbar">
+          <span class="hint">Markdown supported · Ctrl+Enter to save</span>
+          <button class="save-notes" @click=${this.handleSave}>Save</button>
+          <button class="cancel-notes" @click=${() => this.isEditing = false}>Cancel</button>
+        </div>
+      `;
+    }
+
+    return html`
+      ${this.value
+        ? html`<div class="notes">${parseMarkdown(this.value).map(block => this.renderBlock(block))}</div>`
+        : html`<div class="empty">No notes yet.</div>`}
+      <div class="toolbar">
+        <button class="edit-notes" @click=${this.handleEdit}>${this.value ? 'Edit notes' : 'Add notes'}</button>
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('todo-notes', TodoNotes);
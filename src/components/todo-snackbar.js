@@ -0,0 +1,155 @@
+/**
+ * @fileoverview TodoSnackbar component.
+ * Shows a short, non-blocking message at the bottom of the screen with an optional action button.
+ * Dispatches a custom `snackbar-action` event when the action button is clicked.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Temporary notification bar, used to offer "Undo" after destructive actions.
+ * @extends {LitElement}
+ */
+export class TodoSnackbar extends LitElement {
+  static properties = {
+    message: { type: String },
+    actionLabel: { type: String, attribute: 'action-label' },
+    duration: { type: Number },
+    open: { type: Boolean, reflect: true }
+  };
+
+  static styles = css`
+    :host {
+      --snackbar-bg: #323232;
+      --snackbar-color: #ffffff;
+      --snackbar-action-color: #8c9eff;
+      position: fixed;
+      left: 50%;
+      bottom: 24px;
+      transform: translate(-50%, 150%);
+      opacity: 0;
+      pointer-events: none;
+      transition: transform 0.25s, opacity 0.25s;
+      z-index: 10;
+    }
+
+    :host([open]) {
+      transform: translate(-50%, 0);
+      opacity: 1;
+      pointer-events: auto;
+    }
+
+    .snackbar {
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      min-width: 280px;
+      padding: 12px 16px;
+      background: var(--snackbar-bg);
+      color: var(--snackbar-color);
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+      font-size: 14px;
+    }
+
+    .message {
+      flex: 1;
+    }
+
+    button {
+      padding: 6px 8px;
+      background: none;
+      border: none;
+      color: var(--snackbar-action-color);
+      font-size: 14px;
+      font-weight: 700;
+      text-transform: uppercase;
+      cursor: pointer;
+    }
+
+    button:hover {
+      text-decoration: underline;
+    }
+  `;
+
+  /**
+   * Creates a hidden snackbar with a default five second display time.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.message = '';
+    this.actionLabel = '';
+    this.duration = 5000;
+    this.open = false;
+    this.hideTimer = null;
+  }
+
+  /**
+   * Clears any pending auto-hide timer when the element is removed.
+   */
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this.hideTimer);
+  }
+
+  /**
+   * Shows the snackbar, replacing any message that is currently visible.
+   * @param {string} message The text to display
+   * @param {string} [actionLabel=''] Label of the action button; no button is shown when empty
+   */
+  show(message, actionLabel = '') {
+    this.message = message;
+    this.actionLabel = actionLabel;
+    this.open = true;
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hide(), this.duration);
+  }
+
+  /**
+   * Hides the snackbar.
+   */
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.open = false;
+  }
+
+  /**
+   * Removes the action button, leaving the message on screen until it hides.
+   */
+  hideAction() {
+    this.actionLabel = '';
+  }
+
+  /**
+   * Handles a click on the action button and hides the snackbar.
+   * @fires TodoSnackbar#snackbar-action
+   */
+  handleAction() {
+    this.dispatchEvent(new CustomEvent('snackbar-action', {
+      bubbles: true,
+      composed: true
+    }));
+    this.hide();
+  }
+
+  /**
+   * Renders the snackbar template.
+   * @returns {TemplateResult}
+   */
+  render() {
+    return html`
+      <div class="snackbar" role="status" aria-live="polite">
+        <span class="message">${this.message}</span>
+        ${this.actionLabel ? html`
+          <button class="snackbar-action" @click=${this.handleAction}>
+            ${this.actionLabel}
+          </button>
+        ` : ''}
+      </div>
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('todo-snackbar', TodoSnackbar);
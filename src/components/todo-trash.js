@@ -0,0 +1,258 @@
+/**
+ * @fileoverview TodoTrash component.
+ * Lists deleted todos with controls to restore or permanently delete them, one at a time
+ * or in bulk, and to choose how long deleted todos are kept. All changes are dispatched
+ * as custom events.
+ */
+
+import { LitElement, html, css } from 'lit';
+
+/**
+ * Retention periods offered in the settings dropdown, in days.
+ * @type {number[]}
+ */
+const RETENTION_OPTIONS = [7, 30, 90, 365];
+
+/**
+ * Shows the contents of the trash.
+ * @extends {LitElement}
+ */
+export class TodoTrash extends LitElement {
+  static properties = {
+    items: { type: Array },
+    trash: { type: Array },
+    lists: { type: Array },
+    retentionDays: { type: Number },
+    selectedIds: { state: true }
+  };
+
+  static styles = css`
+    :host {
+      display: block;
+    }
+
+    .toolbar {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 12px;
+      font-size: 13px;
+      color: #666;
+    }
+
+    .toolbar .retention {
+      margin-left: auto;
+    }
+
+    button,
+    select {
+      padding: 5px 10px;
+      border: 1px solid #e0e0e0;
+      border-radius: 6px;
+      background: white;
+      font-size: 13px;
+      cursor: pointer;
+    }
+
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .danger {
+      border-color: #f44336;
+      color: #f44336;
+    }
+
+    ul {
+      margin: 0;
+      padding: 0;
+      list-style: none;
+    }
+
+    li {
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 12px;
+      margin-bottom: 6px;
+      border-radius: 8px;
+      background: #fafafa;
+    }
+
+    .text {
+      flex: 1;
+      color: #555;
+    }
+
+    .text.completed {
+      text-decoration: line-through;
+      color: #999;
+    }
+
+    .meta {
+      font-size: 12px;
+      color: #999;
+      white-space: nowrap;
+    }
+
+    .empty-state {
+      padding: 40px 20px;
+      text-align: center;
+      color: #999;
+    }
+  `;
+
+  /**
+   * Creates an empty trash view.
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.items = [];
+    this.trash = [];
+    this.lists = [];
+    this.retentionDays = 30;
+    this.selectedIds = new Set();
+  }
+
+  /**
+   * Drops selected IDs that are no longer in the trash.
+   * @param {Map<string, *>} changed Changed properties
+   */
+  willUpdate(changed) {
+    if (changed.has('items')) {
+      const ids = new Set(this.items.map(item => item.id));
+      this.selectedIds = new Set([...this.selectedIds].filter(id => ids.has(id)));
+    }
+  }
+
+  /**
+   * Dispatches a trash event.
+   * @param {string} type The event name
+   * @param {Object} [detail={}] The event detail
+   */
+  emit(type, detail = {}) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  /**
+   * Selects or deselects a trashed todo.
+   * @param {number} id The todo ID
+   * @param {boolean} selected Whether it is now selected
+   */
+  toggleSelected(id, selected) {
+    const selectedIds = new Set(this.selectedIds);
+    if (selected) {
+      selectedIds.add(id);
+    } else {
+      selectedIds.delete(id);
+    }
+    this.selectedIds = selectedIds;
+  }
+
+  /**
+   * Builds the "deleted 3 days ago · Groceries · 2 subtasks" line for an entry.
+   * @param {Object} item The trashed todo
+   * @returns {string} The description
+   */
+  describe(item) {
+    const days = Math.floor((Date.now() - Date.parse(item.deletedAt)) / (24 * 60 * 60 * 1000));
+    const parts = [days === 0 ? 'deleted today' : `deleted ${days} ${days === 1 ? 'day' : 'days'} ago`];
+    const list = this.lists.find(l => l.id === item.listId);
+    if (list) {
+      parts.push(list.name);
+    }
+    const countSubtasks = (id) => this.trash
+      .filter(t => t.deletedWithParent && t.parentId === id)
+      .reduce((count, t) => count + 1 + countSubtasks(t.id), 0);
+    const subtasks = countSubtasks(item.id);
+    if (subtasks > 0) {
+      parts.push(`${subtasks} ${subtasks === 1 ? 'subtask' : 'subtasks'}`);
+    }
+    return parts.join(' · ');
+  }
+
+  /**
+   * Renders the bulk controls and the trashed todos.
+   * @returns {TemplateResult}
+   */
+  render() {
+    const selected = [...this.selectedIds];
+    const allSelected = this.items.length > 0 && selected.length === this.items.length;
+
+    return html`
+      <div class="toolbar">
+        <button
+          class="select-all"
+          ?disabled=${this.items.length === 0}
+          @click=${() => this.selectedIds = new Set(allSelected ? [] : this.items.map(item => item.id))}>
+          ${allSelected ? 'Select none' : 'Select all'}
+        </button>
+        <button
+          class="restore-selected"
+          ?disabled=${selected.length === 0}
+          @click=${() => this.emit('restore-todos', { ids: selected })}>
+          Restore selected
+        </button>
+        <button
+          class="delete-selected danger"
+          ?disabled=${selected.length === 0}
+          @click=${() => this.emit('delete-forever', { ids: selected })}>
+          Delete selected
+        </button>
+        <button
+          class="empty-trash danger"
+          ?disabled=${this.items.length === 0}
+          @click=${() => this.emit('empty-trash')}>
+          Empty trash
+        </button>
+        <label class="retention">
+          Keep deleted todos for
+          <select
+            .value=${String(this.retentionDays)}
+            @change=${(e) => this.emit('set-retention', { days: Number(e.target.value) })}
+            aria-label="Trash retention period">
+            ${RETENTION_OPTIONS.map(days => html`
+              <option value=${days} ?selected=${days === this.retentionDays}>${days} days</option>
+            `)}
+          </select>
+        </label>
+      </div>
+
+      ${this.items.length === 0 ? html`
+        <div class="empty-state">The trash is empty.</div>
+      ` : html`
+        <ul>
+          ${this.items.map(item => html`
+            <li class="trash-item">
+              <input
+                type="checkbox"
+                .checked=${this.selectedIds.has(item.id)}
+                @change=${(e) => this.toggleSelected(item.id, e.target.checked)}
+                aria-label="Select ${item.text}"
+              />
+              <span class="text ${item.completed ? 'completed' : ''}">${item.text}</span>
+              <span class="meta">${this.describe(item)}</span>
+              <button class="restore" @click=${() => this.emit('restore-todos', { ids: [item.id] })}>Restore</button>
+              <button
+                class="delete-forever danger"
+                @click=${() => this.emit('delete-forever', { ids: [item.id] })}
+                aria-label="Delete ${item.text} permanently">
+                Delete forever
+              </button>
+            </li>
+          `)}
+        </ul>
+      `}
+    `;
+  }
+}
+
+// Define the custom element
+customElements.define('todo-trash', TodoTrash);
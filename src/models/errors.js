@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Errors raised by TodoModel, the storage services and the sync service.
+ * Every error extends {@link TodoError}, so callers can tell expected failures
+ * (bad input, a stale ID, a full storage quota) apart from bugs, and show their
+ * message to the user as is.
+ */
+
+/**
+ * Base class for errors the app expects and can report to the user.
+ * @extends {Error}
+ */
+export class TodoError extends Error {
+  /**
+   * @param {string} message User-facing description of the problem
+   * @param {Object} [options]
+   * @param {*} [options.cause] The underlying error, if any
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Input that the model refuses, such as empty text or an invalid recurrence rule.
+ * @extends {TodoError}
+ */
+export class ValidationError extends TodoError {
+  /**
+   * @param {string} message User-facing description of the problem
+   * @param {string|null} [field=null] The field that failed validation
+   */
+  constructor(message, field = null) {
+    super(message);
+    /** @type {string|null} */
+    this.field = field;
+  }
+}
+
+/**
+ * A todo ID that does not exist (for example because the todo was deleted meanwhile).
+ * @extends {TodoError}
+ */
+export class TodoNotFoundError extends TodoError {
+  /**
+   * @param {number} id The missing todo ID
+   */
+  constructor(id) {
+    super(`Todo ${id} does not exist`);
+    /** @type {number} */
+    this.id = id;
+  }
+}
+
+/**
+ * A list ID that does not exist.
+ * @extends {TodoError}
+ */
+export class ListNotFoundError extends TodoError {
+  /**
+   * @param {number} id The missing list ID
+   */
+  constructor(id) {
+    super(`List ${id} does not exist`);
+    /** @type {number} */
+    this.id = id;
+  }
+}
+
+/**
+ * Data could not be written to or removed from storage.
+ * The in-memory state is still up to date, but it will be lost on reload.
+ * @extends {TodoError}
+ */
+export class StorageError extends TodoError {
+  /**
+   * @param {string} message User-facing description of the problem
+   * @param {Object} [options]
+   * @param {*} [options.cause] The error raised by the storage backend
+   */
+  constructor(message = 'Your changes could not be saved', options) {
+    super(message, options);
+  }
+}
+
+/**
+ * Storage is full, so changes can no longer be saved.
+ * @extends {StorageError}
+ */
+export class StorageQuotaError extends StorageError {
+  /**
+   * @param {Object} [options]
+   * @param {*} [options.cause] The error raised by the storage backend
+   */
+  constructor(options) {
+    super('Storage is full, so your changes could not be saved. Empty the trash or delete some todos to free up space.', options);
+  }
+}
+
+/**
+ * A passphrase that does not unlock the encrypted data. Nothing has been read or written.
+ * @extends {TodoError}
+ */
+export class PassphraseError extends TodoError {
+  constructor() {
+    super('That passphrase is not correct');
+  }
+}
+
+/**
+ * The sync server could not be reached or refused a request. Changes are kept and sent
+ * on the next attempt.
+ * @extends {TodoError}
+ */
+export class SyncError extends TodoError {
+  /**
+   * @param {string} message User-facing description of the problem
+   * @param {Object} [options]
+   * @param {number|null} [options.status=null] The HTTP status the server answered with; null if it could not be reached
+   * @param {*} [options.cause] The error raised by `fetch`
+   */
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    /** @type {number|null} */
+    this.status = status;
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Versioned storage schema for TodoModel.
+ * Saved data carries a `schemaVersion`. On load, data from an older version is upgraded
+ * one step at a time by the migrations below, so every past layout keeps working.
+ * Data that cannot be migrated (corrupt, or written by a newer version of the app) is
+ * copied to a backup key instead of being silently dropped.
+ *
+ * To change the stored layout, append a migration with the next version number and
+ * raise {@link SCHEMA_VERSION}. Never edit a migration that has already shipped.
+ */
+
+import { StorageError } from './errors.js';
+
+/**
+ * The schema version written by this version of the app.
+ * @type {number}
+ */
+export const SCHEMA_VERSION = 7;
+
+/**
+ * Storage key holding the schema version.
+ * @type {string}
+ */
+export const VERSION_KEY = 'schemaVersion';
+
+/**
+ * Storage keys that make up the saved state.
+ * @type {string[]}
+ */
+export const STATE_KEYS = ['items', 'nextId', 'lists', 'nextListId', 'activeListId', 'trash', 'trashRetentionDays', 'history', 'activity'];
+
+/**
+ * The saved state, as read from storage. Keys that were never saved are null.
+ * @typedef {Object} StoredState
+ * @property {Array<Object>} items Todos
+ * @property {number} nextId Next todo ID
+ * @property {Array<{ id: number, name: string, color: string }>} lists Todo lists
+ * @property {number} nextListId Next list ID
+ * @property {number} activeListId ID of the list shown
+ * @property {Array<Object>} trash Deleted todos
+ * @property {number} [trashRetentionDays] Days deleted todos are kept
+ * @property {Object<string, number>} history Todos completed per local date (`YYYY-MM-DD`)
+ * @property {Object<number, Array<Object>>} activity Activity log entries by todo ID
+ */
+
+/**
+ * A step that upgrades stored data to `version` from the version before it.
+ * @typedef {Object} Migration
+ * @property {number} version The schema version the migration produces
+ * @property {string} description What the migration changes
+ * @property {function(StoredState): StoredState} migrate Returns the upgraded state without mutating its input
+ */
+
+/**
+ * Every migration, in order. Version 0 is data saved before versioning existed:
+ * a flat `items` array of `{ id, text, completed, createdAt }` and `nextId`.
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Group todos into named lists',
+    migrate(state) {
+      const existing = Array.isArray(state.lists) ? state.lists : [];
+      let nextListId = state.nextListId ?? Math.max(0, ...existing.map(list => list.id)) + 1;
+      const lists = existing.length > 0 ? existing : [{ id: nextListId++, name: 'My Tasks', color: '#3f51b5' }];
+      const listIds = new Set(lists.map(list => list.id));
+      return {
+        ...state,
+        items: (state.items ?? []).map(todo => listIds.has(todo.listId) ? todo : { ...todo, listId: lists[0].id }),
+        lists,
+        nextListId,
+        activeListId: listIds.has(state.activeListId) ? state.activeListId : lists[0].id
+      };
+    }
+  },
+  {
+    version: 2,
+    description: 'Give todos a manual order',
+    migrate(state) {
+      // Todos keep the order they were stored in
+      return {
+        ...state,
+        items: state.items.map((todo, index) => typeof todo.order === 'number' ? todo : { ...todo, order: index })
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Fill in optional todo fields and the trash',
+    migrate(state) {
+      const withDefaults = (todo) => ({
+        dueDate: null,
+        dueTime: null,
+        tags: [],
+        priority: null,
+        parentId: null,
+        recurrence: null,
+        seriesId: null,
+        ...todo,
+        completed: Boolean(todo.completed)
+      });
+      const items = state.items.map(withDefaults);
+      const trash = (state.trash ?? []).map(withDefaults);
+      const maxId = Math.max(0, ...items.map(t => t.id), ...trash.map(t => t.id));
+      return {
+        ...state,
+        items,
+        trash,
+        nextId: Math.max(state.nextId ?? 1, maxId + 1)
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add time tracking entries to todos',
+    migrate(state) {
+      const withEntries = (todo) => Array.isArray(todo.timeEntries) ? todo : { ...todo, timeEntries: [] };
+      return {
+        ...state,
+        items: state.items.map(withEntries),
+        trash: state.trash.map(withEntries)
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Add Markdown notes to todos',
+    migrate(state) {
+      const withNotes = (todo) => typeof todo.notes === 'string' ? todo : { ...todo, notes: null };
+      return {
+        ...state,
+        items: state.items.map(withNotes),
+        trash: state.trash.map(withNotes)
+      };
+    }
+  },
+  {
+    version: 6,
+    description: 'Record when todos were completed',
+    migrate(state) {
+      // When existing todos were completed is unknown, so they start without a date and the history starts empty
+      const withCompletedAt = (todo) => 'completedAt' in todo ? todo : { ...todo, completedAt: null };
+      return {
+        ...state,
+        items: state.items.map(withCompletedAt),
+        trash: state.trash.map(withCompletedAt),
+        history: state.history ?? {}
+      };
+    }
+  },
+  {
+    version: 7,
+    description: 'Add a per-todo activity log',
+    migrate(state) {
+      return { ...state, activity: state.activity ?? {} };
+    }
+  }
+];
+
+/**
+ * The state of a new user with no saved data.
+ * @returns {StoredState} An empty state at the current schema version
+ */
+export function createInitialState() {
+  return {
+    items: [],
+    nextId: 1,
+    lists: [{ id: 1, name: 'My Tasks', color: '#3f51b5' }],
+    nextListId: 2,
+    activeListId: 1,
+    trash: [],
+    history: {},
+    activity: {}
+  };
+}
+
+/**
+ * Upgrades stored state to the current schema version.
+ * @param {StoredState} state The stored state
+ * @param {number} fromVersion The version the state was saved with
+ * @returns {StoredState} The state at {@link SCHEMA_VERSION}
+ * @throws {Error} If the version is unknown, e.g. saved by a newer version of the app
+ */
+export function migrate(state, fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Unknown schema version: ${JSON.stringify(fromVersion)}`);
+  }
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((data, migration) => migration.migrate(data), state);
+}
+
+/**
+ * Checks that state at the current schema version is usable.
+ * @param {StoredState} state The state to check
+ * @throws {Error} Describing the first problem found
+ */
+export function validateState(state) {
+  const isTodo = (todo) => todo && typeof todo === 'object'
+    && Number.isInteger(todo.id) && typeof todo.text === 'string';
+  if (!Array.isArray(state.items) || !state.items.every(isTodo)) {
+    throw new Error('Stored todos are not a list of todos');
+  }
+  if (!Array.isArray(state.trash) || !state.trash.every(isTodo)) {
+    throw new Error('Stored trash is not a list of todos');
+  }
+  if (!Array.isArray(state.lists) || state.lists.length === 0
+    || !state.lists.every(list => list && Number.isInteger(list.id) && typeof list.name === 'string')) {
+    throw new Error('Stored lists are missing or invalid');
+  }
+
+  if (!state.history || typeof state.history !== 'object' || Array.isArray(state.history)
+    || !Object.values(state.history).every(count => Number.isInteger(count) && count >= 0)) {
+    throw new Error('Stored completion history is invalid');
+  }
+  if (!state.activity || typeof state.activity !== 'object' || Array.isArray(state.activity)
+    || !Object.values(state.activity).every(Array.isArray)) {
+    throw new Error('Stored activity log is invalid');
+  }
+
+  const ids = [...state.items, ...state.trash].map(t => t.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Stored todos have duplicate IDs');
+  }
+  if (!Number.isInteger(state.nextId) || ids.some(id => id >= state.nextId)) {
+    throw new Error('Stored next todo ID is invalid');
+  }
+}
+
+/**
+ * Reads data exported by {@link TodoModel#exportData}, possibly by an older version,
+ * migrating and checking it like saved data.
+ * @param {Object} data The exported data, tagged with its schema version
+ * @returns {StoredState} The state at {@link SCHEMA_VERSION}
+ * @throws {Error} If the data cannot be migrated or is not usable
+ */
+export function readExport(data) {
+  const stored = Object.fromEntries(STATE_KEYS.map(key => [key, data?.[key] ?? null]));
+  const state = migrate(structuredClone(stored), data?.[VERSION_KEY] ?? 0);
+  validateState(state);
+  return state;
+}
+
+/**
+ * Reads the saved state, migrating it to the current schema version.
+ * If it cannot be migrated, the stored data is copied to a `backup_<timestamp>` key
+ * together with the reason, and an empty state is returned. If the copy cannot be saved
+ * either, the stored data is left as it is and an error is thrown.
+ * @param {{ load: Function, save: Function }} storage The storage service
+ * @returns {{ state: StoredState, migrated: boolean, error: Error|null }} The state, whether it
+ *   differs from the stored data and should be saved, and the error if the data was quarantined
+ * @throws {StorageError} If the data could not be migrated or backed up
+ */
+export function loadState(storage) {
+  const version = storage.load(VERSION_KEY, null);
+  const stored = Object.fromEntries(STATE_KEYS.map(key => [key, storage.load(key, null)]));
+  const restored = restoreState(version, stored);
+  if (restored.error) {
+    const [backupKey, backup] = createBackup(restored.error, version, stored);
+    try {
+      storage.save(backupKey, backup);
+    } catch (backupError) {
+      throw backupFailed(restored.error, backupError);
+    }
+    console.error(`Saved todos could not be loaded and were moved to "${backupKey}":`, restored.error);
+  }
+  return restored;
+}
+
+/**
+ * Like {@link loadState}, for storage services whose `load` and `save` return promises.
+ * The empty state is only returned once the backup has been saved.
+ * @param {{ load: Function, save: Function }} storage The storage service
+ * @returns {Promise<{ state: StoredState, migrated: boolean, error: Error|null }>}
+ * @throws {StorageError} If the data could not be migrated or backed up
+ */
+export async function loadStateAsync(storage) {
+  const [version, ...values] = await Promise.all([VERSION_KEY, ...STATE_KEYS].map(key => storage.load(key, null)));
+  const stored = Object.fromEntries(STATE_KEYS.map((key, i) => [key, values[i]]));
+  const restored = restoreState(version, stored);
+  if (restored.error) {
+    const [backupKey, backup] = createBackup(restored.error, version, stored);
+    try {
+      await storage.save(backupKey, backup);
+    } catch (backupError) {
+      throw backupFailed(restored.error, backupError);
+    }
+    console.error(`Saved todos could not be loaded and were moved to "${backupKey}":`, restored.error);
+  }
+  return restored;
+}
+
+/**
+ * Migrates and validates stored data, falling back to an empty state if that fails.
+ * @private
+ * @param {number|null} version The stored schema version
+ * @param {StoredState} stored The stored data
+ * @returns {{ state: StoredState, migrated: boolean, error: Error|null }} The error if the
+ *   data has to be backed up before the empty state replaces it
+ */
+function restoreState(version, stored) {
+  const hasData = Object.values(stored).some(value => value !== null);
+
+  if (version === null && !hasData) {
+    return { state: createInitialState(), migrated: false, error: null };
+  }
+
+  try {
+    const state = migrate(stored, version ?? 0);
+    validateState(state);
+    return { state, migrated: version !== SCHEMA_VERSION, error: null };
+  } catch (error) {
+    return { state: createInitialState(), migrated: true, error };
+  }
+}
+
+/**
+ * The backup of stored data that could not be migrated.
+ * @private
+ * @param {Error} error Why it could not be migrated
+ * @param {number|null} version The stored schema version
+ * @param {StoredState} stored The stored data
+ * @returns {[string, Object]} The key to save it under, and the value
+ */
+function createBackup(error, version, stored) {
+  return [`backup_${Date.now()}`, { reason: error.message, schemaVersion: version, data: stored }];
+}
+
+/**
+ * The error reported when stored data could neither be migrated nor backed up.
+ * @private
+ * @param {Error} error Why it could not be migrated
+ * @param {Error} backupError Why it could not be backed up
+ * @returns {StorageError}
+ */
+function backupFailed(error, backupError) {
+  console.error('Saved todos could not be loaded or backed up:', error, backupError);
+  return new StorageError('Your saved todos could not be read, and were left as they are', { cause: backupError });
+}
@@ -1,137 +1,2131 @@
 /**
  * @fileoverview TodoModel manages the todo list data and business logic.
  * Implements the Observer pattern to allow reactive updates for UI components.
+ * Every mutation runs as a reversible command so it can be undone and redone.
+ */
+
+import { isOverdue, toLocalDateString } from '../utils/due-date.js';
+import { parseRule, nextOccurrence } from '../utils/recurrence.js';
+import { normalizeTag } from '../utils/tags.js';
+import { buildChildMap, getDescendants, getProgress, compareByOrder } from '../utils/todo-tree.js';
+import { getRunningEntry, stopEntries } from '../utils/time-tracking.js';
+import { resetTasks } from '../utils/markdown.js';
+import { createEntry, appendEntry, trimActivity } from '../utils/activity-log.js';
+import { SYNCED_COLLECTIONS, compareClocks, isConcurrent, toRecords, takeSnapshot, diffState, mergeLogs } from '../utils/sync-state.js';
+import { SCHEMA_VERSION, VERSION_KEY, createInitialState, loadState, loadStateAsync, readExport } from './migrations.js';
+import { ValidationError, TodoNotFoundError, ListNotFoundError } from './errors.js';
+import { COLLECTIONS } from '../services/indexeddb-storage-service.js';
+import {
+  PRIORITIES, validateText, validateListName, validateDueDate, validateDueTime,
+  validatePriority, validateRecurrence, validateTags, validateNotes, validateFields, validateImport
+} from './validation.js';
+
+export { PRIORITIES };
+
+/**
+ * Maximum number of commands kept in the undo history.
+ * @type {number}
+ */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Todo fields that can be changed through `updateTodo`.
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = ['text', 'dueDate', 'dueTime', 'tags', 'recurrence', 'priority', 'notes'];
+
+/**
+ * Number of days deleted todos are kept in the trash when no other retention period is set.
+ * @type {number}
+ */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Colour given to lists when none is chosen.
+ * @type {string}
+ */
+const DEFAULT_LIST_COLOR = '#3f51b5';
+
+/**
+ * A named list (project) of todos.
+ * @typedef {Object} TodoList
+ * @property {number} id Unique list ID
+ * @property {string} name Display name
+ * @property {string} color CSS colour used to mark the list
+ */
+
+/**
+ * Compares two field values, treating arrays with the same items as equal.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} True if the values are the same
+ */
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  return a === b;
+}
+
+/**
+ * Formats a count with a noun, e.g. "1 todo" or "3 todos".
+ * @param {number} count The count
+ * @param {string} noun The singular noun
+ * @returns {string} The count and noun
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * A change record passed to subscribers and dispatched as an event.
+ * `added`, `updated` and `removed` describe a single todo entering, changing in or leaving
+ * the todo list (deleted todos leave it for the trash). `reset` means anything else may
+ * have changed (lists, the active list, the trash or settings) and should be re-read.
+ * @typedef {Object} TodoChange
+ * @property {'added'|'updated'|'removed'|'reset'} type The kind of change
+ * @property {Object} [todo] The todo concerned; not set for `reset`
+ * @property {string[]} [fields] For `updated`, the fields that changed
+ */
+
+/**
+ * Change types that undo one another.
+ * @type {Object<string, string>}
+ */
+const INVERSE_CHANGE = { added: 'removed', removed: 'added', updated: 'updated', reset: 'reset' };
+
+/**
+ * Change records for todos entering the list.
+ * @param {Array<Object>} todos The todos
+ * @returns {TodoChange[]} One `added` record per todo
+ */
+function added(todos) {
+  return todos.map(todo => ({ type: 'added', todo }));
+}
+
+/**
+ * Change records for todos changed in place.
+ * @param {Array<Object>} todos The todos
+ * @param {string[]} fields The fields that changed
+ * @returns {TodoChange[]} One `updated` record per todo
+ */
+function updated(todos, fields) {
+  return todos.map(todo => ({ type: 'updated', todo, fields }));
+}
+
+/**
+ * Change records for todos leaving the list.
+ * @param {Array<Object>} todos The todos
+ * @returns {TodoChange[]} One `removed` record per todo
+ */
+function removed(todos) {
+  return todos.map(todo => ({ type: 'removed', todo }));
+}
+
+/**
+ * Change record for changes that are not about individual todos.
+ * @returns {TodoChange[]} A single `reset` record
+ */
+function reset() {
+  return [{ type: 'reset' }];
+}
+
+/**
+ * The change records of reverting a command.
+ * @param {TodoChange[]} changes The change records of the command
+ * @returns {TodoChange[]} The records of undoing it, in reverse order
+ */
+function invertChanges(changes) {
+  return [...changes].reverse().map(change => ({ ...change, type: INVERSE_CHANGE[change.type] }));
+}
+
+/**
+ * The records of each collection that storage services may save one at a time.
+ * @param {import('./migrations.js').StoredState} state The state
+ * @returns {Object<string, Map<number|string, Object>>} Records by collection key and ID
+ */
+function collectionRecords(state) {
+  return Object.fromEntries(Object.entries(COLLECTIONS).map(([key, kind]) => [
+    key,
+    new Map(kind === 'list' ? state[key].map(record => [record.id, record]) : Object.entries(state[key]))
+  ]));
+}
+
+/**
+ * Works out the todos and lists to add to a state to merge imported ones into it.
+ * Imported lists join the list of the same name (ignoring case) or are created. Todos without
+ * a list join the active list, or a new default list if there is none. Subtasks go into their
+ * parent's list, and todos already in the state (same text and creation time) are skipped.
+ * Running timers are stopped, so at most the one already running here keeps running.
+ * @param {import('./migrations.js').StoredState} state The state to merge into
+ * @param {import('../utils/todo-formats.js').TodoImport} imported Validated todos and lists
+ * @param {Date} now When the todos are imported, for missing timestamps
+ * @returns {{ lists: Array<Object>, todos: Array<Object>, nextId: number, nextListId: number }}
+ *   The lists and todos to add, in order, and the next IDs after them
+ */
+function mergeImport(state, imported, now) {
+  let { nextId, nextListId } = state;
+  const timestamp = now.toISOString();
+
+  const lists = [];
+  const findList = (name) => [...state.lists, ...lists].find(list => list.name.toLowerCase() === name.toLowerCase());
+  const addList = (name, color = DEFAULT_LIST_COLOR) => {
+    const list = { id: nextListId++, name, color };
+    lists.push(list);
+    return list;
+  };
+  const listIds = new Map(imported.lists.map(list => [list.id, (findList(list.name) ?? addList(list.name, list.color)).id]));
+  const defaultListId = () => {
+    const { name } = createInitialState().lists[0];
+    return (findList(name) ?? addList(name)).id;
+  };
+
+  const existing = new Map(state.items.map(todo => [`${todo.createdAt}\n${todo.text}`, todo]));
+  const byId = new Map(imported.items.map(todo => [todo.id, todo]));
+  const matches = new Map();
+  const ids = new Map();
+  imported.items.forEach(todo => {
+    const match = todo.createdAt && existing.get(`${todo.createdAt}\n${todo.text}`);
+    if (match) {
+      matches.set(todo.id, match);
+    }
+    ids.set(todo.id, match ? match.id : nextId++);
+  });
+  // A parent that leads back to the todo is dropped, so subtasks never form a loop
+  const parentOf = (todo) => {
+    const seen = new Set([todo.id]);
+    for (let parent = byId.get(todo.parentId); parent; parent = byId.get(parent.parentId)) {
+      if (seen.has(parent.id)) {
+        return null;
+      }
+      seen.add(parent.id);
+    }
+    return byId.get(todo.parentId) ?? null;
+  };
+  const listOf = (todo) => {
+    const parent = parentOf(todo);
+    return matches.get(todo.id)?.listId
+      ?? (parent ? listOf(parent) : listIds.get(todo.listId) ?? state.activeListId ?? defaultListId());
+  };
+
+  const orders = new Map();
+  const nextOrder = (listId, parentId) => {
+    const key = `${listId}:${parentId}`;
+    if (!orders.has(key)) {
+      const siblings = state.items.filter(t => t.listId === listId && (t.parentId ?? null) === parentId);
+      orders.set(key, siblings.length > 0 ? Math.max(...siblings.map(t => t.order ?? 0)) + 1 : 0);
+    }
+    const order = orders.get(key);
+    orders.set(key, order + 1);
+    return order;
+  };
+
+  const todos = imported.items
+    .filter(todo => !matches.has(todo.id))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .map(todo => {
+      const id = ids.get(todo.id);
+      const parent = parentOf(todo);
+      const parentId = parent ? ids.get(parent.id) : null;
+      const listId = listOf(todo);
+      return {
+        id,
+        listId,
+        order: nextOrder(listId, parentId),
+        text: todo.text,
+        completed: todo.completed,
+        createdAt: todo.createdAt ?? timestamp,
+        completedAt: todo.completed ? (todo.completedAt ?? timestamp) : null,
+        dueDate: todo.dueDate,
+        dueTime: todo.dueTime,
+        tags: todo.tags,
+        priority: todo.priority,
+        parentId,
+        recurrence: todo.recurrence,
+        seriesId: todo.recurrence ? (ids.get(todo.seriesId) ?? id) : null,
+        notes: todo.notes,
+        timeEntries: stopEntries(Array.isArray(todo.timeEntries) ? todo.timeEntries : [], timestamp)
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+  return { lists, todos, nextId, nextListId };
+}
+
+/**
+ * What a command does to a single todo, for its activity log.
+ * @typedef {Object} ActivityRecord
+ * @property {number} id The todo's ID
+ * @property {import('../utils/activity-log.js').ActivityAction} action What happens to it
+ * @property {import('../utils/activity-log.js').FieldChanges} [changes] Changed fields
+ */
+
+/**
+ * A reversible change to the todo list.
+ * @typedef {Object} TodoCommand
+ * @property {string} label Short human-readable description of the change
+ * @property {TodoChange[]} changes What applying the command changes
+ * @property {ActivityRecord[]} [activity] What to add to the activity logs of the todos involved
+ * @property {Function} apply Performs (or re-performs) the change
+ * @property {Function} revert Reverses the change
  */
 
 /**
  * Manages a collection of todos, including CRUD operations and state persistence.
- * Notifies subscribers whenever the list changes.
+ * Todos are grouped into named lists; counts and bulk clears apply to the active list.
+ * Deleted todos are moved to a trash, from which they can be restored until they are purged.
+ * Notifies subscribers whenever the list changes, with {@link TodoChange} records describing
+ * the change. Each record is also dispatched as an event of its type (`added`, `updated`,
+ * `removed` or `reset`, with the record as `detail`), followed by a `change` event whose
+ * `detail.changes` holds all records of the change.
+ *
+ * Invalid input throws a {@link ValidationError} and unknown IDs throw a
+ * {@link TodoNotFoundError} or {@link ListNotFoundError}; nothing is changed in either case.
+ * Changes that would not change anything (e.g. adding a tag a todo already has) are ignored.
+ *
+ * With a synchronous storage service (localStorage), a failed save throws a
+ * {@link import('./errors.js').StorageError} from the method that made the change. With an
+ * asynchronous one (IndexedDB), the change is saved in the background and a failure is
+ * dispatched as a `save-error` event with the error as `detail.error`.
+ *
+ * Tabs showing the same todos stay in sync once {@link TodoModel#startSync} is called:
+ * each change is broadcast to the other tabs, which apply it and notify their subscribers
+ * with a `reset` record. Edits made to the same field in two tabs at once are resolved in
+ * favour of the later one in every tab, and reported with a `sync-conflict` event.
  */
-export class TodoModel {
-  constructor(storageService) {
+export class TodoModel extends EventTarget {
+  /**
+   * Creates a model backed by an asynchronous storage service such as
+   * {@link import('../services/indexeddb-storage-service.js').IndexedDBStorageService},
+   * once its saved todos and lists have been read. Works with synchronous services too.
+   * @param {Object} storageService Where todos and lists are saved
+   * @param {Object} [options] Options for the {@link TodoModel} constructor
+   * @returns {Promise<TodoModel>}
+   * @throws {import('./errors.js').StorageError} If saved data cannot be read, or cannot be
+   *   migrated and could not be backed up either
+   */
+  static async load(storageService, options = {}) {
+    const loaded = await loadStateAsync(storageService);
+    return new TodoModel(storageService, { ...options, loaded });
+  }
+
+  /**
+   * Creates a model backed by a storage service, loading any saved todos and lists.
+   * Data saved by an older version of the app is migrated to the current schema;
+   * data that cannot be read is moved to a backup key and the model starts empty.
+   * Use {@link TodoModel.load} for asynchronous storage services.
+   * @param {import('../services/storage-service.js').StorageService} storageService Where todos and lists are saved
+   * @param {Object} [options]
+   * @param {number} [options.trashRetentionDays] Days to keep deleted todos; defaults to the
+   *   saved setting or {@link DEFAULT_TRASH_RETENTION_DAYS}
+   * @param {Object} [options.loaded] State already read by {@link TodoModel.load}
+   * @throws {import('./errors.js').StorageError} If saved data cannot be read and could not be
+   *   backed up either; it is then left as it is
+   */
+  constructor(storageService, { trashRetentionDays, loaded } = {}) {
+    super();
     this.storage = storageService;
-    this.todos = this.storage.load('items', []);
-    this.listeners = [];
-    this.nextId = this.storage.load('nextId', 1);
+    /** @type {Promise<void>} Settles once every asynchronous save started so far has finished */
+    this.saving = Promise.resolve();
+    const { state, migrated } = loaded ?? loadState(this.storage);
+    this.todos = state.items;
+    /** @type {Array<Object>} Deleted todos, each with a `deletedAt` timestamp */
+    this.trash = state.trash;
+    this.trashRetentionDays = trashRetentionDays ?? state.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+    /** @type {Object<string, number>} Todos completed per local date, kept when the todos are deleted */
+    this.history = state.history;
+    /** @type {Object<number, import('../utils/activity-log.js').ActivityEntry[]>} Activity log by todo ID */
+    this.activity = state.activity;
+    this.nextId = state.nextId;
+    /** @type {TodoList[]} */
+    this.lists = state.lists;
+    this.nextListId = state.nextListId;
+    this.activeListId = state.activeListId;
+    /** @type {TodoCommand[]} */
+    this.undoStack = [];
+    /** @type {TodoCommand[]} */
+    this.redoStack = [];
+    /** @type {TodoCommand[]|null} Commands collected by the batch in progress */
+    this.pendingBatch = null;
+    /** @type {import('../services/tab-sync.js').TabSync|null} Channel to the other tabs, once syncing */
+    this.sync = null;
+    /** @type {Object|null} State as last sent to or received from the other tabs */
+    this.syncSnapshot = null;
+    /** @type {Map<string, Object<string, import('../utils/sync-state.js').SyncClock>>} When each synced field was last written, by `<collection>:<id>` */
+    this.clocks = new Map();
+    /** @type {Array<{ origin: string, id: number, createdAt: string }>} Todos another tab added with an ID taken here, until it renumbers them */
+    this.clashes = [];
+    /**
+     * The records of each collection as last saved, by key and ID, or null when the next
+     * save has to write everything (the data was just migrated, or a save failed).
+     * @type {Object<string, Map<number|string, Object>>|null}
+     */
+    this.savedRecords = migrated ? null : collectionRecords(state);
+
+    // Write upgraded data back so it is only migrated once
+    if (migrated) {
+      try {
+        this.save();
+      } catch (error) {
+        // Not fatal: the data is migrated again on the next load, and the next change reports the error.
+        // Asynchronous storage reports it as a save-error event instead
+        console.error('Failed to save migrated todos:', error);
+      }
+    }
+    this.purgeTrash();
+    this.pruneActivity();
   }
 
   /**
    * Subscribe to model changes.
-   * The listener will be called whenever the todo list changes.
-   * @param {Function} listener Callback function to invoke on changes
+   * The listener will be called whenever the todo list changes, with the change records.
+   * @param {function(TodoChange[]): void} listener Callback function to invoke on changes
+   * @returns {Function} Call to unsubscribe the listener
    */
   subscribe(listener) {
-    this.listeners.push(listener);
+    const handleChange = (event) => listener(event.detail.changes);
+    this.addEventListener('change', handleChange);
+    return () => this.removeEventListener('change', handleChange);
   }
 
   /**
-   * Notify all subscribers of changes to the todo list.
+   * Notify listeners of changes to the todo list: one event per change record, then a `change` event.
    * @private
+   * @param {TodoChange[]} changes What changed
    */
-  notify() {
-    this.listeners.forEach(listener => listener());
+  notify(changes) {
+    changes.forEach(change => this.dispatchEvent(new CustomEvent(change.type, { detail: change })));
+    this.dispatchEvent(new CustomEvent('change', { detail: { changes } }));
   }
 
   /**
-   * Add a new todo item.
-   * Ignores empty or whitespace-only strings.
-   * @param {string} text The text of the new todo
+   * Run a command, record it in the undo history, then persist and notify.
+   * Recording a new command discards anything that could have been redone.
+   * Inside {@link TodoModel#batch} the command is only run and collected.
+   * @private
+   * @param {TodoCommand} command The command to run
+   */
+  execute(command) {
+    command.apply();
+    if (this.pendingBatch) {
+      this.pendingBatch.push(command);
+      return;
+    }
+    this.record(command);
+  }
+
+  /**
+   * Record a command that has already been run, then persist and notify.
+   * @private
+   * @param {TodoCommand} command The command to record
+   */
+  record(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.logActivity(command.activity);
+    this.persist(command.changes);
+  }
+
+  /**
+   * Append what a command did (or undid) to the activity logs of the todos involved.
+   * @private
+   * @param {ActivityRecord[]} [records=[]] The command's activity records
+   * @param {Object} [options]
+   * @param {boolean} [options.undone=false] True when the command is being undone
+   */
+  logActivity(records = [], { undone = false } = {}) {
+    if (records.length === 0) {
+      return;
+    }
+    const at = new Date();
+    const activity = { ...this.activity };
+    records.forEach(({ id, action, changes }) => {
+      activity[id] = appendEntry(activity[id] ?? [], createEntry(action, { changes, undone, at }));
+    });
+    this.activity = trimActivity(activity);
+  }
+
+  /**
+   * Drop the activity logs of todos that no longer exist, e.g. after they were deleted
+   * permanently. Logs are kept until the next load, so undoing a permanent delete keeps them.
+   * @private
+   */
+  pruneActivity() {
+    const ids = new Set([...this.todos, ...this.trash].map(t => String(t.id)));
+    const kept = Object.fromEntries(Object.entries(this.activity).filter(([id]) => ids.has(id)));
+    if (Object.keys(kept).length < Object.keys(this.activity).length) {
+      this.activity = kept;
+      this.save();
+    }
+  }
+
+  /**
+   * Save to storage, then notify subscribers. Subscribers are notified even if saving
+   * fails, since the change has been made in memory; the storage error is passed on.
+   * @private
+   * @param {TodoChange[]} changes What changed
+   * @throws {import('./errors.js').StorageError} If the data could not be saved
+   */
+  persist(changes) {
+    try {
+      // Todos are changed in place, so the change records say which ones to write
+      this.save({ items: changes.filter(change => change.todo).map(change => change.todo.id) });
+    } finally {
+      this.notify(changes);
+      this.publishChanges();
+    }
+  }
+
+  /**
+   * Start syncing with the other tabs: broadcast every change made here and apply the
+   * changes made there. Undoing is limited to changes made since the last change from
+   * another tab, since undoing older ones could silently revert that change.
+   * @param {import('../services/tab-sync.js').TabSync} sync The channel to the other tabs
+   * @returns {Function} Call to stop syncing
+   */
+  startSync(sync) {
+    this.sync = sync;
+    this.syncSnapshot = takeSnapshot(this);
+    const unsubscribe = sync.subscribe(message => this.applyRemoteChanges(message));
+    return () => {
+      unsubscribe();
+      this.sync = null;
+    };
+  }
+
+  /**
+   * Broadcast what changed since the last broadcast, stamping each changed field with a clock.
+   * @private
+   */
+  publishChanges() {
+    if (!this.sync) {
+      return;
+    }
+    const { snapshot, changes } = diffState(this.syncSnapshot, this);
+    this.syncSnapshot = snapshot;
+    if (!changes) {
+      return;
+    }
+
+    const clock = { at: Date.now(), origin: this.sync.tabId };
+    const collections = Object.fromEntries(Object.entries(changes.collections).map(([name, { upserts, deletes }]) => [name, {
+      upserts: upserts.map(upsert => {
+        const key = `${name}:${upsert.record.id}`;
+        const clocks = this.clocks.get(key) ?? {};
+        // The clocks the other tabs should have for these fields, unless they changed them too
+        const base = Object.fromEntries(upsert.fields.map(field => [field, clocks[field] ?? null]));
+        upsert.fields.forEach(field => { clocks[field] = clock; });
+        this.clocks.set(key, clocks);
+        return { ...upsert, base };
+      }),
+      deletes
+    }]));
+    Object.entries(collections).forEach(([name, { deletes }]) => {
+      deletes.forEach(id => this.clocks.delete(`${name}:${id}`));
+    });
+
+    this.sync.publish({ clock, collections, history: changes.history, nextId: this.nextId, nextListId: this.nextListId });
+  }
+
+  /**
+   * Apply changes broadcast by another tab, then save and notify subscribers.
+   * Conflicting edits are resolved by {@link TodoModel#mergeRecord}; those decided in
+   * favour of one tab are dispatched as a `sync-conflict` event with `detail.conflicts`.
+   * @private
+   * @param {Object} message The message from {@link TodoModel#publishChanges}
+   */
+  applyRemoteChanges(message) {
+    const records = Object.fromEntries(Object.entries(toRecords(this)).map(([name, list]) => [name, [...list]]));
+    /** @type {Array<{ collection: string, id: number, field: string, kept: 'local'|'remote' }>} */
+    const conflicts = [];
+    /** @type {number[]} New IDs of todos added here that clashed with the sender's */
+    const renumbered = [];
+    // Until the sender renumbers a clashing todo, what it sends about that ID is about its own todo
+    const isClashing = (name, id) => (name === 'todos' || name === 'activity')
+      && this.clashes.some(clash => clash.origin === message.origin && clash.id === id);
+
+    SYNCED_COLLECTIONS.forEach(name => {
+      const { upserts, deletes } = message.collections[name];
+      upserts.forEach(upsert => {
+        const { record } = upsert;
+        const clash = name === 'todos' && this.clashes.find(c => c.origin === message.origin && c.createdAt === record.createdAt);
+        if (clash && clash.id !== record.id) {
+          this.clashes = this.clashes.filter(c => c !== clash);
+        }
+        if (!isClashing(name, record.id)) {
+          this.mergeRecord(records, name, upsert, { message, conflicts, renumbered });
+        }
+      });
+      const deleted = new Set(deletes.filter(id => !isClashing(name, id)));
+      records[name] = records[name].filter(record => !deleted.has(record.id));
+      deleted.forEach(id => this.clocks.delete(`${name}:${id}`));
+    });
+
+    const [{ listOrder, trashRetentionDays }] = records.settings;
+    const position = (list) => {
+      const index = listOrder.indexOf(list.id);
+      return index === -1 ? listOrder.length + list.id : index;
+    };
+    this.todos = records.todos;
+    this.trash = records.trash;
+    this.lists = records.lists.sort((a, b) => position(a) - position(b));
+    this.trashRetentionDays = trashRetentionDays;
+    this.activity = Object.fromEntries(records.activity.map(({ id, entries }) => [id, entries]));
+    this.history = { ...this.history };
+    Object.entries(message.history).forEach(([date, delta]) => {
+      const count = (this.history[date] ?? 0) + delta;
+      if (count > 0) {
+        this.history[date] = count;
+      } else {
+        delete this.history[date];
+      }
+    });
+    this.nextId = Math.max(this.nextId, message.nextId);
+    this.nextListId = Math.max(this.nextListId, message.nextListId);
+    if (!this.lists.some(list => list.id === this.activeListId)) {
+      this.activeListId = this.lists[0].id;
+    }
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.syncSnapshot = takeSnapshot(this);
+    // Renumbered todos are new to the other tabs, and their subtasks have a new parent
+    renumbered.forEach(id => {
+      this.syncSnapshot.collections.todos.delete(id);
+      this.syncSnapshot.collections.activity.delete(id);
+      this.todos.filter(t => t.parentId === id).forEach(t => {
+        delete this.syncSnapshot.collections.todos.get(t.id).parentId;
+      });
+    });
+    // Merged records are changed in place, so name them, with the subtasks of renumbered todos
+    const merged = (name) => [...message.collections[name].upserts.map(({ record }) => record.id), ...message.collections[name].deletes];
+    try {
+      this.save({
+        items: [...merged('todos'), ...renumbered, ...this.todos.filter(t => renumbered.includes(t.parentId)).map(t => t.id)],
+        trash: merged('trash'),
+        activity: merged('activity')
+      });
+    } catch (error) {
+      this.dispatchEvent(new CustomEvent('save-error', { detail: { error } }));
+    } finally {
+      this.notify(reset());
+      this.publishChanges();
+    }
+    if (conflicts.length > 0) {
+      this.dispatchEvent(new CustomEvent('sync-conflict', { detail: { conflicts } }));
+    }
+  }
+
+  /**
+   * Merge a record added or changed in another tab, field by field.
+   * A field changed in both tabs at once keeps the later change (activity logs keep both).
+   * A change to a record that was removed here is dropped: removing wins. Two tabs adding
+   * different todos with the same ID at once keep both: the one created later (or, if
+   * created at the same moment, the one sorting later) is moved to the next free ID by the
+   * tab that added it, which then broadcasts it as a new todo.
+   * @private
+   * @param {Object<string, Array<Object>>} records Records by collection, being merged into
+   * @param {string} name The record's collection
+   * @param {{ record: Object, fields: string[], added: boolean, base: Object }} upsert The change
+   * @param {Object} context
+   * @param {Object} context.message The message the change came in
+   * @param {Array<Object>} context.conflicts Resolved conflicts, added to
+   * @param {number[]} context.renumbered New IDs of todos renumbered here, added to
+   */
+  mergeRecord(records, name, { record, fields, added, base }, { message, conflicts, renumbered }) {
+    const list = records[name];
+    let local = list.find(r => r.id === record.id);
+    // A todo created at another moment is another todo, even if nothing here says when it was
+    // added (e.g. after a reload, or when it was added in another browser)
+    const clash = name === 'todos' && local && added
+      && (local.createdAt !== record.createdAt
+        || (local.text !== record.text && isConcurrent(this.clocks.get(`todos:${local.id}`)?.id, base.id)));
+    if (clash) {
+      const localFirst = local.createdAt.localeCompare(record.createdAt)
+        || (JSON.stringify(local) < JSON.stringify(record) ? -1 : 1);
+      if (localFirst < 0) {
+        this.clashes.push({ origin: message.origin, id: record.id, createdAt: record.createdAt });
+        return;
+      }
+      const id = Math.max(this.nextId, message.nextId);
+      this.nextId = id + 1;
+      this.renumberTodo(records, local, id);
+      renumbered.push(id);
+      local = null;
+    }
+
+    if (!local) {
+      if (added) {
+        list.push(structuredClone(record));
+        this.clocks.set(`${name}:${record.id}`, Object.fromEntries(fields.map(field => [field, message.clock])));
+      }
+      return;
+    }
+
+    const key = `${name}:${local.id}`;
+    const clocks = this.clocks.get(key) ?? {};
+    fields.forEach(field => {
+      const localClock = clocks[field];
+      if (isConcurrent(localClock, base[field]) && JSON.stringify(local[field]) !== JSON.stringify(record[field])) {
+        if (name === 'activity') {
+          local.entries = mergeLogs(local.entries, record.entries);
+          clocks[field] = compareClocks(localClock, message.clock) > 0 ? localClock : message.clock;
+          return;
+        }
+        const remoteWins = compareClocks(message.clock, localClock) > 0;
+        conflicts.push({ collection: name, id: local.id, field, kept: remoteWins ? 'remote' : 'local' });
+        if (!remoteWins) {
+          return;
+        }
+      }
+      if (record[field] === undefined) {
+        delete local[field];
+      } else {
+        local[field] = structuredClone(record[field]);
+      }
+      clocks[field] = message.clock;
+    });
+    this.clocks.set(key, clocks);
+  }
+
+  /**
+   * Give a todo a new ID, updating its subtasks, activity log and clocks.
+   * @private
+   * @param {Object<string, Array<Object>>} records Records by collection, being merged into
+   * @param {Object} todo The todo
+   * @param {number} id Its new ID
+   */
+  renumberTodo(records, todo, id) {
+    const oldId = todo.id;
+    records.todos.forEach(t => {
+      if (t.parentId === oldId) {
+        t.parentId = id;
+      }
+    });
+    records.activity.forEach(log => {
+      if (log.id === oldId) {
+        log.id = id;
+      }
+    });
+    ['todos', 'activity'].forEach(name => {
+      if (this.clocks.has(`${name}:${oldId}`)) {
+        this.clocks.set(`${name}:${id}`, this.clocks.get(`${name}:${oldId}`));
+        this.clocks.delete(`${name}:${oldId}`);
+      }
+    });
+    todo.id = id;
+  }
+
+  /**
+   * Keep track of asynchronous storage writes. The change they save has already been made
+   * in memory, so a failed write is dispatched as a `save-error` event rather than thrown.
+   * @private
+   * @param {Array<Promise|undefined>} writes What the storage service's `write` calls returned
+   */
+  track(writes) {
+    const pending = writes.filter(write => write instanceof Promise);
+    if (pending.length === 0) {
+      return;
+    }
+    const saved = Promise.all(pending).catch(error => {
+      this.dispatchEvent(new CustomEvent('save-error', { detail: { error } }));
+    });
+    this.saving = Promise.all([this.saving, saved]).then(() => {});
+  }
+
+  /**
+   * Wait until changes made so far have been written to an asynchronous storage service.
+   * @returns {Promise<void>} Resolves once every pending save has finished or failed
+   */
+  whenSaved() {
+    return this.saving;
+  }
+
+  /**
+   * Get a todo by ID.
+   * @private
+   * @param {number} id The unique ID of the todo
+   * @returns {Object} The todo
+   * @throws {TodoNotFoundError} If there is no such todo
+   */
+  requireTodo(id) {
+    const todo = this.todos.find(t => t.id === id);
+    if (!todo) {
+      throw new TodoNotFoundError(id);
+    }
+    return todo;
+  }
+
+  /**
+   * Get a list by ID.
+   * @private
+   * @param {number} id The ID of the list
+   * @returns {TodoList} The list
+   * @throws {ListNotFoundError} If there is no such list
+   */
+  requireList(id) {
+    const list = this.lists.find(l => l.id === id);
+    if (!list) {
+      throw new ListNotFoundError(id);
+    }
+    return list;
+  }
+
+  /**
+   * Run several changes as a single command: they are undone and redone together,
+   * and the list is saved and subscribers notified once, after the last change.
+   * Nested batches are merged into the outer one.
+   * If a change throws, the changes made so far are reverted and the error is rethrown.
+   * @param {string} label Short human-readable description of the whole batch
+   * @param {Function} changes Callback making the changes through other model methods
    */
-  addTodo(text) {
-    if (!text || text.trim() === '') {
+  batch(label, changes) {
+    if (this.pendingBatch) {
+      changes();
       return;
     }
 
-    const todo = {
-      id: this.nextId++,
-      text: text.trim(),
+    const commands = [];
+    this.pendingBatch = commands;
+    try {
+      changes();
+    } catch (error) {
+      [...commands].reverse().forEach(command => command.revert());
+      throw error;
+    } finally {
+      this.pendingBatch = null;
+    }
+    if (commands.length === 0) {
+      return;
+    }
+    this.record({
+      label,
+      changes: commands.flatMap(command => command.changes),
+      activity: commands.flatMap(command => command.activity ?? []),
+      apply: () => commands.forEach(command => command.apply()),
+      revert: () => [...commands].reverse().forEach(command => command.revert())
+    });
+  }
+
+  /**
+   * Add a new todo item.
+   * @param {string} text The text of the new todo
+   * @param {Object} [options] Optional todo fields
+   * @param {string|null} [options.dueDate] Due date in `YYYY-MM-DD` format
+   * @param {string|null} [options.dueTime] Due time in `HH:MM` format, only used with a due date
+   * @param {string[]} [options.tags] Tags for the todo
+   * @param {number|null} [options.parentId] ID of the todo this is a subtask of
+   * @param {string|null} [options.recurrence] Recurrence rule, e.g. `FREQ=WEEKLY;BYDAY=MO`
+   * @param {string|null} [options.priority] One of {@link PRIORITIES}, or null for no priority
+   * @param {string|null} [options.notes] Markdown notes
+   * @param {number} [options.listId] List to add the todo to; defaults to the active list (or the parent's list)
+   * @throws {ValidationError} If the text is empty or too long, or another field is invalid
+   * @throws {TodoNotFoundError} If the parent todo does not exist
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  addTodo(text, { dueDate = null, dueTime = null, tags = [], parentId = null, recurrence = null, priority = null, notes = null, listId } = {}) {
+    const fields = {
+      text: validateText(text),
+      dueDate: validateDueDate(dueDate),
+      dueTime: validateDueTime(dueTime),
+      tags: validateTags(tags),
+      recurrence: validateRecurrence(recurrence),
+      priority: validatePriority(priority),
+      notes: validateNotes(notes)
+    };
+    const parent = parentId != null ? this.requireTodo(parentId) : null;
+    const targetListId = parent ? parent.listId : (listId ?? this.activeListId);
+    this.requireList(targetListId);
+
+    const todo = this.createTodo(fields.text, {
+      listId: targetListId,
+      dueDate: fields.dueDate,
+      dueTime: fields.dueDate && fields.dueTime,
+      tags: fields.tags,
+      parentId: parentId ?? null,
+      recurrence: fields.recurrence,
+      priority: fields.priority,
+      notes: fields.notes
+    });
+
+    this.execute({
+      label: parentId != null ? 'Add subtask' : 'Add todo',
+      changes: added([todo]),
+      activity: [{ id: todo.id, action: 'created' }],
+      apply: () => this.todos.push(todo),
+      revert: () => {
+        this.todos = this.todos.filter(t => t.id !== todo.id);
+      }
+    });
+  }
+
+  /**
+   * Build a new todo object with the next available ID.
+   * @private
+   * @param {string} text The (already trimmed) text of the todo
+   * @param {Object} fields The remaining todo fields
+   * @returns {Object} The new todo
+   */
+  createTodo(text, { listId, dueDate, dueTime, tags, parentId, recurrence, priority = null, notes = null, seriesId = null }) {
+    const id = this.nextId++;
+    return {
+      id,
+      listId,
+      order: this.nextOrder(listId, parentId),
+      text,
       completed: false,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      dueDate,
+      dueTime,
+      tags,
+      priority,
+      parentId,
+      recurrence,
+      seriesId: recurrence ? (seriesId ?? id) : null,
+      notes,
+      timeEntries: []
     };
+  }
+
+  /**
+   * Get the position after the last todo among a set of siblings.
+   * @private
+   * @param {number} listId The list the siblings are in
+   * @param {number|null} parentId The parent of the siblings, or null for top-level todos
+   * @returns {number} An `order` value that sorts after every existing sibling
+   */
+  nextOrder(listId, parentId) {
+    const orders = this.getSiblings(listId, parentId).map(t => t.order ?? 0);
+    return orders.length > 0 ? Math.max(...orders) + 1 : 0;
+  }
 
-    this.todos.push(todo);
-    this.save();
-    this.notify();
+  /**
+   * Get the todos that share a list and parent, in manual order.
+   * @param {number} listId The list the siblings are in
+   * @param {number|null} parentId The parent of the siblings, or null for top-level todos
+   * @returns {Array<Object>} The sibling todos
+   */
+  getSiblings(listId, parentId) {
+    return this.todos
+      .filter(t => t.listId === listId && (t.parentId ?? null) === (parentId ?? null))
+      .sort(compareByOrder);
   }
 
   /**
    * Toggle completion status of a todo by its ID.
+   * Completing a recurring todo also creates its next occurrence in the same series,
+   * and completing a todo whose timer is running stops the timer.
    * @param {number} id The unique ID of the todo to toggle
+   * @param {Date} [now=new Date()] When the todo is completed
+   * @throws {TodoNotFoundError} If the todo does not exist
    */
-  toggleComplete(id) {
-    const todo = this.todos.find(t => t.id === id);
-    if (todo) {
-      todo.completed = !todo.completed;
-      this.save();
-      this.notify();
+  toggleComplete(id, now = new Date()) {
+    const todo = this.requireTodo(id);
+    const completed = !todo.completed;
+    const completedAt = todo.completedAt ?? null;
+    const seriesId = todo.seriesId;
+    const next = completed ? this.createNextOccurrence(todo, now) : null;
+    const timeEntries = todo.timeEntries;
+    const stopTimer = completed && getRunningEntry(todo) !== null;
+    const fields = ['completed', 'completedAt'];
+    if (next && next.seriesId !== seriesId) {
+      fields.push('seriesId');
+    }
+    if (stopTimer) {
+      fields.push('timeEntries');
     }
+    this.execute({
+      label: completed ? 'Complete todo' : 'Reopen todo',
+      changes: [...updated([todo], fields), ...(next ? added([next]) : [])],
+      activity: [
+        { id: todo.id, action: completed ? 'completed' : 'reopened' },
+        ...(next ? [{ id: next.id, action: 'created' }] : [])
+      ],
+      apply: () => {
+        this.setCompletion(todo, completed, completed ? now.toISOString() : null);
+        if (stopTimer) {
+          todo.timeEntries = stopEntries(timeEntries, now.toISOString());
+        }
+        if (next) {
+          todo.seriesId = next.seriesId;
+          this.todos.push(next);
+        }
+      },
+      revert: () => {
+        this.setCompletion(todo, !completed, completedAt);
+        todo.timeEntries = timeEntries;
+        if (next) {
+          todo.seriesId = seriesId;
+          this.todos = this.todos.filter(t => t.id !== next.id);
+        }
+      }
+    });
   }
 
   /**
-   * Delete a todo by its ID.
-   * @param {number} id The unique ID of the todo to delete
+   * Build the next occurrence of a recurring todo that is being completed.
+   * Returns null if the todo does not recur or its next occurrence already exists
+   * (for example when it was reopened and completed again). The notes are carried over
+   * with their task list unchecked, so a checklist starts afresh on every occurrence.
+   * @private
+   * @param {Object} todo The recurring todo
+   * @param {Date} now When it is completed
+   * @returns {Object|null} The next occurrence, not yet added to the list
    */
-  deleteTodo(id) {
-    this.todos = this.todos.filter(t => t.id !== id);
-    this.save();
-    this.notify();
+  createNextOccurrence(todo, now) {
+    if (!todo.recurrence) {
+      return null;
+    }
+
+    let dueDate;
+    try {
+      dueDate = nextOccurrence(parseRule(todo.recurrence), {
+        dueDate: todo.dueDate,
+        completedOn: toLocalDateString(now)
+      });
+    } catch {
+      return null;
+    }
+
+    const seriesId = todo.seriesId ?? todo.id;
+    if (!dueDate || this.todos.some(t => t.id !== todo.id && t.seriesId === seriesId && t.dueDate === dueDate)) {
+      return null;
+    }
+
+    return this.createTodo(todo.text, {
+      listId: todo.listId,
+      dueDate,
+      dueTime: todo.dueTime,
+      tags: [...(todo.tags || [])],
+      parentId: todo.parentId ?? null,
+      recurrence: todo.recurrence,
+      priority: todo.priority ?? null,
+      notes: todo.notes ? resetTasks(todo.notes) : null,
+      seriesId
+    });
   }
 
   /**
-   * Update todo text
-   * Ignores empty or whitespace-only strings.
-   * @param {number} id The unique ID of the todo to update
-   * @param {string} newText The new text for the todo
+   * Mark every subtask of a todo as completed, at any depth.
+   * @param {number} id The unique ID of the parent todo
+   * @param {Date} [now=new Date()] When the subtasks are completed
+   * @throws {TodoNotFoundError} If the todo does not exist
    */
-  updateTodo(id, newText) {
-    const todo = this.todos.find(t => t.id === id);
-    if (todo && newText && newText.trim() !== '') {
-      todo.text = newText.trim();
-      this.save();
-      this.notify();
+  completeSubtasks(id, now = new Date()) {
+    this.requireTodo(id);
+    const pending = this.getDescendants(id).filter(t => !t.completed);
+    if (pending.length === 0) {
+      return;
     }
+
+    const completedAt = now.toISOString();
+    this.execute({
+      label: 'Complete subtasks',
+      changes: updated(pending, ['completed', 'completedAt']),
+      activity: pending.map(t => ({ id: t.id, action: 'completed' })),
+      apply: () => pending.forEach(t => this.setCompletion(t, true, completedAt)),
+      revert: () => pending.forEach(t => this.setCompletion(t, false, null))
+    });
   }
 
   /**
-   * Clear all completed todos from the list.
+   * Set whether a todo is completed, keeping its `completedAt` and the completion history in step:
+   * completing counts the todo towards the day it was completed on, reopening takes it off again.
+   * @private
+   * @param {Object} todo The todo
+   * @param {boolean} completed Whether the todo is completed
+   * @param {string|null} completedAt When it was completed (ISO timestamp), or null if it is not
+   *   (or it is unknown, as for todos completed before completion times were recorded)
    */
-  clearCompleted() {
-    this.todos = this.todos.filter(t => !t.completed);
-    this.save();
-    this.notify();
+  setCompletion(todo, completed, completedAt) {
+    if (todo.completed && todo.completedAt) {
+      this.countCompletion(todo.completedAt, -1);
+    }
+    todo.completed = completed;
+    todo.completedAt = completed ? completedAt : null;
+    if (completed && completedAt) {
+      this.countCompletion(completedAt, 1);
+    }
   }
 
   /**
-   * Clear all todos from the list.
+   * Add to or take from the completion count of a day.
+   * @private
+   * @param {string} timestamp ISO timestamp of the completion
+   * @param {number} delta 1 to count a completion, -1 to take it back
    */
-  clearAll() {
-    this.todos = [];
-    this.save();
-    this.notify();
+  countCompletion(timestamp, delta) {
+    const date = toLocalDateString(new Date(timestamp));
+    const count = (this.history[date] ?? 0) + delta;
+    if (count > 0) {
+      this.history = { ...this.history, [date]: count };
+    } else {
+      this.history = Object.fromEntries(Object.entries(this.history).filter(([day]) => day !== date));
+    }
   }
 
   /**
-   * Get count of active (not completed) todos
-   * @type {number}
+   * Move a todo, together with all of its subtasks, to the trash.
+   * @param {number} id The unique ID of the todo to delete
+   * @throws {TodoNotFoundError} If the todo does not exist
    */
-  get activeCount() {
-    return this.todos.filter(t => !t.completed).length;
+  deleteTodo(id) {
+    this.requireTodo(id);
+    const removedIds = new Set([id, ...this.getDescendants(id).map(t => t.id)]);
+    this.moveToTrash(removedIds.size > 1 ? 'Delete todo and subtasks' : 'Delete todo', removedIds);
   }
 
   /**
-   * Get count of completed todos
-   * @type {number}
+   * Move todos from the list to the trash, stamping them with the time of deletion.
+   * A running timer on a trashed todo is stopped at that time.
+   * @private
+   * @param {string} label Label of the undoable command
+   * @param {Set<number>} removedIds IDs of the todos to move
+   * @param {Object} [extra] Further changes to make in the same command
+   * @param {Function} [extra.apply] Runs after the todos are trashed
+   * @param {Function} [extra.revert] Runs before the todos are put back
+   * @param {TodoChange[]} [extra.changes] Change records of the further changes
    */
-  get completedCount() {
-    return this.todos.filter(t => t.completed).length;
+  moveToTrash(label, removedIds, { apply = () => {}, revert = () => {}, changes = [] } = {}) {
+    const previousTodos = this.todos;
+    const previousTrash = this.trash;
+    const deletedAt = new Date().toISOString();
+    const trashed = previousTodos
+      .filter(t => removedIds.has(t.id))
+      .map(t => ({
+        ...t,
+        timeEntries: stopEntries(t.timeEntries || [], deletedAt),
+        deletedAt,
+        deletedWithParent: removedIds.has(t.parentId)
+      }));
+    this.execute({
+      label,
+      changes: [...removed(previousTodos.filter(t => removedIds.has(t.id))), ...changes],
+      activity: trashed.map(t => ({ id: t.id, action: 'deleted' })),
+      apply: () => {
+        this.todos = previousTodos.filter(t => !removedIds.has(t.id));
+        this.trash = [...previousTrash, ...trashed];
+        apply();
+      },
+      revert: () => {
+        revert();
+        this.todos = [...previousTodos];
+        this.trash = [...previousTrash];
+      }
+    });
   }
 
   /**
-   * Save todos and next available ID to storage.
-   * @private
+   * Restore todos from the trash, together with the subtasks deleted along with them.
+   * A restored subtask whose parent is gone becomes a top-level todo, and todos whose
+   * list was deleted are restored to the active list.
+   * @param {number[]} ids The IDs of the trashed todos to restore
+   * @throws {TodoNotFoundError} If one of the todos is not in the trash
+   */
+  restoreTodos(ids) {
+    this.requireTrashed(ids);
+    const restoredIds = this.withTrashedDescendants(ids);
+    if (restoredIds.size === 0) {
+      return;
+    }
+
+    const previousTodos = this.todos;
+    const previousTrash = this.trash;
+    const liveIds = new Set([...previousTodos.map(t => t.id), ...restoredIds]);
+    const restored = previousTrash.filter(t => restoredIds.has(t.id)).map(t => {
+      const todo = {
+        ...t,
+        listId: this.lists.some(list => list.id === t.listId) ? t.listId : this.activeListId,
+        parentId: liveIds.has(t.parentId) ? t.parentId : null
+      };
+      delete todo.deletedAt;
+      delete todo.deletedWithParent;
+      return todo;
+    });
+    this.execute({
+      label: `Restore ${pluralize(restored.length, 'todo')}`,
+      changes: added(restored),
+      activity: restored.map(t => ({ id: t.id, action: 'restored' })),
+      apply: () => {
+        this.todos = [...previousTodos, ...restored];
+        this.trash = previousTrash.filter(t => !restoredIds.has(t.id));
+      },
+      revert: () => {
+        this.todos = [...previousTodos];
+        this.trash = [...previousTrash];
+      }
+    });
+  }
+
+  /**
+   * Permanently delete todos from the trash, together with their trashed subtasks.
+   * @param {number[]} ids The IDs of the trashed todos to delete
+   * @throws {TodoNotFoundError} If one of the todos is not in the trash
    */
-  save() {
-    this.storage.save('items', this.todos);
-    this.storage.save('nextId', this.nextId);
+  deleteForever(ids) {
+    this.requireTrashed(ids);
+    const removedIds = this.withTrashedDescendants(ids);
+    if (removedIds.size === 0) {
+      return;
+    }
+
+    const previousTrash = this.trash;
+    this.execute({
+      label: `Permanently delete ${pluralize(removedIds.size, 'todo')}`,
+      changes: reset(),
+      apply: () => {
+        this.trash = previousTrash.filter(t => !removedIds.has(t.id));
+      },
+      revert: () => {
+        this.trash = [...previousTrash];
+      }
+    });
+  }
+
+  /**
+   * Permanently delete everything in the trash.
+   */
+  emptyTrash() {
+    this.deleteForever(this.trash.map(t => t.id));
+  }
+
+  /**
+   * Check that todos are in the trash.
+   * @private
+   * @param {number[]} ids IDs of trashed todos
+   * @throws {TodoNotFoundError} For the first ID that is not in the trash
+   */
+  requireTrashed(ids) {
+    const missing = ids.find(id => !this.trash.some(t => t.id === id));
+    if (missing !== undefined) {
+      throw new TodoNotFoundError(missing);
+    }
+  }
+
+  /**
+   * Collect trashed todos and the subtasks that were deleted together with them, at any depth.
+   * Subtasks deleted on their own beforehand stay separate entries in the trash.
+   * @private
+   * @param {number[]} ids IDs of trashed todos
+   * @returns {Set<number>} The IDs, plus those of the subtasks deleted with them
+   */
+  withTrashedDescendants(ids) {
+    const childMap = buildChildMap(this.trash);
+    const result = new Set();
+    const collect = (todo) => {
+      result.add(todo.id);
+      (childMap.get(todo.id) || [])
+        .filter(child => child.deletedWithParent)
+        .forEach(collect);
+    };
+    this.trash.filter(t => ids.includes(t.id)).forEach(collect);
+    return result;
+  }
+
+  /**
+   * Change how long deleted todos are kept in the trash, purging anything now too old.
+   * This is a setting, so it is not recorded in the undo history.
+   * @param {number} days Retention period in days
+   * @throws {ValidationError} If `days` is not a positive whole number
+   */
+  setTrashRetention(days) {
+    if (!Number.isInteger(days) || days < 1) {
+      throw new ValidationError('Trash retention must be a whole number of days', 'trashRetentionDays');
+    }
+    this.trashRetentionDays = days;
+    this.purgeTrash();
+    this.persist(reset());
+  }
+
+  /**
+   * Permanently remove trashed todos older than the retention period.
+   * Purging happens automatically and is not recorded in the undo history.
+   * @param {Date} [now=new Date()] Reference time
+   * @returns {number} Number of purged todos
+   */
+  purgeTrash(now = new Date()) {
+    const cutoff = now.getTime() - this.trashRetentionDays * MS_PER_DAY;
+    const kept = this.trash.filter(t => Date.parse(t.deletedAt) >= cutoff);
+    const purged = this.trash.length - kept.length;
+    if (purged > 0) {
+      this.trash = kept;
+      this.save();
+    }
+    return purged;
+  }
+
+  /**
+   * Update a todo's text, due date, tags, recurrence rule, priority and/or notes.
+   * Passing a string is shorthand for `{ text }`. Nothing is changed if any field is invalid.
+   * @param {number} id The unique ID of the todo to update
+   * @param {string|{ text?: string, dueDate?: string|null, dueTime?: string|null, tags?: string[], recurrence?: string|null, priority?: string|null, notes?: string|null }} changes
+   *   The new text, or an object with the fields to change
+   * @throws {ValidationError} If a field is invalid or not editable
+   * @throws {TodoNotFoundError} If the todo does not exist
+   */
+  updateTodo(id, changes) {
+    const todo = this.requireTodo(id);
+    const updates = typeof changes === 'string' ? { text: changes } : { ...changes };
+    validateFields(updates, EDITABLE_FIELDS);
+    if ('text' in updates) {
+      updates.text = validateText(updates.text);
+    }
+    if ('dueDate' in updates) {
+      updates.dueDate = validateDueDate(updates.dueDate);
+    }
+    if ('dueTime' in updates) {
+      updates.dueTime = validateDueTime(updates.dueTime);
+    }
+    if ('dueTime' in updates || 'dueDate' in updates) {
+      // A time without a date is meaningless, so it is dropped along with the date
+      const dueDate = 'dueDate' in updates ? updates.dueDate : todo.dueDate;
+      const dueTime = 'dueTime' in updates ? updates.dueTime : todo.dueTime;
+      updates.dueTime = (dueDate && dueTime) || null;
+    }
+
+    if ('tags' in updates) {
+      updates.tags = validateTags(updates.tags);
+    }
+    if ('recurrence' in updates) {
+      updates.recurrence = validateRecurrence(updates.recurrence);
+    }
+    if ('priority' in updates) {
+      updates.priority = validatePriority(updates.priority);
+    }
+    if ('notes' in updates) {
+      updates.notes = validateNotes(updates.notes);
+    }
+
+    const fields = EDITABLE_FIELDS.filter(field => field in updates && !sameValue(updates[field], todo[field] ?? null));
+    if (fields.length === 0) {
+      return;
+    }
+
+    const before = Object.fromEntries(fields.map(field => [field, todo[field]]));
+    const after = Object.fromEntries(fields.map(field => [field, updates[field]]));
+    const logged = Object.fromEntries(fields.map(field => [field, { before: before[field] ?? null, after: after[field] }]));
+    if (after.recurrence && todo.seriesId == null) {
+      // A todo that starts recurring becomes the first occurrence of its own series
+      before.seriesId = null;
+      after.seriesId = todo.id;
+    }
+    this.execute({
+      label: 'Edit todo',
+      changes: updated([todo], Object.keys(after)),
+      activity: [{ id, action: 'edited', changes: logged }],
+      apply: () => Object.assign(todo, after),
+      revert: () => Object.assign(todo, before)
+    });
+  }
+
+  /**
+   * Start tracking time on a todo. Only one timer runs at a time, so a timer
+   * running on another todo is stopped in the same step.
+   * @param {number} id The unique ID of the todo
+   * @param {Date} [now=new Date()] When the timer starts
+   * @throws {ValidationError} If the todo is completed
+   * @throws {TodoNotFoundError} If the todo does not exist
+   */
+  startTimer(id, now = new Date()) {
+    const todo = this.requireTodo(id);
+    if (todo.completed) {
+      throw new ValidationError("Time can't be tracked on a completed todo");
+    }
+    const running = this.runningTodo;
+    if (running === todo) {
+      return;
+    }
+
+    this.batch('Start timer', () => {
+      if (running) {
+        this.stopTimer(now);
+      }
+      this.setTimeEntries(todo, [...(todo.timeEntries || []), { start: now.toISOString(), end: null }], 'Start timer');
+    });
+  }
+
+  /**
+   * Stop the running timer, if any.
+   * @param {Date} [now=new Date()] When the timer stops
+   */
+  stopTimer(now = new Date()) {
+    const todo = this.runningTodo;
+    if (!todo) {
+      return;
+    }
+    this.setTimeEntries(todo, stopEntries(todo.timeEntries, now.toISOString()), 'Stop timer');
+  }
+
+  /**
+   * Replace a todo's time entries.
+   * @private
+   * @param {Object} todo The todo
+   * @param {import('../utils/time-tracking.js').TimeEntry[]} timeEntries The new entries
+   * @param {string} label Label of the undoable command
+   */
+  setTimeEntries(todo, timeEntries, label) {
+    const before = todo.timeEntries || [];
+    this.execute({
+      label,
+      changes: updated([todo], ['timeEntries']),
+      apply: () => { todo.timeEntries = timeEntries; },
+      revert: () => { todo.timeEntries = before; }
+    });
+  }
+
+  /**
+   * Add a tag to a todo.
+   * Tags are normalized (see {@link normalizeTag}); adding a tag the todo already has does nothing.
+   * @param {number} id The unique ID of the todo
+   * @param {string} tag The tag to add
+   * @throws {ValidationError} If the tag is empty
+   * @throws {TodoNotFoundError} If the todo does not exist
+   */
+  addTag(id, tag) {
+    const todo = this.requireTodo(id);
+    const normalized = normalizeTag(tag);
+    if (!normalized) {
+      throw new ValidationError("Tag can't be empty", 'tags');
+    }
+    if ((todo.tags || []).includes(normalized)) {
+      return;
+    }
+
+    const before = todo.tags || [];
+    this.execute({
+      label: 'Add tag',
+      changes: updated([todo], ['tags']),
+      activity: [{ id, action: 'edited', changes: { tags: { before, after: [...before, normalized] } } }],
+      apply: () => { todo.tags = [...before, normalized]; },
+      revert: () => { todo.tags = before; }
+    });
+  }
+
+  /**
+   * Remove a tag from a todo.
+   * @param {number} id The unique ID of the todo
+   * @param {string} tag The tag to remove
+   * @throws {TodoNotFoundError} If the todo does not exist
+   */
+  removeTag(id, tag) {
+    const todo = this.requireTodo(id);
+    const normalized = normalizeTag(tag);
+    if (!(todo.tags || []).includes(normalized)) {
+      return;
+    }
+
+    const before = todo.tags;
+    this.execute({
+      label: 'Remove tag',
+      changes: updated([todo], ['tags']),
+      activity: [{ id, action: 'edited', changes: { tags: { before, after: before.filter(t => t !== normalized) } } }],
+      apply: () => { todo.tags = before.filter(t => t !== normalized); },
+      revert: () => { todo.tags = before; }
+    });
+  }
+
+  /**
+   * Move a todo, with all of its subtasks, to another list.
+   * A subtask that is moved on its own becomes a top-level todo in the target list.
+   * @param {number} id The unique ID of the todo to move
+   * @param {number} listId The ID of the target list
+   * @throws {TodoNotFoundError} If the todo does not exist
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  moveTodo(id, listId) {
+    const todo = this.requireTodo(id);
+    this.requireList(listId);
+    if (todo.listId === listId) {
+      return;
+    }
+
+    const moved = [todo, ...this.getDescendants(id)];
+    const fromListId = todo.listId;
+    const parentId = todo.parentId ?? null;
+    const fromOrder = todo.order;
+    const toOrder = this.nextOrder(listId, null);
+    this.execute({
+      label: 'Move todo',
+      changes: [...updated([todo], ['listId', 'parentId', 'order']), ...updated(moved.slice(1), ['listId'])],
+      activity: moved.map(t => ({ id: t.id, action: 'moved', changes: { listId: { before: fromListId, after: listId } } })),
+      apply: () => {
+        moved.forEach(t => { t.listId = listId; });
+        todo.parentId = null;
+        todo.order = toOrder;
+      },
+      revert: () => {
+        moved.forEach(t => { t.listId = fromListId; });
+        todo.parentId = parentId;
+        todo.order = fromOrder;
+      }
+    });
+  }
+
+  /**
+   * Move a todo directly before or after one of its siblings in the manual order.
+   * Both todos must be in the same list and have the same parent.
+   * @param {number} id The unique ID of the todo to move
+   * @param {number} targetId The ID of the sibling to place it next to
+   * @param {'before'|'after'} [placement='before'] Which side of the sibling to place it on
+   * @throws {ValidationError} If the todos are not siblings
+   * @throws {TodoNotFoundError} If either todo does not exist
+   */
+  reorderTodo(id, targetId, placement = 'before') {
+    const todo = this.requireTodo(id);
+    const target = this.requireTodo(targetId);
+    if (todo.listId !== target.listId || (todo.parentId ?? null) !== (target.parentId ?? null)) {
+      throw new ValidationError('A todo can only be moved next to a todo in the same list with the same parent');
+    }
+    if (todo === target) {
+      return;
+    }
+
+    const siblings = this.getSiblings(todo.listId, todo.parentId);
+    const reordered = siblings.filter(t => t !== todo);
+    reordered.splice(reordered.indexOf(target) + (placement === 'after' ? 1 : 0), 0, todo);
+    if (reordered.every((t, i) => t === siblings[i])) {
+      return;
+    }
+
+    const before = siblings.map(t => t.order);
+    this.execute({
+      label: 'Reorder todo',
+      changes: updated(siblings, ['order']),
+      apply: () => reordered.forEach((t, i) => { t.order = i; }),
+      revert: () => siblings.forEach((t, i) => { t.order = before[i]; })
+    });
+  }
+
+  /**
+   * Mark several todos as completed or not completed in one undoable step.
+   * Todos already in that state are left alone; recurring todos create their next occurrence.
+   * @param {number[]} ids The IDs of the todos
+   * @param {boolean} [completed=true] True to complete the todos, false to reopen them
+   * @throws {TodoNotFoundError} If one of the todos does not exist
+   */
+  setCompletedMany(ids, completed = true) {
+    ids.forEach(id => this.requireTodo(id));
+    const todos = this.todos.filter(t => ids.includes(t.id) && t.completed !== completed);
+    this.batch(`${completed ? 'Complete' : 'Reopen'} ${pluralize(todos.length, 'todo')}`, () => {
+      todos.forEach(todo => this.toggleComplete(todo.id));
+    });
+  }
+
+  /**
+   * Delete several todos, with their subtasks, in one undoable step.
+   * @param {number[]} ids The IDs of the todos to delete
+   */
+  deleteMany(ids) {
+    const topLevel = this.withoutSelectedAncestors(ids);
+    this.batch(`Delete ${pluralize(topLevel.length, 'todo')}`, () => {
+      topLevel.forEach(id => this.deleteTodo(id));
+    });
+  }
+
+  /**
+   * Apply the same changes to several todos in one undoable step.
+   * @param {number[]} ids The IDs of the todos to update
+   * @param {Object} changes The fields to change, as accepted by {@link TodoModel#updateTodo}
+   */
+  updateMany(ids, changes) {
+    this.batch(`Edit ${pluralize(ids.length, 'todo')}`, () => {
+      ids.forEach(id => this.updateTodo(id, changes));
+    });
+  }
+
+  /**
+   * Add and/or remove tags on several todos in one undoable step.
+   * @param {number[]} ids The IDs of the todos to retag
+   * @param {Object} tags
+   * @param {string[]} [tags.add=[]] Tags to add to every todo
+   * @param {string[]} [tags.remove=[]] Tags to remove from every todo
+   */
+  retagMany(ids, { add = [], remove = [] } = {}) {
+    this.batch(`Retag ${pluralize(ids.length, 'todo')}`, () => {
+      ids.forEach(id => {
+        remove.forEach(tag => this.removeTag(id, tag));
+        add.forEach(tag => this.addTag(id, tag));
+      });
+    });
+  }
+
+  /**
+   * Move several todos, with their subtasks, to another list in one undoable step.
+   * Subtasks whose parent is moved as well stay under their parent.
+   * @param {number[]} ids The IDs of the todos to move
+   * @param {number} listId The ID of the target list
+   */
+  moveMany(ids, listId) {
+    const topLevel = this.withoutSelectedAncestors(ids);
+    this.batch(`Move ${pluralize(topLevel.length, 'todo')}`, () => {
+      topLevel.forEach(id => this.moveTodo(id, listId));
+    });
+  }
+
+  /**
+   * Drop the IDs of todos whose parent (at any depth) is also in the list,
+   * since changes to the parent already cascade to them.
+   * @private
+   * @param {number[]} ids Todo IDs
+   * @returns {number[]} The IDs that have no ancestor in `ids`
+   */
+  withoutSelectedAncestors(ids) {
+    const selected = new Set(ids);
+    const byId = new Map(this.todos.map(t => [t.id, t]));
+    return ids.filter(id => {
+      for (let parentId = byId.get(id)?.parentId; parentId != null; parentId = byId.get(parentId)?.parentId) {
+        if (selected.has(parentId)) {
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Clear all completed todos from the active list.
+   * A completed todo that still has unfinished subtasks is kept, so no subtask is orphaned.
+   */
+  clearCompleted() {
+    const previous = this.todos;
+    const childMap = buildChildMap(previous);
+    const removedIds = new Set(this.listTodos
+      .filter(t => t.completed && getDescendants(t.id, childMap).every(child => child.completed))
+      .map(t => t.id));
+    if (removedIds.size === 0) {
+      return;
+    }
+
+    this.moveToTrash('Clear completed', removedIds);
+  }
+
+  /**
+   * Permanently delete the completed todos of the active list, bypassing the trash,
+   * to free storage space. Which todos are deleted follows {@link TodoModel#clearCompleted}.
+   */
+  purgeCompleted() {
+    const trashedIds = new Set(this.trash.map(t => t.id));
+    this.batch('Delete completed', () => {
+      this.clearCompleted();
+      this.deleteForever(this.trash.filter(t => !trashedIds.has(t.id) && !t.deletedWithParent).map(t => t.id));
+    });
+  }
+
+  /**
+   * Move all todos of the active list to the trash.
+   */
+  clearAll() {
+    const removedIds = new Set(this.listTodos.map(t => t.id));
+    if (removedIds.size === 0) {
+      return;
+    }
+    this.moveToTrash('Clear all', removedIds);
+  }
+
+  /**
+   * Create a new list and make it the active list.
+   * @param {string} name The name of the list
+   * @param {string} [color] CSS colour for the list
+   * @returns {number} The ID of the new list
+   * @throws {ValidationError} If the name is empty or too long
+   */
+  addList(name, color = DEFAULT_LIST_COLOR) {
+    const trimmed = validateListName(name);
+    const list = { id: this.nextListId++, name: trimmed, color };
+    const previousActiveId = this.activeListId;
+    this.execute({
+      label: 'Add list',
+      changes: reset(),
+      apply: () => {
+        this.lists.push(list);
+        this.activeListId = list.id;
+      },
+      revert: () => {
+        this.lists = this.lists.filter(l => l.id !== list.id);
+        this.activeListId = previousActiveId;
+      }
+    });
+    return list.id;
+  }
+
+  /**
+   * Rename and/or recolour a list.
+   * @param {number} id The ID of the list
+   * @param {{ name?: string, color?: string }} changes The fields to change
+   * @throws {ValidationError} If the name is empty or too long
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  updateList(id, { name, color } = {}) {
+    const list = this.requireList(id);
+    const after = {};
+    if (name !== undefined) {
+      const trimmed = validateListName(name);
+      if (trimmed !== list.name) {
+        after.name = trimmed;
+      }
+    }
+    if (color !== undefined && color !== list.color) {
+      after.color = color;
+    }
+    if (Object.keys(after).length === 0) {
+      return;
+    }
+
+    const before = Object.fromEntries(Object.keys(after).map(field => [field, list[field]]));
+    this.execute({
+      label: 'Edit list',
+      changes: reset(),
+      apply: () => Object.assign(list, after),
+      revert: () => Object.assign(list, before)
+    });
+  }
+
+  /**
+   * Move a list to a new position in the list order.
+   * @param {number} id The ID of the list
+   * @param {number} toIndex The new position, clamped to the valid range
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  reorderList(id, toIndex) {
+    const fromIndex = this.lists.indexOf(this.requireList(id));
+    const index = Math.max(0, Math.min(toIndex, this.lists.length - 1));
+    if (fromIndex === index) {
+      return;
+    }
+
+    const previous = this.lists;
+    this.execute({
+      label: 'Reorder lists',
+      changes: reset(),
+      apply: () => {
+        const lists = previous.filter(l => l.id !== id);
+        lists.splice(index, 0, previous[fromIndex]);
+        this.lists = lists;
+      },
+      revert: () => {
+        this.lists = [...previous];
+      }
+    });
+  }
+
+  /**
+   * Delete a list, moving its todos to the trash.
+   * The last remaining list cannot be deleted.
+   * @param {number} id The ID of the list
+   * @throws {ValidationError} If it is the last list
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  deleteList(id) {
+    const index = this.lists.indexOf(this.requireList(id));
+    if (this.lists.length === 1) {
+      throw new ValidationError("The last list can't be deleted");
+    }
+
+    const previousLists = this.lists;
+    const previousActiveId = this.activeListId;
+    const remaining = previousLists.filter(l => l.id !== id);
+    const removedIds = new Set(this.todos.filter(t => t.listId === id).map(t => t.id));
+    this.moveToTrash('Delete list', removedIds, {
+      changes: reset(),
+      apply: () => {
+        this.lists = remaining;
+        if (this.activeListId === id) {
+          this.activeListId = remaining[Math.max(0, index - 1)].id;
+        }
+      },
+      revert: () => {
+        this.lists = [...previousLists];
+        this.activeListId = previousActiveId;
+      }
+    });
+  }
+
+  /**
+   * Switch to another list. Switching is navigation, so it is not recorded in the undo history.
+   * @param {number} id The ID of the list to show
+   * @throws {ListNotFoundError} If the list does not exist
+   */
+  setActiveList(id) {
+    this.requireList(id);
+    if (id === this.activeListId) {
+      return;
+    }
+    this.activeListId = id;
+    this.persist(reset());
+  }
+
+  /**
+   * Undo the most recent change.
+   * @returns {string|null} Label of the undone change, or null if there was nothing to undo
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    command.revert();
+    this.redoStack.push(command);
+    this.logActivity(command.activity, { undone: true });
+    this.persist(invertChanges(command.changes));
+    return command.label;
+  }
+
+  /**
+   * Undo a given change, but only while it is still the most recent one.
+   * @param {TodoCommand} command The change, as read from {@link TodoModel#lastCommand} after making it
+   * @returns {string|null} Label of the undone change, or null if it is no longer the most recent
+   */
+  undoCommand(command) {
+    return this.lastCommand === command ? this.undo() : null;
+  }
+
+  /**
+   * Redo the most recently undone change.
+   * @returns {string|null} Label of the redone change, or null if there was nothing to redo
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) {
+      return null;
+    }
+
+    command.apply();
+    this.undoStack.push(command);
+    this.logActivity(command.activity);
+    this.persist(command.changes);
+    return command.label;
+  }
+
+  /**
+   * Get the direct subtasks of a todo.
+   * @param {number} id The unique ID of the parent todo
+   * @returns {Array<Object>} The child todos, in list order
+   */
+  getChildren(id) {
+    return this.todos.filter(t => t.parentId === id);
+  }
+
+  /**
+   * Get every subtask below a todo, at any depth.
+   * @param {number} id The unique ID of the ancestor todo
+   * @returns {Array<Object>} The descendant todos, depth first
+   */
+  getDescendants(id) {
+    return getDescendants(id, buildChildMap(this.todos));
+  }
+
+  /**
+   * Get every occurrence of a recurring series, earliest due first.
+   * @param {number} seriesId The series ID shared by the occurrences
+   * @returns {Array<Object>} The todos in the series
+   */
+  getSeries(seriesId) {
+    return this.todos
+      .filter(t => t.seriesId === seriesId)
+      .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || '') || a.id - b.id);
+  }
+
+  /**
+   * Get the activity log of a todo, oldest entry first. Trashed todos keep their log.
+   * @param {number} id The unique ID of the todo
+   * @returns {import('../utils/activity-log.js').ActivityEntry[]} The entries; empty if nothing was recorded
+   */
+  getActivity(id) {
+    return this.activity[id] ?? [];
+  }
+
+  /**
+   * Get how many of a todo's subtasks (at any depth) are completed.
+   * @param {number} id The unique ID of the parent todo
+   * @returns {{ completed: number, total: number }} Completed and total subtask counts
+   */
+  getProgress(id) {
+    return getProgress(id, buildChildMap(this.todos));
+  }
+
+  /**
+   * The most recent change that can be undone, or null if there is none
+   * @type {TodoCommand|null}
+   */
+  get lastCommand() {
+    return this.undoStack[this.undoStack.length - 1] ?? null;
+  }
+
+  /**
+   * Whether there is a change that can be undone
+   * @type {boolean}
+   */
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Whether there is an undone change that can be redone
+   * @type {boolean}
+   */
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * The list currently shown
+   * @type {TodoList}
+   */
+  get activeList() {
+    return this.lists.find(l => l.id === this.activeListId);
+  }
+
+  /**
+   * The todo whose timer is running, in any list, or null if no timer is running
+   * @type {Object|null}
+   */
+  get runningTodo() {
+    return this.todos.find(t => getRunningEntry(t) !== null) ?? null;
+  }
+
+  /**
+   * Todos in the active list
+   * @type {Array<Object>}
+   */
+  get listTodos() {
+    return this.todos.filter(t => t.listId === this.activeListId);
+  }
+
+  /**
+   * Get the counts shown in the stats bar for a list.
+   * @param {number} [listId] The ID of the list; defaults to the active list
+   * @returns {{ total: number, active: number, completed: number, overdue: number }} The counts
+   */
+  getStats(listId = this.activeListId) {
+    const now = new Date();
+    const todos = this.todos.filter(t => t.listId === listId);
+    const completed = todos.filter(t => t.completed).length;
+    return {
+      total: todos.length,
+      active: todos.length - completed,
+      completed,
+      overdue: todos.filter(t => isOverdue(t, now)).length
+    };
+  }
+
+  /**
+   * Get count of active (not completed) todos in the active list
+   * @type {number}
+   */
+  get activeCount() {
+    return this.getStats().active;
+  }
+
+  /**
+   * Get count of completed todos in the active list
+   * @type {number}
+   */
+  get completedCount() {
+    return this.getStats().completed;
+  }
+
+  /**
+   * Get count of incomplete todos in the active list that are past their due date
+   * @type {number}
+   */
+  get overdueCount() {
+    return this.getStats().overdue;
+  }
+
+  /**
+   * Every tag in use in the active list with the number of todos carrying it,
+   * most used first and alphabetical among equals.
+   * @type {Array<{ tag: string, count: number }>}
+   */
+  get tagCounts() {
+    const counts = new Map();
+    this.listTodos.forEach(todo => {
+      (todo.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Entries in the trash, most recently deleted first. Subtasks deleted together with
+   * their parent are not listed separately; they are restored and deleted with it.
+   * @returns {Array<Object>} The trashed todos, each with a `deletedAt` timestamp
+   */
+  get trashedTodos() {
+    return this.trash
+      .filter(t => !t.deletedWithParent)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || a.id - b.id);
+  }
+
+  /**
+   * Everything the model saves, by storage key.
+   * @private
+   * @returns {import('./migrations.js').StoredState}
+   */
+  storedState() {
+    return {
+      items: this.todos,
+      trash: this.trash,
+      trashRetentionDays: this.trashRetentionDays,
+      history: this.history,
+      activity: this.activity,
+      nextId: this.nextId,
+      lists: this.lists,
+      nextListId: this.nextListId,
+      activeListId: this.activeListId
+    };
+  }
+
+  /**
+   * A copy of all the data, tagged with the schema version, for the user to keep.
+   * It has the same shape as the saved data, so it can be migrated like it.
+   * @returns {Object} The data, ready to be serialized as JSON
+   */
+  exportData() {
+    return structuredClone({ [VERSION_KEY]: SCHEMA_VERSION, ...this.storedState() });
+  }
+
+  /**
+   * Replace all the data, e.g. with the copy kept on the sync server. The data is migrated
+   * and checked like saved data, and the undo history is cleared. Other tabs receive the
+   * difference like any other change.
+   * @param {Object} data Data as returned by {@link TodoModel#exportData}, possibly by an older version
+   * @throws {ValidationError} If the data cannot be read; nothing is changed
+   * @throws {import('./errors.js').StorageError} If the data could not be saved
+   */
+  replaceState(data) {
+    let state;
+    try {
+      state = readExport(data);
+    } catch (error) {
+      throw new ValidationError(`The data could not be read: ${error.message}`);
+    }
+    this.todos = state.items;
+    this.trash = state.trash;
+    this.trashRetentionDays = state.trashRetentionDays ?? this.trashRetentionDays;
+    this.history = state.history;
+    this.activity = state.activity;
+    this.nextId = state.nextId;
+    this.lists = state.lists;
+    this.nextListId = state.nextListId;
+    this.activeListId = this.lists.some(list => list.id === state.activeListId) ? state.activeListId : this.lists[0].id;
+    this.undoStack = [];
+    this.redoStack = [];
+    // Clocks stamped on the replaced data say nothing about the new data
+    this.clocks = new Map();
+    this.clashes = [];
+    this.persist(reset());
+  }
+
+  /**
+   * Import todos and lists read from a file. Merging adds them as one change that can be
+   * undone (see {@link mergeImport} for where they go); todos already here are skipped, so
+   * importing a file twice does not duplicate them. Replacing swaps all the data for the
+   * imported todos and lists, like {@link TodoModel#replaceState}.
+   * @param {import('../utils/todo-formats.js').TodoImport} imported The todos and lists
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] Whether to replace all the data instead of merging
+   * @param {Date} [options.now=new Date()] When the todos are imported, for missing timestamps
+   * @returns {number} How many todos were added
+   * @throws {ValidationError} If a todo or list is invalid; nothing is changed
+   */
+  importTodos(imported, { replace = false, now = new Date() } = {}) {
+    const checked = validateImport(imported);
+    if (replace) {
+      const empty = { items: [], lists: [], nextId: 1, nextListId: 1, activeListId: null };
+      const { lists, todos, nextId, nextListId } = mergeImport(empty, checked, now);
+      this.replaceState({
+        [VERSION_KEY]: SCHEMA_VERSION,
+        ...createInitialState(),
+        ...(lists.length > 0 && { lists, nextListId, activeListId: lists[0].id }),
+        items: todos,
+        nextId
+      });
+      return todos.length;
+    }
+
+    const { lists, todos, nextId, nextListId } = mergeImport(this.storedState(), checked, now);
+    if (lists.length === 0 && todos.length === 0) {
+      return 0;
+    }
+    this.nextId = nextId;
+    this.nextListId = nextListId;
+    const todoIds = new Set(todos.map(todo => todo.id));
+    const listIds = new Set(lists.map(list => list.id));
+    const previousActiveId = this.activeListId;
+    this.execute({
+      label: 'Import todos',
+      changes: lists.length > 0 ? reset() : added(todos),
+      activity: todos.map(todo => ({ id: todo.id, action: 'created' })),
+      apply: () => {
+        this.lists.push(...lists);
+        this.todos.push(...todos);
+      },
+      revert: () => {
+        this.lists = this.lists.filter(list => !listIds.has(list.id));
+        this.todos = this.todos.filter(todo => !todoIds.has(todo.id));
+        if (listIds.has(this.activeListId)) {
+          this.activeListId = previousActiveId;
+        }
+      }
+    });
+    return todos.length;
+  }
+
+  /**
+   * Save todos, lists and next available IDs to storage in one write, tagged with the schema
+   * version. Of the collections (todos, trash and activity logs), only the records that were
+   * added, removed or replaced since the last save, or that are named in `changedIds`, are
+   * written; the other values are small and written whole.
+   * @private
+   * @param {Object<string, Array<number|string>>} [changedIds={}] IDs of records changed in
+   *   place since the last save, by collection key
+   * @throws {import('./errors.js').StorageError} If a synchronous storage service fails to save
+   */
+  save(changedIds = {}) {
+    const state = { [VERSION_KEY]: SCHEMA_VERSION, ...this.storedState() };
+    const records = collectionRecords(state);
+    const saved = this.savedRecords;
+    const entries = Object.entries(state).flatMap(([key, value]) => {
+      // An empty collection may never have been written (e.g. in new storage), so it is written whole
+      if (!(key in records) || !saved || saved[key].size === 0) {
+        return [[key, value]];
+      }
+      const changed = new Set((changedIds[key] ?? []).map(id => COLLECTIONS[key] === 'map' ? String(id) : id));
+      records[key].forEach((record, id) => {
+        if (saved[key].get(id) !== record) {
+          changed.add(id);
+        }
+      });
+      saved[key].forEach((_, id) => {
+        if (!records[key].has(id)) {
+          changed.add(id);
+        }
+      });
+      return changed.size > 0 ? [[key, value, changed]] : [];
+    });
+
+    // What a failed write left in storage is unknown, so the next save writes everything
+    this.savedRecords = records;
+    let write;
+    try {
+      write = this.storage.write(entries);
+    } catch (error) {
+      this.savedRecords = null;
+      throw error;
+    }
+    this.track([write instanceof Promise
+      ? write.catch(error => {
+        this.savedRecords = null;
+        throw error;
+      })
+      : write]);
   }
 }
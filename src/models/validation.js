@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Input validation for TodoModel.
+ * Each validator returns the normalized value (trimmed text, canonical recurrence rule,
+ * null for "none") or throws a {@link ValidationError} explaining what is wrong.
+ */
+
+import { ValidationError } from './errors.js';
+import { parseRule, formatRule } from '../utils/recurrence.js';
+import { normalizeTags } from '../utils/tags.js';
+
+/**
+ * Priorities a todo can have, highest first.
+ * @type {string[]}
+ */
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Maximum length of a todo's text, after trimming.
+ * @type {number}
+ */
+export const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Maximum length of a list name, after trimming.
+ * @type {number}
+ */
+export const MAX_LIST_NAME_LENGTH = 100;
+
+/**
+ * Maximum length of a todo's notes.
+ * @type {number}
+ */
+export const MAX_NOTES_LENGTH = 10000;
+
+/**
+ * Minimum length of an encryption passphrase.
+ * @type {number}
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Validates required text such as a todo's text or a list name.
+ * @param {string} text The text
+ * @param {Object} [options]
+ * @param {string} [options.field='text'] The field being validated
+ * @param {string} [options.label='Todo text'] How the field is named in error messages
+ * @param {number} [options.maxLength=MAX_TEXT_LENGTH] Maximum length after trimming
+ * @returns {string} The trimmed text
+ * @throws {ValidationError} If the text is empty, whitespace-only or too long
+ */
+export function validateText(text, { field = 'text', label = 'Todo text', maxLength = MAX_TEXT_LENGTH } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ValidationError(`${label} can't be empty`, field);
+  }
+  const trimmed = text.trim();
+  if (trimmed.length > maxLength) {
+    throw new ValidationError(`${label} can't be longer than ${maxLength} characters`, field);
+  }
+  return trimmed;
+}
+
+/**
+ * Validates a list name.
+ * @param {string} name The list name
+ * @returns {string} The trimmed name
+ * @throws {ValidationError} If the name is empty, whitespace-only or too long
+ */
+export function validateListName(name) {
+  return validateText(name, { field: 'name', label: 'List name', maxLength: MAX_LIST_NAME_LENGTH });
+}
+
+/**
+ * Validates a new encryption passphrase. It is not trimmed: every character counts.
+ * @param {string} passphrase The passphrase
+ * @returns {string} The passphrase
+ * @throws {ValidationError} If the passphrase is not text or too short
+ */
+export function validatePassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new ValidationError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'passphrase');
+  }
+  return passphrase;
+}
+
+/**
+ * Validates a todo's notes. Unlike text, notes keep their leading whitespace and inner
+ * blank lines, since both are meaningful in Markdown.
+ * @param {string|null} notes Markdown notes, or null/blank for none
+ * @returns {string|null} The notes without trailing whitespace, or null for none
+ * @throws {ValidationError} If the notes are not text or too long
+ */
+export function validateNotes(notes) {
+  if (notes == null) {
+    return null;
+  }
+  if (typeof notes !== 'string') {
+    throw new ValidationError('Notes must be text', 'notes');
+  }
+  const trimmed = notes.trimEnd();
+  if (trimmed.length > MAX_NOTES_LENGTH) {
+    throw new ValidationError(`Notes can't be longer than ${MAX_NOTES_LENGTH} characters`, 'notes');
+  }
+  return trimmed.trim() === '' ? null : trimmed;
+}
+
+/**
+ * Validates a due date.
+ * @param {string|null} dueDate Date in `YYYY-MM-DD` format, or null/empty for none
+ * @returns {string|null} The date, or null for none
+ * @throws {ValidationError} If the date is malformed or does not exist (e.g. `2024-02-30`)
+ */
+export function validateDueDate(dueDate) {
+  if (!dueDate) {
+    return null;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dueDate);
+  const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!match || date.toISOString().slice(0, 10) !== dueDate) {
+    throw new ValidationError(`"${dueDate}" is not a valid due date`, 'dueDate');
+  }
+  return dueDate;
+}
+
+/**
+ * Validates a due time.
+ * @param {string|null} dueTime Time in 24-hour `HH:MM` format, or null/empty for none
+ * @returns {string|null} The time, or null for none
+ * @throws {ValidationError} If the time is malformed
+ */
+export function validateDueTime(dueTime) {
+  if (!dueTime) {
+    return null;
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(dueTime)) {
+    throw new ValidationError(`"${dueTime}" is not a valid due time`, 'dueTime');
+  }
+  return dueTime;
+}
+
+/**
+ * Validates a priority.
+ * @param {string|null} priority One of {@link PRIORITIES}, or null/empty for none
+ * @returns {string|null} The priority, or null for none
+ * @throws {ValidationError} If the priority is not one of {@link PRIORITIES}
+ */
+export function validatePriority(priority) {
+  if (!priority) {
+    return null;
+  }
+  if (!PRIORITIES.includes(priority)) {
+    throw new ValidationError(`"${priority}" is not a valid priority`, 'priority');
+  }
+  return priority;
+}
+
+/**
+ * Validates a recurrence rule and converts it to its canonical form.
+ * @param {string|null} recurrence The rule string, or null/empty for no recurrence
+ * @returns {string|null} The canonical rule, or null for none
+ * @throws {ValidationError} If the rule cannot be parsed
+ */
+export function validateRecurrence(recurrence) {
+  if (!recurrence) {
+    return null;
+  }
+  try {
+    return formatRule(parseRule(recurrence));
+  } catch (error) {
+    throw new ValidationError(`Invalid repeat rule: ${error.message}`, 'recurrence');
+  }
+}
+
+/**
+ * Validates a list of tags.
+ * @param {string[]|null} tags The tags, or null for none
+ * @returns {string[]} The normalized tags
+ * @throws {ValidationError} If the tags are not an array
+ */
+export function validateTags(tags) {
+  if (tags == null) {
+    return [];
+  }
+  if (!Array.isArray(tags)) {
+    throw new ValidationError('Tags must be a list', 'tags');
+  }
+  return normalizeTags(tags);
+}
+
+/**
+ * Checks that an object of changes only touches fields that may be changed.
+ * @param {Object} changes The changes
+ * @param {string[]} allowed The fields that may be changed
+ * @throws {ValidationError} Naming the first field that may not be changed
+ */
+export function validateFields(changes, allowed) {
+  const field = Object.keys(changes).find(key => !allowed.includes(key));
+  if (field !== undefined) {
+    throw new ValidationError(`"${field}" can't be changed`, field);
+  }
+}
+
+/**
+ * Validates a timestamp read from an imported file.
+ * @param {string|null} timestamp A date and time `Date` can parse, or null/empty for none
+ * @param {string} field The field being validated
+ * @returns {string|null} The moment as an ISO timestamp, or null for none
+ * @throws {ValidationError} If the timestamp cannot be read
+ */
+function validateTimestamp(timestamp, field) {
+  if (timestamp == null || timestamp === '') {
+    return null;
+  }
+  const moment = typeof timestamp === 'string' ? new Date(timestamp) : null;
+  if (!moment || Number.isNaN(moment.getTime())) {
+    throw new ValidationError(`"${timestamp}" is not a valid date and time`, field);
+  }
+  return moment.toISOString();
+}
+
+/**
+ * Validates todos and lists read from an imported file.
+ * @param {import('../utils/todo-formats.js').TodoImport} imported The todos and lists
+ * @returns {import('../utils/todo-formats.js').TodoImport} Copies with normalized fields; other
+ *   fields of the todos (such as time entries in a backup) are kept
+ * @throws {ValidationError} Naming the first todo or list that is invalid, and what is wrong with it
+ */
+export function validateImport({ lists, items } = {}) {
+  if (!Array.isArray(lists) || !Array.isArray(items)) {
+    throw new ValidationError('The file has no todos or lists');
+  }
+  const checkedLists = lists.map((list, index) => {
+    try {
+      return { ...list, name: validateListName(list?.name) };
+    } catch (error) {
+      throw new ValidationError(`List ${index + 1}: ${error.message}`, error.field);
+    }
+  });
+  const checkedItems = items.map((todo, index) => {
+    try {
+      if (!todo || typeof todo !== 'object') {
+        throw new ValidationError('Not a todo');
+      }
+      const dueDate = validateDueDate(todo.dueDate);
+      return {
+        ...todo,
+        text: validateText(todo.text),
+        completed: todo.completed === true,
+        createdAt: validateTimestamp(todo.createdAt, 'createdAt'),
+        completedAt: todo.completed === true ? validateTimestamp(todo.completedAt, 'completedAt') : null,
+        dueDate,
+        dueTime: dueDate && validateDueTime(todo.dueTime),
+        tags: validateTags(todo.tags),
+        recurrence: validateRecurrence(todo.recurrence),
+        priority: validatePriority(todo.priority),
+        notes: validateNotes(todo.notes)
+      };
+    } catch (error) {
+      const text = typeof todo?.text === 'string' && todo.text.trim() !== '' ? ` ("${todo.text.trim().slice(0, 40)}")` : '';
+      throw new ValidationError(`Todo ${index + 1}${text}: ${error.message}`, error.field);
+    }
+  });
+  return { lists: checkedLists, items: checkedItems };
+}
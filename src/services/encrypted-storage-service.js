@@ -0,0 +1,484 @@
+/**
+ * @fileoverview EncryptedStorageService encrypts the TODO app's data with a passphrase.
+ * It wraps another storage service (IndexedDB, localStorage or memory) and has the same
+ * `save`/`load`/`remove`/`clear`/`keys` interface, returning promises.
+ *
+ * Data is encrypted with AES-GCM under a random data key. The data key itself is stored
+ * encrypted ("wrapped") with a key derived from the passphrase by PBKDF2, next to the
+ * salt, under the {@link ENCRYPTION_KEY} key. Collections (todos, trash and activity logs)
+ * are encrypted one record at a time, so the IndexedDB service can still write only the
+ * records that changed, and only those are encrypted again; a record's ID is the only thing
+ * stored in the clear.
+ *
+ * Unlocking only reads: a wrong passphrase fails to unwrap the data key before anything is
+ * decrypted or written. Changing the passphrase first saves every data key wrapped with
+ * the new passphrase, then re-encrypts the data with a new data key. Old data keys are
+ * kept (wrapped with the current passphrase), so data written by another tab with an old
+ * key, or left by an interrupted change, can still be read.
+ */
+
+import { COLLECTIONS } from './indexeddb-storage-service.js';
+import { PassphraseError, StorageError } from '../models/errors.js';
+import { validatePassphrase } from '../models/validation.js';
+
+/**
+ * Storage key of the salt and wrapped data keys. It is the one key stored unencrypted.
+ * @type {string}
+ */
+export const ENCRYPTION_KEY = 'encryption';
+
+/**
+ * PBKDF2 iterations for new passphrases (OWASP's recommendation for PBKDF2-HMAC-SHA256).
+ * @type {number}
+ */
+export const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * The salt, iteration count and wrapped data keys stored under {@link ENCRYPTION_KEY}.
+ * @typedef {Object} EncryptionMetadata
+ * @property {number} version Format version, currently 1
+ * @property {number} iterations PBKDF2 iterations
+ * @property {string} salt PBKDF2 salt, base64-encoded
+ * @property {Object<string, { iv: string, key: string }>} keys Every data key by ID,
+ *   wrapped with the passphrase key
+ * @property {number} currentKey ID of the data key new data is encrypted with
+ */
+
+/**
+ * An encrypted value. Records of collections also keep their `id`.
+ * @typedef {Object} SealedValue
+ * @property {number} keyId ID of the data key it was encrypted with
+ * @property {string} iv AES-GCM initialization vector, base64-encoded
+ * @property {string} data Ciphertext of the value's JSON, base64-encoded
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Encodes bytes as base64.
+ * @param {ArrayBuffer|Uint8Array} bytes The bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach(byte => binary += String.fromCharCode(byte));
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes.
+ * @param {string} text The base64 text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Whether a stored value was encrypted by this service. Anything else is plaintext left by
+ * an interrupted {@link EncryptedStorageService.enable}.
+ * @param {*} value The stored value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return value !== null && typeof value === 'object' && Number.isInteger(value.keyId)
+    && typeof value.iv === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Derives the key that wraps the data keys from a passphrase.
+ * @param {string} passphrase The passphrase
+ * @param {Uint8Array} salt The salt
+ * @param {number} iterations PBKDF2 iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Creates a random data key. It is extractable only so it can be wrapped.
+ * @returns {Promise<CryptoKey>}
+ */
+function generateDataKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Writes every data key, wrapped with a new passphrase, into fresh metadata.
+ * @param {string} passphrase The new passphrase
+ * @param {Map<number, CryptoKey>} dataKeys The data keys by ID
+ * @param {number} currentKey ID of the key to encrypt new data with
+ * @param {number} iterations PBKDF2 iterations
+ * @returns {Promise<EncryptionMetadata>}
+ */
+async function createMetadata(passphrase, dataKeys, currentKey, iterations) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const passphraseKey = await derivePassphraseKey(passphrase, salt, iterations);
+  const keys = {};
+  for (const [id, dataKey] of dataKeys) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, passphraseKey, { name: 'AES-GCM', iv });
+    keys[id] = { iv: toBase64(iv), key: toBase64(wrapped) };
+  }
+  return { version: 1, iterations, salt: toBase64(salt), keys, currentKey };
+}
+
+/**
+ * Unwraps every data key in the metadata with a passphrase.
+ * @param {EncryptionMetadata} metadata The stored metadata
+ * @param {string} passphrase The passphrase
+ * @returns {Promise<Map<number, CryptoKey>>} The data keys by ID
+ * @throws {PassphraseError} If the passphrase is wrong
+ */
+async function unwrapDataKeys(metadata, passphrase) {
+  const passphraseKey = await derivePassphraseKey(passphrase, fromBase64(metadata.salt), metadata.iterations);
+  try {
+    const entries = await Promise.all(Object.entries(metadata.keys).map(async ([id, { iv, key }]) => [
+      Number(id),
+      await crypto.subtle.unwrapKey('raw', fromBase64(key), passphraseKey, { name: 'AES-GCM', iv: fromBase64(iv) },
+        { name: 'AES-GCM' }, true, ['encrypt', 'decrypt'])
+    ]));
+    return new Map(entries);
+  } catch {
+    // AES-GCM cannot tell a wrong key from tampered data; either way nothing can be unlocked
+    throw new PassphraseError();
+  }
+}
+
+/**
+ * EncryptedStorageService - Encrypts the TODO app's data before handing it to another storage service
+ */
+export class EncryptedStorageService {
+  /**
+   * Whether data in a storage service is encrypted, i.e. has to be unlocked before use.
+   * @param {Object} storage The storage service
+   * @returns {Promise<boolean>}
+   */
+  static async isEncrypted(storage) {
+    return (await storage.load(ENCRYPTION_KEY, null)) !== null;
+  }
+
+  /**
+   * Starts encrypting a storage service's data with a passphrase, encrypting what is
+   * already stored. The data should not be changed meanwhile.
+   * @param {Object} storage The storage service holding unencrypted data
+   * @param {string} passphrase The passphrase
+   * @param {Object} [options]
+   * @param {number} [options.iterations=PBKDF2_ITERATIONS] PBKDF2 iterations
+   * @returns {Promise<EncryptedStorageService>} The unlocked service
+   * @throws {ValidationError} If the passphrase is too short
+   * @throws {StorageError} If the data is already encrypted or could not be saved
+   */
+  static async enable(storage, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    validatePassphrase(passphrase);
+    if (await EncryptedStorageService.isEncrypted(storage)) {
+      throw new StorageError('Your data is already encrypted');
+    }
+    const service = new EncryptedStorageService(storage);
+    const dataKeys = new Map([[1, await generateDataKey()]]);
+    // Saved first, so if encrypting is interrupted the data already counts as encrypted and
+    // whatever is still in plaintext is encrypted when it is next saved
+    await storage.save(ENCRYPTION_KEY, await createMetadata(passphrase, dataKeys, 1, iterations));
+    service.dataKeys = dataKeys;
+    service.currentKey = 1;
+    await service.enqueue(() => service.reencryptAll());
+    return service;
+  }
+
+  /**
+   * Creates a locked service for encrypted data.
+   * @param {Object} storage The storage service holding the encrypted data
+   */
+  constructor(storage) {
+    this.storage = storage;
+    /** @type {Map<number, CryptoKey>|null} The data keys by ID, or null while locked */
+    this.dataKeys = null;
+    /** @type {number|null} ID of the data key new data is encrypted with */
+    this.currentKey = null;
+    /**
+     * The last ciphertext of each collection record, by collection and ID, so a record that
+     * has not changed is saved with the same ciphertext rather than encrypted again.
+     * @type {Map<string, Map<number|string, SealedValue>>}
+     */
+    this.sealed = new Map();
+    /** @type {Promise<void>} Operations run one at a time, so a passphrase change is never interleaved with a save */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Whether the data keys are unavailable, so nothing can be read or written.
+   * @type {boolean}
+   */
+  get locked() {
+    return this.dataKeys === null;
+  }
+
+  /**
+   * Unlocks the data with its passphrase. Nothing is written, whether or not it is right.
+   * @param {string} passphrase The passphrase
+   * @returns {Promise<void>}
+   * @throws {PassphraseError} If the passphrase is wrong
+   */
+  unlock(passphrase) {
+    return this.enqueue(async () => {
+      const metadata = await this.storage.load(ENCRYPTION_KEY, null);
+      if (!metadata) {
+        throw new StorageError('Your data is not encrypted');
+      }
+      this.dataKeys = await unwrapDataKeys(metadata, passphrase);
+      this.currentKey = metadata.currentKey;
+    });
+  }
+
+  /**
+   * Forgets the data keys, so the passphrase is needed again.
+   */
+  lock() {
+    this.dataKeys = null;
+    this.currentKey = null;
+    this.sealed.clear();
+  }
+
+  /**
+   * Changes the passphrase and re-encrypts all data with a new data key.
+   * @param {string} currentPassphrase The passphrase now in use
+   * @param {string} newPassphrase The passphrase to use from now on
+   * @param {Object} [options]
+   * @param {number} [options.iterations=PBKDF2_ITERATIONS] PBKDF2 iterations
+   * @returns {Promise<void>}
+   * @throws {PassphraseError} If the current passphrase is wrong; nothing is changed
+   * @throws {ValidationError} If the new passphrase is too short
+   * @throws {StorageError} If the data could not be saved; it can then be unlocked with
+   *   the new passphrase if the new keys were saved, or else with the old one
+   */
+  changePassphrase(currentPassphrase, newPassphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    return this.enqueue(async () => {
+      validatePassphrase(newPassphrase);
+      // Read afresh: another tab may have changed the passphrase or added a key
+      const dataKeys = await unwrapDataKeys(await this.storage.load(ENCRYPTION_KEY, null), currentPassphrase);
+      const newKey = Math.max(...dataKeys.keys()) + 1;
+      dataKeys.set(newKey, await generateDataKey());
+      await this.storage.save(ENCRYPTION_KEY, await createMetadata(newPassphrase, dataKeys, newKey, iterations));
+      this.dataKeys = dataKeys;
+      this.currentKey = newKey;
+      this.sealed.clear();
+      await this.reencryptAll();
+    });
+  }
+
+  /**
+   * Encrypt and save data.
+   * @param {string} key The key to save the data under
+   * @param {*} data The data to store (must be JSON-serializable)
+   * @returns {Promise<void>}
+   * @throws {StorageError} If the data is locked or could not be saved
+   */
+  save(key, data) {
+    return this.write([[key, data]]);
+  }
+
+  /**
+   * Encrypt several keys and save them at once, through the wrapped service's `write`.
+   * @param {import('./indexeddb-storage-service.js').StorageWrite[]} entries What to save;
+   *   of a collection given with the IDs of its changed records, only those are encrypted
+   * @returns {Promise<void>}
+   * @throws {StorageError} If the data is locked or could not be saved
+   */
+  write(entries) {
+    return this.enqueue(async () => {
+      const sealed = [];
+      for (const [key, data, changedIds] of entries) {
+        sealed.push([key, await this.seal(key, data, changedIds), changedIds]);
+      }
+      await this.storage.write(sealed);
+    });
+  }
+
+  /**
+   * Load and decrypt data.
+   * @template T
+   * @param {string} key The key to retrieve the data from
+   * @param {T} [defaultValue=null] Value to return if key does not exist
+   * @returns {Promise<T|null>} The stored data or the default value
+   * @throws {StorageError} If the data is locked or cannot be decrypted. Unlike a missing
+   *   key this does not return the default value, which could then be saved over the data.
+   */
+  load(key, defaultValue = null) {
+    return this.enqueue(async () => {
+      const stored = await this.storage.load(key, null);
+      return stored === null ? defaultValue : this.unseal(key, stored);
+    });
+  }
+
+  /**
+   * Remove single item.
+   * @param {string} key The key of the item to remove
+   * @returns {Promise<void>}
+   */
+  remove(key) {
+    return this.enqueue(async () => {
+      this.sealed.delete(key);
+      await this.storage.remove(key);
+    });
+  }
+
+  /**
+   * List the keys saved by this app, apart from the encryption metadata.
+   * @returns {Promise<string[]>} The keys
+   */
+  keys() {
+    return this.enqueue(async () => (await this.storage.keys()).filter(key => key !== ENCRYPTION_KEY));
+  }
+
+  /**
+   * Remove all data, including the encryption metadata: the storage is unencrypted afterwards.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    return this.enqueue(async () => {
+      this.sealed.clear();
+      await this.storage.clear();
+    });
+  }
+
+  /**
+   * Run an operation once the ones before it have finished.
+   * @private
+   * @template T
+   * @param {function(): Promise<T>} operation The operation
+   * @returns {Promise<T>} What the operation returns
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Re-encrypt every stored key with the current data key.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async reencryptAll() {
+    const keys = (await this.storage.keys()).filter(key => key !== ENCRYPTION_KEY);
+    for (const key of keys) {
+      const stored = await this.storage.load(key, null);
+      if (stored !== null) {
+        await this.storage.save(key, await this.seal(key, await this.unseal(key, stored)));
+      }
+    }
+  }
+
+  /**
+   * Encrypts a value, or each record of a collection. Records not among the changed ones
+   * keep the ciphertext they were last saved or loaded with.
+   * @private
+   * @param {string} key The key it is saved under
+   * @param {*} data The value
+   * @param {Set<number|string>} [changedIds] IDs of the collection's changed records; all
+   *   records are encrypted without them
+   * @returns {Promise<SealedValue|Array<SealedValue>|Object<string, SealedValue>>}
+   */
+  async seal(key, data, changedIds) {
+    this.requireUnlocked();
+    if (!(key in COLLECTIONS)) {
+      return this.encrypt(JSON.stringify(data));
+    }
+
+    const records = COLLECTIONS[key] === 'list' ? data.map(record => [record.id, record]) : Object.entries(data);
+    const previous = changedIds ? (this.sealed.get(key) ?? new Map()) : new Map();
+    const next = new Map();
+    for (const [id, record] of records) {
+      const cached = previous.get(id);
+      next.set(id, cached && !changedIds.has(id) && cached.keyId === this.currentKey
+        ? cached
+        : await this.encrypt(JSON.stringify(record)));
+    }
+    this.sealed.set(key, next);
+    return COLLECTIONS[key] === 'list'
+      ? records.map(([id]) => ({ id, ...next.get(id) }))
+      : Object.fromEntries(records.map(([id]) => [id, next.get(id)]));
+  }
+
+  /**
+   * Decrypts a value, or each record of a collection. Plaintext is returned as it is.
+   * @private
+   * @param {string} key The key it was saved under
+   * @param {*} stored The stored value
+   * @returns {Promise<*>} The value
+   * @throws {StorageError} If it cannot be decrypted
+   */
+  async unseal(key, stored) {
+    this.requireUnlocked();
+    try {
+      if (!(key in COLLECTIONS)) {
+        return isSealed(stored) ? JSON.parse(await this.decrypt(stored)) : stored;
+      }
+
+      const entries = COLLECTIONS[key] === 'list'
+        ? stored.map(record => [record.id, record])
+        : Object.entries(stored);
+      const cache = new Map();
+      const records = await Promise.all(entries.map(async ([id, record]) => {
+        if (!isSealed(record)) {
+          return record;
+        }
+        cache.set(id, { keyId: record.keyId, iv: record.iv, data: record.data });
+        return JSON.parse(await this.decrypt(record));
+      }));
+      this.sealed.set(key, cache);
+      return COLLECTIONS[key] === 'list'
+        ? records
+        : Object.fromEntries(entries.map(([id], i) => [id, records[i]]));
+    } catch (error) {
+      console.error(`Failed to decrypt "${key}":`, error);
+      throw new StorageError('Your saved data could not be decrypted', { cause: error });
+    }
+  }
+
+  /**
+   * Encrypts JSON with the current data key.
+   * @private
+   * @param {string} json The JSON
+   * @returns {Promise<SealedValue>}
+   */
+  async encrypt(json) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.dataKeys.get(this.currentKey), encoder.encode(json));
+    return { keyId: this.currentKey, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  /**
+   * Decrypts a sealed value into its JSON.
+   * @private
+   * @param {SealedValue} sealed The sealed value
+   * @returns {Promise<string>}
+   */
+  async decrypt({ keyId, iv, data }) {
+    const dataKey = this.dataKeys.get(keyId);
+    if (!dataKey) {
+      throw new Error(`Unknown data key ${keyId}`);
+    }
+    return decoder.decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, dataKey, fromBase64(data)));
+  }
+
+  /**
+   * Check that the data keys are available.
+   * @private
+   * @throws {StorageError} If the data is locked
+   */
+  requireUnlocked() {
+    if (this.locked) {
+      throw new StorageError('Your data is locked');
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview HashRouter maps the URL hash to the todo view (all, active, completed, trash,
+ * time, dashboard, security settings or import and export). Views live in the hash (`#/`, `#/active`,
+ * `#/completed`, `#/trash`, `#/time`, `#/dashboard`, `#/security`, `#/data`) so they can be bookmarked
+ * and the browser's back and forward buttons move between them.
+ */
+
+/**
+ * A view of the app.
+ * @typedef {'all'|'active'|'completed'|'trash'|'time'|'dashboard'|'security'|'data'} View
+ */
+
+/**
+ * Views that show the todo list, filtered by completion.
+ * @type {View[]}
+ */
+export const LIST_VIEWS = ['all', 'active', 'completed'];
+
+/**
+ * Views the app can show: the list views, the trash, the time report, the productivity dashboard,
+ * the security settings and import and export.
+ * @type {View[]}
+ */
+export const VIEWS = [...LIST_VIEWS, 'trash', 'time', 'dashboard', 'security', 'data'];
+
+/**
+ * Parses a URL hash into a view. Unknown or empty hashes show all todos.
+ * @param {string} hash The hash, e.g. `#/active`
+ * @returns {View} The view
+ */
+export function parseRoute(hash) {
+  const view = String(hash).replace(/^#\/?/, '').replace(/\/$/, '').toLowerCase();
+  return VIEWS.includes(view) ? view : 'all';
+}
+
+/**
+ * Builds the hash for a view.
+ * @param {View} view The view
+ * @returns {string} The hash, e.g. `#/completed`; `#/` for all todos
+ */
+export function formatRoute(view) {
+  return view === 'all' || !VIEWS.includes(view) ? '#/' : `#/${view}`;
+}
+
+/**
+ * Whether a view shows the todo list (as opposed to the trash, time report, dashboard or settings).
+ * @param {View} view The view
+ * @returns {boolean} True for the list views
+ */
+export function isListView(view) {
+  return LIST_VIEWS.includes(view);
+}
+
+/**
+ * Whether a todo is shown in a view.
+ * @param {{ completed: boolean }} todo The todo
+ * @param {View} view The view
+ * @returns {boolean} True if the todo belongs in the view
+ */
+export function matchesView(todo, view) {
+  if (view === 'active') {
+    return !todo.completed;
+  }
+  if (view === 'completed') {
+    return todo.completed;
+  }
+  return true;
+}
+
+/**
+ * HashRouter - Notifies a callback whenever the view in the URL hash changes
+ */
+export class HashRouter {
+  /**
+   * Creates a new HashRouter instance.
+   * @param {Function} onChange Called with the new view when the hash changes
+   * @param {Window} [win=window] The window whose location is routed
+   */
+  constructor(onChange, win = window) {
+    this.onChange = onChange;
+    this.window = win;
+    this.handleHashChange = () => this.onChange(this.view);
+  }
+
+  /**
+   * The view in the current URL hash.
+   * @type {View}
+   */
+  get view() {
+    return parseRoute(this.window.location.hash);
+  }
+
+  /**
+   * Start listening for hash changes and report the current view.
+   */
+  start() {
+    this.window.addEventListener('hashchange', this.handleHashChange);
+    this.handleHashChange();
+  }
+
+  /**
+   * Stop listening for hash changes.
+   */
+  stop() {
+    this.window.removeEventListener('hashchange', this.handleHashChange);
+  }
+
+  /**
+   * Navigate to a view, adding a history entry so the back button returns to the previous one.
+   * @param {View} view The view to show
+   */
+  navigate(view) {
+    this.window.location.hash = formatRoute(view);
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview IndexedDBStorageService stores the TODO app's data in IndexedDB.
+ * It has the same `save`/`load`/`remove`/`clear`/`keys` interface as {@link StorageService},
+ * except that every method returns a promise. Large collections (todos, trash and activity
+ * logs) are stored one record per todo. `write` saves several keys in one transaction and,
+ * told which records of a collection changed, writes only those, so editing one todo no
+ * longer rewrites the whole list.
+ * Failed writes reject with a {@link StorageError} (or {@link StorageQuotaError} when storage
+ * is full).
+ */
+
+import { StorageService, isQuotaExceeded } from './storage-service.js';
+import { MemoryStorageService } from './memory-storage-service.js';
+import { StorageError, StorageQuotaError } from '../models/errors.js';
+
+/**
+ * Version of the database layout; raise it (and extend `upgrade`) to add object stores.
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * Object store holding every key that is not a collection, plus the record IDs of each
+ * collection in order.
+ * @type {string}
+ */
+const VALUES_STORE = 'values';
+
+/**
+ * Keys saved one record at a time, each in an object store of the same name.
+ * A `list` is an array of objects with an `id`; a `map` is an object keyed by ID.
+ * @type {Object<string, 'list'|'map'>}
+ */
+export const COLLECTIONS = {
+  items: 'list',
+  trash: 'list',
+  activity: 'map'
+};
+
+/**
+ * What to save under a key: `[key, data]`, or `[key, data, changedIds]` for a collection
+ * of which only the records with those IDs were added, changed or removed since it was
+ * last written. Storage services that save each key whole ignore the IDs.
+ * @typedef {[string, *, Set<number|string>?]} StorageWrite
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request The request
+ * @returns {Promise<*>} Resolves with the request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit.
+ * @param {IDBTransaction} transaction The transaction
+ * @returns {Promise<void>} Rejects if the transaction fails or is aborted
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Splits a collection into its records.
+ * @param {string} key The collection's key
+ * @param {Array<Object>|Object} data The collection
+ * @returns {Array<[number|string, *]>} ID and record pairs, in order
+ */
+function toRecords(key, data) {
+  return COLLECTIONS[key] === 'list'
+    ? data.map(record => [record.id, record])
+    : Object.entries(data);
+}
+
+/**
+ * IndexedDBStorageService - Handles IndexedDB operations for the TODO app
+ */
+export class IndexedDBStorageService {
+  /**
+   * Opens (or creates) the database for the app. Use this rather than the constructor.
+   * @param {string} [storageKey='todos'] The name of the database
+   * @param {IDBFactory} [factory=globalThis.indexedDB] The IndexedDB implementation
+   * @returns {Promise<IndexedDBStorageService>}
+   * @throws {StorageError} If the database could not be opened
+   */
+  static async open(storageKey = 'todos', factory = globalThis.indexedDB) {
+    try {
+      const request = factory.open(storageKey, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        [VALUES_STORE, ...Object.keys(COLLECTIONS)]
+          .filter(name => !db.objectStoreNames.contains(name))
+          .forEach(name => db.createObjectStore(name));
+      };
+      return new IndexedDBStorageService(await requestResult(request), storageKey);
+    } catch (error) {
+      console.error('Failed to open IndexedDB:', error);
+      throw new StorageError('Saved data could not be opened', { cause: error });
+    }
+  }
+
+  /**
+   * Creates a storage service for an open database.
+   * @param {IDBDatabase} db The database
+   * @param {string} storageKey The name of the database
+   */
+  constructor(db, storageKey) {
+    this.db = db;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Save data to IndexedDB. A collection is rewritten in full.
+   * @param {string} key The key to save the data under
+   * @param {*} data The data to store (must be structured-cloneable)
+   * @returns {Promise<void>}
+   * @throws {StorageQuotaError} If storage is full
+   * @throws {StorageError} If the data could not be saved for another reason
+   */
+  save(key, data) {
+    return this.write([[key, data]]);
+  }
+
+  /**
+   * Write several keys in one transaction, so either all of them are saved or none.
+   * A collection given with the IDs of its changed records only writes those records
+   * (and its order); one given without is rewritten in full.
+   * @param {StorageWrite[]} entries What to save
+   * @returns {Promise<void>}
+   * @throws {StorageQuotaError} If storage is full
+   * @throws {StorageError} If the data could not be saved for another reason
+   */
+  async write(entries) {
+    const collections = entries.map(([key]) => key).filter(key => key in COLLECTIONS);
+    const transaction = this.db.transaction([...new Set([VALUES_STORE, ...collections])], 'readwrite');
+    const done = transactionDone(transaction);
+    const values = transaction.objectStore(VALUES_STORE);
+
+    entries.forEach(([key, data, changedIds]) => {
+      if (!(key in COLLECTIONS)) {
+        values.put(data, key);
+        return;
+      }
+      const records = toRecords(key, data);
+      const store = transaction.objectStore(key);
+      values.put(records.map(([id]) => id), key);
+      if (!changedIds) {
+        store.clear();
+        records.forEach(([id, record]) => store.put(record, id));
+        return;
+      }
+      const byId = new Map(records);
+      changedIds.forEach(id => {
+        if (byId.has(id)) {
+          store.put(byId.get(id), id);
+        } else {
+          store.delete(id);
+        }
+      });
+    });
+
+    try {
+      await done;
+    } catch (error) {
+      console.error('Failed to save to IndexedDB:', error);
+      throw isQuotaExceeded(error) ? new StorageQuotaError({ cause: error }) : new StorageError(undefined, { cause: error });
+    }
+  }
+
+  /**
+   * Load data from IndexedDB.
+   * @template T
+   * @param {string} key The key to retrieve the data from
+   * @param {T} [defaultValue=null] Value to return if key does not exist
+   * @returns {Promise<T|null>} The stored data or the default value
+   * @throws {StorageError} If the data could not be read. Unlike a missing key this does not
+   *   return the default value, which could then be saved over the data.
+   */
+  async load(key, defaultValue = null) {
+    try {
+      const isCollection = key in COLLECTIONS;
+      const transaction = this.db.transaction(isCollection ? [VALUES_STORE, key] : [VALUES_STORE], 'readonly');
+      // Every request is made up front, while the transaction is still active
+      const valueRequest = requestResult(transaction.objectStore(VALUES_STORE).get(key));
+      if (!isCollection) {
+        const value = await valueRequest;
+        return value === undefined ? defaultValue : value;
+      }
+
+      const store = transaction.objectStore(key);
+      const [ids, storedIds, records] = await Promise.all([
+        valueRequest,
+        requestResult(store.getAllKeys()),
+        requestResult(store.getAll())
+      ]);
+      if (ids === undefined) {
+        return defaultValue;
+      }
+      const byId = new Map(storedIds.map((id, i) => [id, records[i]]));
+      const entries = ids.filter(id => byId.has(id)).map(id => [id, byId.get(id)]);
+      return COLLECTIONS[key] === 'list'
+        ? entries.map(([, record]) => record)
+        : Object.fromEntries(entries);
+    } catch (error) {
+      console.error('Failed to load from IndexedDB:', error);
+      throw new StorageError('Saved data could not be read', { cause: error });
+    }
+  }
+
+  /**
+   * Remove single item from IndexedDB.
+   * @param {string} key The key of the item to remove
+   * @returns {Promise<void>}
+   * @throws {StorageError} If the item could not be removed
+   */
+  async remove(key) {
+    const isCollection = key in COLLECTIONS;
+    try {
+      const transaction = this.db.transaction(isCollection ? [VALUES_STORE, key] : [VALUES_STORE], 'readwrite');
+      transaction.objectStore(VALUES_STORE).delete(key);
+      if (isCollection) {
+        transaction.objectStore(key).clear();
+      }
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error('Failed to remove from IndexedDB:', error);
+      throw new StorageError('Saved data could not be removed', { cause: error });
+    }
+  }
+
+  /**
+   * Clear all IndexedDB data for this app.
+   * @returns {Promise<void>}
+   * @throws {StorageError} If the items could not be removed
+   */
+  async clear() {
+    try {
+      const names = [VALUES_STORE, ...Object.keys(COLLECTIONS)];
+      const transaction = this.db.transaction(names, 'readwrite');
+      names.forEach(name => transaction.objectStore(name).clear());
+      await transactionDone(transaction);
+    } catch (error) {
+      console.error('Failed to clear IndexedDB:', error);
+      throw new StorageError('Saved data could not be removed', { cause: error });
+    }
+  }
+
+  /**
+   * List the keys saved by this app.
+   * @returns {Promise<string[]>} The keys
+   * @throws {StorageError} If they could not be read
+   */
+  async keys() {
+    try {
+      const transaction = this.db.transaction([VALUES_STORE], 'readonly');
+      return await requestResult(transaction.objectStore(VALUES_STORE).getAllKeys());
+    } catch (error) {
+      console.error('Failed to list IndexedDB keys:', error);
+      throw new StorageError('Saved data could not be read', { cause: error });
+    }
+  }
+
+  /**
+   * Move data saved by an older version of the app in localStorage into this database.
+   * Nothing is imported if the database already holds data. Keys are removed from
+   * localStorage only once they have all been saved here.
+   * @param {StorageService} legacy The localStorage service to import from
+   * @returns {Promise<boolean>} True if anything was imported
+   * @throws {StorageError} If the data could not be saved; it is left in localStorage
+   */
+  async importFrom(legacy) {
+    const keys = legacy.keys();
+    if (keys.length === 0 || (await this.keys()).length > 0) {
+      return false;
+    }
+    // Unreadable values come back as undefined (and are moved to a backup key in localStorage)
+    const entries = keys
+      .map(key => [key, legacy.load(key, undefined)])
+      .filter(([, data]) => data !== undefined);
+    await this.write(entries);
+    entries.forEach(([key]) => legacy.remove(key));
+    return entries.length > 0;
+  }
+}
+
+/**
+ * Opens the storage the app should use: IndexedDB, with any data left in localStorage by an
+ * older version of the app moved into it on first run. Falls back to localStorage where
+ * IndexedDB is unavailable (e.g. some private browsing modes), and to memory where neither
+ * can be written to.
+ * @param {string} [storageKey='todos'] The base key for the app's data
+ * @returns {Promise<IndexedDBStorageService|StorageService|MemoryStorageService>}
+ */
+export async function openStorage(storageKey = 'todos') {
+  const legacy = new StorageService(storageKey);
+  if (globalThis.indexedDB) {
+    try {
+      const storage = await IndexedDBStorageService.open(storageKey);
+      await storage.importFrom(legacy);
+      return storage;
+    } catch (error) {
+      console.error('Falling back to localStorage:', error);
+    }
+  }
+  if (StorageService.isAvailable()) {
+    return legacy;
+  }
+  console.warn('No persistent storage is available; changes will only be kept in memory');
+  return new MemoryStorageService(storageKey);
+}
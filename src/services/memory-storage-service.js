@@ -0,0 +1,76 @@
+/**
+ * @fileoverview MemoryStorageService keeps the TODO app's data in memory only.
+ * It is used when the browser allows neither IndexedDB nor localStorage (e.g. with storage
+ * blocked in its privacy settings), so the app keeps working for as long as the tab is open.
+ * It has the same synchronous interface as {@link StorageService}.
+ */
+
+/**
+ * MemoryStorageService - Holds the TODO app's data for the lifetime of the page
+ */
+export class MemoryStorageService {
+  /**
+   * Creates an empty in-memory store.
+   * @param {string} [storageKey='todos'] The base key for the app's data (kept for parity with the other services)
+   */
+  constructor(storageKey = 'todos') {
+    this.storageKey = storageKey;
+    /**
+     * Saved data as JSON, so later changes to a saved object do not leak into the store.
+     * @type {Map<string, string>}
+     */
+    this.items = new Map();
+  }
+
+  /**
+   * Save data in memory.
+   * @param {string} key The key to save the data under
+   * @param {*} data The data to store (must be JSON-serializable)
+   */
+  save(key, data) {
+    this.items.set(key, JSON.stringify(data));
+  }
+
+  /**
+   * Save several keys at once.
+   * @param {import('./indexeddb-storage-service.js').StorageWrite[]} entries What to save;
+   *   each key is saved whole, so the IDs of changed records are not needed
+   */
+  write(entries) {
+    entries.forEach(([key, data]) => this.save(key, data));
+  }
+
+  /**
+   * Load data from memory.
+   * @template T
+   * @param {string} key The key to retrieve the data from
+   * @param {T} [defaultValue=null] Value to return if key does not exist
+   * @returns {T|null} The stored data or the default value
+   */
+  load(key, defaultValue = null) {
+    return this.items.has(key) ? JSON.parse(this.items.get(key)) : defaultValue;
+  }
+
+  /**
+   * Remove single item.
+   * @param {string} key The key of the item to remove
+   */
+  remove(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * List the saved keys.
+   * @returns {string[]} The keys
+   */
+  keys() {
+    return [...this.items.keys()];
+  }
+
+  /**
+   * Remove everything.
+   */
+  clear() {
+    this.items.clear();
+  }
+}
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview StorageMonitor watches how well the app's data is being saved.
+ * It wraps a storage service, passing every call through, and keeps track of which keys
+ * failed to save and of how much of the browser's storage quota is in use (as estimated
+ * by `navigator.storage.estimate`). Whenever that picture changes it dispatches a `change`
+ * event, so the app can warn before data is lost rather than after.
+ */
+
+import { StorageQuotaError } from '../models/errors.js';
+
+/**
+ * Share of the quota in use from which storage counts as nearly full.
+ * @type {number}
+ */
+export const NEARLY_FULL_RATIO = 0.9;
+
+/**
+ * What is wrong with storage, most serious first:
+ * `unavailable` (nothing can be saved; data is only kept in memory), `full` (a save failed
+ * for lack of space), `failing` (a save failed for another reason) and `nearly-full`.
+ * @typedef {'unavailable'|'full'|'failing'|'nearly-full'} StorageProblem
+ */
+
+/**
+ * @typedef {Object} StorageStatus
+ * @property {StorageProblem|null} problem What is wrong, or null if all is well
+ * @property {number|null} usage Estimated bytes in use, if known
+ * @property {number|null} quota Estimated bytes available in total, if known
+ */
+
+/**
+ * Asks the browser how much storage the app uses and may use.
+ * @param {StorageManager} [manager=navigator.storage] The storage manager to ask
+ * @returns {Promise<{ usage: number, quota: number }|null>} The estimate, or null where the
+ *   browser cannot give one
+ */
+export async function estimateUsage(manager = globalThis.navigator?.storage) {
+  if (typeof manager?.estimate !== 'function') {
+    return null;
+  }
+  try {
+    const { usage, quota } = await manager.estimate();
+    return Number.isFinite(usage) && quota > 0 ? { usage, quota } : null;
+  } catch (error) {
+    console.error('Failed to estimate storage usage:', error);
+    return null;
+  }
+}
+
+/**
+ * StorageMonitor - Wraps a storage service and reports problems saving to it
+ * @extends {EventTarget}
+ */
+export class StorageMonitor extends EventTarget {
+  /**
+   * Creates a monitor for a storage service.
+   * @param {Object} storage The storage service to wrap
+   * @param {Object} [options]
+   * @param {boolean} [options.persistent=true] Whether the service keeps data after the page is
+   *   closed; false for {@link MemoryStorageService}
+   * @param {function(): Promise<{ usage: number, quota: number }|null>} [options.estimate=estimateUsage]
+   *   Gets the current usage estimate
+   */
+  constructor(storage, { persistent = true, estimate = estimateUsage } = {}) {
+    super();
+    this.storage = storage;
+    this.persistent = persistent;
+    this.estimate = estimate;
+    /**
+     * Keys whose last save failed, with the error.
+     * @type {Map<string, Error>}
+     */
+    this.failures = new Map();
+    /** @type {{ usage: number, quota: number }|null} */
+    this.usage = null;
+    /** @type {Promise<void>|null} The estimate being fetched, if any */
+    this.refreshing = null;
+  }
+
+  /**
+   * How storage is doing.
+   * @returns {StorageStatus}
+   */
+  get status() {
+    const errors = [...this.failures.values()];
+    const problem = !this.persistent ? 'unavailable'
+      : errors.some(error => error instanceof StorageQuotaError) ? 'full'
+      : errors.length > 0 ? 'failing'
+      : this.usage && this.usage.usage >= this.usage.quota * NEARLY_FULL_RATIO ? 'nearly-full'
+      : null;
+    return { problem, usage: this.usage?.usage ?? null, quota: this.usage?.quota ?? null };
+  }
+
+  /**
+   * Save data through the wrapped service, noting whether it worked.
+   * Returns (or throws) whatever the wrapped service does.
+   * @param {string} key The key to save the data under
+   * @param {*} data The data to store
+   * @returns {Promise<void>|undefined}
+   */
+  save(key, data) {
+    return this.watch([key], () => this.storage.save(key, data));
+  }
+
+  /**
+   * Save several keys at once through the wrapped service, noting whether it worked.
+   * Returns (or throws) whatever the wrapped service does.
+   * @param {import('./indexeddb-storage-service.js').StorageWrite[]} entries What to save
+   * @returns {Promise<void>|undefined}
+   */
+  write(entries) {
+    return this.watch(entries.map(([key]) => key), () => this.storage.write(entries));
+  }
+
+  /**
+   * Run a save and note its outcome for each key it saves.
+   * @private
+   * @param {string[]} keys The keys being saved
+   * @param {function(): (Promise<void>|undefined)} operation Saves them
+   * @returns {Promise<void>|undefined} What the operation returns
+   */
+  watch(keys, operation) {
+    let result;
+    try {
+      result = operation();
+    } catch (error) {
+      this.recordSave(keys, error);
+      throw error;
+    }
+    if (result instanceof Promise) {
+      return result.then(
+        () => this.recordSave(keys, null),
+        (error) => {
+          this.recordSave(keys, error);
+          throw error;
+        }
+      );
+    }
+    this.recordSave(keys, null);
+    return result;
+  }
+
+  /**
+   * Load data through the wrapped service.
+   * @param {string} key The key to retrieve the data from
+   * @param {*} [defaultValue=null] Value to return if key does not exist
+   * @returns {*} Whatever the wrapped service returns
+   */
+  load(key, defaultValue = null) {
+    return this.storage.load(key, defaultValue);
+  }
+
+  /**
+   * Remove single item through the wrapped service. A failed save of it no longer matters.
+   * @param {string} key The key of the item to remove
+   * @returns {*} Whatever the wrapped service returns
+   */
+  remove(key) {
+    const result = this.storage.remove(key);
+    this.recordSave([key], null);
+    return result;
+  }
+
+  /**
+   * List the saved keys through the wrapped service.
+   * @returns {*} Whatever the wrapped service returns
+   */
+  keys() {
+    return this.storage.keys();
+  }
+
+  /**
+   * Clear all data through the wrapped service.
+   * @returns {*} Whatever the wrapped service returns
+   */
+  clear() {
+    const result = this.storage.clear();
+    if (this.failures.size > 0) {
+      this.failures.clear();
+      this.dispatchChange();
+    }
+    return result;
+  }
+
+  /**
+   * Note the outcome of a save. A successful one also updates the usage estimate.
+   * @private
+   * @param {string[]} keys The keys that were saved
+   * @param {Error|null} error Why the save failed, or null if it worked
+   */
+  recordSave(keys, error) {
+    if (error) {
+      keys.forEach(key => this.failures.set(key, error));
+      this.dispatchChange();
+      return;
+    }
+    // Not short-circuited, so every key is cleared
+    if (keys.map(key => this.failures.delete(key)).includes(true)) {
+      this.dispatchChange();
+    }
+    this.refresh();
+  }
+
+  /**
+   * Fetch a fresh usage estimate. Calls made while one is being fetched share it.
+   * @returns {Promise<void>} Resolves once the estimate is up to date
+   */
+  refresh() {
+    if (!this.persistent) {
+      return Promise.resolve();
+    }
+    this.refreshing ??= this.estimate().then(usage => {
+      this.refreshing = null;
+      if (usage?.usage !== this.usage?.usage || usage?.quota !== this.usage?.quota) {
+        this.usage = usage;
+        this.dispatchChange();
+      }
+    });
+    return this.refreshing;
+  }
+
+  /**
+   * Tell listeners that the status changed.
+   * @private
+   * @fires StorageMonitor#change
+   */
+  dispatchChange() {
+    this.dispatchEvent(new CustomEvent('change', { detail: { status: this.status } }));
+  }
+}
@@ -1,12 +1,47 @@
 /**
  * @fileoverview StorageService handles localStorage operations for the TODO app.
  * Provides a simple interface for saving, loading, removing, and clearing app-specific data.
+ * Failed writes throw a {@link StorageError} (or {@link StorageQuotaError} when storage is full)
+ * so they can be shown to the user.
  */
 
+import { StorageError, StorageQuotaError } from '../models/errors.js';
+
+/**
+ * Whether an error thrown by localStorage (or IndexedDB) means the storage quota is exhausted.
+ * Browsers disagree on the name and code of this error.
+ * @param {*} error The error
+ * @returns {boolean} True for quota errors
+ */
+export function isQuotaExceeded(error) {
+  return error instanceof Error && (
+    error.name === 'QuotaExceededError'
+    || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+    || error.code === 22
+    || error.code === 1014
+  );
+}
+
 /**
  * StorageService - Handles localStorage operations for the TODO app
  */
 export class StorageService {
+  /**
+   * Whether localStorage can be written to. It may be missing, blocked by the browser's
+   * privacy settings, or (in older Safari private windows) have no space at all.
+   * @returns {boolean} True if a test value could be written and removed
+   */
+  static isAvailable() {
+    try {
+      const probeKey = '__storage_probe__';
+      localStorage.setItem(probeKey, probeKey);
+      localStorage.removeItem(probeKey);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Creates a new StorageService instance.
    * @param {string} [storageKey='todos'] The base key for storing app data in localStorage
@@ -19,6 +54,8 @@ export class StorageService {
    * Save data to localStorage.
    * @param {string} key The key to save the data under (app-specific key appended automatically)
    * @param {*} data The data to store (will be JSON-stringified)
+   * @throws {StorageQuotaError} If storage is full
+   * @throws {StorageError} If the data could not be saved for another reason
    */
   save(k, d) {
     try {
@@ -26,30 +63,79 @@ export class StorageService {
       localStorage.setItem(fk, JSON.stringify(d));
     } catch (error) {
       console.error('Failed to save to localStorage:', error);
+      throw isQuotaExceeded(error) ? new StorageQuotaError({ cause: error }) : new StorageError(undefined, { cause: error });
+    }
+  }
+
+  /**
+   * Save several keys at once. If one of them cannot be saved, the keys saved before it are
+   * put back as they were, so either all of them are saved or none.
+   * @param {import('./indexeddb-storage-service.js').StorageWrite[]} entries What to save;
+   *   each key is saved whole, so the IDs of changed records are not needed
+   * @throws {StorageQuotaError} If storage is full
+   * @throws {StorageError} If the data could not be saved for another reason
+   */
+  write(entries) {
+    const previous = entries.map(([key]) => [key, localStorage.getItem(`${this.storageKey}_${key}`)]);
+    try {
+      entries.forEach(([key, data]) => this.save(key, data));
+    } catch (error) {
+      previous.forEach(([key, raw]) => {
+        if (raw === null) {
+          localStorage.removeItem(`${this.storageKey}_${key}`);
+        } else {
+          localStorage.setItem(`${this.storageKey}_${key}`, raw);
+        }
+      });
+      throw error;
     }
   }
 
   /**
    * Load data from localStorage.
+   * Data that cannot be parsed is moved to a `backup_<key>_<timestamp>` key so it is not lost
+   * when the default value is later saved over it.
    * @template T
    * @param {string} key The key to retrieve the data from (app-specific key appended automatically)
    * @param {T} [defaultValue=null] Value to return if key does not exist or parsing fails
    * @returns {T|null} Parsed data from localStorage or the default value
    */
   load(key, defaultValue = null) {
+    const fullKey = `${this.storageKey}_${key}`;
+    let item;
     try {
-      const fullKey = `${this.storageKey}_${key}`;
-      const item = localStorage.getItem(fullKey);
+      item = localStorage.getItem(fullKey);
       return item ? JSON.parse(item) : defaultValue;
     } catch (error) {
       console.error('Failed to load from localStorage:', error);
+      if (item) {
+        this.quarantine(key, item);
+      }
       return defaultValue;
     }
   }
 
+  /**
+   * Move unreadable raw data out of the way, keeping a copy under a backup key.
+   * @private
+   * @param {string} key The key the data was stored under (app-specific key appended automatically)
+   * @param {string} raw The raw stored string
+   */
+  quarantine(key, raw) {
+    try {
+      const backupKey = `${this.storageKey}_backup_${key}_${Date.now()}`;
+      localStorage.setItem(backupKey, raw);
+      localStorage.removeItem(`${this.storageKey}_${key}`);
+      console.warn(`Unreadable data in "${key}" was moved to "${backupKey}"`);
+    } catch (error) {
+      console.error('Failed to back up unreadable data:', error);
+    }
+  }
+
   /**
    * Remove single item from localStorage.
    * @param {string} k The key of the item to remove (app-specific key appended automatically)
+   * @throws {StorageError} If the item could not be removed
    */
   remove(k) {
     try {
@@ -57,11 +143,34 @@ export class StorageService {
       localStorage.removeItem(fullK);
     } catch (e) {
       console.error('Failed to remove from localStorage:', e);
+      throw new StorageError('Saved data could not be removed', { cause: e });
+    }
+  }
+
+  /**
+   * List the keys saved by this app.
+   * @returns {string[]} The keys, without the app-specific prefix
+   */
+  keys() {
+    const prefix = `${this.storageKey}_`;
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(prefix)) {
+          keys.push(key.slice(prefix.length));
+        }
+      }
+      return keys;
+    } catch (error) {
+      console.error('Failed to list localStorage keys:', error);
+      return [];
     }
   }
 
   /**
    * Clear all localStorage items for this app.
+   * @throws {StorageError} If the items could not be removed
    */
   clear() {
     try {
@@ -75,6 +184,7 @@ export class StorageService {
       keysToRemove.forEach(key => localStorage.removeItem(key));
     } catch (error) {
       console.error('Failed to clear localStorage:', error);
+      throw new StorageError('Saved data could not be removed', { cause: error });
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,568 @@
+/**
+ * @fileoverview SyncService keeps the todos in sync with the server's sync API (see
+ * `src/worker/sync-api.js`), so they follow the user between browsers and devices.
+ *
+ * It stands between the model and the {@link TabSync} channel: the model syncs with it
+ * instead of with the channel, and every change made in this browser still goes to the
+ * other tabs, but is also queued for the server. Only one tab per browser talks to the
+ * server, chosen with the Web Locks API, and it queues the other tabs' changes as well;
+ * when it closes, another tab takes over. The queue is kept in storage, so changes made
+ * offline are sent once the server can be reached again.
+ *
+ * Each round pushes the queued changes, then pulls the changes other browsers pushed
+ * since the last revision seen and applies them like changes from another tab, passing
+ * them on to the other tabs too. A browser that has never synced starts from the server's
+ * data, or uploads its own if the server has none. Every so often the syncing tab uploads
+ * a snapshot, so the server can drop old changes; a browser that missed those starts over
+ * from the snapshot. Where that loses data from here, it is offered as a backup.
+ */
+
+import { TodoModel } from '../models/todo-model.js';
+import { SyncError, TodoError } from '../models/errors.js';
+import { MemoryStorageService } from './memory-storage-service.js';
+
+/**
+ * Storage key of the token the server expects.
+ * @type {string}
+ */
+export const SYNC_TOKEN_KEY = 'syncToken';
+
+/**
+ * Storage key of the changes waiting to be pushed.
+ * @type {string}
+ */
+export const OUTBOX_KEY = 'syncOutbox';
+
+/**
+ * Storage key of the last revision pulled from the server.
+ * @type {string}
+ */
+export const REVISION_KEY = 'syncRevision';
+
+/**
+ * Storage key of the ID of this browser's copy of the data.
+ * @type {string}
+ */
+export const REPLICA_KEY = 'syncReplica';
+
+/**
+ * Changes pushed or pulled after which a new snapshot is uploaded.
+ * @type {number}
+ */
+export const SNAPSHOT_INTERVAL = 100;
+
+/**
+ * Milliseconds between rounds while nothing prompts one.
+ * @type {number}
+ */
+export const POLL_INTERVAL = 30 * 1000;
+
+/**
+ * Most changes pushed in one request.
+ * @type {number}
+ */
+const PUSH_BATCH_SIZE = 100;
+
+/**
+ * Where syncing stands:
+ * `standby` (another tab talks to the server), `syncing`, `synced`, `offline` (the server
+ * could not be reached) and `error` (it refused a request).
+ * @typedef {'standby'|'syncing'|'synced'|'offline'|'error'} SyncState
+ */
+
+/**
+ * @typedef {Object} SyncStatus
+ * @property {SyncState} state Where syncing stands
+ * @property {number} pending Changes waiting to be pushed
+ * @property {string|null} lastSyncedAt When the last round succeeded (ISO 8601), if any did
+ * @property {Error|null} error Why the last round failed, if it did
+ */
+
+/**
+ * Builds the user-facing message for a refused request.
+ * @param {number} status The HTTP status
+ * @returns {string}
+ */
+function describeStatus(status) {
+  if (status === 401) {
+    return 'The sync server did not accept your sync token';
+  }
+  if (status === 503) {
+    return 'Sync is not set up on the server';
+  }
+  return `The sync server could not handle the request (error ${status})`;
+}
+
+/**
+ * Applies changes to a copy of some data, the way tabs apply each other's changes.
+ * @param {Object|null} data The data, as returned by {@link TodoModel#exportData}
+ * @param {Object[]} messages The changes, oldest first
+ * @returns {TodoModel} A model holding the changed copy, in memory only
+ */
+function replay(data, messages) {
+  const model = new TodoModel(new MemoryStorageService());
+  if (data) {
+    model.replaceState(data);
+  }
+  let deliver = () => {};
+  model.startSync({
+    tabId: 'replay',
+    publish() {},
+    subscribe(listener) {
+      deliver = listener;
+      return () => {};
+    }
+  });
+  messages.forEach(message => deliver(message));
+  return model;
+}
+
+/**
+ * SyncService - Syncs the todos with the server, queueing changes while offline
+ * @extends {EventTarget}
+ */
+export class SyncService extends EventTarget {
+  /**
+   * Forget everything about the server, e.g. when syncing is turned off. Syncing again
+   * later starts over with the server's data.
+   * @param {Object} storage The storage service the sync state is kept in
+   * @returns {Promise<void>}
+   */
+  static async forget(storage) {
+    await Promise.all([SYNC_TOKEN_KEY, OUTBOX_KEY, REVISION_KEY].map(key => storage.remove(key)));
+  }
+
+  /**
+   * Creates a sync service for a model. Call {@link SyncService#start} to start syncing.
+   * @param {TodoModel} model The todos
+   * @param {import('./tab-sync.js').TabSync} tabs The channel to the other tabs
+   * @param {Object} storage The storage service the model saves to; the queue is kept there too
+   * @param {Object} options
+   * @param {string} options.token The token the server expects
+   * @param {string} [options.baseUrl='/api/todos'] Where the sync API is
+   * @param {Function} [options.fetch=globalThis.fetch] Makes the requests
+   * @param {LockManager|null} [options.locks=navigator.locks] Elects the tab that syncs;
+   *   without it, every tab syncs on its own
+   * @param {number} [options.pollInterval=POLL_INTERVAL] Milliseconds between rounds
+   */
+  constructor(model, tabs, storage, {
+    token,
+    baseUrl = '/api/todos',
+    fetch = (...args) => globalThis.fetch(...args),
+    locks = globalThis.navigator?.locks ?? null,
+    pollInterval = POLL_INTERVAL
+  }) {
+    super();
+    this.model = model;
+    this.tabs = tabs;
+    this.storage = storage;
+    this.token = token;
+    this.baseUrl = baseUrl;
+    this.fetch = fetch;
+    this.locks = locks;
+    this.pollInterval = pollInterval;
+    /** @type {Set<function(Object): void>} The model's listener for changes from elsewhere */
+    this.listeners = new Set();
+    /** @type {boolean} Whether this tab is the one talking to the server */
+    this.leading = false;
+    /** @type {string|null} ID of this browser's copy of the data, stamped on the changes it pushes */
+    this.replica = null;
+    /** @type {number|null} Last revision pulled, null if this browser has never synced */
+    this.revision = null;
+    /** @type {Object[]} Changes waiting to be pushed, oldest first */
+    this.outbox = [];
+    /** @type {number} Changes pushed or pulled since the last snapshot known of */
+    this.sinceSnapshot = 0;
+    /** @type {boolean} Whether the model's data is being replaced with the server's */
+    this.replacing = false;
+    /** @type {Promise<void>|null} The round in progress, if any */
+    this.running = null;
+    this.again = false;
+    /** @type {SyncStatus} */
+    this.status = { state: 'standby', pending: 0, lastSyncedAt: null, error: null };
+    this.abort = new AbortController();
+    this.releaseLock = null;
+    this.pollTimer = null;
+    this.stopModel = null;
+    this.unsubscribeTabs = null;
+    this.syncInBackground = this.syncInBackground.bind(this);
+  }
+
+  /**
+   * ID of this tab, stamped on the changes made here.
+   * @returns {string}
+   */
+  get tabId() {
+    return this.tabs.tabId;
+  }
+
+  /**
+   * Start syncing the model, with the other tabs right away and with the server once this
+   * tab is the one talking to it.
+   */
+  start() {
+    this.unsubscribeTabs = this.tabs.subscribe(message => this.receive(message));
+    this.stopModel = this.model.startSync(this);
+    if (!this.locks) {
+      this.lead();
+      return;
+    }
+    this.locks.request('todos_sync', { signal: this.abort.signal }, () => new Promise(resolve => {
+      this.releaseLock = resolve;
+      this.lead();
+    })).catch(error => {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to elect the tab that syncs:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop syncing, with the server and the other tabs. Changes still queued are kept for
+   * next time. Leaves the channel to the other tabs open.
+   */
+  stop() {
+    this.leading = false;
+    this.abort.abort();
+    this.releaseLock?.();
+    clearInterval(this.pollTimer);
+    globalThis.removeEventListener?.('online', this.syncInBackground);
+    this.stopModel?.();
+    this.unsubscribeTabs?.();
+  }
+
+  /**
+   * Take over talking to the server: load the queue and start syncing.
+   * @private
+   */
+  async lead() {
+    const [replica, revision, outbox] = await Promise.all(
+      [REPLICA_KEY, REVISION_KEY, OUTBOX_KEY].map(key => this.storage.load(key, null)));
+    if (this.abort.signal.aborted) {
+      return;
+    }
+    this.replica = replica ?? globalThis.crypto.randomUUID();
+    if (!replica) {
+      try {
+        await this.storage.save(REPLICA_KEY, this.replica);
+      } catch (error) {
+        console.error('Failed to save the sync state:', error);
+      }
+    }
+    this.revision = revision;
+    this.outbox = outbox ?? [];
+    this.leading = true;
+    globalThis.addEventListener?.('online', this.syncInBackground);
+    this.pollTimer = setInterval(this.syncInBackground, this.pollInterval);
+    this.syncInBackground();
+  }
+
+  /**
+   * Send changes made in this tab to the other tabs, and queue them for the server.
+   * Called by the model.
+   * @param {Object} message The changes
+   */
+  publish(message) {
+    this.tabs.publish(message);
+    // Replacing the data with the server's changes nothing the server needs to hear about
+    if (!this.replacing) {
+      this.enqueue({ ...message, origin: this.tabId });
+    }
+  }
+
+  /**
+   * Listen for changes made in other tabs or browsers. Called by the model.
+   * @param {function(Object): void} listener Called with each change
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Pass on changes made in another tab, queueing them for the server unless they came from it.
+   * @private
+   * @param {Object} message The changes
+   */
+  receive(message) {
+    if (!message.replica) {
+      this.enqueue(message);
+    }
+    this.listeners.forEach(listener => listener(message));
+  }
+
+  /**
+   * Queue changes for the server, if this tab is the one talking to it, and push them soon.
+   * @private
+   * @param {Object} message The changes
+   */
+  enqueue(message) {
+    if (!this.leading) {
+      return;
+    }
+    this.outbox.push({ ...message, replica: this.replica });
+    this.saveOutbox();
+    this.syncInBackground();
+  }
+
+  /**
+   * Save the queue, unless syncing has stopped (and the queue may have been forgotten).
+   * @private
+   * @returns {Promise<void>}
+   */
+  async saveOutbox() {
+    if (this.abort.signal.aborted) {
+      return;
+    }
+    try {
+      await this.storage.save(OUTBOX_KEY, this.outbox);
+    } catch (error) {
+      // The queue is still in memory; it is saved again with the next change
+      console.error('Failed to save changes waiting to be synced:', error);
+    }
+  }
+
+  /**
+   * Save the last revision pulled, unless syncing has stopped.
+   * @private
+   * @param {number} revision The revision
+   * @returns {Promise<void>}
+   */
+  async saveRevision(revision) {
+    if (this.abort.signal.aborted) {
+      return;
+    }
+    this.revision = revision;
+    await this.storage.save(REVISION_KEY, revision);
+  }
+
+  /**
+   * Update the status and dispatch it as a `status` event with `detail.status`.
+   * @private
+   * @param {Partial<SyncStatus>} changes What changed
+   */
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes, pending: this.outbox.length };
+    this.dispatchEvent(new CustomEvent('status', { detail: { status: this.status } }));
+  }
+
+  /**
+   * Sync with the server now. A call made during a round runs another one after it.
+   * Does nothing in tabs that do not talk to the server.
+   * @returns {Promise<void>} Resolves once the rounds are done; failures are reported in the status
+   */
+  syncNow() {
+    if (!this.leading) {
+      return Promise.resolve();
+    }
+    if (this.running) {
+      this.again = true;
+      return this.running;
+    }
+    this.running = (async () => {
+      do {
+        this.again = false;
+        await this.syncOnce();
+      } while (this.again && this.leading);
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * Sync with the server without waiting for it, e.g. on a timer. A round that fails
+   * unexpectedly is logged and reported in the status rather than left unhandled.
+   */
+  syncInBackground() {
+    this.syncNow().catch(error => {
+      console.error('Failed to sync with the server:', error);
+      this.setStatus({ state: 'error', error });
+    });
+  }
+
+  /**
+   * One round: push queued changes, pull the other browsers' and upload a snapshot if due.
+   * @private
+   */
+  async syncOnce() {
+    this.setStatus({ state: 'syncing' });
+    try {
+      if (this.revision === null) {
+        await this.bootstrap();
+      }
+      await this.push();
+      await this.pull();
+      await this.uploadSnapshot();
+    } catch (error) {
+      if (!(error instanceof TodoError)) {
+        throw error;
+      }
+      this.setStatus({ state: error instanceof SyncError && error.status === null ? 'offline' : 'error', error });
+      return;
+    }
+    this.setStatus({ state: 'synced', lastSyncedAt: new Date().toISOString(), error: null });
+  }
+
+  /**
+   * Send a request to the sync API.
+   * @private
+   * @param {string} method The HTTP method
+   * @param {string} [path=''] The path after the base URL
+   * @param {Object} [body] The request body
+   * @returns {Promise<Object>} The response body
+   * @throws {SyncError} If the server could not be reached, refused the request or did not
+   *   answer with JSON
+   */
+  async request(method, path = '', body) {
+    let response;
+    try {
+      response = await this.fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body && JSON.stringify(body)
+      });
+    } catch (cause) {
+      throw new SyncError('The sync server could not be reached', { cause });
+    }
+    if (!response.ok) {
+      throw new SyncError(describeStatus(response.status), { status: response.status });
+    }
+    try {
+      return await response.json();
+    } catch (cause) {
+      // E.g. a page served in place of the API by a dev server or a captive portal
+      throw new SyncError('The sync server sent an answer that could not be read', { status: response.status, cause });
+    }
+  }
+
+  /**
+   * First sync of this browser: upload its data if the server has none, or else start
+   * from the server's.
+   * @private
+   */
+  async bootstrap() {
+    const snapshot = await this.request('GET');
+    if (snapshot.data !== null) {
+      await this.rebase(snapshot);
+      return;
+    }
+    // The upload includes every change queued so far
+    const queued = this.outbox.length;
+    try {
+      const { revision } = await this.request('PUT', '', { baseRevision: snapshot.revision, data: this.model.exportData() });
+      this.outbox.splice(0, queued);
+      await this.saveOutbox();
+      this.sinceSnapshot = 0;
+      await this.saveRevision(revision);
+    } catch (error) {
+      // Another browser uploaded its data first
+      if (error.status !== 409) {
+        throw error;
+      }
+      await this.bootstrap();
+    }
+  }
+
+  /**
+   * Replace the model's data with the server's: its snapshot and the changes made since.
+   * The server's data wins. If that loses data from here (on the first sync, or a todo
+   * added here that clashed with one added elsewhere and was never renumbered, or changes
+   * still queued), a `replaced` event is dispatched with the data from before as
+   * `detail.backup`, so it can be kept.
+   * @private
+   * @param {{ revision: number, data: Object|null }} [snapshot] The snapshot, if already fetched
+   */
+  async rebase(snapshot) {
+    snapshot ??= await this.request('GET');
+    const { revision, changes } = await this.request('GET', `/changes?since=${snapshot.revision}`);
+    if (this.abort.signal.aborted) {
+      return;
+    }
+    const messages = changes.map(change => change.message);
+    const replayed = replay(snapshot.data, messages);
+    const ownOrigins = new Set(messages.filter(message => message.replica === this.replica).map(message => message.origin));
+    const loses = this.revision === null
+      ? this.model.todos.length > 0 || this.model.trash.length > 0
+      : this.outbox.length > 0 || replayed.clashes.some(clash => ownOrigins.has(clash.origin));
+    const backup = loses ? this.model.exportData() : null;
+
+    this.replacing = true;
+    try {
+      this.model.replaceState(replayed.exportData());
+    } finally {
+      this.replacing = false;
+    }
+    this.outbox = [];
+    await this.saveOutbox();
+    this.sinceSnapshot = changes.length;
+    await this.saveRevision(revision);
+    if (backup) {
+      this.dispatchEvent(new CustomEvent('replaced', { detail: { backup } }));
+    }
+  }
+
+  /**
+   * Push the queued changes.
+   * @private
+   */
+  async push() {
+    while (this.outbox.length > 0) {
+      const changes = this.outbox.slice(0, PUSH_BATCH_SIZE);
+      await this.request('POST', '/changes', { changes });
+      this.outbox.splice(0, changes.length);
+      this.sinceSnapshot += changes.length;
+      await this.saveOutbox();
+    }
+  }
+
+  /**
+   * Pull the changes other browsers pushed since the last revision pulled, apply them and
+   * pass them on to the other tabs. Starts over from the snapshot if the server no longer
+   * has them all.
+   * @private
+   */
+  async pull() {
+    let result;
+    try {
+      result = await this.request('GET', `/changes?since=${this.revision}`);
+    } catch (error) {
+      if (error.status !== 410) {
+        throw error;
+      }
+      await this.rebase();
+      return;
+    }
+    result.changes
+      .filter(change => change.message.replica !== this.replica)
+      .forEach(({ message }) => {
+        this.sinceSnapshot++;
+        this.listeners.forEach(listener => listener(message));
+        this.tabs.publish(message);
+      });
+    await this.saveRevision(result.revision);
+  }
+
+  /**
+   * Upload a snapshot once enough changes have piled up since the last one and every change
+   * made here has been pushed. Skipped if another browser pushed changes meanwhile.
+   * @private
+   */
+  async uploadSnapshot() {
+    if (this.sinceSnapshot < SNAPSHOT_INTERVAL || this.outbox.length > 0) {
+      return;
+    }
+    try {
+      await this.request('PUT', '', { baseRevision: this.revision, data: this.model.exportData() });
+      this.sinceSnapshot = 0;
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+}
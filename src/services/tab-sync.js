@@ -0,0 +1,60 @@
+/**
+ * @fileoverview TabSync passes messages between tabs of the app through a BroadcastChannel.
+ * Each tab gets a random ID, which is sent with every message so a tab can tell its own
+ * changes from other tabs' and conflicts can be resolved the same way everywhere.
+ * Where BroadcastChannel is unavailable, messages are silently dropped.
+ */
+
+/**
+ * TabSync - Broadcasts messages to the other open tabs of the app
+ */
+export class TabSync {
+  /**
+   * Creates a sync channel for the app.
+   * @param {string} [storageKey='todos'] The base key of the app's data; tabs using the same key sync
+   * @param {Object} [options]
+   * @param {BroadcastChannel|null} [options.channel] The channel to use; defaults to a new BroadcastChannel
+   */
+  constructor(storageKey = 'todos', { channel } = {}) {
+    /** @type {string} */
+    this.tabId = globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+    this.channel = channel !== undefined ? channel
+      : typeof BroadcastChannel === 'function' ? new BroadcastChannel(`${storageKey}_sync`) : null;
+  }
+
+  /**
+   * Send a message to the other tabs. It must be structured-cloneable.
+   * @param {Object} message The message; `origin` is set to this tab's ID unless it is
+   *   passing on a message with its own
+   */
+  publish(message) {
+    try {
+      this.channel?.postMessage({ origin: this.tabId, ...message });
+    } catch (error) {
+      console.error('Failed to send changes to other tabs:', error);
+    }
+  }
+
+  /**
+   * Listen for messages from other tabs.
+   * @param {function(Object): void} listener Called with each message
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(listener) {
+    const handleMessage = (event) => {
+      if (event.data?.origin !== this.tabId) {
+        listener(event.data);
+      }
+    };
+    this.channel?.addEventListener('message', handleMessage);
+    return () => this.channel?.removeEventListener('message', handleMessage);
+  }
+
+  /**
+   * Stop sending and receiving messages.
+   */
+  close() {
+    this.channel?.close();
+    this.channel = null;
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Per-todo activity log.
+ * Each todo gets an append-only list of entries recording what happened to it and when,
+ * with the before and after values of edited fields. To keep storage small, long values
+ * are truncated, quick successive edits are merged into one entry, and logs that grow too
+ * long are compacted: the oldest entries (except the creation) are replaced by a single
+ * `compacted` entry counting them.
+ */
+
+/**
+ * Most entries kept per todo, including the `compacted` marker.
+ * @type {number}
+ */
+export const MAX_ENTRIES_PER_TODO = 50;
+
+/**
+ * Most entries kept across all todos; beyond that the longest logs are compacted further.
+ * @type {number}
+ */
+export const MAX_TOTAL_ENTRIES = 2000;
+
+/**
+ * Longest string value kept in an entry; longer values (such as notes) are cut off.
+ * @type {number}
+ */
+export const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Edits made within this many milliseconds of the previous edit are merged into it.
+ * @type {number}
+ */
+export const MERGE_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * What happened to a todo.
+ * @typedef {'created'|'edited'|'completed'|'reopened'|'moved'|'deleted'|'restored'|'compacted'} ActivityAction
+ */
+
+/**
+ * The before and after value of each changed field.
+ * @typedef {Object<string, { before: *, after: * }>} FieldChanges
+ */
+
+/**
+ * An entry in a todo's activity log.
+ * @typedef {Object} ActivityEntry
+ * @property {string} at ISO timestamp of the action
+ * @property {ActivityAction} action What happened
+ * @property {FieldChanges} [changes] Changed fields, for `edited` and `moved`
+ * @property {boolean} [undone] True if the entry records an action being undone
+ * @property {number} [count] Number of entries a `compacted` entry replaces
+ */
+
+/**
+ * Cuts off long string values, in arrays too.
+ * @private
+ * @param {*} value The value
+ * @returns {*} The value, with strings no longer than {@link MAX_VALUE_LENGTH}
+ */
+function truncate(value) {
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH - 1)}…`;
+  }
+  return Array.isArray(value) ? value.map(truncate) : value;
+}
+
+/**
+ * Builds a log entry.
+ * @param {ActivityAction} action What happened
+ * @param {Object} [options]
+ * @param {FieldChanges} [options.changes] Changed fields
+ * @param {boolean} [options.undone=false] Whether the action is being undone; the before and
+ *   after values are swapped, so they describe the undo itself
+ * @param {Date} [options.at=new Date()] When it happened
+ * @returns {ActivityEntry} The entry
+ */
+export function createEntry(action, { changes, undone = false, at = new Date() } = {}) {
+  const entry = { at: at.toISOString(), action };
+  if (changes) {
+    entry.changes = Object.fromEntries(Object.entries(changes).map(([field, { before, after }]) => [
+      field,
+      undone ? { before: truncate(after), after: truncate(before) } : { before: truncate(before), after: truncate(after) }
+    ]));
+  }
+  if (undone) {
+    entry.undone = true;
+  }
+  return entry;
+}
+
+/**
+ * Merges an edit into the previous edit. Fields changed by both keep the earlier `before`
+ * and the later `after`; fields that end up unchanged are dropped.
+ * @private
+ * @param {ActivityEntry} previous The earlier edit
+ * @param {ActivityEntry} entry The later edit
+ * @returns {ActivityEntry|null} The merged entry, or null if the edits cancel out
+ */
+function mergeEdits(previous, entry) {
+  const changes = { ...previous.changes };
+  Object.entries(entry.changes).forEach(([field, { before, after }]) => {
+    changes[field] = { before: field in changes ? changes[field].before : before, after };
+  });
+  const remaining = Object.entries(changes)
+    .filter(([, { before, after }]) => JSON.stringify(before) !== JSON.stringify(after));
+  return remaining.length > 0 ? { ...entry, changes: Object.fromEntries(remaining) } : null;
+}
+
+/**
+ * Compacts a log to at most `max` entries. The first entry (usually the creation) and the
+ * most recent entries are kept; the ones in between are counted in a `compacted` entry.
+ * @param {ActivityEntry[]} entries The log
+ * @param {number} [max=MAX_ENTRIES_PER_TODO] Most entries to keep, at least 3
+ * @returns {ActivityEntry[]} The log, or a compacted copy if it was too long
+ */
+export function compactLog(entries, max = MAX_ENTRIES_PER_TODO) {
+  if (entries.length <= max) {
+    return entries;
+  }
+  const [first, ...rest] = entries;
+  const dropped = rest.slice(0, rest.length - (max - 2));
+  const count = dropped.reduce((sum, entry) => sum + (entry.action === 'compacted' ? entry.count : 1), 0);
+  return [
+    first,
+    { at: dropped[dropped.length - 1].at, action: 'compacted', count },
+    ...rest.slice(dropped.length)
+  ];
+}
+
+/**
+ * Appends an entry to a log, merging it into the previous entry if both are edits made
+ * in quick succession, and compacting the log if it grows too long.
+ * @param {ActivityEntry[]} entries The log
+ * @param {ActivityEntry} entry The new entry
+ * @returns {ActivityEntry[]} A new log; the given one is not changed
+ */
+export function appendEntry(entries, entry) {
+  const previous = entries[entries.length - 1];
+  const mergeable = previous && previous.action === 'edited' && entry.action === 'edited'
+    && !previous.undone && !entry.undone
+    && Date.parse(entry.at) - Date.parse(previous.at) <= MERGE_WINDOW_MS;
+  if (!mergeable) {
+    return compactLog([...entries, entry]);
+  }
+  const merged = mergeEdits(previous, entry);
+  return merged ? [...entries.slice(0, -1), merged] : entries.slice(0, -1);
+}
+
+/**
+ * Keeps the logs of all todos within {@link MAX_TOTAL_ENTRIES} by halving the longest logs.
+ * @param {Object<number, ActivityEntry[]>} activity Logs by todo ID
+ * @param {number} [maxTotal=MAX_TOTAL_ENTRIES] Most entries to keep in total
+ * @returns {Object<number, ActivityEntry[]>} The logs, or a compacted copy if there were too many entries
+ */
+export function trimActivity(activity, maxTotal = MAX_TOTAL_ENTRIES) {
+  const result = { ...activity };
+  let total = Object.values(result).reduce((sum, entries) => sum + entries.length, 0);
+  while (total > maxTotal) {
+    const [id, entries] = Object.entries(result).reduce((a, b) => b[1].length > a[1].length ? b : a);
+    if (entries.length <= 3) {
+      break;
+    }
+    result[id] = compactLog(entries, Math.max(3, Math.ceil(entries.length / 2)));
+    total -= entries.length - result[id].length;
+  }
+  return result;
+}
+
+/**
+ * Names of fields in descriptions.
+ * @type {Object<string, string>}
+ */
+const FIELD_NAMES = {
+  text: 'Text',
+  dueDate: 'Due date',
+  dueTime: 'Due time',
+  tags: 'Tags',
+  recurrence: 'Repeat rule',
+  priority: 'Priority',
+  notes: 'Notes'
+};
+
+/**
+ * Formats a field value for a description.
+ * @private
+ * @param {string} field The field
+ * @param {*} value Its value
+ * @returns {string}
+ */
+function formatValue(field, value) {
+  if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+  return field === 'tags' ? value.map(tag => `#${tag}`).join(' ') : `“${value}”`;
+}
+
+/**
+ * Describes a log entry for the history panel.
+ * @param {ActivityEntry} entry The entry
+ * @param {Object} [options]
+ * @param {Array<{ id: number, name: string }>} [options.lists=[]] Lists, to name the lists a todo moved between
+ * @returns {string[]} One line per change, e.g. `Text changed from “a” to “b”`
+ */
+export function describeEntry(entry, { lists = [] } = {}) {
+  const prefix = entry.undone ? 'Undone: ' : '';
+  const listName = (id) => {
+    const list = lists.find(l => l.id === id);
+    return list ? `“${list.name}”` : 'a deleted list';
+  };
+
+  switch (entry.action) {
+    case 'edited':
+      return Object.entries(entry.changes).map(([field, { before, after }]) => field === 'notes'
+        ? `${prefix}Notes edited`
+        : `${prefix}${FIELD_NAMES[field] ?? field} changed from ${formatValue(field, before)} to ${formatValue(field, after)}`);
+    case 'moved':
+      return [`${prefix}Moved from ${listName(entry.changes.listId.before)} to ${listName(entry.changes.listId.after)}`];
+    case 'compacted':
+      return [`${entry.count} older ${entry.count === 1 ? 'entry' : 'entries'} compacted`];
+    default: {
+      const labels = {
+        created: 'Created',
+        completed: 'Completed',
+        reopened: 'Reopened',
+        deleted: 'Moved to trash',
+        restored: 'Restored from trash'
+      };
+      return [`${prefix}${labels[entry.action] ?? entry.action}`];
+    }
+  }
+}
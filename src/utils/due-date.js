@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Helpers for working with todo due dates.
+ * Due dates are stored as local calendar dates (`YYYY-MM-DD`) with an optional
+ * local time (`HH:MM`), so a todo due "today" stays due today in any timezone.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a Date as a local calendar date, the format used for `dueDate`.
+ * @param {Date} [date=new Date()] The date to format
+ * @returns {string} The date in `YYYY-MM-DD` format
+ */
+export function toLocalDateString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Converts a stored due date (and optional time) into a local Date.
+ * Without a time, the todo is considered due at the end of that day.
+ * @param {string} dueDate Date in `YYYY-MM-DD` format
+ * @param {string|null} [dueTime=null] Time in `HH:MM` format
+ * @returns {Date} The moment the todo becomes overdue
+ */
+export function toDueMoment(dueDate, dueTime = null) {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  if (dueTime) {
+    const [hours, minutes] = dueTime.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+  }
+  return new Date(year, month - 1, day, 23, 59, 59, 999);
+}
+
+/**
+ * Counts whole calendar days from `now` to the due date.
+ * Negative values mean the date is in the past.
+ * @param {string} dueDate Date in `YYYY-MM-DD` format
+ * @param {Date} [now=new Date()] Reference time
+ * @returns {number} Number of calendar days until the due date
+ */
+export function daysUntil(dueDate, now = new Date()) {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const due = new Date(year, month - 1, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((due - today) / MS_PER_DAY);
+}
+
+/**
+ * Whether an incomplete todo has passed its due date (and time, if set).
+ * @param {{ dueDate?: string|null, dueTime?: string|null, completed: boolean }} todo
+ * @param {Date} [now=new Date()] Reference time
+ * @returns {boolean} True if the todo is overdue
+ */
+export function isOverdue(todo, now = new Date()) {
+  if (!todo.dueDate || todo.completed) {
+    return false;
+  }
+  return now > toDueMoment(todo.dueDate, todo.dueTime);
+}
+
+/**
+ * Builds a short relative label such as "today", "tomorrow", "in 4 days"
+ * or "3 days overdue", followed by the due time when one is set.
+ * @param {{ dueDate?: string|null, dueTime?: string|null }} todo
+ * @param {Date} [now=new Date()] Reference time
+ * @returns {string} The label, or an empty string if the todo has no due date
+ */
+export function formatDueLabel(todo, now = new Date()) {
+  if (!todo.dueDate) {
+    return '';
+  }
+
+  const days = daysUntil(todo.dueDate, now);
+  let label;
+  if (days === 0) {
+    label = 'today';
+  } else if (days === 1) {
+    label = 'tomorrow';
+  } else if (days > 1) {
+    label = `in ${days} days`;
+  } else {
+    label = `${-days} ${days === -1 ? 'day' : 'days'} overdue`;
+  }
+
+  return todo.dueTime ? `${label} ${todo.dueTime}` : label;
+}
+
+/**
+ * Comparator that orders todos by due date and time, earliest first.
+ * Todos without a due date are placed last, keeping their relative order.
+ * @param {{ dueDate?: string|null, dueTime?: string|null }} a
+ * @param {{ dueDate?: string|null, dueTime?: string|null }} b
+ * @returns {number} Negative if `a` is due first, positive if `b` is due first
+ */
+export function compareByDueDate(a, b) {
+  if (!a.dueDate || !b.dueDate) {
+    return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+  }
+  return toDueMoment(a.dueDate, a.dueTime) - toDueMoment(b.dueDate, b.dueTime);
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Fuzzy text matching for the search box.
+ * A query matches when its characters appear in the text in order, not necessarily
+ * next to each other, so "bmlk" finds "Buy milk". Matches are scored so that whole
+ * substrings and matches at word starts rank above scattered characters.
+ * Each call is a single linear scan, which keeps searching 10,000 todos per keystroke cheap.
+ */
+
+/**
+ * The result of matching a query against a piece of text.
+ * @typedef {Object} FuzzyMatch
+ * @property {number} score Higher is a better match
+ * @property {number[]} indices Positions of the matched characters in the text, ascending
+ */
+
+/**
+ * Matches a single query term against a text, ignoring case.
+ * A contiguous substring is preferred; otherwise the characters are matched in order.
+ * @param {string} term The query term (without spaces)
+ * @param {string} text The text to search
+ * @returns {FuzzyMatch|null} The match, or null if the text does not contain the term's characters in order
+ */
+export function fuzzyMatch(term, text) {
+  const needle = term.toLowerCase();
+  const haystack = String(text).toLowerCase();
+  if (!needle) {
+    return { score: 0, indices: [] };
+  }
+
+  const start = haystack.indexOf(needle);
+  if (start !== -1) {
+    const indices = Array.from({ length: needle.length }, (_, i) => start + i);
+    return { score: needle.length * 3 + (isWordStart(haystack, start) ? 2 : 0), indices };
+  }
+
+  const indices = [];
+  let score = 0;
+  let position = 0;
+  for (let i = 0; i < needle.length; i++) {
+    const index = haystack.indexOf(needle[i], position);
+    if (index === -1) {
+      return null;
+    }
+    if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+      score += 2;
+    } else if (isWordStart(haystack, index)) {
+      score += 1;
+    }
+    indices.push(index);
+    position = index + 1;
+  }
+  return { score, indices };
+}
+
+/**
+ * Searches todos for a query. Every space-separated term of the query must match the
+ * todo's text, one of its tags or its notes (when present).
+ * @param {Array<{ id: number, text: string, tags?: string[], notes?: string }>} todos The todos to search
+ * @param {string} query The search query
+ * @returns {Map<number, FuzzyMatch>} Matching todos by ID; `indices` point into the todo text
+ *   and only include terms that matched the text itself
+ */
+export function searchTodos(todos, query) {
+  const terms = String(query).trim().split(/\s+/).filter(Boolean);
+  const results = new Map();
+
+  todos.forEach(todo => {
+    let score = 0;
+    const indices = new Set();
+    for (const term of terms) {
+      const match = fuzzyMatch(term, todo.text) ?? matchOther(term, todo);
+      if (!match) {
+        return;
+      }
+      score += match.score;
+      match.indices.forEach(index => indices.add(index));
+    }
+    results.set(todo.id, { score, indices: [...indices].sort((a, b) => a - b) });
+  });
+  return results;
+}
+
+/**
+ * Splits text into plain and highlighted segments for rendering.
+ * @param {string} text The text
+ * @param {number[]} indices Positions of the characters to highlight, ascending
+ * @returns {Array<{ text: string, highlighted: boolean }>} Consecutive segments covering the whole text
+ */
+export function highlightSegments(text, indices) {
+  const marked = new Set(indices);
+  const segments = [];
+  for (let i = 0; i < text.length; i++) {
+    const highlighted = marked.has(i);
+    const last = segments[segments.length - 1];
+    if (last && last.highlighted === highlighted) {
+      last.text += text[i];
+    } else {
+      segments.push({ text: text[i], highlighted });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Matches a term against a todo's tags and notes. Only used when the text does not match,
+ * so the returned indices are empty (there is nothing to highlight in the text).
+ * @private
+ * @param {string} term The query term
+ * @param {{ tags?: string[], notes?: string }} todo The todo
+ * @returns {FuzzyMatch|null} The best match, at a lower score than a text match
+ */
+function matchOther(term, todo) {
+  const fields = [...(todo.tags || []), todo.notes || ''];
+  let best = null;
+  fields.forEach(field => {
+    const match = fuzzyMatch(term.replace(/^#/, ''), field);
+    if (match && (!best || match.score > best.score)) {
+      best = match;
+    }
+  });
+  return best && { score: best.score / 2, indices: [] };
+}
+
+/**
+ * @private
+ * @param {string} text Lowercased text
+ * @param {number} index Position in the text
+ * @returns {boolean} True if the character at `index` starts a word
+ */
+function isWordStart(text, index) {
+  return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Minimal Markdown for todo notes.
+ * Parses the subset used in notes (headings, paragraphs, bulleted, numbered and `- [ ]` task
+ * lists, fenced code blocks, inline code, bold, italic and links) into a tree of plain
+ * objects. Components render the tree with templates rather than as HTML, so markup in the
+ * notes is always shown as text; link targets are limited to http(s) and mailto URLs.
+ */
+
+/**
+ * A list item line: indentation, marker (`-`, `*`, `+` or `1.`) and content.
+ * @type {RegExp}
+ */
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+/**
+ * A task list item line, capturing everything up to the box, the box state and the rest.
+ * @type {RegExp}
+ */
+const TASK_ITEM = /^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\](?:\s+|$))/;
+
+/**
+ * Inline syntax, in order of precedence: code, bold, italic, links and bare URLs.
+ * @type {RegExp}
+ */
+const INLINE = new RegExp([
+  /`([^`]+)`/.source,
+  /\*\*(.+?)\*\*|__(.+?)__/.source,
+  /\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/.source,
+  /\[([^\]]+)\]\(([^)\s]+)\)/.source,
+  /(https?:\/\/[^\s<>]*[^\s<>.,;:!?)\]'"])/.source
+].join('|'), 'g');
+
+/**
+ * A piece of inline content.
+ * @typedef {{ type: 'text', text: string }
+ *   | { type: 'code', text: string }
+ *   | { type: 'strong'|'em', children: InlineNode[] }
+ *   | { type: 'link', href: string, children: InlineNode[] }
+ *   | { type: 'break' }} InlineNode
+ */
+
+/**
+ * An item of a list; `task` is set for `- [ ]` items, with its index among all tasks in the notes.
+ * @typedef {Object} ListItem
+ * @property {InlineNode[]} children The item's content
+ * @property {number} depth Nesting level, from the item's indentation
+ * @property {{ checked: boolean, index: number }|null} task The checkbox, if the item is a task
+ */
+
+/**
+ * A block of content.
+ * @typedef {{ type: 'heading', level: number, children: InlineNode[] }
+ *   | { type: 'paragraph', children: InlineNode[] }
+ *   | { type: 'list', ordered: boolean, items: ListItem[] }
+ *   | { type: 'code', text: string }} BlockNode
+ */
+
+/**
+ * Checks that a link target is safe to open.
+ * @param {string} url The link target
+ * @returns {string|null} The URL if it is an http(s) or mailto URL, otherwise null
+ */
+export function safeUrl(url) {
+  return /^(https?:\/\/|mailto:)/i.test(url.trim()) ? url.trim() : null;
+}
+
+/**
+ * Parses inline Markdown.
+ * @param {string} text The text of a single block
+ * @returns {InlineNode[]} The inline nodes
+ */
+export function parseInline(text) {
+  const nodes = [];
+  const pushText = value => {
+    if (value) {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [source, code, strong, strongAlt, em, emAlt, label, href, url] = match;
+    pushText(text.slice(last, match.index));
+    last = match.index + source.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong ?? strongAlt) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(em ?? emAlt) });
+    } else if (label !== undefined) {
+      const target = safeUrl(href);
+      if (target) {
+        nodes.push({ type: 'link', href: target, children: parseInline(label) });
+      } else {
+        nodes.push(...parseInline(label));
+      }
+    } else {
+      nodes.push({ type: 'link', href: url, children: [{ type: 'text', text: url }] });
+    }
+  }
+  pushText(text.slice(last));
+  return nodes;
+}
+
+/**
+ * Parses lines of a paragraph, keeping line breaks.
+ * @private
+ * @param {string[]} lines The lines
+ * @returns {InlineNode[]}
+ */
+function parseLines(lines) {
+  return lines.flatMap((line, i) => i === 0 ? parseInline(line) : [{ type: 'break' }, ...parseInline(line)]);
+}
+
+/**
+ * Parses Markdown notes into blocks.
+ * @param {string|null} source The notes
+ * @returns {BlockNode[]} The blocks, in order
+ */
+export function parseMarkdown(source) {
+  const blocks = [];
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  let paragraph = [];
+  let list = null;
+  let taskIndex = 0;
+
+  const endParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseLines(paragraph) });
+      paragraph = [];
+    }
+  };
+  const endList = () => {
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (/^\s*```/.test(line)) {
+      endParagraph();
+      endList();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: 'code', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      endParagraph();
+      endList();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      endParagraph();
+      const ordered = /\d/.test(item[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+      const task = TASK_ITEM.exec(line);
+      list.items.push({
+        children: parseInline(task ? line.slice(task[0].length) : item[3]),
+        depth: Math.floor(item[1].replace(/\t/g, '  ').length / 2),
+        task: task ? { checked: task[2] !== ' ', index: taskIndex++ } : null
+      });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      endParagraph();
+      endList();
+    } else {
+      endList();
+      paragraph.push(line.trim());
+    }
+  }
+  endParagraph();
+  return blocks;
+}
+
+/**
+ * Rewrites the boxes of task list items outside code blocks.
+ * @private
+ * @param {string} source The notes
+ * @param {function(string, number): string} replace Returns the new box state (`' '` or `'x'`)
+ *   given the current one and the task's index
+ * @returns {string} The rewritten notes
+ */
+function mapTasks(source, replace) {
+  let inCode = false;
+  let index = 0;
+  return source.split('\n').map(line => {
+    if (/^\s*```/.test(line)) {
+      inCode = !inCode;
+      return line;
+    }
+    const task = !inCode && TASK_ITEM.exec(line);
+    if (!task) {
+      return line;
+    }
+    return `${task[1]}${replace(task[2], index++)}${line.slice(task[1].length + 1)}`;
+  }).join('\n');
+}
+
+/**
+ * Checks or unchecks a task list item in the notes source.
+ * @param {string} source The notes
+ * @param {number} index The task's index, as reported by {@link parseMarkdown}
+ * @returns {string} The notes with that task's box toggled
+ */
+export function toggleTask(source, index) {
+  return mapTasks(source, (box, i) => i !== index ? box : box === ' ' ? 'x' : ' ');
+}
+
+/**
+ * Unchecks every task list item in the notes source.
+ * @param {string} source The notes
+ * @returns {string} The notes with every task unchecked
+ */
+export function resetTasks(source) {
+  return mapTasks(source, () => ' ');
+}
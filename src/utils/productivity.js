@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Productivity statistics for the dashboard.
+ * Works on the completion history kept by TodoModel: an object mapping local dates
+ * (`YYYY-MM-DD`) to the number of todos completed that day. Days without completions
+ * are simply missing from the history.
+ */
+
+import { toLocalDateString } from './due-date.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Todos completed per local date.
+ * @typedef {Object<string, number>} CompletionHistory
+ */
+
+/**
+ * Moves a date by a number of days, keeping it at local midnight.
+ * @private
+ * @param {Date} date The date
+ * @param {number} days Days to add (negative to go back)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Lists the completions of each of the last `days` days, oldest first.
+ * @param {CompletionHistory} history The completion history
+ * @param {number} days How many days to include, ending with today
+ * @param {Date} [today=new Date()] The last day
+ * @returns {Array<{ date: string, count: number }>} One entry per day, including days without completions
+ */
+export function getDailyCompletions(history, days, today = new Date()) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = toLocalDateString(addDays(today, i - days + 1));
+    return { date, count: history[date] ?? 0 };
+  });
+}
+
+/**
+ * Finds the current and longest streaks of consecutive days with at least one completion.
+ * The current streak is still alive if nothing has been completed yet today.
+ * @param {CompletionHistory} history The completion history
+ * @param {Date} [today=new Date()] The current day
+ * @returns {{ current: number, longest: number }} Streak lengths in days
+ */
+export function getStreaks(history, today = new Date()) {
+  const dates = Object.keys(history).filter(date => history[date] > 0).sort();
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  dates.forEach(date => {
+    run = previous && toLocalDateString(addDays(new Date(`${previous}T00:00`), 1)) === date ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  let current = 0;
+  let day = history[toLocalDateString(today)] > 0 ? today : addDays(today, -1);
+  while (history[toLocalDateString(day)] > 0) {
+    current++;
+    day = addDays(day, -1);
+  }
+  return { current, longest };
+}
+
+/**
+ * Averages how long todos took from being added to being completed.
+ * @param {Array<{ completed: boolean, createdAt?: string, completedAt?: string|null }>} todos The todos
+ * @returns {number|null} The average in milliseconds, or null if no completed todo has both timestamps
+ */
+export function getAverageCompletionTime(todos) {
+  const durations = todos
+    .filter(todo => todo.completed && todo.createdAt && todo.completedAt)
+    .map(todo => Math.max(0, Date.parse(todo.completedAt) - Date.parse(todo.createdAt)));
+  return durations.length > 0
+    ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length
+    : null;
+}
+
+/**
+ * Formats a span of time in its two largest units, e.g. `2d 4h`, `5h 20m` or `45m`.
+ * @param {number} ms The span in milliseconds
+ * @returns {string} The formatted span
+ */
+export function formatElapsed(ms) {
+  const days = Math.floor(ms / MS_PER_DAY);
+  const hours = Math.floor((ms % MS_PER_DAY) / MS_PER_HOUR);
+  const minutes = Math.floor((ms % MS_PER_HOUR) / MS_PER_MINUTE);
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Lays out a GitHub-style heatmap: one column per week (Sunday to Saturday), ending with
+ * the current week. Each day gets an intensity level from 0 (none) to 4 (the busiest days).
+ * @param {CompletionHistory} history The completion history
+ * @param {Object} [options]
+ * @param {number} [options.weeks=53] Number of weeks to show
+ * @param {Date} [options.today=new Date()] The current day; later days in its week are left out
+ * @returns {Array<Array<{ date: string, count: number, level: number }>>} The weeks, oldest first,
+ *   each with its days in order (the last week may be shorter)
+ */
+export function buildHeatmap(history, { weeks = 53, today = new Date() } = {}) {
+  const start = addDays(today, -today.getDay() - (weeks - 1) * 7);
+  const days = Math.round((addDays(today, 1) - start) / MS_PER_DAY);
+  const cells = getDailyCompletions(history, days, today);
+  const max = Math.max(0, ...cells.map(cell => cell.count));
+
+  return Array.from({ length: weeks }, (_, week) => cells.slice(week * 7, week * 7 + 7).map(cell => ({
+    ...cell,
+    level: cell.count === 0 ? 0 : Math.ceil((cell.count / max) * 4)
+  })));
+}
@@ -0,0 +1,440 @@
+/**
+ * @fileoverview Natural-language parser for the quick-add field.
+ * Turns input such as `Call dentist tomorrow 3pm #health !high @personal` into the
+ * todo text plus a due date, due time, tags, priority and list. Spoken forms such as
+ * "3 p.m.", "hashtag health" and "high priority" are understood too, so the same parser
+ * handles typed and speech-recognized input. This module has no side effects.
+ */
+
+import { toLocalDateString } from './due-date.js';
+import { normalizeTag } from './tags.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Abbreviations accepted for weekdays, in addition to the full names.
+ * @type {Object<string, number>}
+ */
+const WEEKDAY_ABBREVIATIONS = {
+  sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6
+};
+
+/**
+ * Weekday abbreviations that are also ordinary words ("buy sun cream", "the cat sat on the mat").
+ * They only count as a date after a date prefix or "next"/"this": `on sat`, `next wed`.
+ * @type {Set<string>}
+ */
+const AMBIGUOUS_WEEKDAYS = new Set(['sun', 'mon', 'wed', 'sat']);
+
+/**
+ * Number words understood in relative dates such as "in two weeks".
+ * @type {Object<string, number>}
+ */
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+/**
+ * Spellings of each priority after a `!`, or spoken before/after the word "priority".
+ * @type {Object<string, string>}
+ */
+const PRIORITY_WORDS = {
+  high: 'high', h: 'high', 1: 'high',
+  medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+  low: 'low', l: 'low', 3: 'low'
+};
+
+/**
+ * Words that may introduce a date ("due friday", "by tomorrow") or a time ("at 3pm").
+ * They are removed from the text together with the date or time they introduce.
+ */
+const DATE_PREFIXES = ['on', 'by', 'due'];
+const TIME_PREFIXES = ['at'];
+
+/**
+ * A recognized part of the input.
+ * @typedef {Object} QuickAddToken
+ * @property {'date'|'time'|'tag'|'priority'|'list'} type What the token sets
+ * @property {string} text The words of the input that were recognized
+ * @property {string|number} value The parsed value: a `YYYY-MM-DD` date, an `HH:MM` time,
+ *   a normalized tag, a priority or a list ID
+ */
+
+/**
+ * The result of parsing quick-add input.
+ * @typedef {Object} QuickAddResult
+ * @property {string} text The todo text, with the recognized tokens removed
+ * @property {string|null} dueDate Due date in `YYYY-MM-DD` format
+ * @property {string|null} dueTime Due time in `HH:MM` format
+ * @property {string[]} tags Normalized tags, without duplicates
+ * @property {'high'|'medium'|'low'|null} priority The priority
+ * @property {number|null} listId ID of the list named with `@list`
+ * @property {QuickAddToken[]} tokens The recognized tokens, in input order
+ */
+
+/**
+ * Parses quick-add input into todo fields.
+ *
+ * Recognized tokens:
+ * - dates: `today`, `tomorrow`, weekday names (`fri`, `next friday`: the coming one; `sun`,
+ *   `mon`, `wed` and `sat` only after `on`, `by`, `due`, `next` or `this`),
+ *   `next week` (next Monday), `next month` (the 1st), `in 3 days`/`in two weeks`/`in a month`
+ *   and `YYYY-MM-DD`, optionally preceded by `on`, `by` or `due`
+ * - times: `3pm`, `3:30 pm`, `3 p.m.`, `15:00` and `noon`, optionally preceded by `at`;
+ *   a time without a date means today
+ * - tags: `#health` or the spoken `hashtag health`
+ * - priority: `!high`, `!h`, `!1` (likewise medium/2 and low/3), `high priority` or `priority high`
+ * - list: `@name`, matched against the given lists ignoring case, spaces and dashes
+ *
+ * When a date, time, priority or list appears more than once, the last one wins and
+ * the earlier ones stay in the text. If nothing but tokens was typed, the whole input is
+ * kept as the text so a todo such as "Tomorrow" can still be added.
+ * @param {string} input The typed or spoken text
+ * @param {Object} [options]
+ * @param {Array<{ id: number, name: string }>} [options.lists=[]] Lists that `@name` may refer to
+ * @param {Date} [options.now=new Date()] Reference time for relative dates
+ * @returns {QuickAddResult} The parsed todo fields
+ */
+export function parseQuickAdd(input, { lists = [], now = new Date() } = {}) {
+  const words = String(input).trim().split(/\s+/).filter(Boolean);
+  const matches = [];
+
+  for (let i = 0; i < words.length;) {
+    const match = matchAt(words, i, { lists, now });
+    if (match) {
+      matches.push({ ...match, index: i });
+      i += match.length;
+    } else {
+      i++;
+    }
+  }
+
+  // Single-valued tokens: only the last of each type is used
+  const lastOfType = new Map();
+  matches.forEach(match => lastOfType.set(match.type, match));
+  const used = matches.filter(match => match.type === 'tag' || lastOfType.get(match.type) === match);
+
+  const consumed = new Set();
+  used.forEach(match => {
+    for (let i = match.index; i < match.index + match.length; i++) {
+      consumed.add(i);
+    }
+  });
+  const text = words.filter((_, i) => !consumed.has(i)).join(' ');
+
+  if (!text) {
+    return emptyResult(words.join(' '));
+  }
+
+  const result = emptyResult(text);
+  result.tokens = used.map(match => ({
+    type: match.type,
+    text: words.slice(match.index, match.index + match.length).join(' '),
+    value: match.value
+  }));
+  result.tokens.forEach(token => {
+    if (token.type === 'tag') {
+      if (!result.tags.includes(token.value)) {
+        result.tags.push(token.value);
+      }
+    } else if (token.type === 'date') {
+      result.dueDate = token.value;
+    } else if (token.type === 'time') {
+      result.dueTime = token.value;
+    } else if (token.type === 'priority') {
+      result.priority = token.value;
+    } else {
+      result.listId = token.value;
+    }
+  });
+  if (result.dueTime && !result.dueDate) {
+    result.dueDate = toLocalDateString(now);
+  }
+  return result;
+}
+
+/**
+ * @private
+ * @param {string} text The todo text
+ * @returns {QuickAddResult} A result with no recognized tokens
+ */
+function emptyResult(text) {
+  return { text, dueDate: null, dueTime: null, tags: [], priority: null, listId: null, tokens: [] };
+}
+
+/**
+ * Tries every token type at a word position.
+ * @private
+ * @param {string[]} words The input words
+ * @param {number} i Index of the first word to look at
+ * @param {{ lists: Array<{ id: number, name: string }>, now: Date }} context
+ * @returns {{ type: string, value: *, length: number }|null} The match and how many words it spans
+ */
+function matchAt(words, i, context) {
+  return matchTag(words, i)
+    ?? matchPriority(words, i)
+    ?? matchList(words, i, context.lists)
+    ?? withPrefix(words, i, DATE_PREFIXES, (j, prefixed) => matchDate(words, j, context.now, prefixed))
+    ?? withPrefix(words, i, TIME_PREFIXES, (j) => matchTime(words, j));
+}
+
+/**
+ * Runs a matcher at a position, or after one of the given prefix words.
+ * @private
+ * @param {string[]} words The input words
+ * @param {number} i Index of the first word to look at
+ * @param {string[]} prefixes Words that may come before the token
+ * @param {Function} matcher Returns `{ type, value, length }` or null for a position and
+ *   whether a prefix came before it
+ * @returns {{ type: string, value: *, length: number }|null} The match, including the prefix
+ */
+function withPrefix(words, i, prefixes, matcher) {
+  const match = matcher(i, false);
+  if (match) {
+    return match;
+  }
+  if (prefixes.includes(word(words, i))) {
+    const prefixed = matcher(i + 1, true);
+    return prefixed ? { ...prefixed, length: prefixed.length + 1 } : null;
+  }
+  return null;
+}
+
+/**
+ * @private
+ * @param {string[]} words The input words
+ * @param {number} i Index of the word
+ * @returns {string} The word lowercased and without trailing punctuation (except the dots
+ *   of "a.m."/"p.m."), or '' past the end
+ */
+function word(words, i) {
+  if (i >= words.length) {
+    return '';
+  }
+  const value = words[i].toLowerCase().replace(/[,;:!?]+$/, '');
+  return /[ap]\.m\.$/.test(value) ? value : value.replace(/\.+$/, '');
+}
+
+/**
+ * @private
+ * @returns {{ type: 'tag', value: string, length: number }|null}
+ */
+function matchTag(words, i) {
+  const current = word(words, i);
+  if (/^#[\p{L}\p{N}_-]+$/u.test(current)) {
+    return { type: 'tag', value: normalizeTag(current), length: 1 };
+  }
+  const next = word(words, i + 1);
+  if (current === 'hashtag' && /^[\p{L}\p{N}_-]+$/u.test(next)) {
+    return { type: 'tag', value: normalizeTag(next), length: 2 };
+  }
+  return null;
+}
+
+/**
+ * @private
+ * @returns {{ type: 'priority', value: string, length: number }|null}
+ */
+function matchPriority(words, i) {
+  const current = word(words, i);
+  const next = word(words, i + 1);
+  if (current.startsWith('!') && Object.hasOwn(PRIORITY_WORDS, current.slice(1))) {
+    return { type: 'priority', value: PRIORITY_WORDS[current.slice(1)], length: 1 };
+  }
+  if (current === 'priority' && /^[a-z]{3,}$/.test(next) && Object.hasOwn(PRIORITY_WORDS, next)) {
+    return { type: 'priority', value: PRIORITY_WORDS[next], length: 2 };
+  }
+  if (next === 'priority' && /^[a-z]{3,}$/.test(current) && Object.hasOwn(PRIORITY_WORDS, current)) {
+    return { type: 'priority', value: PRIORITY_WORDS[current], length: 2 };
+  }
+  return null;
+}
+
+/**
+ * @private
+ * @returns {{ type: 'list', value: number, length: number }|null}
+ */
+function matchList(words, i, lists) {
+  const current = word(words, i);
+  if (!current.startsWith('@') || current.length < 2) {
+    return null;
+  }
+  const key = listKey(current.slice(1));
+  const list = lists.find(l => listKey(l.name) === key);
+  return list ? { type: 'list', value: list.id, length: 1 } : null;
+}
+
+/**
+ * @private
+ * @param {string} name A list name
+ * @returns {string} The name lowercased, without spaces, dashes or underscores
+ */
+function listKey(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * @private
+ * @param {boolean} prefixed Whether a date prefix came before the word
+ * @returns {{ type: 'date', value: string, length: number }|null}
+ */
+function matchDate(words, i, now, prefixed) {
+  const current = word(words, i);
+  const next = word(words, i + 1);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const date = (days, length) => ({ type: 'date', value: toLocalDateString(addDays(today, days)), length });
+
+  if (current === 'today' || current === 'tonight') {
+    return date(0, 1);
+  }
+  if (current === 'tomorrow' || current === 'tmr' || current === 'tmrw') {
+    return date(1, 1);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(current) && isValidDate(current)) {
+    return { type: 'date', value: current, length: 1 };
+  }
+
+  const weekday = weekdayIndex(current);
+  if (weekday !== null && (prefixed || !AMBIGUOUS_WEEKDAYS.has(current))) {
+    return date(daysUntilWeekday(today, weekday), 1);
+  }
+  if (current === 'next' || current === 'this') {
+    const nextWeekday = weekdayIndex(next);
+    if (nextWeekday !== null) {
+      return date(daysUntilWeekday(today, nextWeekday), 2);
+    }
+  }
+  if (current === 'next' && next === 'week') {
+    return date(daysUntilWeekday(today, 1), 2);
+  }
+  if (current === 'next' && next === 'month') {
+    const firstOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+    return { type: 'date', value: toLocalDateString(firstOfMonth), length: 2 };
+  }
+
+  if (current === 'in') {
+    const count = /^\d+$/.test(next) ? Number(next) : NUMBER_WORDS[next];
+    const unit = word(words, i + 2).replace(/s$/, '');
+    if (!count) {
+      return null;
+    }
+    if (unit === 'day' || unit === 'week') {
+      return date(count * (unit === 'week' ? 7 : 1), 3);
+    }
+    if (unit === 'month') {
+      return { type: 'date', value: toLocalDateString(addMonths(today, count)), length: 3 };
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ * @returns {{ type: 'time', value: string, length: number }|null}
+ */
+function matchTime(words, i) {
+  const current = word(words, i);
+  if (current === 'noon') {
+    return { type: 'time', value: '12:00', length: 1 };
+  }
+
+  const withMeridiem = current.match(/^(\d{1,2})(?::(\d{2}))?(am|pm|a\.m\.|p\.m\.)$/);
+  if (withMeridiem) {
+    const time = toTime(withMeridiem[1], withMeridiem[2], withMeridiem[3]);
+    return time ? { type: 'time', value: time, length: 1 } : null;
+  }
+
+  const clock = current.match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (clock) {
+    const meridiem = word(words, i + 1).match(/^(am|pm|a\.m\.|p\.m\.)$/);
+    if (meridiem) {
+      const time = toTime(clock[1], clock[2], meridiem[1]);
+      return time ? { type: 'time', value: time, length: 2 } : null;
+    }
+    if (clock[2] !== undefined) {
+      const time = toTime(clock[1], clock[2], null);
+      return time ? { type: 'time', value: time, length: 1 } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds an `HH:MM` time from its parts.
+ * @private
+ * @param {string} hours Hours as typed
+ * @param {string|undefined} minutes Minutes as typed, if any
+ * @param {string|null} meridiem `am`/`pm` (with or without dots), or null for a 24-hour time
+ * @returns {string|null} The time, or null if it is out of range
+ */
+function toTime(hours, minutes, meridiem) {
+  let h = Number(hours);
+  const m = Number(minutes ?? 0);
+  if (m > 59) {
+    return null;
+  }
+  if (meridiem) {
+    if (h < 1 || h > 12) {
+      return null;
+    }
+    h = (h % 12) + (meridiem.startsWith('p') ? 12 : 0);
+  } else if (h > 23) {
+    return null;
+  }
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * @private
+ * @param {string} value A word
+ * @returns {number|null} The weekday (0 = Sunday) the word names, or null
+ */
+function weekdayIndex(value) {
+  if (WEEKDAYS.includes(value)) {
+    return WEEKDAYS.indexOf(value);
+  }
+  return WEEKDAY_ABBREVIATIONS[value] ?? null;
+}
+
+/**
+ * @private
+ * @param {Date} today Local midnight of the reference day
+ * @param {number} weekday Target weekday (0 = Sunday)
+ * @returns {number} Days until the next such weekday, from 1 to 7 (never today)
+ */
+function daysUntilWeekday(today, weekday) {
+  return ((weekday - today.getDay() + 6) % 7) + 1;
+}
+
+/**
+ * @private
+ * @param {string} value Date in `YYYY-MM-DD` format
+ * @returns {boolean} True if the date exists in the calendar
+ */
+function isValidDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return toLocalDateString(new Date(year, month - 1, day)) === value;
+}
+
+/**
+ * @private
+ * @param {Date} date A local midnight
+ * @param {number} days Number of days to add
+ * @returns {Date} The shifted date
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Moves a date by whole months, clamping the day to the length of the target month.
+ * @private
+ * @param {Date} date A local midnight
+ * @param {number} months Number of months to add
+ * @returns {Date} The shifted date
+ */
+function addMonths(date, months) {
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), daysInMonth));
+}
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Recurrence rules for repeating todos.
+ * Rules use a small subset of the iCalendar RRULE syntax, for example
+ * `FREQ=WEEKLY;BYDAY=MO` or `FREQ=MONTHLY;BYMONTHDAY=1`, plus the non-standard
+ * `FROM=COMPLETION` property for rules such as "every 3 days after completion".
+ * All dates are calendar dates in `YYYY-MM-DD` format; this module has no side effects.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * A parsed recurrence rule.
+ * @typedef {Object} RecurrenceRule
+ * @property {'DAILY'|'WEEKLY'|'MONTHLY'} freq How often the todo repeats
+ * @property {number} interval Repeat every `interval` days, weeks or months
+ * @property {string[]} byDay Weekday codes (`MO`, `TU`, ...) for weekly rules; empty means the due date's weekday
+ * @property {number|null} byMonthDay Day of the month for monthly rules; null means the due date's day
+ * @property {boolean} fromCompletion Count the interval from the completion date instead of the schedule
+ */
+
+/**
+ * Parses a rule string such as `FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR`.
+ * Property names and values are case-insensitive and an `RRULE:` prefix is allowed.
+ * @param {string} input The rule string
+ * @returns {RecurrenceRule} The parsed rule
+ * @throws {Error} If the rule is malformed or uses unsupported properties
+ */
+export function parseRule(input) {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, fromCompletion: false };
+  const parts = String(input).trim().replace(/^RRULE:/i, '').split(';').filter(part => part.trim());
+
+  parts.forEach(part => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported recurrence frequency: ${rawValue}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+          throw new Error(`Invalid recurrence interval: ${rawValue}`);
+        }
+        break;
+      case 'BYDAY': {
+        const days = value.split(',').map(day => day.trim());
+        if (days.some(day => !WEEKDAYS.includes(day))) {
+          throw new Error(`Invalid recurrence weekdays: ${rawValue}`);
+        }
+        rule.byDay = WEEKDAYS.filter(day => days.includes(day));
+        break;
+      }
+      case 'BYMONTHDAY':
+        rule.byMonthDay = Number(value);
+        if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+          throw new Error(`Invalid recurrence day of month: ${rawValue}`);
+        }
+        break;
+      case 'FROM':
+        if (value !== 'COMPLETION' && value !== 'DUE') {
+          throw new Error(`Invalid recurrence anchor: ${rawValue}`);
+        }
+        rule.fromCompletion = value === 'COMPLETION';
+        break;
+      default:
+        throw new Error(`Unsupported recurrence property: ${rawKey}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule is missing FREQ');
+  }
+  if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') {
+    throw new Error('BYDAY is only supported for weekly rules');
+  }
+  if (rule.byMonthDay !== null && rule.freq !== 'MONTHLY') {
+    throw new Error('BYMONTHDAY is only supported for monthly rules');
+  }
+  if (rule.fromCompletion && (rule.byDay.length > 0 || rule.byMonthDay !== null)) {
+    throw new Error('FROM=COMPLETION cannot be combined with BYDAY or BYMONTHDAY');
+  }
+  return rule;
+}
+
+/**
+ * Whether a rule string can be parsed.
+ * @param {string} input The rule string
+ * @returns {boolean} True if {@link parseRule} accepts it
+ */
+export function isValidRule(input) {
+  try {
+    parseRule(input);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a rule back to its canonical string form.
+ * @param {RecurrenceRule} rule The rule to serialize
+ * @returns {string} The rule string, e.g. `FREQ=WEEKLY;BYDAY=MO,WE`
+ */
+export function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  }
+  if (rule.byMonthDay !== null) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  }
+  if (rule.fromCompletion) {
+    parts.push('FROM=COMPLETION');
+  }
+  return parts.join(';');
+}
+
+/**
+ * Describes a rule in plain English, e.g. "Every Monday" or "Every 3 days after completion".
+ * @param {RecurrenceRule} rule The rule to describe
+ * @returns {string} The description
+ */
+export function describeRule(rule) {
+  const { freq, interval, byDay, byMonthDay, fromCompletion } = rule;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[freq];
+  let description = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (byDay.length > 0) {
+    const isWeekdays = byDay.join(',') === 'MO,TU,WE,TH,FR';
+    const names = byDay.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]);
+    const days = isWeekdays ? 'weekday' : joinWords(names);
+    description = interval === 1 ? `Every ${days}` : `${description} on ${isWeekdays ? 'weekdays' : days}`;
+  } else if (byMonthDay !== null) {
+    description = interval === 1 ? `Monthly on day ${byMonthDay}` : `${description} on day ${byMonthDay}`;
+  }
+
+  return fromCompletion ? `${description} after completion` : description;
+}
+
+/**
+ * Calculates the due date of the next occurrence once a recurring todo is completed.
+ *
+ * Scheduled rules keep their cadence: the next date is the first occurrence after both
+ * the current due date and the completion date, so completing a todo late skips the
+ * missed occurrences. `FROM=COMPLETION` rules count the interval from the completion date.
+ * Without a due date, the schedule starts from the completion date.
+ * @param {RecurrenceRule} rule The recurrence rule
+ * @param {Object} dates
+ * @param {string|null} [dates.dueDate] Due date of the completed occurrence
+ * @param {string} dates.completedOn Date the occurrence was completed
+ * @returns {string} The next due date
+ */
+export function nextOccurrence(rule, { dueDate = null, completedOn }) {
+  const completed = parseDate(completedOn);
+
+  if (rule.fromCompletion) {
+    return formatDate(rule.freq === 'MONTHLY'
+      ? addMonths(completed, rule.interval, completed.getUTCDate())
+      : addDays(completed, rule.interval * (rule.freq === 'WEEKLY' ? 7 : 1)));
+  }
+
+  const anchor = dueDate ? parseDate(dueDate) : completed;
+  return formatDate(firstOccurrenceAfter(rule, anchor, new Date(Math.max(anchor, completed))));
+}
+
+/**
+ * Finds the first scheduled occurrence of a rule after a date. Rather than stepping
+ * through the schedule from its start, it jumps to the period the date falls in, so a
+ * todo that was due years ago costs no more than one due yesterday.
+ * @private
+ * @param {RecurrenceRule} rule The recurrence rule
+ * @param {Date} anchor Start of the schedule (a UTC midnight)
+ * @param {Date} after The date to look after, on or after the anchor (a UTC midnight)
+ * @returns {Date} The first occurrence after that date
+ */
+function firstOccurrenceAfter(rule, anchor, after) {
+  if (rule.freq === 'MONTHLY') {
+    const day = rule.byMonthDay ?? anchor.getUTCDate();
+    const months = (after.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + after.getUTCMonth() - anchor.getUTCMonth();
+    // The occurrence in or before the month of `after` may fall on or before it; the next one cannot
+    let i = Math.floor(months / rule.interval);
+    while (addMonths(anchor, i * rule.interval, day) <= after) {
+      i++;
+    }
+    return addMonths(anchor, i * rule.interval, day);
+  }
+
+  if (rule.freq === 'WEEKLY' && rule.byDay.length > 0) {
+    // Every `interval` weeks holds one of the weekdays, so this looks at no more than that many weeks
+    const anchorWeek = startOfWeek(anchor);
+    for (let date = addDays(after, 1); ; date = addDays(date, 1)) {
+      const weeks = Math.round((startOfWeek(date) - anchorWeek) / (7 * MS_PER_DAY));
+      if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[date.getUTCDay()])) {
+        return date;
+      }
+    }
+  }
+
+  const step = rule.interval * (rule.freq === 'WEEKLY' ? 7 : 1);
+  const days = Math.round((after - anchor) / MS_PER_DAY);
+  return addDays(anchor, (Math.floor(days / step) + 1) * step);
+}
+
+/**
+ * @private
+ * @param {string} value Date in `YYYY-MM-DD` format
+ * @returns {Date} That date at UTC midnight
+ */
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * @private
+ * @param {Date} date A UTC midnight
+ * @returns {string} The date in `YYYY-MM-DD` format
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @private
+ * @param {Date} date A UTC midnight
+ * @param {number} days Number of days to add
+ * @returns {Date} The shifted date
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Moves a date by whole months and sets the day, clamped to the length of the month
+ * (so day 31 becomes the 30th in April and the 28th or 29th in February).
+ * @private
+ * @param {Date} date A UTC midnight
+ * @param {number} months Number of months to add
+ * @param {number} day Day of the month to use
+ * @returns {Date} The shifted date
+ */
+function addMonths(date, months, day) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, daysInMonth)));
+}
+
+/**
+ * @private
+ * @param {Date} date A UTC midnight
+ * @returns {Date} The Monday starting that date's week
+ */
+function startOfWeek(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+/**
+ * @private
+ * @param {string[]} words Words to join
+ * @returns {string} e.g. "Monday, Wednesday and Friday"
+ */
+function joinWords(words) {
+  return words.length > 1
+    ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`
+    : words[0];
+}
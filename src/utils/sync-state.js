@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Change tracking for syncing TodoModel between browser tabs.
+ * After every change a tab compares its state with a snapshot taken after the previous
+ * change and broadcasts only what differs: the changed fields of each todo, trashed todo,
+ * list and activity log, the IDs of records that are gone, and how many more (or fewer)
+ * todos were completed on each day.
+ *
+ * Every changed field is stamped with a {@link SyncClock}. A tab receiving a change
+ * compares the clock its own copy of the field was last written with against the clock
+ * the sender had seen (the `base`): if they differ, both tabs changed the field at once.
+ * Such conflicts are resolved the same way in every tab, so tabs never disagree: the
+ * later clock wins, and activity logs are merged instead.
+ */
+
+import { compactLog } from './activity-log.js';
+
+/**
+ * Collections of records (objects with an `id`) that are synced field by field.
+ * `activity` holds one `{ id, entries }` record per todo; `settings` holds a single record
+ * with the list order and the trash retention period.
+ * @type {string[]}
+ */
+export const SYNCED_COLLECTIONS = ['todos', 'trash', 'lists', 'activity', 'settings'];
+
+/**
+ * When and by which tab a field was written.
+ * @typedef {Object} SyncClock
+ * @property {number} at Milliseconds since the epoch
+ * @property {string} origin ID of the tab that wrote it
+ */
+
+/**
+ * A record that was added or changed.
+ * @typedef {Object} RecordChange
+ * @property {Object} record The whole record, as it is now
+ * @property {string[]} fields The fields that changed (all of them for a new record)
+ * @property {boolean} added Whether the record is new to the collection
+ */
+
+/**
+ * What changed in a tab's state since its last snapshot.
+ * @typedef {Object} StateChanges
+ * @property {Object<string, { upserts: RecordChange[], deletes: Array<number> }>} collections
+ *   Changed and removed records by collection
+ * @property {Object<string, number>} history Change in the completion count of each day
+ */
+
+/**
+ * Orders two clocks: by time, then by tab ID so that simultaneous writes still have a winner.
+ * @param {SyncClock} a
+ * @param {SyncClock} b
+ * @returns {number} Negative if `a` is earlier, positive if later, 0 if they are the same
+ */
+export function compareClocks(a, b) {
+  return a.at - b.at || (a.origin < b.origin ? -1 : a.origin > b.origin ? 1 : 0);
+}
+
+/**
+ * Whether a field was written here after the write the sender of a change had seen,
+ * i.e. both tabs changed it at once.
+ * @param {SyncClock|undefined} localClock When the field was last written here
+ * @param {SyncClock|null} baseClock When the sender had seen it last written
+ * @returns {boolean}
+ */
+export function isConcurrent(localClock, baseClock) {
+  return localClock != null && (baseClock == null || compareClocks(localClock, baseClock) !== 0);
+}
+
+/**
+ * Lists the records of each synced collection.
+ * @param {Object} state The model's state
+ * @returns {Object<string, Array<Object>>} Records by collection
+ */
+export function toRecords(state) {
+  return {
+    todos: state.todos,
+    trash: state.trash,
+    lists: state.lists,
+    activity: Object.entries(state.activity).map(([id, entries]) => ({ id: Number(id), entries })),
+    settings: [{ id: 0, listOrder: state.lists.map(list => list.id), trashRetentionDays: state.trashRetentionDays }]
+  };
+}
+
+/**
+ * Serializes each field of a record, for comparison.
+ * @private
+ * @param {Object} record The record
+ * @returns {Object<string, string>} JSON by field
+ */
+function serializeFields(record) {
+  return Object.fromEntries(Object.entries(record).map(([field, value]) => [field, JSON.stringify(value)]));
+}
+
+/**
+ * Takes a snapshot of a state to diff later changes against.
+ * @param {Object} state The model's state
+ * @returns {Object} The snapshot
+ */
+export function takeSnapshot(state) {
+  const records = toRecords(state);
+  return {
+    collections: Object.fromEntries(SYNCED_COLLECTIONS.map(name => [
+      name,
+      new Map(records[name].map(record => [record.id, serializeFields(record)]))
+    ])),
+    history: { ...state.history }
+  };
+}
+
+/**
+ * Finds what changed in a state since a snapshot.
+ * @param {Object} snapshot A snapshot from {@link takeSnapshot}
+ * @param {Object} state The model's state
+ * @returns {{ snapshot: Object, changes: StateChanges|null }} A snapshot of the state, and
+ *   what changed, or null if nothing did
+ */
+export function diffState(snapshot, state) {
+  const next = takeSnapshot(state);
+  const records = toRecords(state);
+  let changed = false;
+
+  const collections = Object.fromEntries(SYNCED_COLLECTIONS.map(name => {
+    const before = snapshot.collections[name];
+    const after = next.collections[name];
+    const upserts = records[name].flatMap(record => {
+      const previous = before.get(record.id);
+      const current = after.get(record.id);
+      const fields = [...new Set([...Object.keys(previous ?? {}), ...Object.keys(current)])]
+        .filter(field => previous?.[field] !== current[field]);
+      return fields.length > 0 ? [{ record, fields, added: !previous }] : [];
+    });
+    const deletes = [...before.keys()].filter(id => !after.has(id));
+    changed ||= upserts.length > 0 || deletes.length > 0;
+    return [name, { upserts, deletes }];
+  }));
+
+  const dates = new Set([...Object.keys(snapshot.history), ...Object.keys(next.history)]);
+  const history = Object.fromEntries([...dates]
+    .map(date => [date, (next.history[date] ?? 0) - (snapshot.history[date] ?? 0)])
+    .filter(([, delta]) => delta !== 0));
+  changed ||= Object.keys(history).length > 0;
+
+  return { snapshot: next, changes: changed ? { collections, history } : null };
+}
+
+/**
+ * Merges two versions of an activity log that were added to at once: every entry of both,
+ * oldest first. Both tabs end up with the same log, whichever merges first.
+ * @param {import('./activity-log.js').ActivityEntry[]} a One version
+ * @param {import('./activity-log.js').ActivityEntry[]} b The other version
+ * @returns {import('./activity-log.js').ActivityEntry[]} The merged log
+ */
+export function mergeLogs(a, b) {
+  const entries = new Map([...a, ...b].map(entry => [JSON.stringify(entry), entry]));
+  const sorted = [...entries].sort(([jsonA, entryA], [jsonB, entryB]) =>
+    entryA.at.localeCompare(entryB.at) || (jsonA < jsonB ? -1 : jsonA > jsonB ? 1 : 0));
+  return compactLog(sorted.map(([, entry]) => entry));
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Helpers for normalizing todo tags and filtering todos by tag.
+ */
+
+/**
+ * Normalizes a tag for storage and comparison: trims it, drops a leading `#`
+ * and lowercases it, so `#Work`, `work` and ` WORK ` are the same tag.
+ * @param {string} tag The raw tag
+ * @returns {string} The normalized tag, or an empty string if nothing is left
+ */
+export function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#+/, '').trim().toLowerCase();
+}
+
+/**
+ * Normalizes a list of tags, dropping empty entries and duplicates.
+ * @param {string[]} tags The raw tags
+ * @returns {string[]} The normalized tags, in their original order
+ */
+export function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Splits user input such as `"#work, home errands"` into unique normalized tags.
+ * @param {string} input Tags separated by commas and/or whitespace
+ * @returns {string[]} The normalized tags, without duplicates or empty entries
+ */
+export function parseTags(input) {
+  return normalizeTags(String(input).split(/[\s,]+/));
+}
+
+/**
+ * Whether a todo matches a tag filter.
+ * @param {{ tags?: string[] }} todo The todo to check
+ * @param {string[]} tags The selected tags; an empty list matches every todo
+ * @param {'any'|'all'} [mode='any'] `any` matches todos with at least one of the tags (OR),
+ *   `all` matches only todos that have every tag (AND)
+ * @returns {boolean} True if the todo should be shown
+ */
+export function matchesTags(todo, tags, mode = 'any') {
+  if (tags.length === 0) {
+    return true;
+  }
+  const todoTags = todo.tags || [];
+  return mode === 'all'
+    ? tags.every(tag => todoTags.includes(tag))
+    : tags.some(tag => todoTags.includes(tag));
+}
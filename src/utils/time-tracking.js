@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Helpers for time tracked against todos.
+ * Each todo keeps a list of time entries `{ start, end }` (ISO timestamps); the entry of a
+ * running timer has `end: null`. Reports total the entries per todo, tag and local day,
+ * splitting entries that run past midnight between the days they cover.
+ */
+
+import { toLocalDateString } from './due-date.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * A span of time tracked against a todo.
+ * @typedef {Object} TimeEntry
+ * @property {string} start ISO timestamp the timer was started
+ * @property {string|null} end ISO timestamp the timer was stopped, or null while it runs
+ */
+
+/**
+ * Tracked time totals, each sorted by duration, longest first.
+ * @typedef {Object} TimeReport
+ * @property {number} total Total tracked time in milliseconds
+ * @property {Array<{ id: number, text: string, ms: number }>} byTodo Time per todo
+ * @property {Array<{ tag: string, ms: number }>} byTag Time per tag; a todo's time counts towards each of its tags
+ * @property {Array<{ date: string, ms: number }>} byDay Time per local date (`YYYY-MM-DD`), sorted by date instead
+ */
+
+/**
+ * Gets the running entry of a todo.
+ * @param {{ timeEntries?: TimeEntry[] }} todo The todo
+ * @returns {TimeEntry|null} The entry without an end, or null if no timer is running
+ */
+export function getRunningEntry(todo) {
+  return (todo.timeEntries || []).find(entry => entry.end === null) ?? null;
+}
+
+/**
+ * Ends any running entry.
+ * @param {TimeEntry[]} entries The entries
+ * @param {string} end ISO timestamp to stop the timer at
+ * @returns {TimeEntry[]} The entries, with the running one (if any) ended
+ */
+export function stopEntries(entries, end) {
+  return entries.map(entry => entry.end === null ? { ...entry, end } : entry);
+}
+
+/**
+ * Measures a time entry; a running entry counts up to `now`.
+ * @param {TimeEntry} entry The entry
+ * @param {Date} [now=new Date()] Reference time for running entries
+ * @returns {number} Duration in milliseconds, never negative
+ */
+export function entryDuration(entry, now = new Date()) {
+  const end = entry.end === null ? now.getTime() : Date.parse(entry.end);
+  return Math.max(0, end - Date.parse(entry.start));
+}
+
+/**
+ * Totals the time tracked against a todo.
+ * @param {{ timeEntries?: TimeEntry[] }} todo The todo
+ * @param {Date} [now=new Date()] Reference time for a running timer
+ * @returns {number} Tracked time in milliseconds
+ */
+export function getTrackedTime(todo, now = new Date()) {
+  return (todo.timeEntries || []).reduce((total, entry) => total + entryDuration(entry, now), 0);
+}
+
+/**
+ * Formats a duration as hours, minutes and (optionally) seconds, e.g. `1:05:09` or `0:42`.
+ * @param {number} ms Duration in milliseconds
+ * @param {Object} [options]
+ * @param {boolean} [options.seconds=false] Whether to include seconds
+ * @returns {string} The formatted duration
+ */
+export function formatDuration(ms, { seconds = false } = {}) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+  return seconds
+    ? `${hours}:${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`
+    : `${hours}:${minutes}`;
+}
+
+/**
+ * Splits an entry at local midnights into the time it covers on each day.
+ * @private
+ * @param {TimeEntry} entry The entry
+ * @param {Date} now Reference time for a running entry
+ * @returns {Array<{ date: string, ms: number }>} Time per local date
+ */
+function splitByDay(entry, now) {
+  const parts = [];
+  const end = entry.end === null ? now.getTime() : Date.parse(entry.end);
+  let start = Date.parse(entry.start);
+  while (start < end) {
+    const day = new Date(start);
+    const nextMidnight = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+    const partEnd = Math.min(end, nextMidnight);
+    parts.push({ date: toLocalDateString(day), ms: partEnd - start });
+    start = partEnd;
+  }
+  return parts;
+}
+
+/**
+ * Totals tracked time per todo, tag and day.
+ * @param {Array<{ id: number, text: string, tags?: string[], timeEntries?: TimeEntry[] }>} todos The todos
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] Reference time for a running timer
+ * @returns {TimeReport} The totals; todos, tags and days without tracked time are left out
+ */
+export function buildTimeReport(todos, { now = new Date() } = {}) {
+  const byTag = new Map();
+  const byDay = new Map();
+  const byTodo = [];
+  let total = 0;
+
+  todos.forEach(todo => {
+    const ms = getTrackedTime(todo, now);
+    if (ms === 0) {
+      return;
+    }
+    total += ms;
+    byTodo.push({ id: todo.id, text: todo.text, ms });
+    (todo.tags || []).forEach(tag => byTag.set(tag, (byTag.get(tag) ?? 0) + ms));
+    (todo.timeEntries || []).flatMap(entry => splitByDay(entry, now))
+      .forEach(({ date, ms: dayMs }) => byDay.set(date, (byDay.get(date) ?? 0) + dayMs));
+  });
+
+  return {
+    total,
+    byTodo: byTodo.sort((a, b) => b.ms - a.ms),
+    byTag: [...byTag].map(([tag, ms]) => ({ tag, ms })).sort((a, b) => b.ms - a.ms),
+    byDay: [...byDay].map(([date, ms]) => ({ date, ms })).sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+/**
+ * Quotes a CSV field if needed. Text starting with a formula character is prefixed with `'`
+ * so spreadsheets show it as text instead of evaluating it.
+ * @private
+ * @param {string} value The field value
+ * @returns {string} The escaped field
+ */
+function csvField(value) {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a report to CSV, one row per todo, tag and day, with the duration both as
+ * `h:mm` and as decimal hours for billing.
+ * @param {TimeReport} report The report
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+export function reportToCsv(report) {
+  const row = (group, name, ms) => [group, name, formatDuration(ms), (ms / MS_PER_HOUR).toFixed(2)];
+  const rows = [
+    ['Group', 'Name', 'Duration', 'Hours'],
+    ...report.byTodo.map(({ text, ms }) => row('Todo', text, ms)),
+    ...report.byTag.map(({ tag, ms }) => row('Tag', `#${tag}`, ms)),
+    ...report.byDay.map(({ date, ms }) => row('Day', date, ms)),
+    row('Total', '', report.total)
+  ];
+  return rows.map(fields => fields.map(csvField).join(',')).join('\r\n');
+}
@@ -0,0 +1,656 @@
+/**
+ * @fileoverview File formats for importing and exporting todos.
+ * The JSON backup holds everything the app saves. CSV, Markdown checklists and iCalendar
+ * `VTODO`s hold the todos of every list with their list, subtasks and the fields the format
+ * can express (a Markdown checklist only has the text and whether it is done).
+ *
+ * Serializers take data as returned by {@link TodoModel#exportData}. Parsers return the
+ * parsed JSON for a backup, and a {@link TodoImport} for the other formats; field values are
+ * passed on as found in the file, to be checked by `validateImport` before they are used.
+ * This module has no side effects.
+ */
+
+import { toLocalDateString } from './due-date.js';
+import { isValidRule, parseRule, formatRule } from './recurrence.js';
+import { compareByOrder } from './todo-tree.js';
+
+/**
+ * A file format todos can be exported to and imported from.
+ * @typedef {Object} TodoFormat
+ * @property {string} label Name shown to the user
+ * @property {string} extension File extension, without the dot
+ * @property {string} type MIME type of exported files
+ */
+
+/**
+ * Todos and lists read from a file. IDs only link todos to their list and parent within
+ * the file; a todo whose `listId` is null belongs to whichever list it is imported into.
+ * @typedef {Object} TodoImport
+ * @property {Array<{ id: number, name: string, color?: string }>} lists The lists, in order
+ * @property {Array<Object>} items The todos, in order, with the fields of a saved todo
+ */
+
+/**
+ * The supported formats, by ID.
+ * @type {Object<string, TodoFormat>}
+ */
+export const FORMATS = {
+  json: { label: 'JSON backup', extension: 'json', type: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+  markdown: { label: 'Markdown checklist', extension: 'md', type: 'text/markdown' },
+  ics: { label: 'iCalendar (VTODO)', extension: 'ics', type: 'text/calendar' }
+};
+
+/**
+ * Format of files by extension.
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = { json: 'json', csv: 'csv', md: 'markdown', markdown: 'markdown', ics: 'ics', ical: 'ics' };
+
+/**
+ * Works out the format of a file from its extension, or failing that its content.
+ * @param {string} filename Name of the file
+ * @param {string} text Content of the file
+ * @returns {string|null} A key of {@link FORMATS}, or null if the format is not recognized
+ */
+export function detectFormat(filename, text) {
+  const extension = /\.([^.]+)$/.exec(String(filename))?.[1].toLowerCase();
+  if (EXTENSIONS[extension]) {
+    return EXTENSIONS[extension];
+  }
+  const start = String(text).trimStart();
+  if (start.startsWith('{')) {
+    return 'json';
+  }
+  if (/^BEGIN:VCALENDAR/i.test(start)) {
+    return 'ics';
+  }
+  if (/^\s*[-*+]\s+\[[ xX]\]/m.test(start) || start.startsWith('#')) {
+    return 'markdown';
+  }
+  return start.split(/\r?\n/, 1)[0].includes(',') ? 'csv' : null;
+}
+
+/**
+ * Converts data to a file.
+ * @param {string} format A key of {@link FORMATS}
+ * @param {Object} data Data as returned by {@link TodoModel#exportData}
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] When the file is made, for formats that record it
+ * @returns {string} Content of the file
+ */
+export function serializeTodos(format, data, { now = new Date() } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(data, null, 2);
+  }
+  if (format === 'csv') {
+    return toCsv(data);
+  }
+  if (format === 'markdown') {
+    return toMarkdown(data);
+  }
+  if (format === 'ics') {
+    return toICalendar(data, now);
+  }
+  throw new Error(`Unknown format: ${format}`);
+}
+
+/**
+ * Reads a file.
+ * @param {string} format A key of {@link FORMATS}
+ * @param {string} text Content of the file
+ * @returns {Object|TodoImport} The parsed backup for JSON, the todos and lists otherwise
+ * @throws {Error} If the file is malformed
+ */
+export function parseTodos(format, text) {
+  if (format === 'json') {
+    return fromJson(text);
+  }
+  if (format === 'csv') {
+    return fromCsv(text);
+  }
+  if (format === 'markdown') {
+    return fromMarkdown(text);
+  }
+  if (format === 'ics') {
+    return fromICalendar(text);
+  }
+  throw new Error(`Unknown format: ${format}`);
+}
+
+/**
+ * Lists the todos of each list, each followed by its subtasks, in manual order.
+ * Todos in a list that does not exist come last.
+ * @param {{ items: Array<Object>, lists: Array<Object> }} data The data
+ * @returns {Array<{ todo: Object, list: Object|null, depth: number }>} The todos
+ */
+function walkTodos({ items = [], lists = [] }) {
+  const listIds = new Set(lists.map(list => list.id));
+  const ids = new Set(items.map(todo => todo.id));
+  const children = new Map();
+  items.forEach(todo => {
+    const parentId = ids.has(todo.parentId) ? todo.parentId : null;
+    const key = parentId ?? `list:${listIds.has(todo.listId) ? todo.listId : null}`;
+    children.set(key, [...(children.get(key) ?? []), todo]);
+  });
+
+  const rows = [];
+  const visit = (key, list, depth) => {
+    (children.get(key) ?? []).sort(compareByOrder).forEach(todo => {
+      rows.push({ todo, list, depth });
+      visit(todo.id, list, depth + 1);
+    });
+  };
+  lists.forEach(list => visit(`list:${list.id}`, list, 0));
+  visit('list:null', null, 0);
+  return rows;
+}
+
+/**
+ * Parses a JSON backup.
+ * @param {string} text The file
+ * @returns {Object} The backup
+ * @throws {Error} If the file is not JSON or not an object
+ */
+function fromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The file is not a backup of your todos');
+  }
+  return data;
+}
+
+/**
+ * CSV columns, in order, with the todo field each holds.
+ * @type {Array<{ header: string, field: string }>}
+ */
+const CSV_COLUMNS = [
+  { header: 'ID', field: 'id' },
+  { header: 'Parent ID', field: 'parentId' },
+  { header: 'List', field: 'list' },
+  { header: 'Text', field: 'text' },
+  { header: 'Completed', field: 'completed' },
+  { header: 'Completed at', field: 'completedAt' },
+  { header: 'Created at', field: 'createdAt' },
+  { header: 'Due date', field: 'dueDate' },
+  { header: 'Due time', field: 'dueTime' },
+  { header: 'Priority', field: 'priority' },
+  { header: 'Tags', field: 'tags' },
+  { header: 'Repeat', field: 'recurrence' },
+  { header: 'Notes', field: 'notes' }
+];
+
+/**
+ * Other headers understood for the text column when importing.
+ * @type {string[]}
+ */
+const TEXT_HEADERS = ['title', 'task', 'todo'];
+
+/**
+ * Quotes a CSV field if needed. Fields that a spreadsheet would run as a formula get a
+ * leading `'`, which {@link unguardCsvField} removes again.
+ * @param {string} value The field
+ * @returns {string} The field as written to the file
+ */
+function csvField(value) {
+  const text = /^'*[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Removes the `'` that {@link csvField} puts before fields starting like a formula.
+ * @param {string} value The field as read
+ * @returns {string} The field
+ */
+function unguardCsvField(value) {
+  return /^'+[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Converts data to CSV, one row per todo, subtasks after their parent.
+ * @param {Object} data The data
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+function toCsv(data) {
+  const rows = walkTodos(data).map(({ todo, list }) => [
+    String(todo.id),
+    todo.parentId != null ? String(todo.parentId) : '',
+    list?.name ?? '',
+    todo.text,
+    todo.completed ? 'yes' : 'no',
+    todo.completedAt ?? '',
+    todo.createdAt ?? '',
+    todo.dueDate ?? '',
+    todo.dueTime ?? '',
+    todo.priority ?? '',
+    (todo.tags ?? []).join(' '),
+    todo.recurrence ?? '',
+    todo.notes ?? ''
+  ]);
+  return [CSV_COLUMNS.map(column => column.header), ...rows]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Splits CSV into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks).
+ * @param {string} text The CSV
+ * @returns {string[][]} The rows, without blank lines
+ * @throws {Error} If a quoted field is not closed
+ */
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('A quoted field is not closed');
+  }
+  rows.push([...row, field]);
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV with a header row naming the columns, in any order and case. Only a text
+ * column (`Text`, `Title`, `Task` or `Todo`) is required; unknown columns are ignored.
+ * @param {string} text The CSV
+ * @returns {TodoImport} The todos and lists
+ * @throws {Error} If the CSV is malformed or has no text column
+ */
+function fromCsv(text) {
+  const [header = [], ...rows] = splitCsv(String(text).replace(/^\uFEFF/, ''));
+  const names = header.map(name => name.trim().toLowerCase());
+  const columns = Object.fromEntries(CSV_COLUMNS.map(({ header: name, field }) => [field, names.indexOf(name.toLowerCase())]));
+  if (columns.text === -1) {
+    columns.text = names.findIndex(name => TEXT_HEADERS.includes(name));
+  }
+  if (columns.text === -1) {
+    throw new Error('The CSV has no "Text" column');
+  }
+
+  const lists = [];
+  const rowIds = new Map();
+  const records = rows.map((fields, index) => {
+    const value = (field) => columns[field] === -1 ? '' : unguardCsvField(fields[columns[field]] ?? '').trim();
+    if (value('id') !== '') {
+      rowIds.set(value('id'), index + 1);
+    }
+    return { value, index };
+  });
+
+  const items = records.map(({ value, index }) => {
+    let list = null;
+    if (value('list') !== '') {
+      list = lists.find(l => l.name === value('list'));
+      if (!list) {
+        list = { id: lists.length + 1, name: value('list') };
+        lists.push(list);
+      }
+    }
+    return {
+      id: index + 1,
+      listId: list?.id ?? null,
+      parentId: rowIds.get(value('parentId')) ?? null,
+      order: index,
+      text: value('text'),
+      completed: /^(yes|y|true|x|1|done|completed)$/i.test(value('completed')),
+      completedAt: value('completedAt') || null,
+      createdAt: value('createdAt') || null,
+      dueDate: value('dueDate') || null,
+      dueTime: value('dueTime') || null,
+      priority: value('priority').toLowerCase() || null,
+      tags: value('tags').split(/[\s,]+/).filter(Boolean),
+      recurrence: value('recurrence') || null,
+      notes: value('notes') || null
+    };
+  });
+  return { lists, items };
+}
+
+/**
+ * Converts data to a Markdown checklist: a heading per list, subtasks indented under their parent.
+ * @param {Object} data The data
+ * @returns {string} The Markdown
+ */
+function toMarkdown(data) {
+  const rows = walkTodos(data);
+  const lists = [...(data.lists ?? []), null];
+  return lists
+    .map(list => {
+      const items = rows.filter(row => row.list === list);
+      if (list === null && items.length === 0) {
+        return null;
+      }
+      const lines = items.map(({ todo, depth }) =>
+        `${'  '.repeat(depth)}- [${todo.completed ? 'x' : ' '}] ${oneLine(todo.text)}`);
+      return [`# ${oneLine(list?.name ?? 'Other todos')}`, ...(lines.length > 0 ? ['', ...lines] : [])].join('\n');
+    })
+    .filter(section => section !== null)
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Joins the lines of a text, so it fits on a Markdown line.
+ * @param {string} text The text
+ * @returns {string} The text on one line
+ */
+function oneLine(text) {
+  return String(text).replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Parses a Markdown checklist. Each heading starts a list named after it; `- [ ]` and
+ * `- [x]` items (or `*`, `+` or numbered ones) are todos, and items indented under another
+ * are its subtasks. Other lines are ignored.
+ * @param {string} text The Markdown
+ * @returns {TodoImport} The todos and lists
+ */
+function fromMarkdown(text) {
+  const lists = [];
+  const items = [];
+  let listId = null;
+  let parents = [];
+  String(text).split(/\r?\n/).forEach(line => {
+    const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      listId = lists.length + 1;
+      lists.push({ id: listId, name: heading[1] });
+      parents = [];
+      return;
+    }
+    const task = /^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.*)$/.exec(line);
+    if (!task) {
+      return;
+    }
+    const indent = task[1].replace(/\t/g, '    ').length;
+    parents = parents.filter(parent => parent.indent < indent);
+    const todo = {
+      id: items.length + 1,
+      listId,
+      parentId: parents.at(-1)?.id ?? null,
+      order: items.length,
+      text: task[3],
+      completed: task[2] !== ' '
+    };
+    items.push(todo);
+    parents.push({ id: todo.id, indent });
+  });
+  return { lists, items };
+}
+
+/**
+ * iCalendar priorities written for each todo priority.
+ * @type {Object<string, number>}
+ */
+const ICAL_PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+/**
+ * Converts data to an iCalendar file with a `VTODO` per todo. Besides the standard properties,
+ * `X-TODO-LIST` names the list and `X-TODO-RECURRENCE` keeps repeat rules that `RRULE`
+ * cannot express, such as repeating from completion.
+ * @param {Object} data The data
+ * @param {Date} now When the file is made (`DTSTAMP`)
+ * @returns {string} The iCalendar file, with CRLF line endings
+ */
+function toICalendar(data, now) {
+  const rows = walkTodos(data);
+  const uids = new Map(rows.map(({ todo }) => [todo.id, `todo-${todo.id}-${toUtcStamp(todo.createdAt ?? now)}@todos`]));
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Todos//Import and export//EN'];
+  rows.forEach(({ todo, list }) => {
+    lines.push('BEGIN:VTODO', `UID:${uids.get(todo.id)}`, `DTSTAMP:${toUtcStamp(now)}`);
+    if (todo.createdAt) {
+      lines.push(`CREATED:${toUtcStamp(todo.createdAt)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(todo.text)}`);
+    if (todo.notes) {
+      lines.push(`DESCRIPTION:${escapeText(todo.notes)}`);
+    }
+    lines.push(`STATUS:${todo.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (todo.completed && todo.completedAt) {
+      lines.push(`COMPLETED:${toUtcStamp(todo.completedAt)}`);
+    }
+    if (todo.dueDate) {
+      const date = todo.dueDate.replace(/-/g, '');
+      lines.push(todo.dueTime ? `DUE:${date}T${todo.dueTime.replace(':', '')}00` : `DUE;VALUE=DATE:${date}`);
+    }
+    if (todo.priority) {
+      lines.push(`PRIORITY:${ICAL_PRIORITIES[todo.priority]}`);
+    }
+    if (todo.tags?.length > 0) {
+      lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+    }
+    if (todo.recurrence) {
+      lines.push(`RRULE:${formatRule({ ...parseRule(todo.recurrence), fromCompletion: false })}`);
+      lines.push(`X-TODO-RECURRENCE:${todo.recurrence}`);
+    }
+    if (uids.has(todo.parentId)) {
+      lines.push(`RELATED-TO;RELTYPE=PARENT:${uids.get(todo.parentId)}`);
+    }
+    if (list) {
+      lines.push(`X-TODO-LIST:${escapeText(list.name)}`);
+    }
+    lines.push('END:VTODO');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Formats a moment as an iCalendar UTC date-time, e.g. `20240115T093000Z`.
+ * @param {string|Date} moment ISO timestamp or date
+ * @returns {string} The date-time
+ */
+function toUtcStamp(moment) {
+  return new Date(moment).toISOString().replace(/\.\d+Z$/, 'Z').replace(/[-:]/g, '');
+}
+
+/**
+ * Escapes an iCalendar text value.
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeText(text) {
+  return String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Reverses {@link escapeText}.
+ * @param {string} text The escaped text
+ * @returns {string} The text
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) => char.toLowerCase() === 'n' ? '\n' : char);
+}
+
+/**
+ * Folds a content line into lines of at most 75 bytes, continued with a leading space.
+ * @param {string} line The line
+ * @returns {string} The folded line
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  let folded = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > 75) {
+      folded += '\r\n ';
+      bytes = 1;
+    }
+    folded += char;
+    bytes += size;
+  }
+  return folded;
+}
+
+/**
+ * Splits an unfolded content line into its name, parameters and value.
+ * @param {string} line The line, e.g. `DUE;VALUE=DATE:20240115`
+ * @returns {{ name: string, params: Object<string, string>, value: string }|null} The parts,
+ *   or null if the line has no value
+ */
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+  const [name, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(params.map(param => {
+      const [key, ...value] = param.split('=');
+      return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+    })),
+    value: line.slice(colon + 1)
+  };
+}
+
+/**
+ * Reads an iCalendar date or date-time. UTC date-times are converted to local time;
+ * others are taken as local time.
+ * @param {string} value The value, e.g. `20240115`, `20240115T093000` or `20240115T093000Z`
+ * @returns {{ date: string, time: string|null, iso: string }|null} The local date and time,
+ *   and the moment as an ISO timestamp, or null if the value is malformed
+ */
+function parseDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+  const moment = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+  if (Number.isNaN(moment.getTime())) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: toLocalDateString(moment),
+    time: match[4] === undefined ? null : `${pad(moment.getHours())}:${pad(moment.getMinutes())}`,
+    iso: moment.toISOString()
+  };
+}
+
+/**
+ * Parses an iCalendar file, taking a todo from each `VTODO`. Todos without `X-TODO-LIST`
+ * go into a list named after the calendar (`X-WR-CALNAME`), if it has a name. Repeat rules
+ * the app does not support are dropped.
+ * @param {string} text The iCalendar file
+ * @returns {TodoImport} The todos and lists
+ * @throws {Error} If the file is not an iCalendar file
+ */
+function fromICalendar(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(parseContentLine).filter(Boolean);
+  if (lines[0]?.name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+    throw new Error('The file is not an iCalendar file');
+  }
+
+  const todos = [];
+  const components = [];
+  let calendarName = null;
+  lines.forEach(line => {
+    const value = line.value.toUpperCase();
+    if (line.name === 'BEGIN') {
+      components.push(value);
+      if (value === 'VTODO') {
+        todos.push([]);
+      }
+    } else if (line.name === 'END') {
+      components.pop();
+    } else if (components.at(-1) === 'VTODO') {
+      todos.at(-1).push(line);
+    } else if (components.at(-1) === 'VCALENDAR' && line.name === 'X-WR-CALNAME') {
+      calendarName = unescapeText(line.value);
+    }
+  });
+
+  const lists = [];
+  const listFor = (name) => {
+    if (name === null) {
+      return null;
+    }
+    let list = lists.find(l => l.name === name);
+    if (!list) {
+      list = { id: lists.length + 1, name };
+      lists.push(list);
+    }
+    return list.id;
+  };
+  const uids = new Map();
+  const items = todos.map((properties, index) => {
+    const get = (name) => properties.find(property => property.name === name) ?? null;
+    const uid = get('UID')?.value;
+    if (uid) {
+      uids.set(uid, index + 1);
+    }
+    const due = get('DUE') && parseDateTime(get('DUE').value);
+    const status = get('STATUS')?.value.toUpperCase();
+    const priority = Number(get('PRIORITY')?.value);
+    const recurrence = get('X-TODO-RECURRENCE')?.value ?? get('RRULE')?.value ?? null;
+    const listName = get('X-TODO-LIST') ? unescapeText(get('X-TODO-LIST').value) : calendarName;
+    return {
+      id: index + 1,
+      listId: listFor(listName),
+      parent: properties.find(property => property.name === 'RELATED-TO'
+        && (property.params.RELTYPE ?? 'PARENT').toUpperCase() === 'PARENT')?.value ?? null,
+      order: index,
+      text: unescapeText(get('SUMMARY')?.value ?? ''),
+      completed: status === 'COMPLETED' || get('COMPLETED') !== null || get('PERCENT-COMPLETE')?.value === '100',
+      completedAt: get('COMPLETED') && parseDateTime(get('COMPLETED').value)?.iso || null,
+      createdAt: get('CREATED') && parseDateTime(get('CREATED').value)?.iso || null,
+      dueDate: due?.date ?? null,
+      dueTime: get('DUE')?.params.VALUE?.toUpperCase() === 'DATE' ? null : due?.time ?? null,
+      priority: priority >= 1 && priority <= 4 ? 'high' : priority === 5 ? 'medium' : priority >= 6 && priority <= 9 ? 'low' : null,
+      tags: properties
+        .filter(property => property.name === 'CATEGORIES')
+        .flatMap(property => property.value.split(/(?<!\\),/).map(unescapeText)),
+      recurrence: recurrence && isValidRule(recurrence) ? recurrence : null,
+      notes: get('DESCRIPTION') ? unescapeText(get('DESCRIPTION').value) : null
+    };
+  });
+  return {
+    lists,
+    items: items.map(({ parent, ...todo }) => ({ ...todo, parentId: uids.get(parent) ?? null }))
+  };
+}
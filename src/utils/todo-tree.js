@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Helpers for treating the flat todo array as a tree.
+ * Subtasks are stored in the same array as their parents and point to them
+ * through `parentId`, so lookups by ID keep working at any depth.
+ */
+
+/**
+ * Groups todos by parent ID, keeping their order within the given array.
+ * Todos whose parent is not in the array are grouped under `null`, so they are
+ * treated as top-level items (for example when a filter hides the parent).
+ * @param {Array<{ id: number, parentId?: number|null }>} todos The todos to group
+ * @returns {Map<number|null, Array<Object>>} Children of each parent ID; `null` holds the roots
+ */
+export function buildChildMap(todos) {
+  const ids = new Set(todos.map(t => t.id));
+  const childMap = new Map([[null, []]]);
+  todos.forEach(todo => {
+    const parentId = todo.parentId != null && ids.has(todo.parentId) ? todo.parentId : null;
+    if (!childMap.has(parentId)) {
+      childMap.set(parentId, []);
+    }
+    childMap.get(parentId).push(todo);
+  });
+  return childMap;
+}
+
+/**
+ * Collects every descendant of a todo (children, grandchildren, ...), depth first.
+ * @param {number} id The ID of the ancestor todo
+ * @param {Map<number|null, Array<Object>>} childMap Result of {@link buildChildMap}
+ * @returns {Array<Object>} The descendant todos, not including the todo itself
+ */
+export function getDescendants(id, childMap) {
+  const descendants = [];
+  (childMap.get(id) || []).forEach(child => {
+    descendants.push(child, ...getDescendants(child.id, childMap));
+  });
+  return descendants;
+}
+
+/**
+ * Rolls up completion of every subtask below a todo.
+ * @param {number} id The ID of the parent todo
+ * @param {Map<number|null, Array<Object>>} childMap Result of {@link buildChildMap}
+ * @returns {{ completed: number, total: number }} Completed and total descendant counts
+ */
+export function getProgress(id, childMap) {
+  const descendants = getDescendants(id, childMap);
+  return {
+    completed: descendants.filter(t => t.completed).length,
+    total: descendants.length
+  };
+}
+
+/**
+ * Comparator that orders sibling todos by their manual `order`, falling back to ID
+ * so todos without an explicit position keep the order they were created in.
+ * @param {{ id: number, order?: number }} a
+ * @param {{ id: number, order?: number }} b
+ * @returns {number} Negative if `a` comes first, positive if `b` comes first
+ */
+export function compareByOrder(a, b) {
+  return (a.order ?? 0) - (b.order ?? 0) || a.id - b.id;
+}
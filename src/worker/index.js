@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Entry point of the Cloudflare Worker serving the app.
+ * Requests for the built app (`./dist`) are answered from the static assets before the
+ * Worker runs; the Worker answers the sync API and passes anything else to the assets.
+ */
+
+import { API_PATH, handleApiRequest } from './sync-api.js';
+
+export default {
+  /**
+   * Answers a request.
+   * @param {Request} request The request
+   * @param {{ ASSETS: Fetcher, SYNC: D1Database, SYNC_TOKEN?: string }} env The Worker's bindings
+   * @returns {Promise<Response>}
+   */
+  fetch(request, env) {
+    const { pathname } = new URL(request.url);
+    if (pathname === API_PATH || pathname.startsWith(`${API_PATH}/`)) {
+      return handleApiRequest(request, env);
+    }
+    return env.ASSETS.fetch(request);
+  }
+};
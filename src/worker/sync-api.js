@@ -0,0 +1,206 @@
+/**
+ * @fileoverview The sync API the Worker serves under `/api/todos`:
+ *
+ * - `GET /api/todos` returns the latest snapshot: `{ revision, data }`, with `data` null
+ *   if none was uploaded yet.
+ * - `PUT /api/todos` with `{ baseRevision, data }` replaces the snapshot. It answers 409
+ *   if `baseRevision` is not the current revision, i.e. the client has not pulled every change.
+ * - `GET /api/todos/changes?since=<revision>` returns the changes made since a revision:
+ *   `{ revision, changes: [{ revision, message }] }`. It answers 410 if they are no longer
+ *   all kept, in which case the client starts over from the snapshot.
+ * - `POST /api/todos/changes` with `{ changes: [message, …] }` appends changes and returns
+ *   the new `{ revision }`.
+ *
+ * Messages are the ones tabs send each other (see {@link TodoModel#publishChanges}); the
+ * server stores them as they are, in a D1 database (see {@link SyncLog}), and leaves merging
+ * to the clients.
+ *
+ * Every request must carry `Authorization: Bearer <token>` with the `SYNC_TOKEN` secret
+ * (`wrangler secret put SYNC_TOKEN`, or `.dev.vars` for `wrangler dev`). Without one
+ * configured, the API answers 503 rather than serving the data to anyone.
+ */
+
+import { SyncLog } from './sync-log.js';
+
+/**
+ * Path of the API.
+ * @type {string}
+ */
+export const API_PATH = '/api/todos';
+
+/**
+ * Largest request body accepted.
+ * @type {number}
+ */
+export const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * An error answered with an HTTP status.
+ * @extends {Error}
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status The HTTP status
+   * @param {string} message What went wrong
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Builds a JSON response.
+ * @param {*} body The body
+ * @param {number} [status=200] The HTTP status
+ * @param {Object<string, string>} [headers] Further headers
+ * @returns {Response}
+ */
+function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+  });
+}
+
+/**
+ * Compares two strings in time that does not depend on where they differ.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if they are equal
+ */
+function safeEqual(a, b) {
+  const bytesA = new TextEncoder().encode(a);
+  const bytesB = new TextEncoder().encode(b);
+  if (bytesA.length !== bytesB.length) {
+    return false;
+  }
+  return bytesA.reduce((difference, byte, i) => difference | (byte ^ bytesB[i]), 0) === 0;
+}
+
+/**
+ * Reads a JSON request body. A body declared or found to be larger than
+ * {@link MAX_BODY_BYTES} is refused before more of it is read.
+ * @param {Request} request The request
+ * @returns {Promise<*>} The parsed body
+ * @throws {HttpError} 413 if it is too large, 400 if it is not JSON
+ */
+async function readJson(request) {
+  const tooLarge = new HttpError(413, 'Request body is too large');
+  if (Number(request.headers.get('Content-Length')) > MAX_BODY_BYTES) {
+    throw tooLarge;
+  }
+  const chunks = [];
+  let size = 0;
+  if (request.body) {
+    const reader = request.body.getReader();
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      size += chunk.value.byteLength;
+      if (size > MAX_BODY_BYTES) {
+        await reader.cancel();
+        throw tooLarge;
+      }
+      chunks.push(chunk.value);
+    }
+  }
+  const bytes = new Uint8Array(size);
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.byteLength;
+  }, 0);
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Whether a value looks like a change message.
+ * @param {*} message The value
+ * @returns {boolean}
+ */
+function isMessage(message) {
+  return message !== null && typeof message === 'object'
+    && Number.isFinite(message.clock?.at) && typeof message.clock?.origin === 'string'
+    && message.collections !== null && typeof message.collections === 'object';
+}
+
+/**
+ * Answers a request for the snapshot.
+ * @param {Request} request The request
+ * @param {SyncLog} log The stored data
+ * @returns {Promise<Response>}
+ */
+async function handleSnapshot(request, log) {
+  if (request.method === 'GET') {
+    return json(await log.getSnapshot());
+  }
+  if (request.method === 'PUT') {
+    const { baseRevision, data } = await readJson(request) ?? {};
+    if (!Number.isInteger(baseRevision) || data === null || typeof data !== 'object') {
+      throw new HttpError(400, 'Expected { baseRevision, data }');
+    }
+    const { revision, accepted } = await log.putSnapshot(baseRevision, data);
+    return accepted ? json({ revision }) : json({ error: 'Pull the latest changes first', revision }, 409);
+  }
+  return json({ error: 'Method not allowed' }, 405, { Allow: 'GET, PUT' });
+}
+
+/**
+ * Answers a request for or with changes.
+ * @param {Request} request The request
+ * @param {SyncLog} log The stored data
+ * @returns {Promise<Response>}
+ */
+async function handleChanges(request, log) {
+  if (request.method === 'GET') {
+    const param = new URL(request.url).searchParams.get('since');
+    const since = Number(param);
+    if (param === null || !Number.isInteger(since) || since < 0) {
+      throw new HttpError(400, 'Expected ?since=<revision>');
+    }
+    const result = await log.changesSince(since);
+    return result ? json(result) : json({ error: 'Start over from the snapshot' }, 410);
+  }
+  if (request.method === 'POST') {
+    const { changes } = await readJson(request) ?? {};
+    if (!Array.isArray(changes) || changes.length === 0 || !changes.every(isMessage)) {
+      throw new HttpError(400, 'Expected { changes: [message, …] }');
+    }
+    return json({ revision: await log.append(changes) });
+  }
+  return json({ error: 'Method not allowed' }, 405, { Allow: 'GET, POST' });
+}
+
+/**
+ * Answers a request to the sync API.
+ * @param {Request} request The request
+ * @param {{ SYNC: D1Database, SYNC_TOKEN?: string }} env The Worker's bindings
+ * @returns {Promise<Response>}
+ */
+export async function handleApiRequest(request, env) {
+  if (!env.SYNC_TOKEN) {
+    return json({ error: 'Sync is not configured' }, 503);
+  }
+  if (!safeEqual(request.headers.get('Authorization') ?? '', `Bearer ${env.SYNC_TOKEN}`)) {
+    return json({ error: 'Missing or wrong sync token' }, 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  const { pathname } = new URL(request.url);
+  const log = new SyncLog(env.SYNC);
+  try {
+    if (pathname === API_PATH) {
+      return await handleSnapshot(request, log);
+    }
+    if (pathname === `${API_PATH}/changes`) {
+      return await handleChanges(request, log);
+    }
+    return json({ error: 'Not found' }, 404);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return json({ error: error.message }, error.status);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview SyncLog keeps the synced todos on the server, in a D1 database.
+ * It holds two things: a log of the changes clients pushed, each numbered with a revision,
+ * and a snapshot of all the data as of some revision, uploaded by a client that had applied
+ * every change up to it. New clients start from the snapshot; others pull the changes made
+ * since the last revision they saw. Once a snapshot includes them, only the latest
+ * {@link RETAINED_CHANGES} changes are kept, and clients that had not seen the dropped ones
+ * start over from the snapshot.
+ *
+ * The tables are created by `migrations/0001_create_sync_log.sql`. Each change is a row of
+ * its own, so a push only inserts what it adds. Every request runs its statements as one
+ * D1 batch, which is a transaction: revisions are taken from the log inside it, so two
+ * pushes arriving together are both numbered and kept, and a snapshot is only stored if
+ * no change was pushed since the client pulled. Values longer than {@link CHUNK_LENGTH}
+ * are split over several rows to stay within D1's row size limit.
+ */
+
+/**
+ * Changes kept once a snapshot includes them, for clients that have not pulled them yet.
+ * @type {number}
+ */
+export const RETAINED_CHANGES = 1000;
+
+/**
+ * Longest text stored in one row. D1 rows may take up to 2 MB, and the text is stored as
+ * UTF-8 and may be escaped once more when bound.
+ * @type {number}
+ */
+export const CHUNK_LENGTH = 256 * 1024;
+
+/**
+ * Most rows inserted by one statement; D1 takes up to 100 bound parameters.
+ * @type {number}
+ */
+const ROWS_PER_INSERT = 33;
+
+/**
+ * SQL for the current revision, inside a statement.
+ * @type {string}
+ */
+const CURRENT_REVISION = '(SELECT revision FROM log WHERE id = 1)';
+
+/**
+ * Splits a value's JSON into chunks of at most `length` characters, never between the two
+ * halves of a character outside the Basic Multilingual Plane.
+ * @param {*} value The value
+ * @param {number} length Longest chunk
+ * @returns {string[]} At least one chunk
+ */
+function toChunks(value, length) {
+  const text = JSON.stringify(value);
+  const chunks = [];
+  let start = 0;
+  do {
+    let end = Math.min(start + length, text.length);
+    if (end < text.length && /[\uD800-\uDBFF]/.test(text[end - 1])) {
+      end--;
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  } while (start < text.length);
+  return chunks;
+}
+
+/**
+ * Groups rows so each group fits in one statement: at most {@link ROWS_PER_INSERT} rows,
+ * and at most `length` characters of text unless a single row is that long.
+ * @param {Array<Array<number|string>>} rows Rows with their text last
+ * @param {number} length Most text per group
+ * @returns {Array<Array<Array<number|string>>>}
+ */
+function groupRows(rows, length) {
+  const groups = [];
+  let size = Infinity;
+  rows.forEach(row => {
+    const text = row[row.length - 1];
+    if (groups.length === 0 || groups.at(-1).length === ROWS_PER_INSERT || size + text.length > length) {
+      groups.push([]);
+      size = 0;
+    }
+    groups.at(-1).push(row);
+    size += text.length;
+  });
+  return groups;
+}
+
+/**
+ * Joins rows read back in order into the values they were split from.
+ * @param {Array<{ data: string }>} rows The rows
+ * @returns {*} The value
+ */
+function fromChunks(rows) {
+  return JSON.parse(rows.map(row => row.data).join(''));
+}
+
+/**
+ * SyncLog - The server's copy of the synced todos
+ */
+export class SyncLog {
+  /**
+   * Creates a log stored in a D1 database.
+   * @param {D1Database} db The database, with the tables of `migrations/`
+   * @param {Object} [options]
+   * @param {number} [options.retainedChanges=RETAINED_CHANGES] Changes kept once a snapshot includes them
+   * @param {number} [options.chunkLength=CHUNK_LENGTH] Longest text stored in one row
+   */
+  constructor(db, { retainedChanges = RETAINED_CHANGES, chunkLength = CHUNK_LENGTH } = {}) {
+    this.db = db;
+    this.retainedChanges = retainedChanges;
+    this.chunkLength = chunkLength;
+  }
+
+  /**
+   * The latest snapshot.
+   * @returns {Promise<{ revision: number, data: Object|null }>} The snapshot's data (null if
+   *   none was uploaded) and the revision it is as of; the changes made since are returned
+   *   by {@link SyncLog#changesSince} that revision.
+   */
+  async getSnapshot() {
+    const [log, parts] = await this.db.batch([
+      this.db.prepare('SELECT snapshot_revision FROM log WHERE id = 1'),
+      this.db.prepare('SELECT data FROM snapshot ORDER BY part')
+    ]);
+    const revision = log.results[0].snapshot_revision;
+    return revision === null ? { revision: 0, data: null } : { revision, data: fromChunks(parts.results) };
+  }
+
+  /**
+   * Store a snapshot of all data. Only a client that has pulled every change can upload
+   * one, so it is never missing a change.
+   * @param {number} baseRevision The revision the client has pulled up to
+   * @param {Object} data All the data
+   * @returns {Promise<{ revision: number, accepted: boolean }>} The current revision, and
+   *   false if the client is behind it
+   */
+  async putSnapshot(baseRevision, data) {
+    // Every statement checks the revision, so nothing is written if a change was pushed since
+    const inserts = groupRows(toChunks(data, this.chunkLength).map((text, part) => [part, text]), this.chunkLength)
+      .map(group => this.db.prepare(`INSERT INTO snapshot (part, data) SELECT * FROM (VALUES ${
+        group.map(() => '(?, ?)').join(', ')}) WHERE ${CURRENT_REVISION} = ?`).bind(...group.flat(), baseRevision));
+    const results = await this.db.batch([
+      this.db.prepare('UPDATE log SET snapshot_revision = revision WHERE id = 1 AND revision = ?').bind(baseRevision),
+      this.db.prepare(`DELETE FROM snapshot WHERE ${CURRENT_REVISION} = ?`).bind(baseRevision),
+      ...inserts,
+      ...this.pruneStatements(),
+      this.db.prepare('SELECT revision FROM log WHERE id = 1')
+    ]);
+    return { revision: results.at(-1).results[0].revision, accepted: results[0].meta.changes === 1 };
+  }
+
+  /**
+   * Append changes to the log.
+   * @param {Object[]} messages The changes, in the order they were made
+   * @returns {Promise<number>} The revision of the last one
+   */
+  async append(messages) {
+    // Numbered from the revision as it stands in the transaction, before it is moved on below
+    const rows = messages.flatMap((message, i) => toChunks(message, this.chunkLength).map((text, part) => [i + 1, part, text]));
+    const inserts = groupRows(rows, this.chunkLength).map(group => this.db.prepare(
+      `INSERT INTO changes (revision, part, data) VALUES ${group.map(() => `(${CURRENT_REVISION} + ?, ?, ?)`).join(', ')}`
+    ).bind(...group.flat()));
+    const results = await this.db.batch([
+      ...inserts,
+      this.db.prepare('UPDATE log SET revision = revision + ? WHERE id = 1').bind(messages.length),
+      ...this.pruneStatements(),
+      this.db.prepare('SELECT revision FROM log WHERE id = 1')
+    ]);
+    return results.at(-1).results[0].revision;
+  }
+
+  /**
+   * The changes made after a revision.
+   * @param {number} since The last revision the client has seen
+   * @returns {Promise<{ revision: number, changes: Array<{ revision: number, message: Object }> }|null>}
+   *   The current revision and the changes after `since`, or null if they are no longer all
+   *   kept (or `since` is from a log that was since reset), so the client must start over
+   *   from the snapshot
+   */
+  async changesSince(since) {
+    const [log, rows] = await this.db.batch([
+      this.db.prepare('SELECT revision, oldest FROM log WHERE id = 1'),
+      this.db.prepare('SELECT revision, data FROM changes WHERE revision > ? ORDER BY revision, part').bind(since)
+    ]);
+    const { revision, oldest } = log.results[0];
+    if (since < oldest || since > revision) {
+      return null;
+    }
+    const parts = new Map();
+    rows.results.forEach(row => parts.set(row.revision, [...(parts.get(row.revision) ?? []), row]));
+    return { revision, changes: [...parts].map(([changeRevision, chunks]) => ({ revision: changeRevision, message: fromChunks(chunks) })) };
+  }
+
+  /**
+   * Statements that drop the oldest changes the snapshot includes beyond those retained.
+   * @private
+   * @returns {D1PreparedStatement[]}
+   */
+  pruneStatements() {
+    return [
+      this.db.prepare(`UPDATE log SET oldest = MAX(oldest, MIN(COALESCE(snapshot_revision, 0), revision - ?)) WHERE id = 1`)
+        .bind(this.retainedChanges),
+      this.db.prepare('DELETE FROM changes WHERE revision <= (SELECT oldest FROM log WHERE id = 1)')
+    ];
+  }
+}
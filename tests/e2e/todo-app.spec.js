@@ -1,4 +1,8 @@
 import { test, expect } from '@playwright/test';
+import { Buffer } from 'node:buffer';
+import { handleApiRequest } from '../../src/worker/sync-api.js';
+import { SyncLog } from '../../src/worker/sync-log.js';
+import { FakeD1 } from '../fake-d1.js';
 
 test.beforeEach(async ({ page }) => {
   await page.goto('http://localhost:8080');
@@ -44,12 +48,6 @@ test('clear completed removes only checked todos', async ({ page }) => {
   const firstCheckbox = firstTodo.locator('input[type="checkbox"]');
   await firstCheckbox.click();
 
-  // Handle the confirmation dialog
-  page.on('dialog', async dialog => {
-    console.log('Dialog appeared:', dialog.message());
-    await dialog.accept();
-  });
-
   // Click "Clear completed"
   const clearButton = page.locator('button.clear-completed');
   await clearButton.click();
@@ -67,12 +65,6 @@ test('delete todo removes it from the list', async ({ page }) => {
   await page.fill('input[name="todo-input"]', 'Delete me');
   await page.click('button[type="submit"]');
 
-  // Set up dialog handler before clicking delete
-  page.on('dialog', async dialog => {
-    console.log('Dialog appeared:', dialog.message());
-    await dialog.accept();
-  });
-
   const todo = page.locator('.todo-item').filter({ hasText: 'Delete me' });
   await todo.locator('.delete-btn').click();
 
@@ -108,15 +100,521 @@ test('clear all removes all todos', async ({ page }) => {
   await page.fill('input[name="todo-input"]', 'Todo 2');
   await page.click('button[type="submit"]');
 
-  // Set up dialog handler before clicking clear all
-  page.on('dialog', async dialog => {
-    console.log('Dialog appeared:', dialog.message());
-    await dialog.accept();
-  });
-
   const clearAllButton = page.locator('button.clear-all');
   await clearAllButton.click();
 
   // Verify no todos remain
   await expect(page.locator('.todo-item')).toHaveCount(0);
-});
\ No newline at end of file
+});
+
+/**
+ * Undo a delete from the snackbar
+ */
+test('undo in the snackbar restores a deleted todo', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Keep me');
+  await page.click('button[type="submit"]');
+
+  const todo = page.locator('.todo-item').filter({ hasText: 'Keep me' });
+  await todo.locator('.delete-btn').click();
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+
+  await page.locator('.snackbar-action').click();
+  await expect(page.locator('.todo-item')).toContainText('Keep me');
+});
+
+/**
+ * The snackbar only offers to undo a change that is still the latest one
+ */
+test('undo in the snackbar goes away once another change is made', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Delete me');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item').filter({ hasText: 'Delete me' }).locator('.delete-btn').click();
+  await expect(page.locator('.snackbar-action')).toBeVisible();
+
+  await page.fill('input[name="todo-input"]', 'Added later');
+  await page.click('button[type="submit"]');
+  await expect(page.locator('.snackbar-action')).toHaveCount(0);
+  await expect(page.locator('.todo-item')).toHaveCount(1);
+});
+
+/**
+ * A bulk action that changes nothing offers nothing to undo
+ */
+test('bulk complete of finished todos offers no undo', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Earlier todo');
+  await page.click('button[type="submit"]');
+  await page.fill('input[name="todo-input"]', 'Already done');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item').filter({ hasText: 'Already done' }).locator('input[type="checkbox"]').check();
+
+  await page.click('.select-mode');
+  await page.locator('.todo-item').filter({ hasText: 'Already done' }).locator('.select-checkbox').click();
+  await page.click('bulk-action-bar .complete');
+  await expect(page.locator('.snackbar-action')).toHaveCount(0);
+  await expect(page.locator('.todo-item')).toHaveCount(2);
+});
+
+/**
+ * Undo and redo with keyboard shortcuts
+ */
+test('ctrl+z and ctrl+shift+z undo and redo', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Shortcut todo');
+  await page.click('button[type="submit"]');
+  await page.locator('h1').click();
+
+  await page.keyboard.press('Control+z');
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+
+  await page.keyboard.press('Control+Shift+z');
+  await expect(page.locator('.todo-item')).toContainText('Shortcut todo');
+});
+
+/**
+ * Search with the "/" shortcut and fuzzy matching
+ */
+test('slash focuses search and filters todos', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Buy milk');
+  await page.click('button[type="submit"]');
+  await page.fill('input[name="todo-input"]', 'Walk the dog');
+  await page.click('button[type="submit"]');
+  await page.locator('h1').click();
+
+  await page.keyboard.press('/');
+  await page.keyboard.type('bmlk');
+  await expect(page.locator('.todo-item')).toHaveCount(1);
+  await expect(page.locator('.todo-text mark')).toHaveCount(3);
+});
+
+/**
+ * Filter views driven by the URL hash
+ */
+test('stats filter the list and sync with the url hash', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Open task');
+  await page.click('button[type="submit"]');
+  await page.fill('input[name="todo-input"]', 'Done task');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item').filter({ hasText: 'Done task' }).locator('input[type="checkbox"]').check();
+
+  await page.click('a[data-view="active"]');
+  await expect(page).toHaveURL(/#\/active$/);
+  await expect(page.locator('.todo-item')).toHaveCount(1);
+  await expect(page.locator('.todo-item')).toContainText('Open task');
+
+  await page.click('a[data-view="completed"]');
+  await expect(page).toHaveURL(/#\/completed$/);
+  await expect(page.locator('.todo-item')).toContainText('Done task');
+
+  await page.goBack();
+  await expect(page).toHaveURL(/#\/active$/);
+  await expect(page.locator('.todo-item')).toContainText('Open task');
+});
+
+/**
+ * Opening a bookmarked view
+ */
+test('loading a view hash shows that view', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Finished');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item input[type="checkbox"]').check();
+
+  await page.goto('http://localhost:8080/#/active');
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+  await expect(page.locator('a[data-view="active"]')).toHaveAttribute('aria-current', 'page');
+
+  await page.goto('http://localhost:8080/#/completed');
+  await expect(page.locator('.todo-item')).toContainText('Finished');
+});
+
+/**
+ * Select several todos with shift-click and complete them at once
+ */
+test('bulk complete with shift-click range selection', async ({ page }) => {
+  for (const text of ['First', 'Second', 'Third']) {
+    await page.fill('input[name="todo-input"]', text);
+    await page.click('button[type="submit"]');
+  }
+
+  await page.click('.select-mode');
+  await page.locator('.select-checkbox').first().click();
+  await page.locator('.select-checkbox').nth(2).click({ modifiers: ['Shift'] });
+  await expect(page.locator('bulk-action-bar .count')).toHaveText('3 selected');
+
+  await page.click('bulk-action-bar .complete');
+  await expect(page.locator('.todo-text.completed')).toHaveCount(3);
+
+  await page.locator('.snackbar-action').click();
+  await expect(page.locator('.todo-text.completed')).toHaveCount(0);
+});
+
+/**
+ * Ctrl+A selects everything and bulk delete removes it
+ */
+test('ctrl+a selects all todos for bulk delete', async ({ page }) => {
+  for (const text of ['One', 'Two']) {
+    await page.fill('input[name="todo-input"]', text);
+    await page.click('button[type="submit"]');
+  }
+  await page.locator('h1').click();
+
+  await page.keyboard.press('Control+a');
+  await expect(page.locator('bulk-action-bar .count')).toHaveText('2 selected');
+
+  await page.click('bulk-action-bar .delete');
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+});
+
+/**
+ * Deleted todos go to the trash and can be restored
+ */
+test('restore a deleted todo from the trash', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Recover me');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item').filter({ hasText: 'Recover me' }).locator('.delete-btn').click();
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+
+  await page.click('.trash-link');
+  await expect(page).toHaveURL(/#\/trash$/);
+  await expect(page.locator('.trash-item')).toContainText('Recover me');
+
+  await page.locator('.trash-item .restore').click();
+  await expect(page.locator('.trash-item')).toHaveCount(0);
+
+  await page.click('.back-link');
+  await expect(page.locator('.todo-item')).toContainText('Recover me');
+});
+
+/**
+ * Invalid input is reported in the error banner instead of being ignored
+ */
+test('error banner reports a rejected todo', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'x'.repeat(501));
+  await page.click('button[type="submit"]');
+
+  await expect(page.locator('error-banner [role="alert"]')).toContainText('longer than 500 characters');
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+
+  await page.click('error-banner .dismiss');
+  await expect(page.locator('error-banner [role="alert"]')).toHaveCount(0);
+});
+
+/**
+ * A started timer shows in the time report and can be stopped from there
+ */
+test('track time on a todo and see it in the report', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Timed task');
+  await page.click('button[type="submit"]');
+
+  await page.locator('.timer-btn').click();
+  await expect(page.locator('.timer-btn')).toHaveAttribute('aria-pressed', 'true');
+  await expect(page.locator('.tracked-time')).toBeVisible();
+
+  await page.click('.time-link');
+  await expect(page).toHaveURL(/#\/time$/);
+  await expect(page.locator('time-report .running')).toContainText('Timed task');
+
+  await page.click('time-report .stop-timer');
+  await expect(page.locator('time-report .running')).toHaveCount(0);
+
+  await page.click('.back-link');
+  await expect(page.locator('.timer-btn')).toHaveAttribute('aria-pressed', 'false');
+});
+
+/**
+ * Notes render as Markdown and their task boxes can be ticked in place
+ */
+test('add markdown notes and tick a task in them', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Release');
+  await page.click('button[type="submit"]');
+
+  await page.click('.notes-btn');
+  await page.click('todo-notes .edit-notes');
+  await page.fill('todo-notes .notes-input', 'See **changelog**\n\n- [ ] tag\n- [ ] publish');
+  await page.click('todo-notes .save-notes');
+
+  await expect(page.locator('todo-notes strong')).toHaveText('changelog');
+  await expect(page.locator('todo-notes .task-checkbox')).toHaveCount(2);
+
+  await page.locator('todo-notes .task-checkbox').first().check();
+  await expect(page.locator('todo-notes li.task.checked')).toHaveText('tag');
+
+  await page.reload();
+  await page.click('.notes-btn');
+  await expect(page.locator('todo-notes .task-checkbox').first()).toBeChecked();
+});
+
+/**
+ * Completing a todo shows up on the dashboard, even after the todo is cleared
+ */
+test('dashboard counts completed todos and the current streak', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Finish report');
+  await page.click('button[type="submit"]');
+  await page.locator('.checkbox').check();
+  await page.click('.clear-completed');
+
+  await page.click('.dashboard-link');
+  await expect(page).toHaveURL(/#\/dashboard$/);
+  await expect(page.locator('productivity-dashboard .completed-count')).toHaveText('1');
+  await expect(page.locator('productivity-dashboard .current-streak')).toHaveText('1 day');
+  await expect(page.locator('productivity-dashboard .heatmap-cell[data-level="4"]')).toHaveCount(1);
+
+  await page.locator('productivity-dashboard .ranges button', { hasText: '7 days' }).click();
+  await expect(page.locator('productivity-dashboard .completion-chart .bar')).toHaveCount(7);
+});
+
+/**
+ * The history panel shows what happened to a todo, including its old text
+ */
+test('history panel lists edits with the old text', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Call');
+  await page.click('button[type="submit"]');
+
+  await page.click('.edit-btn');
+  await page.fill('.edit-input', 'Call mum');
+  await page.click('.save-btn');
+  await page.locator('.checkbox').check();
+
+  await page.click('.history-btn');
+  const lines = page.locator('todo-history li');
+  await expect(lines).toHaveCount(3);
+  await expect(lines.nth(0)).toContainText('Completed');
+  await expect(lines.nth(1)).toContainText('Text changed from “Call” to “Call mum”');
+  await expect(lines.nth(2)).toContainText('Created');
+});
+
+/**
+ * Todos left in localStorage by an older version are moved to IndexedDB on first run
+ */
+test('moves localStorage todos into IndexedDB', async ({ page }) => {
+  await page.evaluate(() => {
+    localStorage.setItem('todos_items', JSON.stringify([
+      { id: 1, text: 'From localStorage', completed: false, createdAt: '2024-01-01T00:00:00.000Z' }
+    ]));
+    localStorage.setItem('todos_nextId', '2');
+  });
+  await page.reload();
+
+  await expect(page.locator('.todo-item')).toContainText('From localStorage');
+  expect(await page.evaluate(() => localStorage.getItem('todos_items'))).toBeNull();
+
+  await page.reload();
+  await expect(page.locator('.todo-item')).toContainText('From localStorage');
+});
+
+/**
+ * Changes made in one tab show up in another tab without reloading
+ */
+test('syncs todos between tabs', async ({ page, context }) => {
+  const other = await context.newPage();
+  await other.goto('http://localhost:8080');
+
+  await page.fill('input[name="todo-input"]', 'Shared todo');
+  await page.click('button[type="submit"]');
+  await expect(other.locator('.todo-item')).toContainText('Shared todo');
+
+  await other.locator('.todo-item .checkbox').check();
+  await expect(page.locator('.todo-item .checkbox')).toBeChecked();
+});
+
+/**
+ * A nearly full storage quota is reported, and clearing completed todos deletes them for good
+ */
+test('warns when storage is nearly full', async ({ page }) => {
+  await page.addInitScript(() => {
+    navigator.storage.estimate = async () => ({ usage: 95 * 1024 * 1024, quota: 100 * 1024 * 1024 });
+  });
+  await page.reload();
+
+  await page.fill('input[name="todo-input"]', 'Finished todo');
+  await page.click('button[type="submit"]');
+  await page.locator('.todo-item .checkbox').check();
+
+  const warning = page.locator('storage-warning .warning');
+  await expect(warning).toContainText('Storage is almost full');
+  await expect(warning).toContainText('Using 95.0 MB of 100.0 MB (95%)');
+
+  await warning.locator('button.free-space').click();
+  await expect(page.locator('.todo-item')).toHaveCount(0);
+  await page.click('.trash-link');
+  await expect(page.locator('.trash-item')).toHaveCount(0);
+});
+
+/**
+ * Without any usable storage the app keeps todos in memory and says they will be lost
+ */
+test('keeps working in memory when storage is blocked', async ({ page }) => {
+  await page.addInitScript(() => {
+    delete window.indexedDB;
+    Storage.prototype.setItem = () => {
+      throw new DOMException('Storage is disabled', 'SecurityError');
+    };
+  });
+  await page.reload();
+
+  await expect(page.locator('storage-warning .warning')).toContainText('will be lost when you close this tab');
+  await expect(page.locator('storage-warning button.free-space')).toHaveCount(0);
+
+  await page.fill('input[name="todo-input"]', 'Unsaved todo');
+  await page.click('button[type="submit"]');
+  await expect(page.locator('.todo-item')).toContainText('Unsaved todo');
+
+  const download = page.waitForEvent('download');
+  await page.locator('storage-warning button.export').click();
+  expect((await download).suggestedFilename()).toMatch(/^todos-backup-\d{4}-\d{2}-\d{2}\.json$/);
+});
+
+/**
+ * Encrypted todos need the passphrase after a reload; a wrong one is rejected
+ */
+test('encrypts todos with a passphrase and unlocks them', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Secret todo');
+  await page.click('button[type="submit"]');
+
+  await page.click('.security-link');
+  await page.fill('encryption-settings input[name="passphrase"]', 'correct horse');
+  await page.fill('encryption-settings input[name="confirm"]', 'correct horse');
+  await page.click('encryption-settings button[type="submit"]');
+  await expect(page.locator('encryption-settings button.lock')).toBeVisible();
+
+  await page.reload();
+  await expect(page.locator('lock-screen')).toContainText('Your todos are locked');
+  await page.fill('lock-screen input[name="passphrase"]', 'wrong horse');
+  await page.press('lock-screen input[name="passphrase"]', 'Enter');
+  await expect(page.locator('lock-screen .error')).toContainText('That passphrase is not correct');
+
+  await page.fill('lock-screen input[name="passphrase"]', 'correct horse');
+  await page.press('lock-screen input[name="passphrase"]', 'Enter');
+  await page.click('.back-link');
+  await expect(page.locator('.todo-item')).toContainText('Secret todo');
+});
+
+/**
+ * Encrypted todos lock after a while without activity, and the passphrase can be changed
+ */
+test('locks when idle and changes the passphrase', async ({ page }) => {
+  await page.clock.install();
+  await page.goto('http://localhost:8080/#/security');
+  await page.fill('encryption-settings input[name="passphrase"]', 'correct horse');
+  await page.fill('encryption-settings input[name="confirm"]', 'correct horse');
+  await page.click('encryption-settings button[type="submit"]');
+  await expect(page.locator('encryption-settings button.lock')).toBeVisible();
+
+  await page.clock.fastForward('05:01');
+  await expect(page.locator('lock-screen')).toBeVisible();
+  await page.fill('lock-screen input[name="passphrase"]', 'correct horse');
+  await page.press('lock-screen input[name="passphrase"]', 'Enter');
+
+  await page.fill('encryption-settings input[name="current"]', 'correct horse');
+  await page.fill('encryption-settings input[name="passphrase"]', 'battery staple');
+  await page.fill('encryption-settings input[name="confirm"]', 'battery staple');
+  await page.click('encryption-settings button[type="submit"]');
+  await expect(page.locator('todo-snackbar')).toContainText('Passphrase changed');
+
+  await page.click('encryption-settings button.lock');
+  await page.fill('lock-screen input[name="passphrase"]', 'battery staple');
+  await page.press('lock-screen input[name="passphrase"]', 'Enter');
+  await expect(page.locator('encryption-settings button.lock')).toBeVisible();
+});
+
+/**
+ * Serves the sync API from the Worker's own handler, with SQLite in-process standing in for D1.
+ * Requests fail as if offline while `server.online` is false.
+ */
+function createSyncServer(token) {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: token };
+  const server = {
+    online: true,
+    snapshot: () => new SyncLog(env.SYNC).getSnapshot(),
+    async handle(route) {
+      if (!server.online) {
+        return route.abort('internetdisconnected');
+      }
+      const request = route.request();
+      const response = await handleApiRequest(new Request(request.url(), {
+        method: request.method(),
+        headers: request.headers(),
+        body: request.postData() ?? undefined
+      }), env);
+      return route.fulfill({ status: response.status, headers: Object.fromEntries(response.headers), body: await response.text() });
+    }
+  };
+  return server;
+}
+
+/**
+ * Todos sync with the server, changes made offline are sent once back online, and
+ * another browser starts from the server's todos
+ */
+test('syncs todos with the server and queues changes while offline', async ({ page, browser }) => {
+  const server = createSyncServer('e2e-token');
+  await page.route('**/api/todos**', route => server.handle(route));
+  await page.fill('input[name="todo-input"]', 'Synced todo');
+  await page.click('button[type="submit"]');
+
+  await page.click('.security-link');
+  await page.fill('sync-settings input[name="token"]', 'e2e-token');
+  await page.click('sync-settings button[type="submit"]');
+  await expect(page.locator('sync-settings .status')).toContainText('Synced at');
+  expect((await server.snapshot()).data.items.map(todo => todo.text)).toEqual(['Synced todo']);
+
+  server.online = false;
+  await page.click('.back-link');
+  await page.fill('input[name="todo-input"]', 'Offline todo');
+  await page.click('button[type="submit"]');
+  await page.click('.security-link');
+  await expect(page.locator('sync-settings .status')).toContainText('1 change is waiting to be sent');
+
+  server.online = true;
+  await page.click('sync-settings button.sync-now');
+  await expect(page.locator('sync-settings .status')).toContainText('Synced at');
+
+  const context = await browser.newContext();
+  try {
+    const other = await context.newPage();
+    await other.route('**/api/todos**', route => server.handle(route));
+    await other.goto('http://localhost:8080/#/security');
+    await other.fill('sync-settings input[name="token"]', 'e2e-token');
+    await other.click('sync-settings button[type="submit"]');
+    await expect(other.locator('sync-settings .status')).toContainText('Synced at');
+    await other.click('.back-link');
+    await expect(other.locator('.todo-item')).toHaveText([/Synced todo/, /Offline todo/]);
+  } finally {
+    await context.close();
+  }
+});
+
+/**
+ * Files are previewed before they are imported, merged or replaced, and todos export in each format
+ */
+test('imports a checklist after a preview and exports todos', async ({ page }) => {
+  await page.fill('input[name="todo-input"]', 'Existing todo');
+  await page.click('button[type="submit"]');
+  await page.click('.data-link');
+
+  const checklist = {
+    name: 'trip.md',
+    mimeType: 'text/markdown',
+    buffer: Buffer.from('# Trip\n\n- [ ] Pack\n  - [x] Find passport\n- [ ] Book hotel\n')
+  };
+  await page.locator('import-export input.import-file').setInputFiles(checklist);
+  await expect(page.locator('import-export .summary')).toContainText('holds 3 todos, 1 of them done, in 1 list: Trip (3)');
+  await page.click('import-export button.merge');
+  await expect(page.locator('todo-snackbar')).toContainText('Imported 3 todos');
+  await expect(page.locator('import-export .preview')).toHaveCount(0);
+
+  await page.locator('import-export input.import-file').setInputFiles({ name: 'broken.json', mimeType: 'application/json', buffer: Buffer.from('{nope') });
+  await expect(page.locator('error-banner')).toContainText('Could not import broken.json: The file is not valid JSON');
+
+  await page.locator('import-export input.import-file').setInputFiles(checklist);
+  await page.click('import-export button.replace');
+  await expect(page.locator('todo-snackbar')).toContainText('Your todos were replaced with the imported ones');
+  await page.click('.back-link');
+  await expect(page.locator('.todo-item')).toHaveCount(3);
+  await expect(page.locator('list-switcher')).toContainText('Trip');
+  await expect(page.locator('.todo-item').first()).toContainText('Pack');
+
+  await page.click('.data-link');
+  await page.selectOption('import-export select[name="format"]', 'ics');
+  const download = page.waitForEvent('download');
+  await page.click('import-export button[type="submit"]');
+  expect((await download).suggestedFilename()).toMatch(/^todos-\d{4}-\d{2}-\d{2}\.ics$/);
+});
@@ -0,0 +1,82 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import initSqlJs from 'sql.js';
+
+const SQL = await initSqlJs();
+const MIGRATIONS = new URL('../migrations/', import.meta.url);
+
+/**
+ * In-process stand-in for a D1 prepared statement, run by SQLite compiled to WebAssembly
+ */
+class FakeStatement {
+  constructor(db, sql, params = []) {
+    this.db = db;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new FakeStatement(this.db, this.sql, params);
+  }
+
+  execute() {
+    const statement = this.db.database.prepare(this.sql, this.params);
+    const results = [];
+    try {
+      while (statement.step()) {
+        results.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+    return { results, meta: { changes: this.db.database.getRowsModified() } };
+  }
+
+  async all() {
+    return this.db.batch([this]).then(([result]) => result);
+  }
+
+  async first(column) {
+    const [row = null] = (await this.all()).results;
+    return column && row ? row[column] : row;
+  }
+
+  async run() {
+    return this.all();
+  }
+}
+
+/**
+ * In-process stand-in for a D1 database with the app's migrations applied. Each batch is a
+ * transaction, and every call yields first, as the real database would.
+ */
+export class FakeD1 {
+  constructor() {
+    this.database = new SQL.Database();
+    readdirSync(MIGRATIONS).filter(name => name.endsWith('.sql')).sort()
+      .forEach(name => this.database.exec(readFileSync(new URL(name, MIGRATIONS), 'utf8')));
+  }
+
+  prepare(sql) {
+    return new FakeStatement(this, sql);
+  }
+
+  async batch(statements) {
+    await new Promise(resolve => setImmediate(resolve));
+    this.database.exec('BEGIN');
+    try {
+      const results = statements.map(statement => statement.execute());
+      this.database.exec('COMMIT');
+      return results;
+    } catch (error) {
+      this.database.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a query straight away, for tests to look at the stored rows
+   */
+  query(sql, params = []) {
+    return new FakeStatement(this, sql, params).execute().results;
+  }
+}
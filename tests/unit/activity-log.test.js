@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_VALUE_LENGTH,
+  MERGE_WINDOW_MS,
+  createEntry,
+  appendEntry,
+  compactLog,
+  trimActivity,
+  describeEntry
+} from '../../src/utils/activity-log.js';
+
+const START = new Date('2024-01-10T09:00:00.000Z');
+
+/**
+ * Builds a time a number of minutes after START.
+ * @param {number} minutes
+ * @returns {Date}
+ */
+function after(minutes) {
+  return new Date(START.getTime() + minutes * 60 * 1000);
+}
+
+// Tests for building entries
+test('createEntry - should truncate long values and swap them for undone actions', () => {
+  const entry = createEntry('edited', {
+    changes: { notes: { before: null, after: 'x'.repeat(MAX_VALUE_LENGTH + 50) } },
+    at: START
+  });
+  assert.strictEqual(entry.at, START.toISOString());
+  assert.strictEqual(entry.changes.notes.after.length, MAX_VALUE_LENGTH);
+  assert.ok(entry.changes.notes.after.endsWith('…'));
+
+  const undone = createEntry('edited', { changes: { text: { before: 'a', after: 'b' } }, undone: true, at: START });
+  assert.deepStrictEqual(undone.changes.text, { before: 'b', after: 'a' });
+  assert.strictEqual(undone.undone, true);
+});
+
+// Tests for appending
+test('appendEntry - should merge quick successive edits', () => {
+  let log = [createEntry('created', { at: START })];
+  log = appendEntry(log, createEntry('edited', { changes: { text: { before: 'a', after: 'b' } }, at: after(1) }));
+  log = appendEntry(log, createEntry('edited', {
+    changes: { text: { before: 'b', after: 'c' }, priority: { before: null, after: 'high' } },
+    at: after(2)
+  }));
+
+  assert.strictEqual(log.length, 2);
+  assert.deepStrictEqual(log[1].changes, {
+    text: { before: 'a', after: 'c' },
+    priority: { before: null, after: 'high' }
+  });
+  assert.strictEqual(log[1].at, after(2).toISOString());
+});
+
+test('appendEntry - should keep edits apart after the merge window or another action', () => {
+  const edit = (from, to, at) => createEntry('edited', { changes: { text: { before: from, after: to } }, at });
+  let log = appendEntry([], edit('a', 'b', START));
+  log = appendEntry(log, edit('b', 'c', new Date(START.getTime() + MERGE_WINDOW_MS + 1)));
+  assert.strictEqual(log.length, 2);
+
+  log = appendEntry(log, createEntry('completed', { at: after(10) }));
+  log = appendEntry(log, edit('c', 'd', after(11)));
+  assert.deepStrictEqual(log.map(entry => entry.action), ['edited', 'edited', 'completed', 'edited']);
+});
+
+test('appendEntry - should drop edits that cancel out', () => {
+  let log = appendEntry([], createEntry('edited', { changes: { text: { before: 'a', after: 'b' } }, at: START }));
+  log = appendEntry(log, createEntry('edited', { changes: { text: { before: 'b', after: 'a' } }, at: after(1) }));
+  assert.deepStrictEqual(log, []);
+});
+
+// Tests for compaction
+test('compactLog - should keep the first and latest entries and count the rest', () => {
+  const log = Array.from({ length: 10 }, (_, i) => createEntry(i === 0 ? 'created' : 'completed', { at: after(i) }));
+  const compacted = compactLog(log, 5);
+
+  assert.strictEqual(compacted.length, 5);
+  assert.strictEqual(compacted[0], log[0]);
+  assert.deepStrictEqual(compacted[1], { at: log[6].at, action: 'compacted', count: 6 });
+  assert.deepStrictEqual(compacted.slice(2), log.slice(7));
+
+  const again = compactLog([...compacted, createEntry('reopened', { at: after(11) })], 5);
+  assert.strictEqual(again[1].count, 7);
+});
+
+test('trimActivity - should compact the longest logs to stay within the total', () => {
+  const log = (length) => Array.from({ length }, (_, i) => createEntry('completed', { at: after(i) }));
+  const activity = trimActivity({ 1: log(20), 2: log(4) }, 16);
+
+  assert.strictEqual(activity[2].length, 4);
+  assert.ok(activity[1].length + activity[2].length <= 16);
+  assert.strictEqual(activity[1][1].action, 'compacted');
+});
+
+// Test for descriptions
+test('describeEntry - should describe actions and field changes', () => {
+  const lists = [{ id: 1, name: 'Inbox' }, { id: 2, name: 'Work' }];
+
+  assert.deepStrictEqual(describeEntry(createEntry('edited', {
+    changes: {
+      text: { before: 'Call', after: 'Call mum' },
+      tags: { before: [], after: ['family'] },
+      notes: { before: null, after: 'Ask about the trip' }
+    }
+  })), ['Text changed from “Call” to “Call mum”', 'Tags changed from none to #family', 'Notes edited']);
+  assert.deepStrictEqual(
+    describeEntry(createEntry('moved', { changes: { listId: { before: 1, after: 3 } } }), { lists }),
+    ['Moved from “Inbox” to a deleted list']
+  );
+  assert.deepStrictEqual(describeEntry(createEntry('completed', { undone: true })), ['Undone: Completed']);
+  assert.deepStrictEqual(describeEntry({ at: START.toISOString(), action: 'compacted', count: 1 }), ['1 older entry compacted']);
+});
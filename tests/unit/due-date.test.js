@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { formatDueLabel, isOverdue, compareByDueDate } from '../../src/utils/due-date.js';
+
+// Fixed reference time: 2025-03-10 at 12:00 local time
+const NOW = new Date(2025, 2, 10, 12, 0);
+
+// Test for relative labels
+test('formatDueLabel - should describe dates relative to today', () => {
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-10' }, NOW), 'today');
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-11' }, NOW), 'tomorrow');
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-14' }, NOW), 'in 4 days');
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-09' }, NOW), '1 day overdue');
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-07' }, NOW), '3 days overdue');
+  assert.strictEqual(formatDueLabel({ dueDate: null }, NOW), '');
+});
+
+// Test for labels with a due time
+test('formatDueLabel - should append the due time when set', () => {
+  assert.strictEqual(formatDueLabel({ dueDate: '2025-03-11', dueTime: '15:00' }, NOW), 'tomorrow 15:00');
+});
+
+// Test for overdue detection
+test('isOverdue - should respect due time and completion', () => {
+  assert.strictEqual(isOverdue({ dueDate: '2025-03-10', completed: false }, NOW), false);
+  assert.strictEqual(isOverdue({ dueDate: '2025-03-10', dueTime: '09:30', completed: false }, NOW), true);
+  assert.strictEqual(isOverdue({ dueDate: '2025-03-09', completed: false }, NOW), true);
+  assert.strictEqual(isOverdue({ dueDate: '2025-03-09', completed: true }, NOW), false);
+  assert.strictEqual(isOverdue({ dueDate: null, completed: false }, NOW), false);
+});
+
+// Test for sorting by due date
+test('compareByDueDate - should sort earliest first with undated todos last', () => {
+  const todos = [
+    { id: 1, dueDate: null },
+    { id: 2, dueDate: '2025-03-12' },
+    { id: 3, dueDate: '2025-03-11', dueTime: '18:00' },
+    { id: 4, dueDate: '2025-03-11', dueTime: '08:00' }
+  ];
+
+  const sorted = [...todos].sort(compareByDueDate);
+
+  assert.deepStrictEqual(sorted.map(t => t.id), [4, 3, 2, 1]);
+});
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { EncryptedStorageService, ENCRYPTION_KEY } from '../../src/services/encrypted-storage-service.js';
+import { MemoryStorageService } from '../../src/services/memory-storage-service.js';
+import { TodoModel } from '../../src/models/todo-model.js';
+import { PassphraseError, StorageError, ValidationError } from '../../src/models/errors.js';
+
+// Few iterations keep the tests fast; the app uses PBKDF2_ITERATIONS
+const options = { iterations: 1000 };
+
+/**
+ * In-memory storage whose saves start failing after a number of them
+ */
+class FailingStorage extends MemoryStorageService {
+  constructor() {
+    super();
+    /** @type {number} Saves left before they fail */
+    this.savesLeft = Infinity;
+  }
+
+  save(key, data) {
+    if (this.savesLeft-- <= 0) {
+      throw new StorageError();
+    }
+    super.save(key, data);
+  }
+}
+
+/**
+ * Everything in a storage service, as raw JSON
+ */
+function dump(storage) {
+  return JSON.stringify([...storage.items]);
+}
+
+// Test for turning encryption on
+test('EncryptedStorageService - enable should encrypt the data already stored', async () => {
+  const storage = new MemoryStorageService();
+  storage.save('items', [{ id: 1, text: 'Secret plan' }]);
+  storage.save('nextId', 2);
+
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+
+  assert.ok(!dump(storage).includes('Secret plan'));
+  assert.strictEqual(storage.load('items')[0].id, 1);
+  assert.ok(await EncryptedStorageService.isEncrypted(storage));
+  assert.deepStrictEqual(await encrypted.load('items'), [{ id: 1, text: 'Secret plan' }]);
+  assert.strictEqual(await encrypted.load('nextId'), 2);
+  assert.deepStrictEqual(await encrypted.keys(), ['items', 'nextId']);
+  await assert.rejects(EncryptedStorageService.enable(storage, 'correct horse', options), StorageError);
+  await assert.rejects(EncryptedStorageService.enable(new MemoryStorageService(), 'short', options), ValidationError);
+});
+
+// Test for unlocking
+test('EncryptedStorageService - a wrong passphrase should leave the stored data untouched', async () => {
+  const storage = new MemoryStorageService();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  await encrypted.save('items', [{ id: 1, text: 'Secret' }]);
+  const before = dump(storage);
+
+  const other = new EncryptedStorageService(storage);
+  assert.strictEqual(other.locked, true);
+  await assert.rejects(other.unlock('wrong horse'), PassphraseError);
+  await assert.rejects(other.load('items'), StorageError);
+  await assert.rejects(other.save('items', []), StorageError);
+  assert.strictEqual(dump(storage), before);
+
+  await other.unlock('correct horse');
+  assert.deepStrictEqual(await other.load('items'), [{ id: 1, text: 'Secret' }]);
+
+  other.lock();
+  await assert.rejects(other.load('items'), StorageError);
+});
+
+// Test for per-record encryption
+test('EncryptedStorageService - unchanged records should keep their ciphertext', async () => {
+  const storage = new MemoryStorageService();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  await encrypted.save('items', [{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  const [first, second] = storage.load('items');
+
+  await encrypted.write([['items', [{ id: 1, text: 'a' }, { id: 2, text: 'changed' }, { id: 3, text: 'c' }], new Set([2, 3])]]);
+  const items = storage.load('items');
+  assert.deepStrictEqual(items[0], first);
+  assert.notDeepStrictEqual(items[1], second);
+  assert.deepStrictEqual(items.map(record => record.id), [1, 2, 3]);
+});
+
+// Test for tampered data
+test('EncryptedStorageService - data that cannot be decrypted should fail to load', async () => {
+  const storage = new MemoryStorageService();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  await encrypted.save('lists', [{ id: 1, name: 'Inbox' }]);
+  const sealed = storage.load('lists');
+  storage.save('lists', { ...sealed, data: sealed.data.replace(/^./, char => char === 'A' ? 'B' : 'A') });
+
+  await assert.rejects(encrypted.load('lists', []), { message: 'Your saved data could not be decrypted' });
+});
+
+// Test for changing the passphrase
+test('EncryptedStorageService - changePassphrase should re-encrypt the data', async () => {
+  const storage = new MemoryStorageService();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  await encrypted.save('items', [{ id: 1, text: 'Secret' }]);
+  await encrypted.save('activity', { 1: [{ action: 'created' }] });
+  const before = dump(storage);
+
+  await assert.rejects(encrypted.changePassphrase('wrong horse', 'battery staple', options), PassphraseError);
+  await assert.rejects(encrypted.changePassphrase('correct horse', 'short', options), ValidationError);
+  assert.strictEqual(dump(storage), before);
+
+  await encrypted.changePassphrase('correct horse', 'battery staple', options);
+  assert.strictEqual(storage.load(ENCRYPTION_KEY).currentKey, 2);
+  assert.strictEqual(storage.load('items')[0].keyId, 2);
+  assert.strictEqual(storage.load('activity')[1].keyId, 2);
+
+  const other = new EncryptedStorageService(storage);
+  await assert.rejects(other.unlock('correct horse'), PassphraseError);
+  await other.unlock('battery staple');
+  assert.deepStrictEqual(await other.load('items'), [{ id: 1, text: 'Secret' }]);
+  assert.deepStrictEqual(await other.load('activity'), { 1: [{ action: 'created' }] });
+});
+
+// Test for an interrupted passphrase change
+test('EncryptedStorageService - an interrupted passphrase change should leave the data readable', async () => {
+  const storage = new FailingStorage();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  await encrypted.save('items', [{ id: 1, text: 'a' }]);
+  await encrypted.save('lists', [{ id: 1, name: 'Inbox' }]);
+
+  // The new keys and one value are saved, then saving fails
+  storage.savesLeft = 2;
+  await assert.rejects(encrypted.changePassphrase('correct horse', 'battery staple', options), StorageError);
+  storage.savesLeft = Infinity;
+
+  const other = new EncryptedStorageService(storage);
+  await other.unlock('battery staple');
+  assert.deepStrictEqual(await other.load('items'), [{ id: 1, text: 'a' }]);
+  assert.deepStrictEqual(await other.load('lists'), [{ id: 1, name: 'Inbox' }]);
+});
+
+// Test for the model on encrypted storage
+test('TodoModel.load - should load and save todos through encrypted storage', async () => {
+  const storage = new MemoryStorageService();
+  const encrypted = await EncryptedStorageService.enable(storage, 'correct horse', options);
+  const model = await TodoModel.load(encrypted);
+  model.addTodo('Private todo');
+  await model.whenSaved();
+  assert.ok(!dump(storage).includes('Private todo'));
+
+  const other = new EncryptedStorageService(storage);
+  await other.unlock('correct horse');
+  const reloaded = await TodoModel.load(other);
+  assert.strictEqual(reloaded.todos[0].text, 'Private todo');
+});
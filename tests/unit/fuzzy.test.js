@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { fuzzyMatch, searchTodos, highlightSegments } from '../../src/utils/fuzzy.js';
+
+// Test for fuzzy matching of a single term
+test('fuzzyMatch - should match characters in order, ignoring case', () => {
+  assert.deepStrictEqual(fuzzyMatch('milk', 'Buy Milk').indices, [4, 5, 6, 7]);
+  assert.deepStrictEqual(fuzzyMatch('bmk', 'Buy milk').indices, [0, 4, 7]);
+  assert.strictEqual(fuzzyMatch('klim', 'Buy milk'), null);
+});
+
+// Test for match scoring
+test('fuzzyMatch - should score substrings above scattered characters', () => {
+  const substring = fuzzyMatch('mil', 'Buy milk');
+  const scattered = fuzzyMatch('mil', 'Make it loud');
+  assert.ok(substring.score > scattered.score);
+});
+
+// Test for searching todos
+test('searchTodos - should require every term to match the text, tags or notes', () => {
+  const todos = [
+    { id: 1, text: 'Buy milk', tags: ['errands'] },
+    { id: 2, text: 'Call mum', tags: ['family'], notes: 'About the birthday' },
+    { id: 3, text: 'Book flights', tags: [] }
+  ];
+
+  assert.deepStrictEqual([...searchTodos(todos, 'b').keys()], [1, 2, 3]);
+  assert.deepStrictEqual([...searchTodos(todos, 'buy milk').keys()], [1]);
+  assert.deepStrictEqual([...searchTodos(todos, '#errands').keys()], [1]);
+  assert.deepStrictEqual([...searchTodos(todos, 'birthday').keys()], [2]);
+  assert.deepStrictEqual(searchTodos(todos, 'call birthday').get(2).indices, [0, 1, 2, 3]);
+});
+
+// Test for large lists
+test('searchTodos - should find every match among 10,000 todos quickly', () => {
+  const todos = Array.from({ length: 10000 }, (_, i) => ({ id: i, text: `Todo number ${i} about something`, tags: ['bulk'] }));
+  const start = performance.now();
+  const results = searchTodos(todos, 'num 99');
+  // Generous, so a slow machine passes but a search that grows faster than the list does not
+  assert.ok(performance.now() - start < 2000);
+  // Only the numbers hold a 9, so "99" matches the todos whose number has two of them
+  const expected = todos.filter(todo => String(todo.id).replace(/[^9]/g, '').length >= 2).map(todo => todo.id);
+  assert.deepStrictEqual([...results.keys()], expected);
+});
+
+// Test for highlight segments
+test('highlightSegments - should group consecutive highlighted characters', () => {
+  assert.deepStrictEqual(highlightSegments('Buy milk', [0, 4, 5]), [
+    { text: 'B', highlighted: true },
+    { text: 'uy ', highlighted: false },
+    { text: 'mi', highlighted: true },
+    { text: 'lk', highlighted: false }
+  ]);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { HashRouter, parseRoute, formatRoute, matchesView, isListView } from '../../src/services/hash-router.js';
+
+// Test for parsing hashes
+test('parseRoute - should map hashes to views and default to all', () => {
+  assert.strictEqual(parseRoute('#/active'), 'active');
+  assert.strictEqual(parseRoute('#/completed/'), 'completed');
+  assert.strictEqual(parseRoute('#/trash'), 'trash');
+  assert.strictEqual(parseRoute('#/time'), 'time');
+  assert.strictEqual(parseRoute('#/dashboard'), 'dashboard');
+  assert.strictEqual(parseRoute('#/security'), 'security');
+  assert.strictEqual(parseRoute('#/data'), 'data');
+  assert.strictEqual(parseRoute('#/'), 'all');
+  assert.strictEqual(parseRoute(''), 'all');
+  assert.strictEqual(parseRoute('#/unknown'), 'all');
+});
+
+// Test for building hashes
+test('formatRoute - should build a hash for each view', () => {
+  assert.strictEqual(formatRoute('active'), '#/active');
+  assert.strictEqual(formatRoute('completed'), '#/completed');
+  assert.strictEqual(formatRoute('all'), '#/');
+});
+
+// Test for view filtering
+test('matchesView - should filter todos by completion', () => {
+  const done = { completed: true };
+  const open = { completed: false };
+  assert.deepStrictEqual([done, open].filter(t => matchesView(t, 'active')), [open]);
+  assert.deepStrictEqual([done, open].filter(t => matchesView(t, 'completed')), [done]);
+  assert.deepStrictEqual([done, open].filter(t => matchesView(t, 'all')), [done, open]);
+});
+
+test('isListView - should only be true for views that show the todo list', () => {
+  assert.deepStrictEqual(['all', 'active', 'completed', 'trash', 'time', 'dashboard'].filter(isListView),
+    ['all', 'active', 'completed']);
+});
+
+// Test for following hash changes
+test('HashRouter - should report the view on start and on every hash change', () => {
+  const win = new EventTarget();
+  win.location = { hash: '#/completed' };
+  const views = [];
+  const router = new HashRouter(view => views.push(view), win);
+
+  router.start();
+  router.navigate('active');
+  win.dispatchEvent(new Event('hashchange'));
+  assert.strictEqual(win.location.hash, '#/active');
+
+  router.stop();
+  win.location.hash = '#/';
+  win.dispatchEvent(new Event('hashchange'));
+  assert.deepStrictEqual(views, ['completed', 'active']);
+});
@@ -0,0 +1,414 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { IndexedDBStorageService } from '../../src/services/indexeddb-storage-service.js';
+import { StorageService } from '../../src/services/storage-service.js';
+import { TodoModel } from '../../src/models/todo-model.js';
+import { SCHEMA_VERSION } from '../../src/models/migrations.js';
+import { StorageError, StorageQuotaError } from '../../src/models/errors.js';
+
+/**
+ * Orders keys the way IndexedDB does: numbers before strings.
+ */
+function compareKeys(a, b) {
+  if (typeof a !== typeof b) {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * In-memory stand-in for an IndexedDB request; callbacks fire asynchronously
+ */
+class FakeRequest {
+  constructor(transaction, run) {
+    this.onsuccess = null;
+    this.onerror = null;
+    transaction.requests.push(() => {
+      if (transaction.mode === 'readonly' && transaction.db.readFailure) {
+        this.error = transaction.db.readFailure;
+        this.onerror?.();
+        return;
+      }
+      this.result = run();
+      this.onsuccess?.();
+    });
+  }
+}
+
+/**
+ * In-memory stand-in for an object store. Writes are applied when the transaction commits.
+ */
+class FakeObjectStore {
+  constructor(transaction, name) {
+    this.transaction = transaction;
+    this.name = name;
+  }
+
+  get records() {
+    return this.transaction.db.stores.get(this.name);
+  }
+
+  write(operation) {
+    this.transaction.writes.push(() => operation(this.records));
+    this.transaction.db.writeCounts[this.name] = (this.transaction.db.writeCounts[this.name] ?? 0) + 1;
+    return new FakeRequest(this.transaction, () => undefined);
+  }
+
+  get(key) {
+    return new FakeRequest(this.transaction, () => structuredClone(this.records.get(JSON.stringify(key))?.value));
+  }
+
+  getAll() {
+    return new FakeRequest(this.transaction, () => this.sorted().map(entry => structuredClone(entry.value)));
+  }
+
+  getAllKeys() {
+    return new FakeRequest(this.transaction, () => this.sorted().map(entry => entry.key));
+  }
+
+  sorted() {
+    return [...this.records.values()].sort((a, b) => compareKeys(a.key, b.key));
+  }
+
+  put(value, key) {
+    const copy = structuredClone(value);
+    return this.write(records => records.set(JSON.stringify(key), { key, value: copy }));
+  }
+
+  delete(key) {
+    return this.write(records => records.delete(JSON.stringify(key)));
+  }
+
+  clear() {
+    return this.write(records => records.clear());
+  }
+}
+
+/**
+ * In-memory stand-in for a transaction. Runs its requests, then commits its writes,
+ * or aborts with the database's `failure` if one is set.
+ */
+class FakeTransaction {
+  constructor(db, names, mode) {
+    this.db = db;
+    this.names = names;
+    this.mode = mode;
+    this.requests = [];
+    this.writes = [];
+    this.error = null;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.onabort = null;
+    setTimeout(() => this.finish());
+  }
+
+  objectStore(name) {
+    if (!this.names.includes(name)) {
+      throw new Error(`Object store "${name}" is not in the transaction`);
+    }
+    return new FakeObjectStore(this, name);
+  }
+
+  finish() {
+    this.requests.forEach(run => run());
+    if (this.mode === 'readwrite' && this.db.failure) {
+      this.error = this.db.failure;
+      this.onerror?.();
+      this.onabort?.();
+      return;
+    }
+    this.writes.forEach(write => write());
+    this.oncomplete?.();
+  }
+}
+
+/**
+ * In-memory stand-in for an IndexedDB database
+ */
+class FakeDatabase {
+  constructor() {
+    this.stores = new Map();
+    this.writeCounts = {};
+    this.readwriteCount = 0;
+    this.failure = null;
+    this.readFailure = null;
+    this.objectStoreNames = { contains: (name) => this.stores.has(name) };
+  }
+
+  createObjectStore(name) {
+    this.stores.set(name, new Map());
+  }
+
+  transaction(names, mode = 'readonly') {
+    if (mode === 'readwrite') {
+      this.readwriteCount++;
+    }
+    return new FakeTransaction(this, names, mode);
+  }
+}
+
+/**
+ * In-memory stand-in for window.indexedDB
+ */
+class FakeIndexedDB {
+  constructor() {
+    this.databases = new Map();
+  }
+
+  open(name) {
+    const request = { result: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+    setTimeout(() => {
+      if (!this.databases.has(name)) {
+        this.databases.set(name, new FakeDatabase());
+        request.result = this.databases.get(name);
+        request.onupgradeneeded?.();
+      }
+      request.result = this.databases.get(name);
+      request.onsuccess?.();
+    });
+    return request;
+  }
+}
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class MockLocalStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+let factory;
+
+beforeEach(() => {
+  factory = new FakeIndexedDB();
+  globalThis.localStorage = new MockLocalStorage();
+});
+
+// Test for a round trip
+test('IndexedDBStorageService - should save and load values', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  await storage.save('nextId', 5);
+  await storage.save('lists', [{ id: 1, name: 'Work' }]);
+
+  assert.strictEqual(await storage.load('nextId'), 5);
+  assert.deepStrictEqual(await storage.load('lists', []), [{ id: 1, name: 'Work' }]);
+  assert.strictEqual(await storage.load('missing', 'fallback'), 'fallback');
+  assert.deepStrictEqual((await storage.keys()).sort(), ['lists', 'nextId']);
+});
+
+// Test for collections
+test('IndexedDBStorageService - should store collections per record and keep their order', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  await storage.save('items', [{ id: 3, text: 'c' }, { id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  await storage.save('activity', { 3: [{ action: 'created' }], 1: [] });
+
+  const db = factory.databases.get('app');
+  assert.strictEqual(db.stores.get('items').size, 3);
+  assert.strictEqual(db.stores.get('activity').size, 2);
+
+  const reopened = await IndexedDBStorageService.open('app', factory);
+  assert.deepStrictEqual((await reopened.load('items')).map(todo => todo.id), [3, 1, 2]);
+  assert.deepStrictEqual(await reopened.load('activity'), { 1: [], 3: [{ action: 'created' }] });
+  assert.deepStrictEqual(await reopened.load('trash', []), []);
+});
+
+// Test for per-record saves
+test('IndexedDBStorageService - should only write the records that changed', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  const todos = Array.from({ length: 10 }, (_, i) => ({ id: i + 1, text: `Todo ${i + 1}` }));
+  await storage.save('items', todos);
+  const db = factory.databases.get('app');
+  db.writeCounts = {};
+
+  todos[4].text = 'Edited';
+  await storage.write([['items', todos.filter(todo => todo.id !== 7), new Set([5, 7])]]);
+
+  // One put for the edit, one delete for the removed todo
+  assert.strictEqual(db.writeCounts.items, 2);
+  assert.strictEqual(db.stores.get('items').size, 9);
+  const loaded = await storage.load('items');
+  assert.strictEqual(loaded[4].text, 'Edited');
+  assert.ok(!loaded.some(todo => todo.id === 7));
+});
+
+test('IndexedDBStorageService - a change to the model should be saved in one transaction', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  const model = await TodoModel.load(storage);
+  for (let i = 1; i <= 10; i++) {
+    model.addTodo(`Todo ${i}`);
+  }
+  await model.saving;
+  const db = factory.databases.get('app');
+  db.writeCounts = {};
+  db.readwriteCount = 0;
+
+  model.updateTodo(model.todos[3].id, { text: 'Edited' });
+  await model.saving;
+  assert.strictEqual(db.readwriteCount, 1);
+  assert.strictEqual(db.writeCounts.items, 1, 'only the edited todo is written');
+
+  db.readwriteCount = 0;
+  model.deleteTodo(model.todos[5].id);
+  await model.saving;
+  // The todo leaves the items and joins the trash, with its activity, all at once
+  assert.strictEqual(db.readwriteCount, 1);
+  const reloaded = await TodoModel.load(storage);
+  assert.strictEqual(reloaded.todos.length, 9);
+  assert.strictEqual(reloaded.trash.length, 1);
+  assert.strictEqual(reloaded.todos[3].text, 'Edited');
+});
+
+// Test for write failures
+test('IndexedDBStorageService - should reject with a StorageQuotaError when storage is full', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  await storage.save('items', [{ id: 1, text: 'a' }]);
+  const db = factory.databases.get('app');
+  const quotaError = new Error('Quota exceeded');
+  quotaError.name = 'QuotaExceededError';
+  db.failure = quotaError;
+
+  await assert.rejects(storage.save('items', [{ id: 1, text: 'a' }, { id: 2, text: 'b' }]), StorageQuotaError);
+
+  // After a failure the collection is rewritten in full
+  db.failure = null;
+  db.writeCounts = {};
+  await storage.save('items', [{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+  assert.strictEqual(db.writeCounts.items, 3);
+  assert.deepStrictEqual((await storage.load('items')).map(todo => todo.id), [1, 2]);
+});
+
+// Test for read failures
+test('IndexedDBStorageService - a failed read should reject and leave the saved data alone', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  const model = await TodoModel.load(storage);
+  model.addTodo('Keep me');
+  await model.saving;
+  const db = factory.databases.get('app');
+  db.writeCounts = {};
+  db.readFailure = new Error('Read failed');
+
+  await assert.rejects(storage.load('items', []), { name: 'StorageError', message: 'Saved data could not be read' });
+  await assert.rejects(storage.keys(), StorageError);
+  await assert.rejects(TodoModel.load(storage), StorageError);
+
+  db.readFailure = null;
+  assert.deepStrictEqual(db.writeCounts, {});
+  assert.deepStrictEqual((await TodoModel.load(storage)).todos.map(todo => todo.text), ['Keep me']);
+});
+
+// Test for removing data
+test('IndexedDBStorageService - remove and clear should delete saved data', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  await storage.save('items', [{ id: 1 }]);
+  await storage.save('nextId', 2);
+
+  await storage.remove('items');
+  assert.strictEqual(await storage.load('items', null), null);
+  assert.strictEqual(factory.databases.get('app').stores.get('items').size, 0);
+
+  await storage.clear();
+  assert.deepStrictEqual(await storage.keys(), []);
+});
+
+// Test for moving localStorage data
+test('IndexedDBStorageService - importFrom should move localStorage data on first run', async () => {
+  localStorage.setItem('app_items', '[{"id":1,"text":"Old"}]');
+  localStorage.setItem('app_nextId', '2');
+  localStorage.setItem('app_broken', '{not json');
+  localStorage.setItem('other_items', '[]');
+  const storage = await IndexedDBStorageService.open('app', factory);
+
+  assert.strictEqual(await storage.importFrom(new StorageService('app')), true);
+
+  assert.deepStrictEqual(await storage.load('items'), [{ id: 1, text: 'Old' }]);
+  assert.strictEqual(await storage.load('nextId'), 2);
+  // Imported keys are removed; unreadable data stays behind in a localStorage backup
+  assert.strictEqual(localStorage.getItem('app_items'), null);
+  assert.strictEqual(localStorage.getItem('app_nextId'), null);
+  assert.ok([...localStorage.items.keys()].some(key => key.startsWith('app_backup_broken_')));
+  assert.strictEqual(localStorage.getItem('other_items'), '[]');
+
+  localStorage.setItem('app_items', '[]');
+  assert.strictEqual(await storage.importFrom(new StorageService('app')), false);
+  assert.strictEqual((await storage.load('items')).length, 1);
+});
+
+// Test for failed imports
+test('IndexedDBStorageService - importFrom should keep localStorage data if it cannot be saved', async () => {
+  localStorage.setItem('app_items', '[{"id":1,"text":"Old"}]');
+  const storage = await IndexedDBStorageService.open('app', factory);
+  factory.databases.get('app').failure = new Error('Disk error');
+
+  await assert.rejects(storage.importFrom(new StorageService('app')), { name: 'StorageError' });
+  assert.strictEqual(localStorage.getItem('app_items'), '[{"id":1,"text":"Old"}]');
+});
+
+// Test for loading the model asynchronously
+test('TodoModel.load - should load and save todos through IndexedDB', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  const model = await TodoModel.load(storage);
+  model.addTodo('First');
+  model.addTodo('Second');
+  model.toggleComplete(model.todos[0].id);
+  await model.whenSaved();
+
+  const reloaded = await TodoModel.load(await IndexedDBStorageService.open('app', factory));
+  assert.deepStrictEqual(reloaded.todos.map(todo => [todo.text, todo.completed]), [['First', true], ['Second', false]]);
+  assert.strictEqual(reloaded.nextId, model.nextId);
+  assert.strictEqual(reloaded.getActivity(reloaded.todos[0].id).length, 2);
+});
+
+// Test for migrating imported data
+test('TodoModel.load - should migrate todos imported from localStorage', async () => {
+  localStorage.setItem('app_items', '[{"id":1,"text":"Old","completed":false,"createdAt":"2024-01-01T00:00:00.000Z"}]');
+  localStorage.setItem('app_nextId', '2');
+  const storage = await IndexedDBStorageService.open('app', factory);
+  await storage.importFrom(new StorageService('app'));
+
+  const model = await TodoModel.load(storage);
+  await model.whenSaved();
+
+  assert.strictEqual(model.todos[0].text, 'Old');
+  assert.strictEqual(model.todos[0].listId, model.activeListId);
+  assert.strictEqual(await storage.load('schemaVersion'), SCHEMA_VERSION);
+  assert.strictEqual(localStorage.length, 0);
+});
+
+// Test for background save failures
+test('TodoModel.load - should dispatch save-error when a background save fails', async () => {
+  const storage = await IndexedDBStorageService.open('app', factory);
+  const model = await TodoModel.load(storage);
+  const errors = [];
+  model.addEventListener('save-error', (e) => errors.push(e.detail.error));
+  factory.databases.get('app').failure = new Error('Disk error');
+
+  model.addTodo('Unsaved');
+  await model.whenSaved();
+
+  // The change is kept in memory
+  assert.strictEqual(model.todos[0].text, 'Unsaved');
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].name, 'StorageError');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { safeUrl, parseInline, parseMarkdown, toggleTask, resetTasks } from '../../src/utils/markdown.js';
+
+// Tests for inline syntax
+test('parseInline - should parse code, emphasis and links', () => {
+  assert.deepStrictEqual(parseInline('Run `npm *test*` **now**, _please_'), [
+    { type: 'text', text: 'Run ' },
+    { type: 'code', text: 'npm *test*' },
+    { type: 'text', text: ' ' },
+    { type: 'strong', children: [{ type: 'text', text: 'now' }] },
+    { type: 'text', text: ', ' },
+    { type: 'em', children: [{ type: 'text', text: 'please' }] }
+  ]);
+  assert.deepStrictEqual(parseInline('See [the docs](https://lit.dev).'), [
+    { type: 'text', text: 'See ' },
+    { type: 'link', href: 'https://lit.dev', children: [{ type: 'text', text: 'the docs' }] },
+    { type: 'text', text: '.' }
+  ]);
+});
+
+test('parseInline - should link bare URLs without trailing punctuation', () => {
+  assert.deepStrictEqual(parseInline('Docs: https://lit.dev/docs.'), [
+    { type: 'text', text: 'Docs: ' },
+    { type: 'link', href: 'https://lit.dev/docs', children: [{ type: 'text', text: 'https://lit.dev/docs' }] },
+    { type: 'text', text: '.' }
+  ]);
+});
+
+test('parseInline - should leave underscores inside words alone', () => {
+  assert.deepStrictEqual(parseInline('rename my_old_name'), [{ type: 'text', text: 'rename my_old_name' }]);
+});
+
+test('safeUrl - should only allow http(s) and mailto links', () => {
+  assert.strictEqual(safeUrl('https://example.com'), 'https://example.com');
+  assert.strictEqual(safeUrl('mailto:me@example.com'), 'mailto:me@example.com');
+  assert.strictEqual(safeUrl('javascript:alert(1)'), null);
+  assert.strictEqual(safeUrl('data:text/html,<script>'), null);
+  assert.deepStrictEqual(parseInline('[click](javascript:void)'), [{ type: 'text', text: 'click' }]);
+});
+
+// Tests for blocks
+test('parseMarkdown - should parse headings, paragraphs, lists and code blocks', () => {
+  const blocks = parseMarkdown('# Plan\nFirst line\nsecond line\n\n1. one\n2. two\n\n```\n# not a heading\n```');
+
+  assert.deepStrictEqual(blocks.map(block => block.type), ['heading', 'paragraph', 'list', 'code']);
+  assert.strictEqual(blocks[0].level, 1);
+  assert.deepStrictEqual(blocks[1].children, [
+    { type: 'text', text: 'First line' },
+    { type: 'break' },
+    { type: 'text', text: 'second line' }
+  ]);
+  assert.strictEqual(blocks[2].ordered, true);
+  assert.strictEqual(blocks[2].items.length, 2);
+  assert.strictEqual(blocks[3].text, '# not a heading');
+});
+
+test('parseMarkdown - should number task list items and track nesting', () => {
+  const [list] = parseMarkdown('- [ ] draft\n  - [x] review\n- plain');
+
+  assert.deepStrictEqual(list.items.map(item => [item.depth, item.task]), [
+    [0, { checked: false, index: 0 }],
+    [1, { checked: true, index: 1 }],
+    [0, null]
+  ]);
+  assert.deepStrictEqual(list.items[1].children, [{ type: 'text', text: 'review' }]);
+});
+
+test('parseMarkdown - should treat markup as text', () => {
+  const [paragraph] = parseMarkdown('<img src=x onerror=alert(1)>');
+  assert.deepStrictEqual(paragraph.children, [{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+  assert.deepStrictEqual(parseMarkdown(null), []);
+});
+
+// Tests for editing task lists
+test('toggleTask - should flip only the given task, skipping code blocks', () => {
+  const source = '- [ ] one\n```\n- [ ] example\n```\n* [X] two';
+
+  assert.strictEqual(toggleTask(source, 0), '- [x] one\n```\n- [ ] example\n```\n* [X] two');
+  assert.strictEqual(toggleTask(source, 1), '- [ ] one\n```\n- [ ] example\n```\n* [ ] two');
+  assert.strictEqual(toggleTask(source, 5), source);
+});
+
+test('resetTasks - should uncheck every task', () => {
+  assert.strictEqual(resetTasks('- [x] a\n  1. [X] b\n- [ ] c'), '- [ ] a\n  1. [ ] b\n- [ ] c');
+});
@@ -0,0 +1,289 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { MIGRATIONS, SCHEMA_VERSION, migrate, loadState, loadStateAsync } from '../../src/models/migrations.js';
+import { TodoModel } from '../../src/models/todo-model.js';
+import { StorageQuotaError } from '../../src/models/errors.js';
+
+/**
+ * Mock storage service for testing
+ */
+class MockStorage {
+  constructor(data = {}) {
+    this.data = data;
+  }
+
+  save(key, value) {
+    this.data[key] = value;
+  }
+
+  write(entries) {
+    entries.forEach(([key, value]) => this.save(key, value));
+  }
+
+  load(key, defaultValue) {
+    return this.data[key] !== undefined ? this.data[key] : defaultValue;
+  }
+}
+
+/**
+ * Runs a single migration by version number.
+ * @param {number} version The version the migration produces
+ * @param {Object} state The state to migrate
+ * @returns {Object} The migrated state
+ */
+function runMigration(version, state) {
+  return MIGRATIONS.find(m => m.version === version).migrate(state);
+}
+
+// Test for the registry itself
+test('MIGRATIONS - should be numbered consecutively up to the schema version', () => {
+  assert.deepStrictEqual(MIGRATIONS.map(m => m.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  MIGRATIONS.forEach(m => assert.ok(m.description));
+});
+
+// Tests for migration 1
+test('migration 1 - should put unlisted todos into a default list', () => {
+  const state = runMigration(1, {
+    items: [{ id: 1, text: 'Old', completed: false }],
+    nextId: 2,
+    lists: null,
+    nextListId: null,
+    activeListId: null
+  });
+
+  assert.deepStrictEqual(state.lists, [{ id: 1, name: 'My Tasks', color: '#3f51b5' }]);
+  assert.strictEqual(state.nextListId, 2);
+  assert.strictEqual(state.activeListId, 1);
+  assert.strictEqual(state.items[0].listId, 1);
+});
+
+test('migration 1 - should keep existing lists and fix dangling list IDs', () => {
+  const lists = [{ id: 4, name: 'Work', color: '#000' }];
+  const state = runMigration(1, {
+    items: [{ id: 1, text: 'A', listId: 4 }, { id: 2, text: 'B', listId: 9 }],
+    lists,
+    nextListId: 5,
+    activeListId: 9
+  });
+
+  assert.strictEqual(state.lists, lists);
+  assert.strictEqual(state.nextListId, 5);
+  assert.strictEqual(state.activeListId, 4);
+  assert.deepStrictEqual(state.items.map(t => t.listId), [4, 4]);
+});
+
+test('migration 1 - should not mutate its input', () => {
+  const input = { items: [{ id: 1, text: 'A' }], lists: null };
+  runMigration(1, input);
+  assert.deepStrictEqual(input, { items: [{ id: 1, text: 'A' }], lists: null });
+});
+
+// Test for migration 2
+test('migration 2 - should order todos by their stored position', () => {
+  const state = runMigration(2, {
+    items: [{ id: 3, text: 'A' }, { id: 1, text: 'B', order: 7 }, { id: 2, text: 'C' }]
+  });
+
+  assert.deepStrictEqual(state.items.map(t => t.order), [0, 7, 2]);
+});
+
+// Tests for migration 3
+test('migration 3 - should fill in missing optional fields on todos and trash', () => {
+  const state = runMigration(3, {
+    items: [{ id: 1, text: 'A', tags: ['work'], priority: 'high' }],
+    trash: [{ id: 2, text: 'B', completed: true, deletedAt: '2024-01-01T00:00:00.000Z' }],
+    nextId: 3
+  });
+
+  assert.deepStrictEqual(state.items[0], {
+    id: 1,
+    text: 'A',
+    completed: false,
+    dueDate: null,
+    dueTime: null,
+    tags: ['work'],
+    priority: 'high',
+    parentId: null,
+    recurrence: null,
+    seriesId: null
+  });
+  assert.strictEqual(state.trash[0].completed, true);
+  assert.strictEqual(state.trash[0].deletedAt, '2024-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(state.trash[0].tags, []);
+});
+
+test('migration 3 - should default the trash and repair a stale next ID', () => {
+  const state = runMigration(3, { items: [{ id: 5, text: 'A' }], trash: null, nextId: 2 });
+
+  assert.deepStrictEqual(state.trash, []);
+  assert.strictEqual(state.nextId, 6);
+});
+
+test('migration 4 - should add empty time entries to todos and trash', () => {
+  const entries = [{ start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T10:00:00.000Z' }];
+  const state = runMigration(4, {
+    items: [{ id: 1, text: 'A' }, { id: 2, text: 'B', timeEntries: entries }],
+    trash: [{ id: 3, text: 'C' }]
+  });
+
+  assert.deepStrictEqual(state.items.map(t => t.timeEntries), [[], entries]);
+  assert.deepStrictEqual(state.trash[0].timeEntries, []);
+});
+
+test('migration 5 - should add empty notes to todos and trash', () => {
+  const state = runMigration(5, {
+    items: [{ id: 1, text: 'A' }, { id: 2, text: 'B', notes: 'Keep me' }],
+    trash: [{ id: 3, text: 'C' }]
+  });
+
+  assert.deepStrictEqual(state.items.map(t => t.notes), [null, 'Keep me']);
+  assert.strictEqual(state.trash[0].notes, null);
+});
+
+test('migration 6 - should add completion dates and an empty history', () => {
+  const state = runMigration(6, {
+    items: [{ id: 1, text: 'A', completed: true }, { id: 2, text: 'B', completedAt: '2024-01-01T10:00:00.000Z' }],
+    trash: [{ id: 3, text: 'C' }]
+  });
+
+  assert.deepStrictEqual(state.items.map(t => t.completedAt), [null, '2024-01-01T10:00:00.000Z']);
+  assert.strictEqual(state.trash[0].completedAt, null);
+  assert.deepStrictEqual(state.history, {});
+});
+
+test('migration 7 - should add an empty activity log', () => {
+  assert.deepStrictEqual(runMigration(7, { items: [], trash: [] }).activity, {});
+});
+
+// Tests for running the chain
+test('migrate - should upgrade version 0 data through every step', () => {
+  const state = migrate({
+    items: [{ id: 1, text: 'First', completed: true }, { id: 2, text: 'Second', completed: false }],
+    nextId: 3
+  }, 0);
+
+  assert.strictEqual(state.lists.length, 1);
+  assert.deepStrictEqual(state.items.map(t => [t.listId, t.order, t.parentId]), [[1, 0, null], [1, 1, null]]);
+  assert.deepStrictEqual(state.trash, []);
+});
+
+test('migrate - should only run migrations newer than the stored version', () => {
+  const items = [{ id: 1, text: 'A', listId: 1, order: 0 }];
+  const state = migrate({ items, nextId: 2, lists: [{ id: 1, name: 'Inbox' }], activeListId: 1, trash: [] }, 2);
+  assert.strictEqual(state.items[0].dueDate, null);
+  assert.strictEqual(migrate(state, SCHEMA_VERSION), state);
+});
+
+test('migrate - should reject unknown versions', () => {
+  assert.throws(() => migrate({}, SCHEMA_VERSION + 1), /Unknown schema version/);
+  assert.throws(() => migrate({}, -1), /Unknown schema version/);
+  assert.throws(() => migrate({}, '2'), /Unknown schema version/);
+});
+
+// Tests for loading from storage
+test('loadState - should start fresh without touching empty storage', () => {
+  const storage = new MockStorage();
+  const { state, migrated, error } = loadState(storage);
+
+  assert.strictEqual(migrated, false);
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(state.items, []);
+  assert.strictEqual(state.lists.length, 1);
+  assert.deepStrictEqual(storage.data, {});
+});
+
+test('loadState - should treat unversioned data as version 0', () => {
+  const storage = new MockStorage({ items: [{ id: 1, text: 'Legacy', completed: false }], nextId: 2 });
+  const { state, migrated } = loadState(storage);
+
+  assert.strictEqual(migrated, true);
+  assert.strictEqual(state.items[0].listId, state.lists[0].id);
+});
+
+test('loadState - should quarantine data from a newer version', () => {
+  const items = [{ id: 1, text: 'From the future' }];
+  const storage = new MockStorage({ schemaVersion: SCHEMA_VERSION + 1, items, nextId: 2 });
+  const { state, migrated, error } = loadState(storage);
+
+  assert.strictEqual(migrated, true);
+  assert.match(error.message, /Unknown schema version/);
+  assert.deepStrictEqual(state.items, []);
+
+  const backups = Object.keys(storage.data).filter(key => key.startsWith('backup_'));
+  assert.strictEqual(backups.length, 1);
+  assert.strictEqual(storage.data[backups[0]].schemaVersion, SCHEMA_VERSION + 1);
+  assert.strictEqual(storage.data[backups[0]].data.items, items);
+});
+
+test('loadStateAsync - should read and quarantine through an asynchronous storage service', async () => {
+  const storage = new MockStorage({ items: [{ id: 1, text: 'Legacy', completed: false }], nextId: 2 });
+  const asyncStorage = {
+    load: async (key, defaultValue) => storage.load(key, defaultValue),
+    save: async (key, value) => storage.save(key, value)
+  };
+
+  const { state, migrated } = await loadStateAsync(asyncStorage);
+  assert.strictEqual(migrated, true);
+  assert.strictEqual(state.items[0].listId, state.lists[0].id);
+
+  storage.data.schemaVersion = SCHEMA_VERSION + 1;
+  const result = await loadStateAsync(asyncStorage);
+  assert.match(result.error.message, /Unknown schema version/);
+  assert.strictEqual(Object.keys(storage.data).filter(key => key.startsWith('backup_')).length, 1);
+});
+
+test('loadState - should leave data it can neither migrate nor back up as it is', async () => {
+  const items = [{ id: 1, text: 'From the future' }];
+  const storage = new MockStorage({ schemaVersion: SCHEMA_VERSION + 1, items, nextId: 2 });
+  storage.save = () => {
+    throw new StorageQuotaError();
+  };
+  assert.throws(() => new TodoModel(storage), { name: 'StorageError', message: /left as they are/ });
+  assert.strictEqual(storage.data.items, items);
+
+  const asyncStorage = {
+    load: async (key, defaultValue) => storage.load(key, defaultValue),
+    save: async () => {
+      throw new StorageQuotaError();
+    },
+    write: async () => assert.fail('nothing should be written')
+  };
+  await assert.rejects(TodoModel.load(asyncStorage), error => error.name === 'StorageError' && error.cause instanceof StorageQuotaError);
+  assert.strictEqual(storage.data.items, items);
+  assert.strictEqual(storage.data.schemaVersion, SCHEMA_VERSION + 1);
+});
+
+test('loadState - should quarantine data with an invalid shape', () => {
+  const storage = new MockStorage({ schemaVersion: SCHEMA_VERSION, items: { not: 'a list' }, nextId: 1 });
+  const { state, error } = loadState(storage);
+
+  assert.ok(error);
+  assert.deepStrictEqual(state.items, []);
+  assert.ok(Object.keys(storage.data).some(key => key.startsWith('backup_')));
+});
+
+test('loadState - should quarantine todos with duplicate IDs', () => {
+  const storage = new MockStorage({
+    schemaVersion: SCHEMA_VERSION,
+    items: [{ id: 1, text: 'A' }, { id: 1, text: 'B' }],
+    nextId: 2,
+    lists: [{ id: 1, name: 'Inbox' }],
+    activeListId: 1,
+    trash: [],
+    history: {},
+    activity: {}
+  });
+
+  assert.match(loadState(storage).error.message, /duplicate/);
+});
+
+// Test for the model writing migrated data back
+test('TodoModel - should save migrated data with the current schema version', () => {
+  const storage = new MockStorage({ items: [{ id: 1, text: 'Legacy', completed: false }], nextId: 2 });
+  const model = new TodoModel(storage);
+
+  assert.strictEqual(model.todos[0].text, 'Legacy');
+  assert.strictEqual(storage.data.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(storage.data.items[0].order, 0);
+  assert.strictEqual(loadState(storage).migrated, false);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  getDailyCompletions,
+  getStreaks,
+  getAverageCompletionTime,
+  formatElapsed,
+  buildHeatmap
+} from '../../src/utils/productivity.js';
+
+// Wednesday, 10 January 2024
+const TODAY = new Date(2024, 0, 10, 15, 0);
+
+// Test for daily counts
+test('getDailyCompletions - should list every day of the range, oldest first', () => {
+  const days = getDailyCompletions({ '2024-01-08': 2, '2024-01-10': 1, '2023-12-01': 5 }, 3, TODAY);
+
+  assert.deepStrictEqual(days, [
+    { date: '2024-01-08', count: 2 },
+    { date: '2024-01-09', count: 0 },
+    { date: '2024-01-10', count: 1 }
+  ]);
+});
+
+// Tests for streaks
+test('getStreaks - should find the current and longest runs of days', () => {
+  const history = {
+    '2023-12-30': 1, '2023-12-31': 4, '2024-01-01': 1, '2024-01-02': 2,
+    '2024-01-08': 1, '2024-01-09': 3, '2024-01-10': 1
+  };
+  assert.deepStrictEqual(getStreaks(history, TODAY), { current: 3, longest: 4 });
+});
+
+test('getStreaks - should keep the current streak alive until today ends', () => {
+  assert.deepStrictEqual(getStreaks({ '2024-01-08': 1, '2024-01-09': 1 }, TODAY), { current: 2, longest: 2 });
+  assert.deepStrictEqual(getStreaks({ '2024-01-08': 1 }, TODAY), { current: 0, longest: 1 });
+  assert.deepStrictEqual(getStreaks({}, TODAY), { current: 0, longest: 0 });
+});
+
+// Tests for completion time
+test('getAverageCompletionTime - should average todos with both timestamps', () => {
+  const todos = [
+    { completed: true, createdAt: '2024-01-01T10:00:00.000Z', completedAt: '2024-01-01T12:00:00.000Z' },
+    { completed: true, createdAt: '2024-01-01T10:00:00.000Z', completedAt: '2024-01-01T14:00:00.000Z' },
+    { completed: true, createdAt: '2024-01-01T10:00:00.000Z', completedAt: null },
+    { completed: false, createdAt: '2024-01-01T10:00:00.000Z', completedAt: null }
+  ];
+  assert.strictEqual(getAverageCompletionTime(todos), 3 * 60 * 60 * 1000);
+  assert.strictEqual(getAverageCompletionTime([]), null);
+});
+
+test('formatElapsed - should use the two largest units', () => {
+  assert.strictEqual(formatElapsed(45 * 60 * 1000), '45m');
+  assert.strictEqual(formatElapsed((5 * 60 + 20) * 60 * 1000), '5h 20m');
+  assert.strictEqual(formatElapsed((52 * 60 + 59) * 60 * 1000), '2d 4h');
+});
+
+// Test for the heatmap
+test('buildHeatmap - should lay out whole weeks up to today with intensity levels', () => {
+  const weeks = buildHeatmap({ '2024-01-10': 4, '2024-01-07': 1, '2023-12-31': 2 }, { weeks: 2, today: TODAY });
+
+  assert.strictEqual(weeks.length, 2);
+  assert.strictEqual(weeks[0].length, 7);
+  assert.strictEqual(weeks[0][0].date, '2023-12-31');
+  assert.deepStrictEqual(weeks[1].map(day => day.date), [
+    '2024-01-07', '2024-01-08', '2024-01-09', '2024-01-10'
+  ]);
+  assert.deepStrictEqual(weeks[1].map(day => day.level), [1, 0, 0, 4]);
+  assert.strictEqual(weeks[0][0].level, 2);
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseQuickAdd } from '../../src/utils/quick-add.js';
+
+// Wednesday 10 January 2024, 09:00 local time
+const now = new Date(2024, 0, 10, 9, 0);
+const lists = [{ id: 1, name: 'My Tasks' }, { id: 2, name: 'Personal' }, { id: 3, name: 'Sprint 12' }];
+
+// Test for the full example from the quick-add field
+test('parseQuickAdd - should extract date, time, tag and priority from the text', () => {
+  const result = parseQuickAdd('Call dentist tomorrow 3pm #health !high', { now });
+
+  assert.strictEqual(result.text, 'Call dentist');
+  assert.strictEqual(result.dueDate, '2024-01-11');
+  assert.strictEqual(result.dueTime, '15:00');
+  assert.deepStrictEqual(result.tags, ['health']);
+  assert.strictEqual(result.priority, 'high');
+  assert.deepStrictEqual(result.tokens.map(t => [t.type, t.text]), [
+    ['date', 'tomorrow'],
+    ['time', '3pm'],
+    ['tag', '#health'],
+    ['priority', '!high']
+  ]);
+});
+
+// Test for relative dates
+test('parseQuickAdd - should resolve relative dates', () => {
+  const dueDate = (input) => parseQuickAdd(`Task ${input}`, { now }).dueDate;
+
+  assert.strictEqual(dueDate('today'), '2024-01-10');
+  assert.strictEqual(dueDate('fri'), '2024-01-12');
+  assert.strictEqual(dueDate('next friday'), '2024-01-12');
+  assert.strictEqual(dueDate('wednesday'), '2024-01-17');
+  assert.strictEqual(dueDate('next week'), '2024-01-15');
+  assert.strictEqual(dueDate('next month'), '2024-02-01');
+  assert.strictEqual(dueDate('in 3 days'), '2024-01-13');
+  assert.strictEqual(dueDate('in 2 weeks'), '2024-01-24');
+  assert.strictEqual(dueDate('in two weeks'), '2024-01-24');
+  assert.strictEqual(dueDate('in a month'), '2024-02-10');
+  assert.strictEqual(dueDate('by 2024-03-01'), '2024-03-01');
+  assert.strictEqual(dueDate('2024-02-30'), null);
+});
+
+// Test for weekday abbreviations that are also ordinary words
+test('parseQuickAdd - should only read sun, mon, wed and sat as dates after a date word', () => {
+  const sunCream = parseQuickAdd('Buy sun cream', { now });
+  assert.strictEqual(sunCream.text, 'Buy sun cream');
+  assert.strictEqual(sunCream.dueDate, null);
+
+  const cat = parseQuickAdd('The cat sat on the mat', { now });
+  assert.strictEqual(cat.text, 'The cat sat on the mat');
+  assert.strictEqual(cat.dueDate, null);
+
+  const dueDate = (input) => parseQuickAdd(`Task ${input}`, { now }).dueDate;
+  assert.strictEqual(dueDate('wed'), null);
+  assert.strictEqual(dueDate('mon'), null);
+  assert.strictEqual(dueDate('on sat'), '2024-01-13');
+  assert.strictEqual(dueDate('by sun'), '2024-01-14');
+  assert.strictEqual(dueDate('due mon'), '2024-01-15');
+  assert.strictEqual(dueDate('next wed'), '2024-01-17');
+  assert.strictEqual(dueDate('thu'), '2024-01-11');
+});
+
+// Test for time formats
+test('parseQuickAdd - should parse 12- and 24-hour times', () => {
+  const dueTime = (input) => parseQuickAdd(`Task ${input}`, { now }).dueTime;
+
+  assert.strictEqual(dueTime('at 9am'), '09:00');
+  assert.strictEqual(dueTime('12am'), '00:00');
+  assert.strictEqual(dueTime('3:30 pm'), '15:30');
+  assert.strictEqual(dueTime('18:45'), '18:45');
+  assert.strictEqual(dueTime('noon'), '12:00');
+  assert.strictEqual(dueTime('13pm'), null);
+  assert.strictEqual(dueTime('3'), null);
+
+  // A time on its own means today
+  assert.strictEqual(parseQuickAdd('Standup 10:15', { now }).dueDate, '2024-01-10');
+});
+
+// Test for priorities and lists
+test('parseQuickAdd - should parse priorities and known @lists', () => {
+  assert.strictEqual(parseQuickAdd('Task !m', { now }).priority, 'medium');
+  assert.strictEqual(parseQuickAdd('Task !3', { now }).priority, 'low');
+
+  const result = parseQuickAdd('Plan demo @sprint-12', { now, lists });
+  assert.strictEqual(result.listId, 3);
+  assert.strictEqual(result.text, 'Plan demo');
+
+  // Unknown lists are left in the text
+  const unknown = parseQuickAdd('Email @bob', { now, lists });
+  assert.strictEqual(unknown.listId, null);
+  assert.strictEqual(unknown.text, 'Email @bob');
+});
+
+// Test for speech-recognized input
+test('parseQuickAdd - should understand spoken forms', () => {
+  const result = parseQuickAdd('Call dentist tomorrow at 3 p.m. hashtag health high priority', { now });
+
+  assert.strictEqual(result.text, 'Call dentist');
+  assert.strictEqual(result.dueDate, '2024-01-11');
+  assert.strictEqual(result.dueTime, '15:00');
+  assert.deepStrictEqual(result.tags, ['health']);
+  assert.strictEqual(result.priority, 'high');
+});
+
+// Test for repeated and token-only input
+test('parseQuickAdd - should use the last date and keep token-only input as text', () => {
+  const result = parseQuickAdd('Plan friday party tomorrow', { now });
+  assert.strictEqual(result.text, 'Plan friday party');
+  assert.strictEqual(result.dueDate, '2024-01-11');
+
+  const tokenOnly = parseQuickAdd('Tomorrow', { now });
+  assert.strictEqual(tokenOnly.text, 'Tomorrow');
+  assert.strictEqual(tokenOnly.dueDate, null);
+  assert.deepStrictEqual(tokenOnly.tokens, []);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  parseRule,
+  isValidRule,
+  formatRule,
+  describeRule,
+  nextOccurrence
+} from '../../src/utils/recurrence.js';
+
+// Test for parsing rules
+test('parseRule - should parse supported properties case-insensitively', () => {
+  assert.deepStrictEqual(parseRule('RRULE:freq=weekly;interval=2;byday=fr,mo'), {
+    freq: 'WEEKLY',
+    interval: 2,
+    byDay: ['MO', 'FR'],
+    byMonthDay: null,
+    fromCompletion: false
+  });
+  assert.strictEqual(parseRule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION').fromCompletion, true);
+  assert.strictEqual(parseRule('FREQ=MONTHLY;BYMONTHDAY=1').byMonthDay, 1);
+});
+
+// Test for rejecting invalid rules
+test('parseRule - should reject malformed or unsupported rules', () => {
+  assert.throws(() => parseRule(''), /missing FREQ/);
+  assert.throws(() => parseRule('FREQ=YEARLY'), /frequency/);
+  assert.throws(() => parseRule('FREQ=DAILY;INTERVAL=0'), /interval/);
+  assert.throws(() => parseRule('FREQ=WEEKLY;BYDAY=XX'), /weekdays/);
+  assert.throws(() => parseRule('FREQ=DAILY;BYDAY=MO'), /BYDAY/);
+  assert.throws(() => parseRule('FREQ=MONTHLY;BYMONTHDAY=32'), /day of month/);
+  assert.throws(() => parseRule('FREQ=WEEKLY;BYDAY=MO;FROM=COMPLETION'), /FROM=COMPLETION/);
+  assert.throws(() => parseRule('FREQ=DAILY;COUNT=3'), /Unsupported/);
+  assert.strictEqual(isValidRule('FREQ=DAILY'), true);
+  assert.strictEqual(isValidRule('nonsense'), false);
+});
+
+// Test for round-tripping rules
+test('formatRule - should round-trip through parseRule in canonical form', () => {
+  const rules = [
+    'FREQ=DAILY',
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR',
+    'FREQ=MONTHLY;BYMONTHDAY=15',
+    'FREQ=DAILY;INTERVAL=3;FROM=COMPLETION'
+  ];
+  rules.forEach(rule => assert.strictEqual(formatRule(parseRule(rule)), rule));
+  assert.strictEqual(formatRule(parseRule('byday=we,mo;freq=weekly;interval=1')), 'FREQ=WEEKLY;BYDAY=MO,WE');
+});
+
+// Test for human-readable descriptions
+test('describeRule - should describe rules in plain English', () => {
+  assert.strictEqual(describeRule(parseRule('FREQ=DAILY')), 'Every day');
+  assert.strictEqual(describeRule(parseRule('FREQ=WEEKLY;BYDAY=MO')), 'Every Monday');
+  assert.strictEqual(describeRule(parseRule('FREQ=WEEKLY;BYDAY=MO,WE,FR')), 'Every Monday, Wednesday and Friday');
+  assert.strictEqual(describeRule(parseRule('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR')), 'Every weekday');
+  assert.strictEqual(describeRule(parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU')), 'Every 2 weeks on Tuesday');
+  assert.strictEqual(describeRule(parseRule('FREQ=MONTHLY;BYMONTHDAY=1')), 'Monthly on day 1');
+  assert.strictEqual(describeRule(parseRule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION')), 'Every 3 days after completion');
+});
+
+// Test for daily rules (2025-03-10 is a Monday)
+test('nextOccurrence - daily rules should keep their cadence and skip missed days', () => {
+  const rule = parseRule('FREQ=DAILY;INTERVAL=2');
+
+  assert.strictEqual(nextOccurrence(rule, { dueDate: '2025-03-10', completedOn: '2025-03-10' }), '2025-03-12');
+  assert.strictEqual(nextOccurrence(rule, { dueDate: '2025-03-10', completedOn: '2025-03-12' }), '2025-03-14');
+  assert.strictEqual(nextOccurrence(rule, { dueDate: '2025-03-10', completedOn: '2025-03-08' }), '2025-03-12');
+});
+
+// Test for weekly rules on given weekdays
+test('nextOccurrence - weekly rules should land on the chosen weekdays', () => {
+  const mondays = parseRule('FREQ=WEEKLY;BYDAY=MO');
+  const monWedFri = parseRule('FREQ=WEEKLY;BYDAY=MO,WE,FR');
+  const everyOtherTuesday = parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+  const weekly = parseRule('FREQ=WEEKLY');
+
+  assert.strictEqual(nextOccurrence(mondays, { dueDate: '2025-03-10', completedOn: '2025-03-10' }), '2025-03-17');
+  assert.strictEqual(nextOccurrence(mondays, { dueDate: '2025-03-10', completedOn: '2025-03-19' }), '2025-03-24');
+  assert.strictEqual(nextOccurrence(monWedFri, { dueDate: '2025-03-12', completedOn: '2025-03-12' }), '2025-03-14');
+  assert.strictEqual(nextOccurrence(everyOtherTuesday, { dueDate: '2025-03-11', completedOn: '2025-03-11' }), '2025-03-25');
+  assert.strictEqual(nextOccurrence(weekly, { dueDate: '2025-03-13', completedOn: '2025-03-13' }), '2025-03-20');
+});
+
+// Test for monthly rules
+test('nextOccurrence - monthly rules should use the day of the month and clamp short months', () => {
+  const rent = parseRule('FREQ=MONTHLY;BYMONTHDAY=1');
+  const endOfMonth = parseRule('FREQ=MONTHLY;BYMONTHDAY=31');
+
+  assert.strictEqual(nextOccurrence(rent, { dueDate: '2025-03-01', completedOn: '2025-02-27' }), '2025-04-01');
+  assert.strictEqual(nextOccurrence(rent, { dueDate: '2025-03-01', completedOn: '2025-03-03' }), '2025-04-01');
+  assert.strictEqual(nextOccurrence(endOfMonth, { dueDate: '2025-01-31', completedOn: '2025-01-31' }), '2025-02-28');
+  assert.strictEqual(nextOccurrence(endOfMonth, { dueDate: '2025-12-31', completedOn: '2025-12-31' }), '2026-01-31');
+});
+
+// Test for completion-based rules
+test('nextOccurrence - FROM=COMPLETION rules should count from the completion date', () => {
+  const rule = parseRule('FREQ=DAILY;INTERVAL=3;FROM=COMPLETION');
+
+  assert.strictEqual(nextOccurrence(rule, { dueDate: '2025-03-10', completedOn: '2025-03-14' }), '2025-03-17');
+  assert.strictEqual(nextOccurrence(rule, { completedOn: '2025-03-14' }), '2025-03-17');
+});
+
+// Test for rules without a due date
+test('nextOccurrence - should start from the completion date when there is no due date', () => {
+  const mondays = parseRule('FREQ=WEEKLY;BYDAY=MO');
+
+  assert.strictEqual(nextOccurrence(mondays, { dueDate: null, completedOn: '2025-03-12' }), '2025-03-17');
+});
+
+// Test for todos that were due long ago
+test('nextOccurrence - should find the next date however long ago the todo was due', () => {
+  const daily = parseRule('FREQ=DAILY');
+  const everyOtherTuesday = parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU');
+  const quarterly = parseRule('FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=31');
+  const fortnightly = parseRule('FREQ=WEEKLY;INTERVAL=2');
+
+  assert.strictEqual(nextOccurrence(daily, { dueDate: '1990-01-01', completedOn: '2025-03-12' }), '2025-03-13');
+  // 1990-01-02 was a Tuesday, and 2025-03-11 is 1836 weeks later
+  assert.strictEqual(nextOccurrence(everyOtherTuesday, { dueDate: '1990-01-02', completedOn: '2025-03-12' }), '2025-03-25');
+  assert.strictEqual(nextOccurrence(quarterly, { dueDate: '1990-01-31', completedOn: '2025-03-12' }), '2025-04-30');
+  assert.strictEqual(nextOccurrence(quarterly, { dueDate: '1990-01-31', completedOn: '2025-04-30' }), '2025-07-31');
+  assert.strictEqual(nextOccurrence(fortnightly, { dueDate: '1990-01-01', completedOn: '2025-03-10' }), '2025-03-24');
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { StorageMonitor, estimateUsage } from '../../src/services/storage-monitor.js';
+import { MemoryStorageService } from '../../src/services/memory-storage-service.js';
+import { openStorage } from '../../src/services/indexeddb-storage-service.js';
+import { TodoModel } from '../../src/models/todo-model.js';
+import { StorageError, StorageQuotaError } from '../../src/models/errors.js';
+
+/**
+ * Storage service whose saves can be made to fail, synchronously or asynchronously
+ */
+class FlakyStorage extends MemoryStorageService {
+  constructor({ async = false } = {}) {
+    super();
+    this.async = async;
+    /** @type {Error|null} Thrown by every save while set */
+    this.failure = null;
+  }
+
+  save(key, data) {
+    if (!this.async) {
+      if (this.failure) {
+        throw this.failure;
+      }
+      return super.save(key, data);
+    }
+    return this.failure ? Promise.reject(this.failure) : Promise.resolve(super.save(key, data));
+  }
+}
+
+/**
+ * Returns a usage estimate that tests can change
+ */
+function fakeEstimate(usage, quota) {
+  const estimate = async () => estimate.value;
+  estimate.value = { usage, quota };
+  return estimate;
+}
+
+let originalIndexedDB;
+
+beforeEach(() => {
+  originalIndexedDB = globalThis.indexedDB;
+});
+
+// Test for the in-memory fallback
+test('MemoryStorageService - should save, load and remove copies of the data', () => {
+  const storage = new MemoryStorageService();
+  const items = [{ id: 1, text: 'a' }];
+  storage.save('items', items);
+  items[0].text = 'changed';
+
+  assert.deepStrictEqual(storage.load('items', []), [{ id: 1, text: 'a' }]);
+  assert.strictEqual(storage.load('missing', 'fallback'), 'fallback');
+  assert.deepStrictEqual(storage.keys(), ['items']);
+
+  storage.remove('items');
+  assert.deepStrictEqual(storage.keys(), []);
+});
+
+// Test for the storage fallbacks
+test('openStorage - should fall back to memory when no storage can be written to', async () => {
+  delete globalThis.indexedDB;
+  globalThis.localStorage = {
+    setItem() {
+      throw new Error('Access denied');
+    }
+  };
+  try {
+    assert.ok(await openStorage('app') instanceof MemoryStorageService);
+  } finally {
+    globalThis.indexedDB = originalIndexedDB;
+    delete globalThis.localStorage;
+  }
+});
+
+// Test for usage estimates
+test('estimateUsage - should report usage and quota, or null if unknown', async () => {
+  assert.deepStrictEqual(await estimateUsage({ estimate: async () => ({ usage: 10, quota: 100 }) }), { usage: 10, quota: 100 });
+  assert.strictEqual(await estimateUsage({ estimate: async () => ({ usage: 10, quota: 0 }) }), null);
+  assert.strictEqual(await estimateUsage({ estimate: async () => { throw new Error('Denied'); } }), null);
+  assert.strictEqual(await estimateUsage(undefined), null);
+});
+
+// Test for failed saves
+test('StorageMonitor - should report full storage until the failed keys are saved', () => {
+  const storage = new FlakyStorage();
+  const monitor = new StorageMonitor(storage, { estimate: async () => null });
+  const problems = [];
+  monitor.addEventListener('change', (e) => problems.push(e.detail.status.problem));
+  assert.strictEqual(monitor.status.problem, null);
+
+  storage.failure = new StorageQuotaError();
+  assert.throws(() => monitor.save('items', []), StorageQuotaError);
+  assert.throws(() => monitor.save('trash', []), StorageQuotaError);
+  assert.strictEqual(monitor.status.problem, 'full');
+
+  storage.failure = null;
+  monitor.save('items', []);
+  assert.strictEqual(monitor.status.problem, 'full');
+  monitor.save('trash', []);
+  assert.strictEqual(monitor.status.problem, null);
+  assert.deepStrictEqual(problems, ['full', 'full', 'full', null]);
+});
+
+// Test for asynchronous storage
+test('StorageMonitor - should follow saves to asynchronous storage', async () => {
+  const storage = new FlakyStorage({ async: true });
+  const monitor = new StorageMonitor(storage, { estimate: async () => null });
+
+  storage.failure = new StorageError();
+  await assert.rejects(monitor.save('items', []), StorageError);
+  assert.strictEqual(monitor.status.problem, 'failing');
+
+  storage.failure = null;
+  await monitor.save('items', []);
+  assert.strictEqual(monitor.status.problem, null);
+});
+
+// Test for usage monitoring
+test('StorageMonitor - should warn when storage is nearly full', async () => {
+  const estimate = fakeEstimate(50, 100);
+  const monitor = new StorageMonitor(new MemoryStorageService(), { estimate });
+
+  await monitor.refresh();
+  assert.deepStrictEqual(monitor.status, { problem: null, usage: 50, quota: 100 });
+
+  estimate.value = { usage: 95, quota: 100 };
+  monitor.save('items', []);
+  await monitor.refresh();
+  assert.deepStrictEqual(monitor.status, { problem: 'nearly-full', usage: 95, quota: 100 });
+});
+
+// Test for in-memory mode
+test('StorageMonitor - should report storage that does not persist as unavailable', async () => {
+  const monitor = new StorageMonitor(new MemoryStorageService(), { persistent: false, estimate: fakeEstimate(0, 100) });
+  monitor.save('items', []);
+  await monitor.refresh();
+
+  assert.deepStrictEqual(monitor.status, { problem: 'unavailable', usage: null, quota: null });
+});
+
+// Test for the model keeping changes that could not be saved
+test('StorageMonitor - the model should keep working in memory while saves fail', () => {
+  const storage = new FlakyStorage();
+  const monitor = new StorageMonitor(storage, { estimate: async () => null });
+  const model = new TodoModel(monitor);
+
+  storage.failure = new StorageQuotaError();
+  assert.throws(() => model.addTodo('Unsaved'), StorageQuotaError);
+  assert.strictEqual(model.todos[0].text, 'Unsaved');
+  assert.strictEqual(monitor.status.problem, 'full');
+
+  storage.failure = null;
+  model.addTodo('Saved');
+  assert.strictEqual(monitor.status.problem, null);
+  assert.deepStrictEqual(storage.load('items').map(todo => todo.text), ['Unsaved', 'Saved']);
+});
@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { StorageService } from '../../src/services/storage-service.js';
+import { StorageError, StorageQuotaError } from '../../src/models/errors.js';
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class MockLocalStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+beforeEach(() => {
+  globalThis.localStorage = new MockLocalStorage();
+});
+
+// Test for a round trip
+test('StorageService - should save and load JSON under a prefixed key', () => {
+  const storage = new StorageService('app');
+  storage.save('items', [{ id: 1 }]);
+
+  assert.strictEqual(localStorage.getItem('app_items'), '[{"id":1}]');
+  assert.deepStrictEqual(storage.load('items', []), [{ id: 1 }]);
+  assert.strictEqual(storage.load('missing', 'fallback'), 'fallback');
+});
+
+// Test for corrupt data
+test('StorageService - should move unparseable data to a backup key', () => {
+  localStorage.setItem('app_items', '{not json');
+  const storage = new StorageService('app');
+
+  assert.deepStrictEqual(storage.load('items', []), []);
+  assert.strictEqual(localStorage.getItem('app_items'), null);
+  const backupKey = localStorage.key(0);
+  assert.match(backupKey, /^app_backup_items_\d+$/);
+  assert.strictEqual(localStorage.getItem(backupKey), '{not json');
+});
+
+// Test for failed writes
+test('StorageService - should throw typed errors when saving fails', () => {
+  const storage = new StorageService('app');
+  const quotaError = new Error('The quota has been exceeded.');
+  quotaError.name = 'QuotaExceededError';
+
+  localStorage.setItem = () => {
+    throw quotaError;
+  };
+  assert.throws(() => storage.save('items', []), (error) => error instanceof StorageQuotaError && error.cause === quotaError);
+
+  localStorage.setItem = () => {
+    throw new Error('Access denied');
+  };
+  assert.throws(() => storage.save('items', []), (error) => error instanceof StorageError && !(error instanceof StorageQuotaError));
+});
+
+// Test for listing keys
+test('StorageService - keys should list only this app\'s keys, without the prefix', () => {
+  localStorage.setItem('app_items', '[]');
+  localStorage.setItem('app_nextId', '1');
+  localStorage.setItem('application_items', '[]');
+  const storage = new StorageService('app');
+
+  assert.deepStrictEqual(storage.keys(), ['items', 'nextId']);
+});
+
+// Test for detecting unusable storage
+test('StorageService - isAvailable should tell whether localStorage can be written to', () => {
+  assert.strictEqual(StorageService.isAvailable(), true);
+  assert.strictEqual(localStorage.length, 0);
+
+  localStorage.setItem = () => {
+    const error = new Error('The quota has been exceeded.');
+    error.name = 'QuotaExceededError';
+    throw error;
+  };
+  assert.strictEqual(StorageService.isAvailable(), false);
+
+  delete globalThis.localStorage;
+  assert.strictEqual(StorageService.isAvailable(), false);
+});
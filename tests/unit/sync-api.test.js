@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { handleApiRequest, MAX_BODY_BYTES } from '../../src/worker/sync-api.js';
+import { SyncLog } from '../../src/worker/sync-log.js';
+import { FakeD1 } from '../fake-d1.js';
+import worker from '../../src/worker/index.js';
+
+const TOKEN = 'secret-token';
+
+/**
+ * Sends a request to the API and returns the status and parsed body
+ */
+async function call(env, method, path, body, token = TOKEN) {
+  const response = await handleApiRequest(new Request(`https://todos.example${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }), env);
+  return { status: response.status, body: await response.json(), headers: response.headers };
+}
+
+function message(at) {
+  return { clock: { at, origin: 'tab' }, collections: {}, history: {}, nextId: 1, nextListId: 2 };
+}
+
+// Test for authentication
+test('Sync API - should require the configured token', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+
+  assert.strictEqual((await call(env, 'GET', '/api/todos', undefined, null)).status, 401);
+  assert.strictEqual((await call(env, 'GET', '/api/todos', undefined, 'wrong-token')).status, 401);
+  assert.strictEqual((await call(env, 'GET', '/api/todos')).status, 200);
+  assert.strictEqual((await call({ SYNC: new FakeD1() }, 'GET', '/api/todos')).status, 503);
+});
+
+// Test for the snapshot endpoint
+test('Sync API - should store a snapshot only on top of the latest revision', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+
+  assert.deepStrictEqual((await call(env, 'GET', '/api/todos')).body, { revision: 0, data: null });
+  assert.deepStrictEqual((await call(env, 'PUT', '/api/todos', { baseRevision: 0, data: { items: [] } })).body, { revision: 0 });
+  await call(env, 'POST', '/api/todos/changes', { changes: [message(1)] });
+
+  const stale = await call(env, 'PUT', '/api/todos', { baseRevision: 0, data: { items: ['stale'] } });
+  assert.strictEqual(stale.status, 409);
+  assert.strictEqual(stale.body.revision, 1);
+
+  assert.strictEqual((await call(env, 'PUT', '/api/todos', { baseRevision: 1, data: { items: ['new'] } })).status, 200);
+  assert.deepStrictEqual((await call(env, 'GET', '/api/todos')).body, { revision: 1, data: { items: ['new'] } });
+});
+
+// Test for the delta endpoint
+test('Sync API - should return the changes since a revision', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+
+  assert.deepStrictEqual((await call(env, 'POST', '/api/todos/changes', { changes: [message(1), message(2)] })).body, { revision: 2 });
+  assert.deepStrictEqual((await call(env, 'POST', '/api/todos/changes', { changes: [message(3)] })).body, { revision: 3 });
+
+  const { body } = await call(env, 'GET', '/api/todos/changes?since=1');
+  assert.strictEqual(body.revision, 3);
+  assert.deepStrictEqual(body.changes.map(change => [change.revision, change.message.clock.at]), [[2, 2], [3, 3]]);
+  assert.strictEqual((await call(env, 'GET', '/api/todos/changes?since=4')).status, 410);
+
+  // Changes a snapshot includes are kept for clients that have not pulled them
+  await call(env, 'PUT', '/api/todos', { baseRevision: 3, data: {} });
+  assert.strictEqual((await call(env, 'GET', '/api/todos/changes?since=1')).body.changes.length, 2);
+  assert.deepStrictEqual((await call(env, 'GET', '/api/todos/changes?since=3')).body, { revision: 3, changes: [] });
+});
+
+// Test for pushes arriving together
+test('Sync API - pushes that arrive together should both be kept', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+
+  const pushes = await Promise.all([
+    call(env, 'POST', '/api/todos/changes', { changes: [message(1)] }),
+    call(env, 'POST', '/api/todos/changes', { changes: [message(2), message(3)] })
+  ]);
+  assert.deepStrictEqual(pushes.map(push => push.body.revision), [1, 3]);
+
+  const { body } = await call(env, 'GET', '/api/todos/changes?since=0');
+  assert.deepStrictEqual(body.changes.map(change => [change.revision, change.message.clock.at]), [[1, 1], [2, 2], [3, 3]]);
+});
+
+// Test for dropping old changes
+test('SyncLog - should keep only the latest changes a snapshot includes', async () => {
+  const log = new SyncLog(new FakeD1(), { retainedChanges: 1 });
+  await log.append([message(1), message(2)]);
+  // Not included in a snapshot yet, so still needed by new clients
+  assert.strictEqual((await log.changesSince(0)).changes.length, 2);
+
+  await log.putSnapshot(2, {});
+  assert.strictEqual(await log.changesSince(0), null);
+  assert.deepStrictEqual((await log.changesSince(1)).changes.map(change => change.revision), [2]);
+  await log.append([message(3)]);
+  assert.deepStrictEqual((await log.changesSince(2)).changes.map(change => change.revision), [3]);
+  assert.strictEqual(await log.changesSince(1), null);
+});
+
+// Test for large values
+test('SyncLog - should split large values over several rows and delete dropped changes', async () => {
+  const db = new FakeD1();
+  const log = new SyncLog(db, { retainedChanges: 1, chunkLength: 50 });
+  // With characters outside the Basic Multilingual Plane, which must not be split in two
+  const notes = 'A long note 📝. '.repeat(20);
+  await log.append([{ ...message(1), notes }, message(2)]);
+  await log.putSnapshot(2, { notes });
+  assert.deepStrictEqual(await log.getSnapshot(), { revision: 2, data: { notes } });
+  await log.putSnapshot(2, {});
+
+  const rows = [...db.query('SELECT data FROM changes'), ...db.query('SELECT data FROM snapshot')];
+  assert.ok(rows.every(row => row.data.length <= 50 && !/^[\uDC00-\uDFFF]/.test(row.data)));
+  assert.deepStrictEqual(await log.getSnapshot(), { revision: 2, data: {} });
+  // Only the latest change is kept once the snapshot includes them
+  assert.deepStrictEqual(db.query('SELECT DISTINCT revision FROM changes'), [{ revision: 2 }]);
+  await log.append([{ ...message(3), notes }]);
+  assert.strictEqual((await log.changesSince(2)).changes[0].message.notes, notes);
+});
+
+// Test for a snapshot racing a push
+test('SyncLog - a snapshot should not be stored once a change was pushed on top of its revision', async () => {
+  const log = new SyncLog(new FakeD1());
+  await log.append([message(1)]);
+
+  const [snapshot] = await Promise.all([log.putSnapshot(1, { items: ['stale'] }), log.append([message(2)])]);
+  // Whichever ran first, the snapshot is only kept if it includes every change before it
+  const stored = await log.getSnapshot();
+  assert.strictEqual(snapshot.accepted, stored.data !== null);
+  assert.ok(stored.data === null || stored.revision === 1);
+  assert.strictEqual(await log.putSnapshot(1, {}).then(result => result.accepted), false);
+});
+
+// Test for invalid requests
+test('Sync API - should reject invalid requests', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+
+  assert.strictEqual((await call(env, 'GET', '/api/todos/changes')).status, 400);
+  assert.strictEqual((await call(env, 'GET', '/api/todos/changes?since=-1')).status, 400);
+  assert.strictEqual((await call(env, 'POST', '/api/todos/changes', { changes: [] })).status, 400);
+  assert.strictEqual((await call(env, 'POST', '/api/todos/changes', { changes: [{ clock: 1 }] })).status, 400);
+  assert.strictEqual((await call(env, 'PUT', '/api/todos', { data: {} })).status, 400);
+  assert.strictEqual((await call(env, 'GET', '/api/todos/other')).status, 404);
+
+  const notAllowed = await call(env, 'DELETE', '/api/todos');
+  assert.strictEqual(notAllowed.status, 405);
+  assert.strictEqual(notAllowed.headers.get('Allow'), 'GET, PUT');
+
+  const response = await handleApiRequest(new Request('https://todos.example/api/todos', {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    body: '{not json'
+  }), env);
+  assert.strictEqual(response.status, 400);
+});
+
+// Test for large requests
+test('Sync API - should refuse a body that is too large without reading all of it', async () => {
+  const env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+  const chunk = new Uint8Array(1024 * 1024).fill(32);
+  let pulled = 0;
+  const body = new ReadableStream({
+    pull(controller) {
+      pulled++;
+      controller.enqueue(chunk);
+    }
+  });
+  const response = await handleApiRequest(new Request('https://todos.example/api/todos/changes', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}` },
+    body,
+    duplex: 'half'
+  }), env);
+  assert.strictEqual(response.status, 413);
+  assert.ok(pulled <= Math.ceil(MAX_BODY_BYTES / chunk.length) + 2, `read ${pulled} MB`);
+
+  const declared = await handleApiRequest(new Request('https://todos.example/api/todos/changes', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Length': String(MAX_BODY_BYTES + 1) },
+    body: '{}'
+  }), env);
+  assert.strictEqual(declared.status, 413);
+});
+
+// Test for the Worker's routing
+test('Worker - should serve the API and pass other requests to the assets', async () => {
+  const assetRequests = [];
+  const env = {
+    SYNC: new FakeD1(),
+    SYNC_TOKEN: TOKEN,
+    ASSETS: { fetch: async (request) => { assetRequests.push(new URL(request.url).pathname); return new Response('asset'); } }
+  };
+
+  const api = await worker.fetch(new Request('https://todos.example/api/todos', { headers: { Authorization: `Bearer ${TOKEN}` } }), env);
+  assert.deepStrictEqual(await api.json(), { revision: 0, data: null });
+  const page = await worker.fetch(new Request('https://todos.example/some/page'), env);
+  assert.strictEqual(await page.text(), 'asset');
+  assert.deepStrictEqual(assetRequests, ['/some/page']);
+});
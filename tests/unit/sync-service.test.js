@@ -0,0 +1,253 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { TodoModel } from '../../src/models/todo-model.js';
+import { MemoryStorageService } from '../../src/services/memory-storage-service.js';
+import { SyncService, OUTBOX_KEY, REVISION_KEY } from '../../src/services/sync-service.js';
+import { TabSync } from '../../src/services/tab-sync.js';
+import { SyncError } from '../../src/models/errors.js';
+import { handleApiRequest } from '../../src/worker/sync-api.js';
+import { FakeD1 } from '../fake-d1.js';
+
+const TOKEN = 'secret-token';
+
+/**
+ * The sync API running in-process, reachable through `fetch` until taken offline
+ */
+class FakeServer {
+  constructor() {
+    this.env = { SYNC: new FakeD1(), SYNC_TOKEN: TOKEN };
+    this.online = true;
+    this.fetch = async (url, init) => {
+      if (!this.online) {
+        throw new TypeError('Failed to fetch');
+      }
+      return handleApiRequest(new Request(new URL(url, 'https://todos.example'), init), this.env);
+    };
+  }
+}
+
+/**
+ * Waits for loads, saves and tab messages in flight to settle
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Opens the app in a browser of its own, syncing with the server.
+ * Returns the model, its storage and its sync service, after the first round.
+ */
+async function openBrowser(server, setup = () => {}, { token = TOKEN } = {}) {
+  const storage = new MemoryStorageService();
+  const model = new TodoModel(storage);
+  setup(model);
+  const tabs = new TabSync('test', { channel: null });
+  const sync = new SyncService(model, tabs, storage, { token, fetch: server.fetch, locks: null });
+  sync.start();
+  await settle();
+  await sync.syncNow();
+  return { storage, model, sync };
+}
+
+// Test for the first sync of each browser
+test('SyncService - should upload the first browser\'s data and share it with the next', async () => {
+  const server = new FakeServer();
+  const a = await openBrowser(server, model => model.addTodo('From A'));
+  const b = await openBrowser(server);
+
+  try {
+    assert.deepStrictEqual(b.model.todos.map(todo => todo.text), ['From A']);
+    assert.strictEqual(a.sync.status.state, 'synced');
+    assert.strictEqual(b.sync.status.state, 'synced');
+  } finally {
+    a.sync.stop();
+    b.sync.stop();
+  }
+});
+
+// Test for changes going both ways
+test('SyncService - should push changes made here and pull those made elsewhere', async () => {
+  const server = new FakeServer();
+  const a = await openBrowser(server);
+  const b = await openBrowser(server);
+
+  try {
+    a.model.addTodo('Added in A');
+    await a.sync.syncNow();
+    await b.sync.syncNow();
+    assert.deepStrictEqual(b.model.todos.map(todo => todo.text), ['Added in A']);
+
+    b.model.toggleComplete(b.model.todos[0].id);
+    b.model.addTodo('Added in B');
+    await b.sync.syncNow();
+    await a.sync.syncNow();
+    assert.deepStrictEqual(a.model.todos.map(todo => [todo.text, todo.completed]), [['Added in A', true], ['Added in B', false]]);
+    // Changes pushed from a browser are not applied there twice
+    assert.strictEqual(Object.values(a.model.history)[0], 1);
+    assert.strictEqual(b.sync.status.pending, 0);
+  } finally {
+    a.sync.stop();
+    b.sync.stop();
+  }
+});
+
+// Test for working offline
+test('SyncService - should queue changes while offline and push them once back online', async () => {
+  const server = new FakeServer();
+  const a = await openBrowser(server);
+  const b = await openBrowser(server);
+
+  try {
+    server.online = false;
+    a.model.addTodo('Made offline');
+    await a.sync.syncNow();
+    assert.strictEqual(a.sync.status.state, 'offline');
+    assert.strictEqual(a.sync.status.pending, 1);
+    assert.strictEqual(a.storage.load(OUTBOX_KEY).length, 1);
+
+    server.online = true;
+    await a.sync.syncNow();
+    await b.sync.syncNow();
+    assert.strictEqual(a.sync.status.state, 'synced');
+    assert.deepStrictEqual(a.storage.load(OUTBOX_KEY), []);
+    assert.deepStrictEqual(b.model.todos.map(todo => todo.text), ['Made offline']);
+  } finally {
+    a.sync.stop();
+    b.sync.stop();
+  }
+});
+
+// Test for a browser that has data of its own when it first syncs
+test('SyncService - should replace local data with the server\'s on first sync and offer a backup', async () => {
+  const server = new FakeServer();
+  const a = await openBrowser(server, model => model.addTodo('On the server'));
+
+  const storage = new MemoryStorageService();
+  const model = new TodoModel(storage);
+  model.addTodo('Only here');
+  const sync = new SyncService(model, new TabSync('test', { channel: null }), storage, { token: TOKEN, fetch: server.fetch, locks: null });
+  const backups = [];
+  sync.addEventListener('replaced', (e) => backups.push(e.detail.backup));
+  sync.start();
+
+  try {
+    await settle();
+    await sync.syncNow();
+    assert.deepStrictEqual(model.todos.map(todo => todo.text), ['On the server']);
+    assert.deepStrictEqual(backups.map(backup => backup.items.map(todo => todo.text)), [['Only here']]);
+    // The replaced data is not pushed back
+    await a.sync.syncNow();
+    assert.deepStrictEqual(a.model.todos.map(todo => todo.text), ['On the server']);
+  } finally {
+    a.sync.stop();
+    sync.stop();
+  }
+});
+
+// Test for a browser that missed changes the server dropped
+test('SyncService - should start over from the snapshot, keeping the changes made here', async () => {
+  const server = new FakeServer();
+  const a = await openBrowser(server, model => model.addTodo('Shared'));
+  const b = await openBrowser(server);
+
+  try {
+    a.model.addTodo('Added in A');
+    await a.sync.syncNow();
+    // A snapshot includes A's change, and the server drops it before B pulls it
+    await server.fetch('/api/todos', {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${TOKEN}` },
+      body: JSON.stringify({ baseRevision: a.sync.revision, data: a.model.exportData() })
+    });
+    server.env.SYNC.query('UPDATE log SET oldest = revision');
+    const backups = [];
+    b.sync.addEventListener('replaced', (e) => backups.push(e.detail.backup));
+
+    b.model.toggleComplete(b.model.todos[0].id);
+    await b.sync.syncNow();
+
+    const summary = (model) => model.todos.map(todo => [todo.text, todo.completed]);
+    assert.deepStrictEqual(summary(b.model), [['Shared', true], ['Added in A', false]]);
+    assert.strictEqual(b.storage.load(REVISION_KEY), 2);
+    assert.deepStrictEqual(backups, []);
+    await a.sync.syncNow();
+    assert.deepStrictEqual(summary(a.model), summary(b.model));
+  } finally {
+    a.sync.stop();
+    b.sync.stop();
+  }
+});
+
+// Test for a refused token
+test('SyncService - should report a token the server refuses', async () => {
+  const server = new FakeServer();
+  const { sync } = await openBrowser(server, () => {}, { token: 'wrong-token' });
+
+  try {
+    assert.strictEqual(sync.status.state, 'error');
+    assert.strictEqual(sync.status.error.status, 401);
+  } finally {
+    sync.stop();
+  }
+});
+
+// Test for answers that are not from the sync API
+test('SyncService - should report an answer that is not JSON, from background rounds too', async () => {
+  const unhandled = [];
+  const onUnhandled = (error) => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+  const storage = new MemoryStorageService();
+  const model = new TodoModel(storage);
+  // E.g. the dev server's index.html, served for any path
+  const fetch = async () => new Response('<!doctype html><title>Todos</title>', { headers: { 'Content-Type': 'text/html' } });
+  const sync = new SyncService(model, new TabSync('test', { channel: null }), storage, { token: TOKEN, fetch, locks: null, pollInterval: 5 });
+
+  try {
+    sync.start();
+    model.addTodo('Queued');
+    await settle();
+    assert.strictEqual(sync.status.state, 'error');
+    assert.ok(sync.status.error instanceof SyncError);
+    assert.strictEqual(sync.status.error.status, 200);
+    assert.deepStrictEqual(unhandled, []);
+  } finally {
+    sync.stop();
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+// Test for the tabs of one browser
+test('SyncService - should push other tabs\' changes and pass pulled ones on to them', async () => {
+  const server = new FakeServer();
+  const storage = new MemoryStorageService();
+  const model = new TodoModel(storage);
+  const channel = new TabSync('sync-service-test');
+  const sync = new SyncService(model, channel, storage, { token: TOKEN, fetch: server.fetch, locks: null });
+  const otherTab = new TodoModel(storage);
+  const otherChannel = new TabSync('sync-service-test');
+  const stopOtherTab = otherTab.startSync(otherChannel);
+  const b = await openBrowser(server);
+  sync.start();
+
+  try {
+    await settle();
+    await sync.syncNow();
+    otherTab.addTodo('From the other tab');
+    await settle();
+    await sync.syncNow();
+    await b.sync.syncNow();
+    assert.deepStrictEqual(b.model.todos.map(todo => todo.text), ['From the other tab']);
+
+    b.model.addTodo('From B');
+    await b.sync.syncNow();
+    await sync.syncNow();
+    await settle();
+    assert.deepStrictEqual(otherTab.todos.map(todo => todo.text), ['From the other tab', 'From B']);
+  } finally {
+    sync.stop();
+    b.sync.stop();
+    stopOtherTab();
+    channel.close();
+    otherChannel.close();
+  }
+});
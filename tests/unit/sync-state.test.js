@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { compareClocks, isConcurrent, takeSnapshot, diffState, mergeLogs } from '../../src/utils/sync-state.js';
+
+/**
+ * Builds a model-like state
+ */
+function createState(overrides = {}) {
+  return {
+    todos: [{ id: 1, text: 'One', completed: false }, { id: 2, text: 'Two', completed: false }],
+    trash: [],
+    lists: [{ id: 1, name: 'My Tasks', color: '#3f51b5' }],
+    activity: { 1: [{ at: '2024-01-01T00:00:00.000Z', action: 'created' }] },
+    history: {},
+    trashRetentionDays: 30,
+    ...overrides
+  };
+}
+
+// Tests for clocks
+test('compareClocks - should order by time, then by tab ID', () => {
+  assert.ok(compareClocks({ at: 1, origin: 'b' }, { at: 2, origin: 'a' }) < 0);
+  assert.ok(compareClocks({ at: 2, origin: 'b' }, { at: 2, origin: 'a' }) > 0);
+  assert.strictEqual(compareClocks({ at: 2, origin: 'a' }, { at: 2, origin: 'a' }), 0);
+});
+
+test('isConcurrent - should detect fields written here since the sender last saw them', () => {
+  const seen = { at: 1, origin: 'a' };
+  assert.strictEqual(isConcurrent(undefined, null), false);
+  assert.strictEqual(isConcurrent(seen, { ...seen }), false);
+  assert.strictEqual(isConcurrent({ at: 2, origin: 'b' }, seen), true);
+  assert.strictEqual(isConcurrent(seen, null), true);
+});
+
+// Tests for diffing
+test('diffState - should report nothing when nothing changed', () => {
+  const state = createState();
+  assert.strictEqual(diffState(takeSnapshot(state), state).changes, null);
+});
+
+test('diffState - should list changed fields, new records and removed records', () => {
+  const state = createState();
+  const snapshot = takeSnapshot(state);
+  state.todos = [{ id: 1, text: 'One', completed: true }, { id: 3, text: 'Three', completed: false }];
+  state.activity = { ...state.activity, 3: [] };
+  state.history = { '2024-01-02': 1 };
+
+  const { snapshot: next, changes } = diffState(snapshot, state);
+  assert.deepStrictEqual(changes.collections.todos.upserts.map(({ record, fields, added }) => [record.id, fields, added]), [
+    [1, ['completed'], false],
+    [3, ['id', 'text', 'completed'], true]
+  ]);
+  assert.deepStrictEqual(changes.collections.todos.deletes, [2]);
+  assert.deepStrictEqual(changes.collections.activity.upserts.map(({ record }) => record.id), [3]);
+  assert.deepStrictEqual(changes.collections.lists, { upserts: [], deletes: [] });
+  assert.deepStrictEqual(changes.history, { '2024-01-02': 1 });
+  assert.strictEqual(diffState(next, state).changes, null);
+});
+
+test('diffState - should report list order and settings as a single record', () => {
+  const state = createState({ lists: [{ id: 1, name: 'A' }, { id: 2, name: 'B' }] });
+  const snapshot = takeSnapshot(state);
+  state.lists = [state.lists[1], state.lists[0]];
+  state.trashRetentionDays = 7;
+
+  const [upsert] = diffState(snapshot, state).changes.collections.settings.upserts;
+  assert.deepStrictEqual(upsert.fields, ['listOrder', 'trashRetentionDays']);
+  assert.deepStrictEqual(upsert.record.listOrder, [2, 1]);
+});
+
+test('diffState - should report removed fields', () => {
+  const state = createState({ trash: [{ id: 5, text: 'Gone', deletedAt: '2024-01-01T00:00:00.000Z', deletedWithParent: true }] });
+  const snapshot = takeSnapshot(state);
+  state.trash = [{ id: 5, text: 'Gone', deletedAt: '2024-01-01T00:00:00.000Z' }];
+
+  assert.deepStrictEqual(diffState(snapshot, state).changes.collections.trash.upserts[0].fields, ['deletedWithParent']);
+});
+
+// Tests for merging activity logs
+test('mergeLogs - should keep the entries of both versions in order, whichever merges first', () => {
+  const created = { at: '2024-01-01T00:00:00.000Z', action: 'created' };
+  const a = [created, { at: '2024-01-02T00:00:00.000Z', action: 'completed' }];
+  const b = [created, { at: '2024-01-02T00:00:00.000Z', action: 'edited', changes: { text: { before: 'x', after: 'y' } } }];
+
+  const merged = mergeLogs(a, b);
+  assert.strictEqual(merged.length, 3);
+  assert.strictEqual(merged[0], created);
+  assert.deepStrictEqual(merged, mergeLogs(b, a));
+});
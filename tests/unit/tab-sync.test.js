@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { TabSync } from '../../src/services/tab-sync.js';
+
+/**
+ * Waits for messages posted on a BroadcastChannel to be delivered
+ */
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+// Test for passing messages between tabs
+test('TabSync - should deliver messages to other tabs only, tagged with the sender', async () => {
+  const a = new TabSync('test');
+  const b = new TabSync('test');
+  const received = { a: [], b: [] };
+  a.subscribe(message => received.a.push(message));
+  const unsubscribe = b.subscribe(message => received.b.push(message));
+
+  try {
+    a.publish({ value: 1 });
+    await nextTick();
+    assert.deepStrictEqual(received.a, []);
+    assert.deepStrictEqual(received.b, [{ value: 1, origin: a.tabId }]);
+    assert.notStrictEqual(a.tabId, b.tabId);
+
+    unsubscribe();
+    a.publish({ value: 2 });
+    await nextTick();
+    assert.strictEqual(received.b.length, 1);
+  } finally {
+    a.close();
+    b.close();
+  }
+});
+
+// Test for passing on another tab's message
+test('TabSync - should keep the origin of a message passed on', async () => {
+  const a = new TabSync('test');
+  const b = new TabSync('test');
+  const received = [];
+  b.subscribe(message => received.push(message));
+
+  try {
+    a.publish({ value: 1, origin: 'elsewhere' });
+    await nextTick();
+    assert.deepStrictEqual(received, [{ value: 1, origin: 'elsewhere' }]);
+  } finally {
+    a.close();
+    b.close();
+  }
+});
+
+// Test for browsers without BroadcastChannel
+test('TabSync - should drop messages without a channel', () => {
+  const sync = new TabSync('test', { channel: null });
+  sync.publish({ value: 1 });
+  const unsubscribe = sync.subscribe(() => assert.fail('No message expected'));
+  unsubscribe();
+  sync.close();
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { normalizeTag, parseTags, matchesTags } from '../../src/utils/tags.js';
+
+// Test for tag normalization
+test('normalizeTag - should trim, drop the leading # and lowercase', () => {
+  assert.strictEqual(normalizeTag('  #Work '), 'work');
+  assert.strictEqual(normalizeTag('##home'), 'home');
+  assert.strictEqual(normalizeTag('#'), '');
+});
+
+// Test for parsing tag input
+test('parseTags - should split on commas and spaces and remove duplicates', () => {
+  assert.deepStrictEqual(parseTags('#work, home  #Work errands'), ['work', 'home', 'errands']);
+  assert.deepStrictEqual(parseTags(''), []);
+});
+
+// Test for AND/OR tag matching
+test('matchesTags - should combine tags with any (OR) or all (AND)', () => {
+  const todo = { tags: ['work', 'urgent'] };
+
+  assert.strictEqual(matchesTags(todo, []), true);
+  assert.strictEqual(matchesTags(todo, ['work', 'home'], 'any'), true);
+  assert.strictEqual(matchesTags(todo, ['work', 'home'], 'all'), false);
+  assert.strictEqual(matchesTags(todo, ['work', 'urgent'], 'all'), true);
+  assert.strictEqual(matchesTags({}, ['work']), false);
+});
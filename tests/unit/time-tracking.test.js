@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  getRunningEntry,
+  stopEntries,
+  entryDuration,
+  getTrackedTime,
+  formatDuration,
+  buildTimeReport,
+  reportToCsv
+} from '../../src/utils/time-tracking.js';
+
+/**
+ * Builds an ISO timestamp for a local date and time.
+ * @param {number} day Day of January 2024
+ * @param {number} hours Local hours
+ * @param {number} [minutes=0] Local minutes
+ * @returns {string}
+ */
+function at(day, hours, minutes = 0) {
+  return new Date(2024, 0, day, hours, minutes).toISOString();
+}
+
+// Tests for entries
+test('getRunningEntry - should find the entry without an end', () => {
+  const running = { start: at(1, 10), end: null };
+  assert.strictEqual(getRunningEntry({ timeEntries: [{ start: at(1, 9), end: at(1, 10) }, running] }), running);
+  assert.strictEqual(getRunningEntry({ timeEntries: [] }), null);
+  assert.strictEqual(getRunningEntry({}), null);
+});
+
+test('stopEntries - should end only the running entry', () => {
+  const done = { start: at(1, 9), end: at(1, 10) };
+  const entries = stopEntries([done, { start: at(1, 11), end: null }], at(1, 12));
+
+  assert.strictEqual(entries[0], done);
+  assert.deepStrictEqual(entries[1], { start: at(1, 11), end: at(1, 12) });
+});
+
+test('entryDuration - should count a running entry up to now', () => {
+  assert.strictEqual(entryDuration({ start: at(1, 9), end: at(1, 10, 30) }), 90 * 60000);
+  assert.strictEqual(entryDuration({ start: at(1, 9), end: null }, new Date(at(1, 9, 15))), 15 * 60000);
+  assert.strictEqual(entryDuration({ start: at(1, 10), end: at(1, 9) }), 0);
+});
+
+test('getTrackedTime - should total all entries of a todo', () => {
+  const todo = { timeEntries: [{ start: at(1, 9), end: at(1, 10) }, { start: at(1, 11), end: null }] };
+  assert.strictEqual(getTrackedTime(todo, new Date(at(1, 11, 30))), 90 * 60000);
+  assert.strictEqual(getTrackedTime({}), 0);
+});
+
+// Tests for formatting
+test('formatDuration - should format hours and minutes, optionally with seconds', () => {
+  assert.strictEqual(formatDuration(0), '0:00');
+  assert.strictEqual(formatDuration(42 * 60000 + 59000), '0:42');
+  assert.strictEqual(formatDuration((25 * 60 + 5) * 60000 + 9000), '25:05');
+  assert.strictEqual(formatDuration((65 * 60 + 9) * 1000, { seconds: true }), '1:05:09');
+});
+
+// Tests for reports
+test('buildTimeReport - should total time per todo, tag and day', () => {
+  const report = buildTimeReport([
+    { id: 1, text: 'Write', tags: ['work', 'docs'], timeEntries: [{ start: at(1, 9), end: at(1, 10) }] },
+    { id: 2, text: 'Review', tags: ['work'], timeEntries: [{ start: at(2, 9), end: at(2, 11) }] },
+    { id: 3, text: 'Idle', tags: ['home'], timeEntries: [] }
+  ]);
+
+  assert.strictEqual(report.total, 3 * 3600000);
+  assert.deepStrictEqual(report.byTodo, [
+    { id: 2, text: 'Review', ms: 2 * 3600000 },
+    { id: 1, text: 'Write', ms: 3600000 }
+  ]);
+  assert.deepStrictEqual(report.byTag, [{ tag: 'work', ms: 3 * 3600000 }, { tag: 'docs', ms: 3600000 }]);
+  assert.deepStrictEqual(report.byDay, [
+    { date: '2024-01-01', ms: 3600000 },
+    { date: '2024-01-02', ms: 2 * 3600000 }
+  ]);
+});
+
+test('buildTimeReport - should split entries that run past midnight', () => {
+  const report = buildTimeReport([
+    { id: 1, text: 'Late', timeEntries: [{ start: at(1, 23), end: at(2, 1, 30) }] }
+  ]);
+
+  assert.deepStrictEqual(report.byDay, [
+    { date: '2024-01-01', ms: 3600000 },
+    { date: '2024-01-02', ms: 90 * 60000 }
+  ]);
+});
+
+test('buildTimeReport - should include a running timer up to now', () => {
+  const report = buildTimeReport(
+    [{ id: 1, text: 'Now', timeEntries: [{ start: at(1, 9), end: null }] }],
+    { now: new Date(at(1, 9, 20)) }
+  );
+  assert.strictEqual(report.total, 20 * 60000);
+});
+
+test('reportToCsv - should write a row per todo, tag and day and escape fields', () => {
+  const csv = reportToCsv(buildTimeReport([
+    { id: 1, text: 'Fix "bug", then =deploy', tags: ['work'], timeEntries: [{ start: at(1, 9), end: at(1, 10, 30) }] },
+    { id: 2, text: '=SUM(A1)', timeEntries: [{ start: at(1, 11), end: at(1, 11, 30) }] }
+  ]));
+
+  assert.deepStrictEqual(csv.split('\r\n'), [
+    'Group,Name,Duration,Hours',
+    'Todo,"Fix ""bug"", then =deploy",1:30,1.50',
+    "Todo,'=SUM(A1),0:30,0.50",
+    'Tag,#work,1:30,1.50',
+    'Day,2024-01-01,2:00,2.00',
+    'Total,,2:00,2.00'
+  ]);
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { FORMATS, detectFormat, serializeTodos, parseTodos } from '../../src/utils/todo-formats.js';
+
+const NOW = new Date('2024-03-10T12:00:00Z');
+
+/**
+ * Exported data with two lists, a subtask and every field the formats can hold
+ */
+function sampleData() {
+  const todo = (fields) => ({
+    completed: false, completedAt: null, createdAt: '2024-03-01T09:00:00.000Z', dueDate: null, dueTime: null,
+    tags: [], priority: null, parentId: null, recurrence: null, seriesId: null, notes: null, timeEntries: [], ...fields
+  });
+  return {
+    schemaVersion: 7,
+    lists: [{ id: 1, name: 'Home', color: '#3f51b5' }, { id: 2, name: 'Work, etc.', color: '#e91e63' }],
+    items: [
+      todo({ id: 1, listId: 1, order: 1, text: 'Water the plants' }),
+      todo({ id: 2, listId: 1, order: 0, text: 'Pay "rent"; today', dueDate: '2024-03-15', dueTime: '09:30', priority: 'high', tags: ['money', 'home'] }),
+      todo({ id: 3, listId: 1, order: 0, parentId: 2, text: 'Find the bank details', completed: true, completedAt: '2024-03-02T10:00:00.000Z' }),
+      todo({ id: 4, listId: 2, order: 0, text: '=SUM(A1:A9) report', dueDate: '2024-03-20', priority: 'low',
+        recurrence: 'FREQ=DAILY;INTERVAL=3;FROM=COMPLETION', seriesId: 4, notes: 'First line\nSecond, with a comma' })
+    ],
+    nextId: 5,
+    nextListId: 3,
+    activeListId: 1,
+    trash: [],
+    history: {},
+    activity: {}
+  };
+}
+
+/**
+ * What a format is expected to keep of each todo: its list and parent by name, and its fields
+ */
+function summarize({ lists, items }, fields) {
+  const listName = (id) => lists.find(list => list.id === id)?.name ?? null;
+  const text = (id) => items.find(todo => todo.id === id)?.text ?? null;
+  return items
+    .map(todo => ({
+      list: listName(todo.listId) ?? listName(items.find(parent => parent.id === todo.parentId)?.listId),
+      parent: text(todo.parentId),
+      ...Object.fromEntries(fields.map(field => [field, todo[field] ?? null]))
+    }))
+    .sort((a, b) => a.text.localeCompare(b.text));
+}
+
+const ALL_FIELDS = ['text', 'completed', 'completedAt', 'createdAt', 'dueDate', 'dueTime', 'priority', 'tags', 'recurrence', 'notes'];
+
+// Tests for round trips
+test('todo formats - JSON should keep the data as it is', () => {
+  const data = sampleData();
+  assert.deepStrictEqual(parseTodos('json', serializeTodos('json', data)), data);
+});
+
+test('todo formats - CSV should keep every todo field, the lists and subtasks', () => {
+  const data = sampleData();
+  const csv = serializeTodos('csv', data);
+  assert.match(csv, /^ID,Parent ID,List,Text,Completed,/);
+  // Guarded against running as a formula in a spreadsheet
+  assert.match(csv, /,'=SUM\(A1:A9\) report,/);
+  assert.deepStrictEqual(summarize(parseTodos('csv', csv), ALL_FIELDS), summarize(data, ALL_FIELDS));
+});
+
+test('todo formats - Markdown should keep the text, completion, lists and subtasks', () => {
+  const data = sampleData();
+  const markdown = serializeTodos('markdown', data);
+  assert.strictEqual(markdown, [
+    '# Home',
+    '',
+    '- [ ] Pay "rent"; today',
+    '  - [x] Find the bank details',
+    '- [ ] Water the plants',
+    '',
+    '# Work, etc.',
+    '',
+    '- [ ] =SUM(A1:A9) report',
+    ''
+  ].join('\n'));
+  const fields = ['text', 'completed'];
+  assert.deepStrictEqual(summarize(parseTodos('markdown', markdown), fields), summarize(data, fields));
+});
+
+test('todo formats - iCalendar should keep every todo field, the lists and subtasks', () => {
+  const data = sampleData();
+  const ics = serializeTodos('ics', data, { now: NOW });
+  assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+  assert.match(ics, /\r\nDUE:20240315T093000\r\n/);
+  assert.match(ics, /\r\nDUE;VALUE=DATE:20240320\r\n/);
+  assert.match(ics, /\r\nRRULE:FREQ=DAILY;INTERVAL=3\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:First line\\nSecond\\, with a comma\r\n/);
+  assert.ok(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+  assert.deepStrictEqual(summarize(parseTodos('ics', ics), ALL_FIELDS), summarize(data, ALL_FIELDS));
+});
+
+test('todo formats - iCalendar should fold long lines and unfold them again', () => {
+  const data = sampleData();
+  data.items[0].text = `${'Ünïcödé '.repeat(20)}end`;
+  const ics = serializeTodos('ics', data, { now: NOW });
+  assert.ok(ics.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+  assert.ok(parseTodos('ics', ics).items.some(todo => todo.text === data.items[0].text));
+});
+
+// Tests for files made elsewhere
+test('todo formats - CSV should read columns in any order, quoted fields and other text headers', () => {
+  const { lists, items } = parseTodos('csv', '\uFEFFcompleted,Title,list,Estimate\r\nx,"Buy milk, eggs",Shopping,2h\n,"Say ""hi""\nto Sam",\n\n');
+  assert.deepStrictEqual(lists, [{ id: 1, name: 'Shopping' }]);
+  assert.deepStrictEqual(items.map(todo => [todo.text, todo.completed, todo.listId]), [
+    ['Buy milk, eggs', true, 1],
+    ['Say "hi"\nto Sam', false, null]
+  ]);
+  assert.throws(() => parseTodos('csv', 'Name,Due\nA,B'), /no "Text" column/);
+  assert.throws(() => parseTodos('csv', 'Text\n"unclosed'), /not closed/);
+});
+
+test('todo formats - Markdown should read any checklist and ignore other lines', () => {
+  const { lists, items } = parseTodos('markdown', [
+    'Some intro text',
+    '- [x] Before any heading',
+    '## Trip',
+    '* [ ] Pack',
+    '    1. [X] Passport',
+    '- plain bullet',
+    '+ [ ] Book hotel'
+  ].join('\r\n'));
+  assert.deepStrictEqual(lists, [{ id: 1, name: 'Trip' }]);
+  assert.deepStrictEqual(items.map(todo => [todo.text, todo.completed, todo.listId, todo.parentId]), [
+    ['Before any heading', true, null, null],
+    ['Pack', false, 1, null],
+    ['Passport', true, 1, 2],
+    ['Book hotel', false, 1, null]
+  ]);
+});
+
+test('todo formats - iCalendar should read todos from other apps', () => {
+  const { lists, items } = parseTodos('ics', [
+    'BEGIN:VCALENDAR',
+    'X-WR-CALNAME:Errands',
+    'BEGIN:VEVENT',
+    'SUMMARY:Not a todo',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:parent@example.com',
+    'SUMMARY:Groceries',
+    'PRIORITY:3',
+    'CATEGORIES:food,weekly',
+    'RRULE:FREQ=YEARLY',
+    'DUE:20240315T140000Z',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'END:VALARM',
+    'END:VTODO',
+    'BEGIN:VTODO',
+    'SUMMARY:Mi',
+    ' lk',
+    'RELATED-TO:parent@example.com',
+    'PERCENT-COMPLETE:100',
+    'END:VTODO',
+    'END:VCALENDAR'
+  ].join('\n'));
+  const due = new Date('2024-03-15T14:00:00Z');
+  assert.deepStrictEqual(lists, [{ id: 1, name: 'Errands' }]);
+  assert.deepStrictEqual(items.map(todo => [todo.text, todo.completed, todo.listId, todo.parentId]), [
+    ['Groceries', false, 1, null],
+    ['Milk', true, 1, 1]
+  ]);
+  assert.strictEqual(items[0].priority, 'high');
+  assert.deepStrictEqual(items[0].tags, ['food', 'weekly']);
+  // Yearly repeats are not supported, so the rule is dropped rather than failing the import
+  assert.strictEqual(items[0].recurrence, null);
+  assert.strictEqual(items[0].dueTime, `${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`);
+  assert.throws(() => parseTodos('ics', 'SUMMARY:Nope'), /not an iCalendar file/);
+});
+
+test('todo formats - JSON should reject files that are not a backup', () => {
+  assert.throws(() => parseTodos('json', '{nope'), /not valid JSON/);
+  assert.throws(() => parseTodos('json', '[1, 2]'), /not a backup/);
+});
+
+// Tests for format detection
+test('detectFormat - should go by the extension, then by the content', () => {
+  assert.deepStrictEqual(Object.keys(FORMATS), ['json', 'csv', 'markdown', 'ics']);
+  assert.strictEqual(detectFormat('todos.CSV', '{'), 'csv');
+  assert.strictEqual(detectFormat('list.markdown', ''), 'markdown');
+  assert.strictEqual(detectFormat('cal.ical', ''), 'ics');
+  assert.strictEqual(detectFormat('backup.txt', ' {"items": []}'), 'json');
+  assert.strictEqual(detectFormat('export', 'BEGIN:VCALENDAR\r\n'), 'ics');
+  assert.strictEqual(detectFormat('notes.txt', 'Shopping\n- [ ] Milk'), 'markdown');
+  assert.strictEqual(detectFormat('data', 'Text,Completed\nA,yes'), 'csv');
+  assert.strictEqual(detectFormat('photo.png', '\u0089PNG'), null);
+});
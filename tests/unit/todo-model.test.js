@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { TodoModel } from '../../src/models/todo-model.js';
+import { ValidationError, TodoNotFoundError, ListNotFoundError, StorageQuotaError } from '../../src/models/errors.js';
 
 /**
  * Mock storage service for testing
@@ -14,6 +15,10 @@ class MockStorage {
     this.data[key] = value;
   }
 
+  write(entries) {
+    entries.forEach(([key, value]) => this.save(key, value));
+  }
+
   load(key, defaultValue) {
     return this.data[key] !== undefined ? this.data[key] : defaultValue;
   }
@@ -40,12 +45,12 @@ test('TodoModel - addTodo should add a new todo', () => {
 });
 
 // Test for adding empty todos
-test('TodoModel - should not add empty todos', () => {
+test('TodoModel - should reject empty todos', () => {
   const storage = new MockStorage();
   const model = new TodoModel(storage);
 
-  model.addTodo('');
-  model.addTodo('   ');
+  assert.throws(() => model.addTodo(''), ValidationError);
+  assert.throws(() => model.addTodo('   '), { name: 'ValidationError', field: 'text' });
 
   assert.strictEqual(model.todos.length, 0);
 });
@@ -104,4 +109,1347 @@ test('TodoModel - updateTodo should change todo text', () => {
   model.updateTodo(id, 'New');
 
   assert.strictEqual(model.todos[0].text, 'New');
-});
\ No newline at end of file
+});
+
+// Test for undoing a delete
+test('TodoModel - undo should restore a deleted todo in its original position', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A');
+  model.addTodo('B');
+  model.addTodo('C');
+
+  model.deleteTodo(model.todos[1].id);
+  model.undo();
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['A', 'B', 'C']);
+  assert.strictEqual(storage.data.items.length, 3);
+});
+
+// Test for redo after undo
+test('TodoModel - redo should reapply an undone change', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  model.toggleComplete(model.todos[0].id);
+
+  model.undo();
+  assert.strictEqual(model.todos[0].completed, false);
+  assert.strictEqual(model.canRedo, true);
+
+  model.redo();
+  assert.strictEqual(model.todos[0].completed, true);
+  assert.strictEqual(model.canRedo, false);
+});
+
+// Test for undoing bulk clears
+test('TodoModel - undo should restore todos removed by clearCompleted and clearAll', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task 1');
+  model.addTodo('Task 2');
+  model.toggleComplete(model.todos[0].id);
+
+  model.clearCompleted();
+  model.clearAll();
+  assert.strictEqual(model.todos.length, 0);
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Task 2']);
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Task 1', 'Task 2']);
+});
+
+// Test that changes which do nothing are not recorded
+test('TodoModel - changes that do nothing should leave the undo history alone', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Unfinished subtask', { parentId });
+  model.toggleComplete(parentId);
+  const completion = model.lastCommand;
+
+  // The only completed todo still has an unfinished subtask, so nothing is cleared
+  model.clearCompleted();
+  model.setCompletedMany([parentId]);
+  assert.strictEqual(model.lastCommand, completion);
+  assert.strictEqual(model.todos.length, 2);
+
+  model.addList('Empty');
+  const listCreation = model.lastCommand;
+  model.clearAll();
+  assert.strictEqual(model.lastCommand, listCreation);
+  assert.notStrictEqual(listCreation, completion);
+});
+
+// Test for undoing a specific change
+test('TodoModel - undoCommand should only undo a change that is still the most recent', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Task 1');
+  model.deleteTodo(model.todos[0].id);
+  const deletion = model.lastCommand;
+
+  model.addTodo('Task 2');
+  assert.strictEqual(model.undoCommand(deletion), null);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Task 2']);
+
+  model.undo();
+  assert.strictEqual(model.lastCommand, deletion);
+  assert.strictEqual(typeof model.undoCommand(deletion), 'string');
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Task 1']);
+  assert.strictEqual(model.undoCommand(null), null);
+});
+
+// Test that a new change discards the redo history
+test('TodoModel - a new change should clear the redo history', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Old');
+  model.updateTodo(model.todos[0].id, 'New');
+
+  model.undo();
+  assert.strictEqual(model.todos[0].text, 'Old');
+
+  model.addTodo('Another');
+  assert.strictEqual(model.canRedo, false);
+  assert.strictEqual(model.redo(), null);
+});
+
+// Test for due dates on new todos
+test('TodoModel - addTodo should store an optional due date and time', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  model.addTodo('No date');
+  model.addTodo('Dated', { dueDate: '2030-01-15', dueTime: '09:00' });
+
+  assert.strictEqual(model.todos[0].dueDate, null);
+  assert.strictEqual(model.todos[0].dueTime, null);
+  assert.strictEqual(model.todos[1].dueDate, '2030-01-15');
+  assert.strictEqual(model.todos[1].dueTime, '09:00');
+});
+
+// Test for editing and clearing due dates
+test('TodoModel - updateTodo should change and clear the due date', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task', { dueDate: '2030-01-15', dueTime: '09:00' });
+  const id = model.todos[0].id;
+
+  model.updateTodo(id, { dueDate: '2030-02-01' });
+  assert.strictEqual(model.todos[0].dueDate, '2030-02-01');
+  assert.strictEqual(model.todos[0].dueTime, '09:00');
+
+  model.updateTodo(id, { dueDate: '' });
+  assert.strictEqual(model.todos[0].dueDate, null);
+  assert.strictEqual(model.todos[0].dueTime, null);
+  assert.strictEqual(model.todos[0].text, 'Task');
+});
+
+// Test for overdueCount
+test('TodoModel - overdueCount should count only incomplete past-due todos', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Past', { dueDate: '2000-01-01' });
+  model.addTodo('Past but done', { dueDate: '2000-01-01' });
+  model.addTodo('Future', { dueDate: '2999-01-01' });
+  model.addTodo('Undated');
+  model.toggleComplete(model.todos[1].id);
+
+  assert.strictEqual(model.overdueCount, 1);
+});
+
+// Test for addTag and removeTag
+test('TodoModel - addTag and removeTag should manage normalized tags', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task', { tags: ['#Work'] });
+  const id = model.todos[0].id;
+
+  model.addTag(id, '#Home');
+  model.addTag(id, 'home');
+  assert.deepStrictEqual(model.todos[0].tags, ['work', 'home']);
+
+  model.removeTag(id, '#WORK');
+  assert.deepStrictEqual(model.todos[0].tags, ['home']);
+
+  model.undo();
+  assert.deepStrictEqual(model.todos[0].tags, ['work', 'home']);
+});
+
+// Test for tagCounts
+test('TodoModel - tagCounts should list every tag with its usage count', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A', { tags: ['work', 'errands'] });
+  model.addTodo('B', { tags: ['work'] });
+  model.addTodo('C');
+
+  assert.deepStrictEqual(model.tagCounts, [
+    { tag: 'work', count: 2 },
+    { tag: 'errands', count: 1 }
+  ]);
+});
+
+// Test for adding subtasks
+test('TodoModel - addTodo with parentId should create a subtask', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+
+  model.addTodo('Child', { parentId });
+  assert.throws(() => model.addTodo('Orphan', { parentId: 999 }), TodoNotFoundError);
+
+  assert.strictEqual(model.todos.length, 2);
+  assert.deepStrictEqual(model.getChildren(parentId).map(t => t.text), ['Child']);
+});
+
+// Test for cascading deletes
+test('TodoModel - deleteTodo should cascade to subtasks at every depth', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  model.addTodo('Sibling');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  const childId = model.todos[2].id;
+  model.addTodo('Grandchild', { parentId: childId });
+
+  model.deleteTodo(parentId);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Sibling']);
+  assert.deepStrictEqual(storage.data.items.map(t => t.text), ['Sibling']);
+});
+
+// Test that deleting a subtask leaves its parent alone
+test('TodoModel - deleteTodo on a subtask should keep its parent and siblings', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child 1', { parentId });
+  model.addTodo('Child 2', { parentId });
+
+  model.deleteTodo(model.todos[1].id);
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Parent', 'Child 2']);
+});
+
+// Test for undoing a cascading delete
+test('TodoModel - undo should restore a deleted parent with all its subtasks', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  model.addTodo('Grandchild', { parentId: model.todos[1].id });
+
+  model.deleteTodo(parentId);
+  model.undo();
+
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Parent', 'Child', 'Grandchild']);
+  assert.deepStrictEqual(model.getProgress(parentId), { completed: 0, total: 2 });
+});
+
+// Test for progress roll-up and completeSubtasks
+test('TodoModel - completeSubtasks should complete every descendant', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child 1', { parentId });
+  model.addTodo('Child 2', { parentId });
+  model.addTodo('Grandchild', { parentId: model.todos[1].id });
+  model.toggleComplete(model.todos[2].id);
+
+  assert.deepStrictEqual(model.getProgress(parentId), { completed: 1, total: 3 });
+
+  model.completeSubtasks(parentId);
+  assert.deepStrictEqual(model.getProgress(parentId), { completed: 3, total: 3 });
+});
+
+// Test that clearCompleted does not orphan unfinished subtasks
+test('TodoModel - clearCompleted should keep completed parents with unfinished subtasks', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  model.toggleComplete(parentId);
+
+  model.clearCompleted();
+  assert.strictEqual(model.todos.length, 2);
+
+  model.toggleComplete(model.todos[1].id);
+  model.clearCompleted();
+  assert.strictEqual(model.todos.length, 0);
+});
+
+// Test for recurring todos
+test('TodoModel - completing a recurring todo should create the next occurrence in its series', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Water plants', { dueDate: '2000-01-03', recurrence: 'freq=weekly;byday=mo', tags: ['home'] });
+  const first = model.todos[0];
+
+  model.toggleComplete(first.id);
+
+  assert.strictEqual(model.todos.length, 2);
+  const next = model.todos[1];
+  assert.strictEqual(next.text, 'Water plants');
+  assert.strictEqual(next.completed, false);
+  assert.strictEqual(next.recurrence, 'FREQ=WEEKLY;BYDAY=MO');
+  assert.deepStrictEqual(next.tags, ['home']);
+  assert.strictEqual(new Date(`${next.dueDate}T00:00`).getDay(), 1);
+  assert.ok(next.dueDate > first.dueDate);
+  assert.strictEqual(next.seriesId, first.id);
+  assert.deepStrictEqual(model.getSeries(first.id).map(t => t.id), [first.id, next.id]);
+});
+
+// Test for recurring todos completed at a given time
+test('TodoModel - the next occurrence should count from the completion time passed in', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Change filter', { dueDate: '2000-01-01', recurrence: 'FREQ=DAILY;INTERVAL=10;FROM=COMPLETION' });
+
+  model.toggleComplete(model.todos[0].id, new Date(2000, 0, 5, 23, 30));
+
+  assert.strictEqual(model.todos[1].dueDate, '2000-01-15');
+});
+
+// Test for undoing and repeating completion of a recurring todo
+test('TodoModel - recurring todos should not spawn duplicates and undo should remove the occurrence', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Pay rent', { dueDate: '2000-01-01', recurrence: 'FREQ=MONTHLY;BYMONTHDAY=1' });
+  const id = model.todos[0].id;
+
+  model.toggleComplete(id);
+  model.toggleComplete(id);
+  model.toggleComplete(id);
+  assert.strictEqual(model.todos.length, 2);
+
+  model.undo();
+  model.undo();
+  model.undo();
+  assert.strictEqual(model.todos.length, 1);
+  assert.strictEqual(model.todos[0].completed, false);
+});
+
+// Test for invalid recurrence rules
+test('TodoModel - invalid recurrence rules should be rejected', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  assert.throws(() => model.addTodo('Task', { recurrence: 'FREQ=HOURLY' }), { field: 'recurrence' });
+  model.addTodo('Task');
+  const id = model.todos[0].id;
+
+  assert.throws(() => model.updateTodo(id, { text: 'Renamed', recurrence: 'nonsense' }), ValidationError);
+  assert.strictEqual(model.todos[0].text, 'Task');
+
+  model.updateTodo(id, { recurrence: 'FREQ=DAILY' });
+  assert.strictEqual(model.todos[0].recurrence, 'FREQ=DAILY');
+  assert.strictEqual(model.todos[0].seriesId, id);
+});
+
+// Test for the default list
+test('TodoModel - existing todos should be placed in a default list', () => {
+  const storage = new MockStorage();
+  storage.data.items = [{ id: 1, text: 'Legacy', completed: false }];
+  storage.data.nextId = 2;
+  const model = new TodoModel(storage);
+
+  assert.strictEqual(model.lists.length, 1);
+  assert.strictEqual(model.todos[0].listId, model.activeListId);
+  assert.deepStrictEqual(model.listTodos.map(t => t.text), ['Legacy']);
+});
+
+// Test for separate lists with their own stats
+test('TodoModel - each list should have its own todos and stats', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const personalId = model.activeListId;
+  model.addTodo('Personal task');
+
+  const sprintId = model.addList('Sprint', '#ff9800');
+  model.addTodo('Sprint task 1');
+  model.addTodo('Sprint task 2');
+  model.toggleComplete(model.listTodos[0].id);
+
+  assert.strictEqual(model.activeListId, sprintId);
+  assert.deepStrictEqual(model.getStats(), { total: 2, active: 1, completed: 1, overdue: 0 });
+  assert.deepStrictEqual(model.getStats(personalId), { total: 1, active: 1, completed: 0, overdue: 0 });
+
+  model.clearAll();
+  assert.strictEqual(model.todos.length, 1);
+  model.setActiveList(personalId);
+  assert.deepStrictEqual(model.listTodos.map(t => t.text), ['Personal task']);
+});
+
+// Test for moving todos between lists
+test('TodoModel - moveTodo should move a todo and its subtasks to another list', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const fromId = model.activeListId;
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  const toId = model.addList('Groceries');
+  model.setActiveList(fromId);
+
+  model.moveTodo(parentId, toId);
+
+  assert.strictEqual(model.listTodos.length, 0);
+  assert.deepStrictEqual(model.getStats(toId).total, 2);
+  model.undo();
+  assert.strictEqual(model.listTodos.length, 2);
+});
+
+// Test for renaming, reordering and deleting lists
+test('TodoModel - lists can be renamed, reordered and deleted', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const firstId = model.activeListId;
+  const secondId = model.addList('Second');
+  model.addTodo('In second');
+
+  model.updateList(secondId, { name: 'Renamed' });
+  model.reorderList(secondId, 0);
+  assert.deepStrictEqual(model.lists.map(l => l.name), ['Renamed', 'My Tasks']);
+
+  model.deleteList(secondId);
+  assert.deepStrictEqual(model.lists.map(l => l.id), [firstId]);
+  assert.strictEqual(model.activeListId, firstId);
+  assert.strictEqual(model.todos.length, 0);
+
+  assert.throws(() => model.deleteList(firstId), ValidationError);
+  assert.throws(() => model.deleteList(secondId), ListNotFoundError);
+  assert.strictEqual(model.lists.length, 1);
+});
+
+test('TodoModel - a rejected list name should not use up a list ID', () => {
+  const model = new TodoModel(new MockStorage());
+  assert.throws(() => model.addList('   '), ValidationError);
+  assert.throws(() => model.addList('x'.repeat(101)), ValidationError);
+
+  assert.strictEqual(model.addList('Second'), 2);
+});
+
+// Test that the active list is remembered
+test('TodoModel - the active list should be restored from storage', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const listId = model.addList('Groceries');
+
+  const reloaded = new TodoModel(storage);
+
+  assert.strictEqual(reloaded.activeListId, listId);
+  assert.strictEqual(reloaded.activeList.name, 'Groceries');
+});
+
+// Test for manual ordering
+test('TodoModel - reorderTodo should move a todo before or after a sibling', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('A');
+  model.addTodo('B');
+  model.addTodo('C');
+  const [a, b, c] = model.todos;
+  const ordered = () => model.getSiblings(model.activeListId, null).map(t => t.text);
+
+  model.reorderTodo(c.id, a.id, 'before');
+  assert.deepStrictEqual(ordered(), ['C', 'A', 'B']);
+
+  model.reorderTodo(c.id, b.id, 'after');
+  assert.deepStrictEqual(ordered(), ['A', 'B', 'C']);
+  assert.strictEqual(model.canUndo, true);
+
+  model.undo();
+  assert.deepStrictEqual(ordered(), ['C', 'A', 'B']);
+  assert.deepStrictEqual(storage.data.items.map(t => t.order), [1, 2, 0]);
+});
+
+// Test that ordering is limited to siblings and survives a reload
+test('TodoModel - order should persist and only apply among siblings', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  model.addTodo('Other');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  const childId = model.todos[2].id;
+
+  assert.throws(() => model.reorderTodo(childId, model.todos[1].id, 'before'), ValidationError);
+  assert.strictEqual(model.todos[2].order, 0);
+
+  model.reorderTodo(model.todos[1].id, parentId, 'before');
+  const reloaded = new TodoModel(storage);
+  assert.deepStrictEqual(reloaded.getSiblings(reloaded.activeListId, null).map(t => t.text), ['Other', 'Parent']);
+});
+
+// Test for priorities
+test('TodoModel - should store, edit and carry over priorities', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Urgent', { priority: 'high' });
+  model.addTodo('None', { priority: '' });
+  assert.throws(() => model.addTodo('Unknown', { priority: 'critical' }), { field: 'priority' });
+  const [urgent, none] = model.todos;
+
+  assert.strictEqual(urgent.priority, 'high');
+  assert.strictEqual(none.priority, null);
+
+  model.updateTodo(urgent.id, { priority: 'low' });
+  assert.strictEqual(urgent.priority, 'low');
+  model.undo();
+  assert.strictEqual(urgent.priority, 'high');
+
+  model.updateTodo(urgent.id, { recurrence: 'FREQ=DAILY' });
+  model.toggleComplete(urgent.id);
+  assert.strictEqual(model.todos[2].priority, 'high');
+});
+
+// Test for batch operations saving and notifying once
+test('TodoModel - batch APIs should save and notify once and undo as one step', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.addTodo('Three');
+  const ids = model.todos.map(t => t.id);
+
+  let notifications = 0;
+  const writes = [];
+  const write = storage.write.bind(storage);
+  storage.write = (entries) => {
+    writes.push(entries);
+    write(entries);
+  };
+  model.subscribe(() => notifications++);
+
+  model.setCompletedMany(ids);
+  assert.strictEqual(notifications, 1);
+  assert.strictEqual(writes.length, 1);
+  assert.deepStrictEqual(writes[0].find(([key]) => key === 'items')[2], new Set(ids));
+  assert.strictEqual(model.completedCount, 3);
+
+  model.updateMany(ids.slice(0, 2), { dueDate: '2030-01-01' });
+  model.retagMany(ids, { add: ['work'] });
+  assert.strictEqual(notifications, 3);
+  assert.deepStrictEqual(model.todos.map(t => t.dueDate), ['2030-01-01', '2030-01-01', null]);
+  assert.deepStrictEqual(model.tagCounts, [{ tag: 'work', count: 3 }]);
+
+  model.undo();
+  model.undo();
+  model.undo();
+  assert.strictEqual(model.completedCount, 0);
+  assert.deepStrictEqual(model.todos.map(t => t.dueDate), [null, null, null]);
+});
+
+// Test for batch delete and move with subtasks
+test('TodoModel - deleteMany and moveMany should keep subtasks with selected parents', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  model.addTodo('Other');
+  const childId = model.todos[1].id;
+  const otherId = model.todos[2].id;
+  const listId = model.addList('Elsewhere');
+  model.setActiveList(model.lists[0].id);
+
+  model.moveMany([childId, parentId], listId);
+  const child = model.todos.find(t => t.id === childId);
+  assert.strictEqual(child.listId, listId);
+  assert.strictEqual(child.parentId, parentId);
+
+  model.deleteMany([parentId, childId, otherId]);
+  assert.strictEqual(model.todos.length, 0);
+  model.undo();
+  assert.strictEqual(model.todos.length, 3);
+});
+
+// Test for soft deletes into the trash
+test('TodoModel - deleted and cleared todos should go to the trash', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  model.addTodo('Done');
+  model.toggleComplete(model.todos[2].id);
+
+  model.deleteTodo(parentId);
+  model.clearCompleted();
+  assert.strictEqual(model.todos.length, 0);
+  assert.deepStrictEqual(model.trashedTodos.map(t => t.text).sort(), ['Done', 'Parent']);
+  assert.strictEqual(model.trash.length, 3);
+  assert.ok(model.trash.every(t => typeof t.deletedAt === 'string'));
+  assert.strictEqual(storage.data.trash.length, 3);
+
+  model.undo();
+  assert.strictEqual(model.trash.length, 2);
+  assert.strictEqual(model.todos[0].text, 'Done');
+});
+
+// Test for restoring and permanently deleting from the trash
+test('TodoModel - restoreTodos and deleteForever should bring back or remove trashed todos', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  model.addTodo('Other');
+  const childId = model.todos[1].id;
+  const otherId = model.todos[2].id;
+
+  model.deleteTodo(childId);
+  model.deleteTodo(parentId);
+  model.deleteTodo(otherId);
+
+  // The child was deleted on its own, so restoring the parent leaves it in the trash
+  model.restoreTodos([parentId]);
+  assert.deepStrictEqual(model.todos.map(t => t.text), ['Parent']);
+  assert.strictEqual(model.todos[0].deletedAt, undefined);
+
+  model.restoreTodos([childId]);
+  assert.strictEqual(model.todos.find(t => t.id === childId).parentId, parentId);
+
+  model.deleteForever([otherId]);
+  assert.strictEqual(model.trash.length, 0);
+  model.undo();
+  assert.strictEqual(model.trash.length, 1);
+  model.emptyTrash();
+  assert.strictEqual(model.trash.length, 0);
+});
+
+// Test for restoring todos whose parent or list is gone
+test('TodoModel - restored todos should be detached from missing parents and lists', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const listId = model.addList('Temporary');
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  const childId = model.todos[1].id;
+
+  model.deleteTodo(childId);
+  model.deleteList(listId);
+  model.deleteForever([parentId]);
+  model.restoreTodos([childId]);
+
+  const child = model.todos.find(t => t.id === childId);
+  assert.strictEqual(child.parentId, null);
+  assert.strictEqual(child.listId, model.activeListId);
+});
+
+// Test for purging old trash
+test('TodoModel - purgeTrash should remove todos older than the retention period', () => {
+  const storage = new MockStorage();
+  storage.data.trash = [
+    { id: 1, text: 'Old', completed: false, deletedAt: '2020-01-01T00:00:00.000Z' },
+    { id: 2, text: 'Recent', completed: false, deletedAt: new Date().toISOString() }
+  ];
+  const model = new TodoModel(storage, { trashRetentionDays: 7 });
+
+  assert.deepStrictEqual(model.trash.map(t => t.text), ['Recent']);
+  assert.strictEqual(storage.data.trash.length, 1);
+
+  const tenDaysLater = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(model.purgeTrash(tenDaysLater), 1);
+  assert.strictEqual(model.trash.length, 0);
+
+  model.setTrashRetention(90);
+  assert.strictEqual(storage.data.trashRetentionDays, 90);
+});
+
+// Test for unknown IDs
+test('TodoModel - unknown todo and list IDs should throw typed errors', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+
+  assert.throws(() => model.toggleComplete(42), { name: 'TodoNotFoundError', id: 42 });
+  assert.throws(() => model.deleteTodo(42), TodoNotFoundError);
+  assert.throws(() => model.updateTodo(42, 'Text'), TodoNotFoundError);
+  assert.throws(() => model.restoreTodos([42]), TodoNotFoundError);
+  assert.throws(() => model.setActiveList(42), { name: 'ListNotFoundError', id: 42 });
+  assert.throws(() => model.addTodo('Task', { listId: 42 }), ListNotFoundError);
+  assert.strictEqual(model.canUndo, false);
+});
+
+// Test for fields that cannot be edited
+test('TodoModel - updateTodo should reject fields that are not editable', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  const id = model.todos[0].id;
+
+  assert.throws(() => model.updateTodo(id, { text: 'Renamed', completed: true }), { field: 'completed' });
+  assert.strictEqual(model.todos[0].text, 'Task');
+});
+
+// Test that a failing batch leaves nothing half done
+test('TodoModel - a batch that throws should revert its earlier changes', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  const ids = model.todos.map(t => t.id);
+
+  assert.throws(() => model.updateMany([...ids, 99], { priority: 'high' }), TodoNotFoundError);
+  assert.deepStrictEqual(model.todos.map(t => t.priority), [null, null]);
+  assert.strictEqual(model.undo(), 'Add todo');
+});
+
+// Test for storage failures
+test('TodoModel - a storage error should be thrown after the change is applied and shown', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  let notifications = 0;
+  model.subscribe(() => notifications++);
+  storage.save = () => {
+    throw new StorageQuotaError();
+  };
+
+  assert.throws(() => model.addTodo('Unsaved'), StorageQuotaError);
+  assert.strictEqual(model.todos.length, 1);
+  assert.strictEqual(notifications, 1);
+});
+
+test('TodoModel - saves should write only the changed records, and everything after a failure', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  model.addTodo('Three');
+  const [one, two, three] = model.todos.map(todo => todo.id);
+  const writes = [];
+  const write = storage.write.bind(storage);
+  const recordWrites = (entries) => {
+    writes.push(new Map(entries.map(([key, , changedIds]) => [key, changedIds])));
+    write(entries);
+  };
+  storage.write = recordWrites;
+
+  model.updateTodo(two, { text: 'Second' });
+  assert.deepStrictEqual(writes[0].get('items'), new Set([two]));
+  assert.deepStrictEqual(writes[0].get('activity'), new Set([String(two)]));
+
+  model.deleteTodo(one);
+  model.deleteTodo(two);
+  assert.deepStrictEqual(writes[2].get('items'), new Set([two]));
+  assert.deepStrictEqual(writes[2].get('trash'), new Set([two]));
+
+  storage.write = () => {
+    throw new StorageQuotaError();
+  };
+  assert.throws(() => model.updateTodo(three, { text: 'Unsaved' }), StorageQuotaError);
+  storage.write = recordWrites;
+  model.updateTodo(three, { text: 'Saved' });
+  assert.strictEqual(writes[3].get('items'), undefined);
+  assert.strictEqual(writes[3].get('trash'), undefined);
+  assert.strictEqual(new TodoModel(storage).todos[0].text, 'Saved');
+});
+
+// Test for unsubscribing
+test('TodoModel - subscribe should return a function that unsubscribes', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  let notifications = 0;
+  const unsubscribe = model.subscribe(() => notifications++);
+
+  model.addTodo('First');
+  unsubscribe();
+  model.addTodo('Second');
+
+  assert.strictEqual(notifications, 1);
+});
+
+// Test for change records
+test('TodoModel - subscribers should receive typed change records', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const received = [];
+  model.subscribe(changes => received.push(changes.map(c => [c.type, c.todo?.text, c.fields])));
+
+  model.addTodo('Task');
+  const id = model.todos[0].id;
+  model.updateTodo(id, { text: 'Renamed', priority: 'high' });
+  model.deleteTodo(id);
+  model.undo();
+  model.addList('Work');
+
+  assert.deepStrictEqual(received, [
+    [['added', 'Task', undefined]],
+    [['updated', 'Renamed', ['text', 'priority']]],
+    [['removed', 'Renamed', undefined]],
+    [['added', 'Renamed', undefined]],
+    [['reset', undefined, undefined]]
+  ]);
+});
+
+// Test for batched change records
+test('TodoModel - a batch should deliver all of its change records at once', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('One');
+  model.addTodo('Two');
+  const ids = model.todos.map(t => t.id);
+  const received = [];
+  model.subscribe(changes => received.push(changes));
+
+  model.setCompletedMany(ids);
+  model.undo();
+
+  assert.strictEqual(received.length, 2);
+  assert.deepStrictEqual(received[0].map(c => [c.type, c.todo.id, c.fields]), [
+    ['updated', ids[0], ['completed', 'completedAt']],
+    ['updated', ids[1], ['completed', 'completedAt']]
+  ]);
+  assert.deepStrictEqual(received[1].map(c => c.todo.id), [ids[1], ids[0]]);
+});
+
+// Test for the EventTarget API
+test('TodoModel - should dispatch an event per change type', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  const added = [];
+  const updatedFields = [];
+  let changeEvents = 0;
+  model.addEventListener('added', e => added.push(e.detail.todo.text));
+  model.addEventListener('updated', e => updatedFields.push(...e.detail.fields));
+  model.addEventListener('change', e => { changeEvents += e.detail.changes.length; });
+
+  model.addTodo('Task');
+  model.addTag(model.todos[0].id, 'work');
+
+  assert.deepStrictEqual(added, ['Task']);
+  assert.deepStrictEqual(updatedFields, ['tags']);
+  assert.strictEqual(changeEvents, 2);
+});
+
+test('TodoModel - only one timer should run at a time', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('First');
+  model.addTodo('Second');
+  const [first, second] = model.todos;
+
+  model.startTimer(first.id, new Date('2024-01-01T09:00:00.000Z'));
+  model.startTimer(second.id, new Date('2024-01-01T09:30:00.000Z'));
+
+  assert.strictEqual(model.runningTodo.id, second.id);
+  assert.deepStrictEqual(first.timeEntries, [
+    { start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T09:30:00.000Z' }
+  ]);
+
+  model.undo();
+  assert.strictEqual(model.runningTodo.id, first.id);
+  assert.strictEqual(second.timeEntries.length, 0);
+
+  model.redo();
+  model.stopTimer(new Date('2024-01-01T10:00:00.000Z'));
+  assert.strictEqual(model.runningTodo, null);
+  assert.strictEqual(second.timeEntries[0].end, '2024-01-01T10:00:00.000Z');
+});
+
+test('TodoModel - completing or deleting a todo should stop its timer', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Done');
+  model.addTodo('Deleted');
+  const [done, deleted] = model.todos;
+
+  model.startTimer(done.id);
+  model.toggleComplete(done.id);
+  assert.strictEqual(model.runningTodo, null);
+  assert.notStrictEqual(done.timeEntries[0].end, null);
+  assert.throws(() => model.startTimer(done.id), ValidationError);
+
+  model.startTimer(deleted.id);
+  model.deleteTodo(deleted.id);
+  assert.strictEqual(model.runningTodo, null);
+  assert.notStrictEqual(model.trash[0].timeEntries[0].end, null);
+});
+
+test('TodoModel - a running timer should survive a reload', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  model.startTimer(model.todos[0].id, new Date('2024-01-01T09:00:00.000Z'));
+
+  const reloaded = new TodoModel(storage);
+  assert.strictEqual(reloaded.runningTodo.text, 'Task');
+  assert.deepStrictEqual(reloaded.runningTodo.timeEntries, [{ start: '2024-01-01T09:00:00.000Z', end: null }]);
+});
+
+test('TodoModel - notes should be editable and saved with the todo', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Release', { notes: '- [ ] tag\n- [ ] publish' });
+  const id = model.todos[0].id;
+
+  model.updateTodo(id, { notes: '- [x] tag\n- [ ] publish\n' });
+  assert.strictEqual(model.todos[0].notes, '- [x] tag\n- [ ] publish');
+
+  const reloaded = new TodoModel(storage);
+  assert.strictEqual(reloaded.todos[0].notes, '- [x] tag\n- [ ] publish');
+
+  model.updateTodo(id, { notes: '   ' });
+  assert.strictEqual(model.todos[0].notes, null);
+  model.undo();
+  assert.strictEqual(model.todos[0].notes, '- [x] tag\n- [ ] publish');
+});
+
+test('TodoModel - the next occurrence should get the notes with their tasks unchecked', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Weekly review', {
+    dueDate: '2000-01-03',
+    recurrence: 'FREQ=WEEKLY',
+    notes: 'Steps:\n- [x] inbox\n- [x] calendar'
+  });
+
+  model.toggleComplete(model.todos[0].id);
+
+  assert.strictEqual(model.todos[1].notes, 'Steps:\n- [ ] inbox\n- [ ] calendar');
+});
+
+test('TodoModel - completing a todo should record when and count it in the history', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  const todo = model.todos[0];
+  const completedAt = new Date(2024, 0, 10, 9, 30);
+
+  model.toggleComplete(todo.id, completedAt);
+  assert.strictEqual(todo.completedAt, completedAt.toISOString());
+  assert.deepStrictEqual(model.history, { '2024-01-10': 1 });
+
+  model.undo();
+  assert.strictEqual(todo.completedAt, null);
+  assert.deepStrictEqual(model.history, {});
+
+  model.redo();
+  model.toggleComplete(todo.id);
+  assert.strictEqual(todo.completedAt, null);
+  assert.deepStrictEqual(model.history, {});
+});
+
+test('TodoModel - the completion history should outlive deleted todos and reloads', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Parent');
+  const parentId = model.todos[0].id;
+  model.addTodo('Child', { parentId });
+  const completedAt = new Date(2024, 0, 10, 9, 30);
+
+  model.completeSubtasks(parentId, completedAt);
+  model.toggleComplete(parentId, completedAt);
+  model.clearCompleted();
+
+  assert.strictEqual(model.todos.length, 0);
+  assert.deepStrictEqual(new TodoModel(storage).history, { '2024-01-10': 2 });
+});
+
+test('TodoModel - the activity log should record edits with their old values', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Call');
+  const id = model.todos[0].id;
+
+  model.updateTodo(id, 'Call mum');
+  model.toggleComplete(id);
+  model.toggleComplete(id);
+  model.addTag(id, 'family');
+
+  const log = model.getActivity(id);
+  assert.deepStrictEqual(log.map(entry => entry.action), ['created', 'edited', 'completed', 'reopened', 'edited']);
+  assert.deepStrictEqual(log[1].changes, { text: { before: 'Call', after: 'Call mum' } });
+  assert.deepStrictEqual(log[4].changes, { tags: { before: [], after: ['family'] } });
+  assert.deepStrictEqual(new TodoModel(storage).getActivity(id), log);
+});
+
+test('TodoModel - undo should be appended to the activity log, not erase it', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+  const id = model.todos[0].id;
+
+  model.deleteTodo(id);
+  model.undo();
+  model.redo();
+
+  const log = model.getActivity(id);
+  assert.deepStrictEqual(log.map(entry => [entry.action, entry.undone ?? false]), [
+    ['created', false],
+    ['deleted', false],
+    ['deleted', true],
+    ['deleted', false]
+  ]);
+});
+
+test('TodoModel - activity logs of permanently deleted todos should be dropped on load', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Keep');
+  model.addTodo('Drop');
+  const [keep, drop] = model.todos.map(t => t.id);
+
+  model.deleteTodo(drop);
+  model.emptyTrash();
+  assert.strictEqual(model.getActivity(drop).length, 2);
+
+  const reloaded = new TodoModel(storage);
+  assert.deepStrictEqual(reloaded.getActivity(drop), []);
+  assert.strictEqual(reloaded.getActivity(keep).length, 1);
+  assert.deepStrictEqual(Object.keys(storage.data.activity), [String(keep)]);
+});
+
+/**
+ * Stand-in for the channel between tabs. Messages are queued until delivered,
+ * so tests can make changes in several tabs "at once".
+ */
+class FakeTabs {
+  constructor() {
+    this.queue = [];
+    this.listeners = new Map();
+  }
+
+  connect(tabId) {
+    return {
+      tabId,
+      publish: (message) => this.queue.push(structuredClone({ ...message, origin: tabId })),
+      subscribe: (listener) => {
+        this.listeners.set(tabId, listener);
+        return () => this.listeners.delete(tabId);
+      }
+    };
+  }
+
+  deliver() {
+    while (this.queue.length > 0) {
+      const message = this.queue.shift();
+      this.listeners.forEach((listener, tabId) => {
+        if (tabId !== message.origin) {
+          listener(message);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Opens two synced tabs on copies of the same saved data.
+ */
+function openTwoTabs(setup = () => {}) {
+  const storage = new MockStorage();
+  setup(new TodoModel(storage));
+  const tabs = new FakeTabs();
+  const [a, b] = ['a', 'b'].map(tabId => {
+    const copy = new MockStorage();
+    copy.data = structuredClone(storage.data);
+    const model = new TodoModel(copy);
+    model.startSync(tabs.connect(tabId));
+    return model;
+  });
+  return { tabs, a, b };
+}
+
+// Tests for syncing between tabs
+test('TodoModel - changes should reach other tabs through notify', () => {
+  const { tabs, a, b } = openTwoTabs();
+  const changes = [];
+  b.subscribe(c => changes.push(...c));
+  b.addTodo('Local');
+
+  a.addTodo('Remote');
+  a.toggleComplete(a.todos[0].id);
+  tabs.deliver();
+
+  assert.deepStrictEqual(b.todos.map(t => [t.text, t.completed]), [['Local', false], ['Remote', true]]);
+  assert.ok(changes.some(change => change.type === 'reset'));
+  assert.strictEqual(Object.values(b.history)[0], 1);
+  assert.strictEqual(b.getActivity(b.todos[1].id).length, 2);
+  assert.deepStrictEqual(b.storage.data.items.map(t => t.text), ['Local', 'Remote']);
+  // Undoing could otherwise revert the other tab's change
+  assert.strictEqual(b.canUndo, false);
+});
+
+test('TodoModel - concurrent edits to different fields of a todo should both be kept', () => {
+  const { tabs, a, b } = openTwoTabs(model => model.addTodo('Shared'));
+  const id = a.todos[0].id;
+
+  a.updateTodo(id, { text: 'Renamed' });
+  b.updateTodo(id, { priority: 'high' });
+  tabs.deliver();
+
+  [a, b].forEach(model => {
+    assert.strictEqual(model.todos[0].text, 'Renamed');
+    assert.strictEqual(model.todos[0].priority, 'high');
+  });
+});
+
+test('TodoModel - concurrent edits to the same field should resolve the same way in every tab', () => {
+  const { tabs, a, b } = openTwoTabs(model => model.addTodo('Shared'));
+  const id = a.todos[0].id;
+  const conflicts = [];
+  [a, b].forEach(model => model.addEventListener('sync-conflict', (e) => conflicts.push(...e.detail.conflicts)));
+
+  a.updateTodo(id, { text: 'From A' });
+  b.updateTodo(id, { text: 'From B' });
+  tabs.deliver();
+
+  assert.strictEqual(a.todos[0].text, b.todos[0].text);
+  assert.strictEqual(conflicts.length, 2);
+  assert.ok(conflicts.every(conflict => conflict.id === id && conflict.field === 'text'));
+  // Both edits are in the history of both tabs
+  assert.deepStrictEqual(a.getActivity(id), b.getActivity(id));
+  assert.strictEqual(a.getActivity(id).filter(entry => entry.action === 'edited').length, 2);
+
+  // Later edits are not conflicts
+  b.updateTodo(id, { text: 'Agreed' });
+  tabs.deliver();
+  assert.strictEqual(a.todos[0].text, 'Agreed');
+  assert.strictEqual(conflicts.length, 2);
+});
+
+test('TodoModel - deleting a todo should win over a concurrent edit', () => {
+  const { tabs, a, b } = openTwoTabs(model => model.addTodo('Shared'));
+  const id = a.todos[0].id;
+
+  a.deleteTodo(id);
+  b.updateTodo(id, { text: 'Edited' });
+  tabs.deliver();
+
+  [a, b].forEach(model => {
+    assert.deepStrictEqual(model.todos, []);
+    assert.deepStrictEqual(model.trash.map(t => t.id), [id]);
+  });
+});
+
+test('TodoModel - todos added in two tabs at once with the same ID should both be kept', () => {
+  const { tabs, a, b } = openTwoTabs();
+  a.addTodo('From A');
+  b.addTodo('From B');
+  a.addTodo('Sub', { parentId: a.todos[0].id });
+  tabs.deliver();
+
+  const summary = (model) => model.todos.map(t => [t.id, t.text, t.parentId]).sort((x, y) => x[0] - y[0]);
+  assert.deepStrictEqual(summary(a), summary(b));
+  assert.strictEqual(new Set(a.todos.map(t => t.id)).size, 3);
+  const sub = a.todos.find(t => t.text === 'Sub');
+  assert.strictEqual(a.todos.find(t => t.id === sub.parentId).text, 'From A');
+  assert.ok(a.nextId > Math.max(...a.todos.map(t => t.id)));
+  assert.strictEqual(a.nextId, b.nextId);
+
+  a.addTodo('After');
+  tabs.deliver();
+  assert.deepStrictEqual(summary(a), summary(b));
+});
+
+test('TodoModel - a todo added elsewhere should not overwrite a saved todo with its ID', () => {
+  // Saved before this tab was opened, so nothing here says when it was added
+  const storage = new MockStorage();
+  new TodoModel(storage).addTodo('Saved earlier');
+  storage.data.items[0].createdAt = '2020-01-01T00:00:00.000Z';
+  const tabs = new FakeTabs();
+  const here = new TodoModel(storage);
+  here.startSync(tabs.connect('here'));
+  const elsewhere = new TodoModel(new MockStorage());
+  elsewhere.startSync(tabs.connect('elsewhere'));
+
+  elsewhere.addTodo('Added elsewhere');
+  tabs.deliver();
+
+  assert.deepStrictEqual(here.todos.map(t => [t.id, t.text]), [[1, 'Saved earlier']]);
+});
+
+test('TodoModel - subtasks of a renumbered todo should follow it in every tab', () => {
+  const { tabs, a, b } = openTwoTabs();
+  a.addTodo('From A');
+  // Added later, so B's todo is the one renumbered
+  b.addTodo('From B');
+  b.addTodo('Sub of B', { parentId: b.todos[0].id });
+  tabs.deliver();
+
+  const parentOf = (model, text) => {
+    const todo = model.todos.find(t => t.text === text);
+    return model.todos.find(t => t.id === todo.parentId)?.text;
+  };
+  [a, b].forEach(model => {
+    assert.strictEqual(model.todos.length, 3);
+    assert.strictEqual(parentOf(model, 'Sub of B'), 'From B');
+  });
+  assert.strictEqual(b.todos.find(t => t.text === 'From A').id, a.todos.find(t => t.text === 'From A').id);
+});
+
+test('TodoModel - lists and settings should sync between tabs', () => {
+  const { tabs, a, b } = openTwoTabs();
+  const listId = a.addList('Work');
+  a.setTrashRetention(7);
+  tabs.deliver();
+
+  assert.deepStrictEqual(b.lists.map(list => list.name), ['My Tasks', 'Work']);
+  assert.strictEqual(b.trashRetentionDays, 7);
+
+  b.reorderList(listId, 0);
+  b.deleteList(b.lists[1].id);
+  tabs.deliver();
+  assert.deepStrictEqual(a.lists.map(list => list.id), [listId]);
+  assert.strictEqual(a.activeListId, listId);
+});
+
+// Test for freeing storage space
+test('TodoModel - purgeCompleted should delete completed todos without trashing them', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Done');
+  model.addTodo('Open');
+  model.addTodo('Done subtask', { parentId: model.todos[0].id });
+  model.addTodo('Already trashed');
+  model.deleteTodo(model.todos[3].id);
+  model.todos.filter(todo => todo.text.startsWith('Done')).forEach(todo => model.toggleComplete(todo.id));
+
+  model.purgeCompleted();
+
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['Open']);
+  assert.deepStrictEqual(model.trash.map(todo => todo.text), ['Already trashed']);
+
+  model.undo();
+  assert.strictEqual(model.todos.length, 3);
+  assert.strictEqual(model.trash.length, 1);
+});
+
+// Test for exporting data
+test('TodoModel - exportData should return a copy of everything that is saved', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Task');
+
+  const data = model.exportData();
+  assert.deepStrictEqual(data, storage.data);
+
+  data.items[0].text = 'Changed';
+  assert.strictEqual(model.todos[0].text, 'Task');
+});
+
+// Tests for replacing all the data
+test('TodoModel - replaceState should replace the data and clear the undo history', () => {
+  const source = new TodoModel(new MockStorage());
+  source.addTodo('From elsewhere');
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Local');
+  const changes = [];
+  model.subscribe(c => changes.push(...c));
+
+  model.replaceState(source.exportData());
+
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['From elsewhere']);
+  assert.deepStrictEqual(storage.data.items.map(todo => todo.text), ['From elsewhere']);
+  assert.deepStrictEqual(changes, [{ type: 'reset' }]);
+  assert.strictEqual(model.canUndo, false);
+});
+
+test('TodoModel - replaceState should migrate old data and reject unreadable data', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Kept');
+
+  assert.throws(() => model.replaceState({ schemaVersion: 7, items: 'nonsense' }), ValidationError);
+  assert.throws(() => model.replaceState({ schemaVersion: 99 }), ValidationError);
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['Kept']);
+
+  model.replaceState({ items: [{ id: 1, text: 'Old', completed: false }], nextId: 2 });
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['Old']);
+  assert.strictEqual(model.lists.length, 1);
+  assert.strictEqual(model.todos[0].listId, model.lists[0].id);
+});
+
+test('TodoModel - replaceState should reach other tabs as a change', () => {
+  const { tabs, a, b } = openTwoTabs(model => model.addTodo('Shared'));
+  const source = new TodoModel(new MockStorage());
+  source.addTodo('Replacement');
+  source.addTodo('Another');
+
+  a.replaceState(source.exportData());
+  tabs.deliver();
+
+  assert.deepStrictEqual(b.todos.map(todo => todo.text), ['Replacement', 'Another']);
+});
+
+// Tests for importing todos
+test('TodoModel - importTodos should merge todos into matching lists as one undoable change', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Already here');
+  const homeId = model.addList('Home');
+  model.setActiveList(1);
+
+  const added = model.importTodos({
+    lists: [{ id: 7, name: 'home' }, { id: 8, name: 'Garden', color: '#4caf50' }],
+    items: [
+      { id: 1, listId: 7, text: 'Fix the door', dueDate: '2024-05-01', tags: ['diy'] },
+      { id: 2, listId: 8, parentId: 1, text: 'Buy hinges', completed: true },
+      { id: 3, listId: 8, text: 'Mow the lawn' },
+      { id: 4, listId: null, text: 'No list given' }
+    ]
+  }, { now: new Date('2024-04-01T08:00:00Z') });
+
+  assert.strictEqual(added, 4);
+  const garden = model.lists.find(list => list.name === 'Garden');
+  assert.deepStrictEqual(garden.color, '#4caf50');
+  const byText = Object.fromEntries(model.todos.map(todo => [todo.text, todo]));
+  assert.strictEqual(byText['Fix the door'].listId, homeId);
+  // A subtask goes with its parent
+  assert.strictEqual(byText['Buy hinges'].listId, homeId);
+  assert.strictEqual(byText['Buy hinges'].parentId, byText['Fix the door'].id);
+  assert.strictEqual(byText['Buy hinges'].completedAt, '2024-04-01T08:00:00.000Z');
+  assert.strictEqual(byText['Mow the lawn'].listId, garden.id);
+  assert.strictEqual(byText['No list given'].listId, 1);
+  assert.strictEqual(byText['No list given'].order, 1);
+  assert.strictEqual(model.activity[byText['Fix the door'].id][0].action, 'created');
+
+  model.undo();
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['Already here']);
+  assert.deepStrictEqual(model.lists.map(list => list.name), ['My Tasks', 'Home']);
+});
+
+test('TodoModel - importTodos should skip todos already here and reject invalid ones', () => {
+  const model = new TodoModel(new MockStorage());
+  model.addTodo('Kept');
+  const backup = model.exportData();
+  model.addTodo('Added since');
+
+  assert.strictEqual(model.importTodos(backup), 0);
+  assert.deepStrictEqual(model.todos.map(todo => todo.text), ['Kept', 'Added since']);
+
+  assert.throws(() => model.importTodos({ lists: [], items: [{ id: 1, text: 'Bad', priority: 'urgent' }] }), /Todo 1 \("Bad"\)/);
+  assert.strictEqual(model.todos.length, 2);
+
+  // Subtasks that lead back to themselves become top-level todos
+  model.importTodos({ lists: [], items: [{ id: 1, parentId: 2, text: 'Loop A' }, { id: 2, parentId: 1, text: 'Loop B' }] });
+  assert.deepStrictEqual(model.todos.slice(2).map(todo => [todo.text, todo.parentId]), [['Loop A', null], ['Loop B', null]]);
+});
+
+test('TodoModel - importTodos should replace all the data when asked to', () => {
+  const storage = new MockStorage();
+  const model = new TodoModel(storage);
+  model.addTodo('Replaced');
+  model.deleteTodo(model.todos[0].id);
+  model.addTodo('Replaced too');
+
+  const added = model.importTodos({
+    lists: [{ id: 1, name: 'Trip' }],
+    items: [{ id: 1, listId: 1, text: 'Pack' }, { id: 2, listId: null, text: 'Loose' }]
+  }, { replace: true });
+
+  assert.strictEqual(added, 2);
+  assert.deepStrictEqual(model.lists.map(list => list.name), ['Trip', 'My Tasks']);
+  assert.deepStrictEqual(model.todos.map(todo => [todo.id, todo.text, todo.listId]), [[1, 'Pack', 1], [2, 'Loose', 2]]);
+  assert.strictEqual(model.activeListId, 1);
+  assert.deepStrictEqual(model.trash, []);
+  assert.strictEqual(model.canUndo, false);
+  assert.deepStrictEqual(storage.data.items.map(todo => todo.text), ['Pack', 'Loose']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert';
+import {
+  MAX_TEXT_LENGTH, MAX_NOTES_LENGTH, validateText, validateListName, validateDueDate, validateDueTime,
+  validatePriority, validateRecurrence, validateTags, validateNotes, validateFields, validatePassphrase,
+  validateImport
+} from '../../src/models/validation.js';
+import { ValidationError } from '../../src/models/errors.js';
+
+// Test for required text
+test('validateText - should trim text and reject empty or overlong text', () => {
+  assert.strictEqual(validateText('  Buy milk '), 'Buy milk');
+  assert.strictEqual(validateText('x'.repeat(MAX_TEXT_LENGTH)).length, MAX_TEXT_LENGTH);
+  assert.throws(() => validateText('   '), { name: 'ValidationError', field: 'text', message: "Todo text can't be empty" });
+  assert.throws(() => validateText(null), ValidationError);
+  assert.throws(() => validateText('x'.repeat(MAX_TEXT_LENGTH + 1)), /longer than 500 characters/);
+  assert.throws(() => validateListName(''), { field: 'name', message: "List name can't be empty" });
+});
+
+// Test for due dates and times
+test('validateDueDate and validateDueTime - should accept real dates and times only', () => {
+  assert.strictEqual(validateDueDate('2024-02-29'), '2024-02-29');
+  assert.strictEqual(validateDueDate(''), null);
+  assert.throws(() => validateDueDate('2023-02-29'), { field: 'dueDate' });
+  assert.throws(() => validateDueDate('tomorrow'), { field: 'dueDate' });
+
+  assert.strictEqual(validateDueTime('23:59'), '23:59');
+  assert.strictEqual(validateDueTime(null), null);
+  assert.throws(() => validateDueTime('24:00'), { field: 'dueTime' });
+});
+
+// Test for priorities, recurrence rules and tags
+test('validatePriority, validateRecurrence and validateTags - should normalize or reject values', () => {
+  assert.strictEqual(validatePriority('high'), 'high');
+  assert.strictEqual(validatePriority(''), null);
+  assert.throws(() => validatePriority('urgent'), { field: 'priority' });
+
+  assert.strictEqual(validateRecurrence('freq=weekly;byday=mo'), 'FREQ=WEEKLY;BYDAY=MO');
+  assert.strictEqual(validateRecurrence(null), null);
+  assert.throws(() => validateRecurrence('FREQ=HOURLY'), /Invalid repeat rule/);
+
+  assert.deepStrictEqual(validateTags(['#Work', 'work', ' home ']), ['work', 'home']);
+  assert.deepStrictEqual(validateTags(null), []);
+  assert.throws(() => validateTags('work'), { field: 'tags' });
+});
+
+// Test for allowed fields
+test('validateNotes - should keep Markdown layout and reject overlong notes', () => {
+  assert.strictEqual(validateNotes('  - [ ] one\n\n  - [ ] two  \n'), '  - [ ] one\n\n  - [ ] two');
+  assert.strictEqual(validateNotes(' \n '), null);
+  assert.strictEqual(validateNotes(null), null);
+  assert.throws(() => validateNotes(42), ValidationError);
+  assert.throws(() => validateNotes('x'.repeat(MAX_NOTES_LENGTH + 1)), /longer than/);
+});
+
+test('validateFields - should reject fields that are not allowed', () => {
+  assert.doesNotThrow(() => validateFields({ text: 'A', dueDate: null }, ['text', 'dueDate']));
+  assert.throws(() => validateFields({ text: 'A', id: 5 }, ['text']), { field: 'id', message: '"id" can\'t be changed' });
+});
+
+test('validatePassphrase - should keep passphrases as typed and reject short ones', () => {
+  assert.strictEqual(validatePassphrase(' correct horse '), ' correct horse ');
+  assert.throws(() => validatePassphrase('short'), { field: 'passphrase', message: 'Passphrase must be at least 8 characters' });
+  assert.throws(() => validatePassphrase(null), ValidationError);
+});
+
+test('validateImport - should normalize imported todos and name the first invalid one', () => {
+  const { lists, items } = validateImport({
+    lists: [{ id: 1, name: ' Home ' }],
+    items: [{ id: 1, listId: 1, text: ' Call mum ', completed: true, createdAt: '2024-03-01 10:00Z', tags: ['#Family'], dueTime: '10:00', timeEntries: [] }]
+  });
+  assert.deepStrictEqual(lists, [{ id: 1, name: 'Home' }]);
+  assert.deepStrictEqual(items[0], {
+    id: 1, listId: 1, text: 'Call mum', completed: true, createdAt: '2024-03-01T10:00:00.000Z', completedAt: null,
+    dueDate: null, dueTime: null, tags: ['family'], recurrence: null, priority: null, notes: null, timeEntries: []
+  });
+
+  assert.throws(() => validateImport({ lists: [], items: [{ text: 'Fine' }, { text: 'Pay rent', dueDate: 'soon' }] }),
+    { field: 'dueDate', message: 'Todo 2 ("Pay rent"): "soon" is not a valid due date' });
+  assert.throws(() => validateImport({ lists: [{ id: 1, name: '' }], items: [] }), /List 1: List name can't be empty/);
+  assert.throws(() => validateImport({ lists: [], items: [null] }), /Todo 1: Not a todo/);
+  assert.throws(() => validateImport({ items: [] }), ValidationError);
+});